@@ -0,0 +1,87 @@
+/**
+ * Script to import chat history from Slack or Discord
+ * Usage: node import-history.js <slack|discord> <path> [--dry-run] [--users map.json]
+ *
+ * Connects to MONGODB_URI (from .env). Running it again with the same
+ * export only adds messages that weren't imported yet. --dry-run reports
+ * what would be created without changing anything. --users points at a
+ * JSON object mapping source user IDs or names to existing usernames.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const mongoose = require('mongoose');
+const connectDB = require('./src/db');
+const { getImporter, listImporters } = require('./src/importers');
+const importService = require('./src/services/importService');
+
+const USAGE = 'Usage: node import-history.js <slack|discord> <path> [--dry-run] [--users map.json]';
+
+/**
+ * Parse command line arguments
+ * @param {string[]} args - Arguments after the script name
+ * @returns {{source: string, exportPath: string, dryRun: boolean, usersFile: (string|null)}}
+ */
+const parseArgs = (args) => {
+  const positional = [];
+  let dryRun = false;
+  let usersFile = null;
+
+  for (let i = 0; i < args.length; i += 1) {
+    if (args[i] === '--dry-run') {
+      dryRun = true;
+    } else if (args[i] === '--users') {
+      usersFile = args[i + 1];
+      i += 1;
+    } else {
+      positional.push(args[i]);
+    }
+  }
+
+  return { source: positional[0], exportPath: positional[1], dryRun, usersFile };
+};
+
+const main = async () => {
+  const { source, exportPath, dryRun, usersFile } = parseArgs(process.argv.slice(2));
+  const importer = source && getImporter(source);
+
+  if (!importer || !exportPath) {
+    console.log(USAGE);
+    console.log('\nSources:');
+    listImporters().forEach(({ name, description }) => console.log(`  ${name.padEnd(8)} ${description}`));
+    process.exitCode = 1;
+    return;
+  }
+
+  const userMap = usersFile ? JSON.parse(fs.readFileSync(usersFile, 'utf8')) : {};
+
+  await connectDB(false);
+
+  try {
+    console.log(`${dryRun ? 'Dry run: reading' : 'Importing'} ${importer.name} export ${exportPath}`);
+    const report = await importService.importExport(importer, exportPath, {
+      dryRun,
+      userMap,
+      onRoom: (room) => console.log(`  #${room}`),
+    });
+
+    const would = dryRun ? 'would be ' : '';
+    console.log(`\n${dryRun ? '🔍 Dry run complete' : '✅ Import complete'}`);
+    console.log(`Rooms:    ${report.rooms.created} ${would}created, ${report.rooms.existing} already existed`);
+    console.log(`Users:    ${report.users.created} ${would}created, ${report.users.matched} matched existing users`);
+    console.log(`Messages: ${report.messages.created} ${would}imported, ${report.messages.existing} already imported, ${report.messages.skipped} skipped`);
+    if (report.messages.truncated > 0) {
+      console.log(`          ${report.messages.truncated} ${would}shortened to the 1000 character limit`);
+    }
+    if (!dryRun && report.users.created > 0) {
+      console.log('\nNew users have random passwords and need one set before they can log in.');
+    }
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main().catch((error) => {
+  console.error('❌ Import failed:', error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,27 @@
+/**
+ * /help command
+ * Lists the available commands
+ */
+
+/**
+ * Escape Markdown in plain text
+ * @param {string} text - Text to show literally
+ * @returns {string}
+ */
+const escapeMarkdown = (text) => text.replace(/[\\`*_[\]]/g, '\\$&');
+
+module.exports = {
+  name: 'help',
+  args: '',
+  description: 'List the available commands',
+
+  async run({ reply }) {
+    // Required here, since the registry requires this module
+    const { listCommands } = require('.');
+
+    const lines = listCommands().map(({ name, args, description }) => (
+      `- \`/${name}${args ? ` ${args}` : ''}\` ${escapeMarkdown(description)}`
+    ));
+    reply(['Available commands:', ...lines].join('\n'));
+  },
+};
@@ -0,0 +1,93 @@
+/**
+ * Slash Command Registry
+ * Messages starting with "/" run a command instead of being stored as text
+ *
+ * Each command is a module in this directory exporting
+ *   { name, args, description, run(context, args) }
+ * and listed in COMMANDS below. args is the usage hint shown in the
+ * composer's command palette (e.g. "@username"); run receives everything
+ * after the command name as one trimmed string.
+ *
+ * The context passed to run:
+ *   - io: Socket.io server
+ *   - user: { _id, username } of the sender
+ *   - roomName: room the command was sent in
+ *   - parentId: thread the command was sent in, or null
+ *   - reply(text): ephemeral reply shown only to the sender
+ *   - post({ text, action }): send a message as the user; resolves to the
+ *     saved message
+ *
+ * Errors carrying a status (httpError) are turned into ephemeral replies.
+ */
+
+const COMMANDS = [
+  require('./me'),
+  require('./shrug'),
+  require('./topic'),
+  require('./invite'),
+  require('./leave'),
+  require('./help'),
+];
+
+const registry = new Map(COMMANDS.map(command => [command.name, command]));
+
+// "/name" or "/name arguments"; "/path/to" and the like stay plain text
+const COMMAND_PATTERN = /^\/([a-z][\w-]{0,31})(?:\s+([\s\S]*))?$/i;
+
+/**
+ * Parse a command out of message text
+ * @param {string} text - Message text
+ * @returns {{name: string, args: string}|null} null when the text is a regular message
+ */
+const parseCommand = (text) => {
+  const match = typeof text === 'string' && COMMAND_PATTERN.exec(text.trim());
+  if (!match) return null;
+
+  return { name: match[1].toLowerCase(), args: (match[2] || '').trim() };
+};
+
+/**
+ * Text to store for a message that isn't a command
+ * A leading "//" sends a literal slash (e.g. "//shrug" posts "/shrug").
+ * @param {string} text - Message text
+ * @returns {string}
+ */
+const unescapeCommand = (text) => (
+  typeof text === 'string' && text.trimStart().startsWith('//') ? text.trimStart().slice(1) : text
+);
+
+/**
+ * Commands as shown in the command palette and /help
+ * @returns {Array<{name: string, args: string, description: string}>}
+ */
+const listCommands = () => COMMANDS.map(({ name, args, description }) => ({ name, args, description }));
+
+/**
+ * Run a parsed command
+ * Unknown commands and expected failures reply to the sender; other
+ * errors are thrown.
+ * @param {Object} context - Command context (see above)
+ * @param {{name: string, args: string}} command - From parseCommand
+ * @returns {Promise<void>}
+ */
+const runCommand = async (context, { name, args }) => {
+  const command = registry.get(name);
+  if (!command) {
+    context.reply(`Unknown command /${name}. Type /help to see the available commands.`);
+    return;
+  }
+
+  try {
+    await command.run(context, args);
+  } catch (error) {
+    if (!error.status) throw error;
+    context.reply(error.message);
+  }
+};
+
+module.exports = {
+  parseCommand,
+  unescapeCommand,
+  listCommands,
+  runCommand,
+};
@@ -0,0 +1,25 @@
+/**
+ * /invite command
+ * Invites a user to the current private room
+ */
+
+const roomService = require('../services/roomService');
+
+module.exports = {
+  name: 'invite',
+  args: '@username',
+  description: 'Invite someone to this private room',
+
+  async run({ io, user, roomName, reply }, args) {
+    const [username] = args.replace(/^@/, '').split(/\s+/);
+    if (!username) {
+      reply('Usage: /invite @username');
+      return;
+    }
+
+    const { room, invitee } = await roomService.inviteMember({ roomName, inviter: user, username });
+    roomService.notifyInvitation(io, { room, invitee, invitedBy: user.username });
+
+    reply(`Invited ${invitee.username} to #${room.name}`);
+  },
+};
@@ -0,0 +1,42 @@
+/**
+ * /leave command
+ * Leaves the current room
+ * Private rooms also drop the membership. The user's sockets receive
+ * removedFromRoom, which takes every open tab back to the default room.
+ */
+
+const Room = require('../models/Room');
+const roomService = require('../services/roomService');
+const httpError = require('../utils/httpError');
+
+const { DEFAULT_ROOM } = roomService;
+
+module.exports = {
+  name: 'leave',
+  args: '',
+  description: 'Leave this room',
+
+  async run({ io, user, roomName }) {
+    const room = await Room.findOne({ name: roomName }).lean();
+    if (!room) {
+      throw httpError(404, 'Room not found');
+    }
+    if (room.type === 'direct') {
+      throw httpError(400, "Direct messages can't be left");
+    }
+    if (room.name === DEFAULT_ROOM) {
+      throw httpError(400, `#${DEFAULT_ROOM} can't be left`);
+    }
+
+    if (room.visibility === 'private') {
+      await roomService.removeMember({ roomName, actor: user, username: user.username });
+      io?.to(roomName).emit('memberRemoved', { room: roomName, username: user.username });
+    }
+
+    if (io) {
+      await roomService.evictUserFromRoom(io, user._id, roomName, 'removedFromRoom', {
+        removedBy: user.username,
+      });
+    }
+  },
+};
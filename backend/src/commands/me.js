@@ -0,0 +1,19 @@
+/**
+ * /me command
+ * Posts an action message, shown as "username does something"
+ */
+
+module.exports = {
+  name: 'me',
+  args: '<action>',
+  description: 'Describe what you are doing',
+
+  async run({ post, reply }, args) {
+    if (!args) {
+      reply('Usage: /me <action>');
+      return;
+    }
+
+    await post({ text: args, action: true });
+  },
+};
@@ -0,0 +1,17 @@
+/**
+ * /shrug command
+ * Posts the message with ¯\_(ツ)_/¯ appended
+ */
+
+// Backslash and underscores escaped so Markdown leaves them alone
+const SHRUG = '¯\\\\\\_(ツ)\\_/¯';
+
+module.exports = {
+  name: 'shrug',
+  args: '[message]',
+  description: 'Append ¯\\_(ツ)_/¯ to your message',
+
+  async run({ post }, args) {
+    await post({ text: args ? `${args} ${SHRUG}` : SHRUG });
+  },
+};
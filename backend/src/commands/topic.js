@@ -0,0 +1,53 @@
+/**
+ * /topic command
+ * Shows the room topic, or sets it (owners and moderators)
+ * Everyone who can see the room is told through roomUpdated, so headers
+ * update live.
+ */
+
+const Room = require('../models/Room');
+const moderationService = require('../services/moderationService');
+const roomManagementService = require('../services/roomManagementService');
+const httpError = require('../utils/httpError');
+
+// Matches the Room model
+const MAX_TOPIC_LENGTH = 250;
+
+module.exports = {
+  name: 'topic',
+  args: '[new topic]',
+  description: 'Show or set the room topic',
+
+  async run({ io, user, roomName, reply }, args) {
+    const room = await Room.findOne({ name: roomName });
+    if (!room) {
+      throw httpError(404, 'Room not found');
+    }
+
+    if (!args) {
+      reply(room.topic ? `Topic: ${room.topic}` : 'This room has no topic yet');
+      return;
+    }
+
+    if (room.type === 'direct') {
+      throw httpError(400, 'Direct messages have no topic');
+    }
+    if (room.archivedAt) {
+      throw httpError(400, 'Archived rooms cannot be changed');
+    }
+    if (moderationService.getRole(room, user._id) === 'member') {
+      throw httpError(403, 'Only the room owner and moderators can change the topic');
+    }
+    if (args.length > MAX_TOPIC_LENGTH) {
+      throw httpError(400, `Topic cannot exceed ${MAX_TOPIC_LENGTH} characters`);
+    }
+
+    room.topic = args;
+    await room.save();
+
+    roomManagementService.broadcastRoomUpdate(io, room, {
+      updatedBy: user.username,
+      changes: ['topic'],
+    });
+  },
+};
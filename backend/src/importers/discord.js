@@ -0,0 +1,176 @@
+/**
+ * Discord Importer
+ * Reads channel exports made with DiscordChatExporter in JSON format: one
+ * .json file, or a directory (or .zip) of them
+ *
+ * Every exported channel, threads included, becomes a public room; files
+ * split into parts are joined by channel ID. Discord replies stay in the
+ * channel's timeline rather than becoming threads, as they appear in
+ * Discord. Attachments are kept as links to Discord's CDN.
+ */
+
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const { openExportFiles } = require('./exportFiles');
+
+// Message types carried over; the rest are joins, pins and the like
+const IMPORTED_TYPES = new Set(['Default', 'Reply']);
+
+/**
+ * Normalize a Discord user
+ * @param {Object} user - Author, mention or reaction user from the export
+ * @returns {{id: string, name: string, bot: boolean}}
+ */
+const toSourceUser = (user) => ({
+  id: user.id,
+  name: user.name || user.nickname || user.id,
+  bot: Boolean(user.isBot),
+});
+
+/**
+ * Reaction key for an emoji
+ * Custom emoji are kept by name (":party_parrot:"); standard emoji as is.
+ * @param {Object} emoji - Reaction emoji from the export
+ * @returns {string}
+ */
+const emojiKey = (emoji) => (emoji.id ? `:${emoji.name}:` : emoji.name);
+
+/**
+ * Match "@name" as a whole mention
+ * @param {string} name - Name as written by the exporter
+ * @returns {RegExp}
+ */
+const mentionPattern = (name) => new RegExp(`@${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?!\\w)`, 'g');
+
+/**
+ * Open the export's files
+ * A single .json file is treated as an export with one file.
+ * @param {string} exportPath - Path to a .json file, a directory or a .zip
+ * @returns {Promise<Object>} Files (see exportFiles.js)
+ */
+const openFiles = async (exportPath) => {
+  if (path.extname(exportPath).toLowerCase() !== '.json') {
+    return openExportFiles(exportPath);
+  }
+
+  const name = path.basename(exportPath);
+  const readJson = async () => {
+    try {
+      return JSON.parse(await fs.readFile(exportPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read ${name}: ${error.message}`);
+    }
+  };
+  return { names: [name], readJson, close: async () => {} };
+};
+
+/**
+ * Open a Discord export
+ * @param {string} exportPath - Path to a .json file, a directory or a .zip
+ * @returns {Promise<Object>} Export (see importers/index.js)
+ */
+const open = async (exportPath) => {
+  const files = await openFiles(exportPath);
+
+  try {
+    const users = new Map();
+    const channels = new Map();
+
+    /**
+     * Remember a user seen in the export
+     * @param {Object} user - User from the export
+     * @returns {Object} Source user
+     */
+    const addUser = (user) => {
+      if (!users.has(user.id)) users.set(user.id, toSourceUser(user));
+      return users.get(user.id);
+    };
+
+    for (const name of files.names.filter(file => file.toLowerCase().endsWith('.json')).sort()) {
+      const { channel, messages } = await files.readJson(name);
+      if (!channel?.id || !Array.isArray(messages)) {
+        throw new Error(`${name} is not a DiscordChatExporter JSON export`);
+      }
+
+      if (!channels.has(channel.id)) {
+        channels.set(channel.id, { channel, fileNames: [], firstMessageAt: null });
+      }
+      const entry = channels.get(channel.id);
+      entry.fileNames.push(name);
+      const first = messages.length > 0 ? new Date(messages[0].timestamp) : null;
+      if (first && (!entry.firstMessageAt || first < entry.firstMessageAt)) {
+        entry.firstMessageAt = first;
+      }
+    }
+
+    if (channels.size === 0) {
+      throw new Error('No DiscordChatExporter JSON files found');
+    }
+
+    const rooms = [...channels.values()].map(({ channel, fileNames, firstMessageAt }) => ({
+      id: channel.id,
+      name: channel.name,
+      topic: channel.topic || '',
+      description: channel.category ? `Imported from ${channel.category}` : '',
+      visibility: 'public',
+      createdAt: firstMessageAt,
+      creatorId: null,
+      memberIds: [],
+
+      loadMessages: async (nameFor) => {
+        const messages = [];
+        let skipped = 0;
+
+        for (const fileName of fileNames) {
+          for (const message of (await files.readJson(fileName)).messages) {
+            if (!IMPORTED_TYPES.has(message.type) || !message.author) {
+              skipped += 1;
+              continue;
+            }
+
+            // The exporter writes mentions as @name; use the local usernames
+            let text = message.content || '';
+            for (const mentioned of message.mentions || []) {
+              const local = nameFor(addUser(mentioned));
+              [mentioned.nickname, mentioned.name]
+                .filter(Boolean)
+                .forEach((name) => { text = text.replace(mentionPattern(name), `@${local}`); });
+            }
+
+            const attachmentLinks = (message.attachments || []).map(attachment => (
+              `[${attachment.fileName}](${attachment.url})`
+            ));
+            const stickers = (message.stickers || []).map(sticker => `[sticker: ${sticker.name}]`);
+
+            messages.push({
+              id: message.id,
+              parentId: null,
+              author: addUser(message.author),
+              text: [text, ...attachmentLinks, ...stickers].filter(Boolean).join('\n'),
+              ts: new Date(message.timestamp),
+              editedAt: message.timestampEdited ? new Date(message.timestampEdited) : null,
+              action: false,
+              reactions: Object.fromEntries((message.reactions || [])
+                .filter(reaction => reaction.users?.length > 0)
+                .map(reaction => [emojiKey(reaction.emoji), reaction.users.map(user => addUser(user).id)])),
+            });
+          }
+        }
+
+        messages.sort((a, b) => a.ts - b.ts);
+        return { messages, skipped };
+      },
+    }));
+
+    return { users, rooms, close: files.close };
+  } catch (error) {
+    await files.close();
+    throw error;
+  }
+};
+
+module.exports = {
+  name: 'discord',
+  description: 'DiscordChatExporter JSON (.json file, directory or .zip)',
+  open,
+};
@@ -0,0 +1,70 @@
+/**
+ * Export Files
+ * Reads the files of a chat export, whether it is a .zip archive or a
+ * directory it was extracted to
+ */
+
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const { openZip } = require('../utils/zipArchive');
+
+/**
+ * List the files under a directory
+ * @param {string} root - Directory
+ * @param {string} [prefix] - Name prefix for files in subdirectories
+ * @returns {Promise<string[]>} Relative names with "/" separators
+ */
+const listFiles = async (root, prefix = '') => {
+  const names = [];
+
+  for (const entry of await fs.readdir(path.join(root, prefix), { withFileTypes: true })) {
+    const name = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      names.push(...await listFiles(root, name));
+    } else if (entry.isFile()) {
+      names.push(name);
+    }
+  }
+
+  return names;
+};
+
+/**
+ * Open an export that is a .zip file or a directory
+ * Both give file names relative to the export's root, with "/" separators.
+ * @param {string} exportPath - Path to the archive or directory
+ * @returns {Promise<{names: string[], read: Function, readJson: Function, close: Function}>}
+ */
+const openExportFiles = async (exportPath) => {
+  const stats = await fs.stat(exportPath);
+  let files;
+
+  if (stats.isDirectory()) {
+    files = {
+      names: await listFiles(exportPath),
+      read: (name) => fs.readFile(path.join(exportPath, ...name.split('/'))),
+      close: async () => {},
+    };
+  } else {
+    files = await openZip(exportPath);
+  }
+
+  /**
+   * Read and parse a JSON file from the export
+   * @param {string} name - File name
+   * @returns {Promise<*>}
+   */
+  const readJson = async (name) => {
+    try {
+      return JSON.parse((await files.read(name)).toString('utf8'));
+    } catch (error) {
+      throw new Error(`Could not read ${name}: ${error.message}`);
+    }
+  };
+
+  return { ...files, readJson };
+};
+
+module.exports = {
+  openExportFiles,
+};
@@ -0,0 +1,47 @@
+/**
+ * History Importers
+ * Read chat exports from other services into one shape for importService
+ *
+ * Each importer is a module in this directory exporting
+ *   { name, description, open(path) }
+ * and listed in IMPORTERS below. open resolves to the export:
+ *   - users: Map of source user ID -> { id, name, bot }
+ *   - rooms: [{ id, name, topic, description, visibility, createdAt,
+ *       creatorId, memberIds, loadMessages(nameFor) }]
+ *   - close(): releases the files
+ *
+ * loadMessages reads one room's messages in chronological order, resolving
+ * to { messages, skipped } where each message is
+ *   { id, parentId, author: { id, name, bot }, text, ts, editedAt, action,
+ *     reactions: { emoji: [source user IDs] } }
+ * IDs only need to be unique within the source; parentId is the ID of the
+ * thread's top-level message. nameFor(user) gives the local username a
+ * source user maps to, so mentions in the text can be rewritten; skipped
+ * counts messages the importer doesn't carry over (joins, pins and the
+ * like).
+ */
+
+const IMPORTERS = [
+  require('./slack'),
+  require('./discord'),
+];
+
+const registry = new Map(IMPORTERS.map(importer => [importer.name, importer]));
+
+/**
+ * Find an importer by name
+ * @param {string} name - e.g. "slack"
+ * @returns {Object|undefined}
+ */
+const getImporter = (name) => registry.get(String(name).toLowerCase());
+
+/**
+ * List importers
+ * @returns {Array<{name: string, description: string}>}
+ */
+const listImporters = () => IMPORTERS.map(({ name, description }) => ({ name, description }));
+
+module.exports = {
+  getImporter,
+  listImporters,
+};
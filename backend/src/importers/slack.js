@@ -0,0 +1,165 @@
+/**
+ * Slack Importer
+ * Reads a Slack workspace export (the .zip from "Export data", or the
+ * directory it was extracted to)
+ *
+ * Public channels (channels.json) become public rooms and private channels
+ * (groups.json) private rooms with the same members. Direct messages are
+ * not imported. Each channel's messages live in "<channel>/<date>.json".
+ *
+ * Slack markup is turned into this app's text: user mentions into
+ * @username, @here/@channel/@everyone into @room, and links into Markdown
+ * links. Files can't be downloaded without Slack credentials, so they are
+ * listed by name at the end of the text.
+ */
+
+const { openExportFiles } = require('./exportFiles');
+
+// Message subtypes carried over; the rest are joins, topic changes and the like
+const IMPORTED_SUBTYPES = new Set([undefined, 'me_message', 'bot_message', 'thread_broadcast', 'file_share']);
+
+/**
+ * Convert a Slack timestamp ("1700000000.123456") to a Date
+ * @param {string} ts - Slack timestamp
+ * @returns {Date}
+ */
+const slackTime = (ts) => new Date(Math.round(Number.parseFloat(ts) * 1000));
+
+/**
+ * Turn Slack message markup into plain text with Markdown links
+ * @param {string} text - Slack message text
+ * @param {Function} mentionName - Source user ID -> name to mention
+ * @returns {string}
+ */
+const convertText = (text, mentionName) => (text || '')
+  .replace(/<@([UW][A-Z0-9]+)(?:\|([^>]*))?>/g, (match, id, label) => `@${mentionName(id) || label || id}`)
+  .replace(/<#C[A-Z0-9]+\|([^>]*)>/g, '#$1')
+  .replace(/<!(?:here|channel|everyone)(?:\|[^>]*)?>/g, '@room')
+  .replace(/<!subteam\^[A-Z0-9]+(?:\|([^>]*))?>/g, (match, label) => label || '@group')
+  .replace(/<!date\^[^|>]*\|([^>]*)>/g, '$1')
+  .replace(/<((?:https?|mailto):[^|>]+)\|([^>]+)>/g, (match, url, label) => (
+    label === url ? url : `[${label}](${url})`
+  ))
+  .replace(/<((?:https?|mailto):[^>]+)>/g, '$1')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&amp;/g, '&');
+
+/**
+ * Normalize a Slack user
+ * @param {Object} user - Entry from users.json
+ * @returns {{id: string, name: string, bot: boolean}}
+ */
+const toSourceUser = (user) => ({
+  id: user.id,
+  name: user.name || user.profile?.display_name || user.real_name || user.id,
+  bot: Boolean(user.is_bot),
+});
+
+/**
+ * Open a Slack export
+ * @param {string} exportPath - Path to the .zip file or extracted directory
+ * @returns {Promise<Object>} Export (see importers/index.js)
+ */
+const open = async (exportPath) => {
+  const files = await openExportFiles(exportPath);
+
+  try {
+    const readList = async (name) => (files.names.includes(name) ? files.readJson(name) : []);
+
+    if (!files.names.includes('channels.json')) {
+      throw new Error('channels.json not found; is this a Slack export?');
+    }
+
+    const users = new Map(
+      (await readList('users.json')).map(user => [user.id, toSourceUser(user)])
+    );
+
+    /**
+     * Find the author of a message
+     * Bot messages may have no user; they are attributed to the bot's name.
+     * @param {Object} message - Slack message
+     * @returns {{id: string, name: string, bot: boolean}}
+     */
+    const authorOf = (message) => {
+      if (message.user && users.has(message.user)) return users.get(message.user);
+      if (message.user) {
+        return { id: message.user, name: message.user_profile?.name || message.user, bot: false };
+      }
+      const name = message.username || message.bot_profile?.name || 'slackbot';
+      return { id: `bot:${message.bot_id || name}`, name, bot: true };
+    };
+
+    /**
+     * Build a room from a channel
+     * @param {Object} channel - Entry from channels.json or groups.json
+     * @param {'public'|'private'} visibility
+     * @returns {Object} Room (see importers/index.js)
+     */
+    const toRoom = (channel, visibility) => ({
+      id: channel.id,
+      name: channel.name,
+      topic: channel.topic?.value || '',
+      description: channel.purpose?.value || '',
+      visibility,
+      createdAt: channel.created ? new Date(channel.created * 1000) : null,
+      creatorId: channel.creator || null,
+      memberIds: visibility === 'private' ? channel.members || [] : [],
+
+      loadMessages: async (nameFor) => {
+        const dayFiles = files.names
+          .filter(name => name.startsWith(`${channel.name}/`) && name.endsWith('.json'))
+          .sort();
+        const mentionName = (id) => users.has(id) && nameFor(users.get(id));
+        const messages = [];
+        let skipped = 0;
+
+        for (const dayFile of dayFiles) {
+          for (const message of await files.readJson(dayFile)) {
+            if (message.type !== 'message' || !IMPORTED_SUBTYPES.has(message.subtype) || !message.ts) {
+              skipped += 1;
+              continue;
+            }
+
+            const fileNames = (message.files || [])
+              .filter(file => file.name || file.title)
+              .map(file => `[file: ${file.name || file.title}]`);
+            const isReply = message.thread_ts && message.thread_ts !== message.ts;
+
+            messages.push({
+              id: message.ts,
+              parentId: isReply ? message.thread_ts : null,
+              author: authorOf(message),
+              text: [convertText(message.text, mentionName), ...fileNames].filter(Boolean).join('\n'),
+              ts: slackTime(message.ts),
+              editedAt: message.edited?.ts ? slackTime(message.edited.ts) : null,
+              action: message.subtype === 'me_message',
+              reactions: Object.fromEntries((message.reactions || [])
+                .filter(reaction => reaction.users?.length > 0)
+                .map(reaction => [`:${reaction.name}:`, reaction.users])),
+            });
+          }
+        }
+
+        messages.sort((a, b) => a.ts - b.ts);
+        return { messages, skipped };
+      },
+    });
+
+    const rooms = [
+      ...(await readList('channels.json')).map(channel => toRoom(channel, 'public')),
+      ...(await readList('groups.json')).map(channel => toRoom(channel, 'private')),
+    ];
+
+    return { users, rooms, close: files.close };
+  } catch (error) {
+    await files.close();
+    throw error;
+  }
+};
+
+module.exports = {
+  name: 'slack',
+  description: 'Slack workspace export (.zip or extracted directory)',
+  open,
+};
@@ -13,12 +13,31 @@ const connectDB = require('./db');
 const authRoutes = require('./routes/auth');
 const chatRoutes = require('./routes/chat');
 const roomsRoutes = require('./routes/rooms');
+const usersRoutes = require('./routes/users');
+const attachmentsRoutes = require('./routes/attachments');
+const notificationsRoutes = require('./routes/notifications');
+const hooksRoutes = require('./routes/hooks');
+const botsRoutes = require('./routes/bots');
+const tokensRoutes = require('./routes/tokens');
+const sessionsRoutes = require('./routes/sessions');
 const authMiddleware = require('./middleware/auth');
 const errorHandler = require('./middleware/errorHandler');
-const Message = require('./models/Message');
 const Room = require('./models/Room');
 const jwt = require('jsonwebtoken');
 const User = require('./models/User');
+const messageService = require('./services/messageService');
+const readStateService = require('./services/readStateService');
+const { createTypingTracker } = require('./services/typingService');
+const presenceService = require('./services/presenceService');
+const roomService = require('./services/roomService');
+const moderationService = require('./services/moderationService');
+const notificationService = require('./services/notificationService');
+const webhookService = require('./services/webhookService');
+const botService = require('./services/botService');
+const sessionService = require('./services/sessionService');
+const commands = require('./commands');
+const { startRetentionJob } = require('./jobs/retentionJob');
+const { startWebhookJob } = require('./jobs/webhookJob');
 
 // Initialize Express app
 const app = express();
@@ -32,6 +51,9 @@ const io = socketIo(server, {
   },
 });
 
+// Expose io to REST routes so they can broadcast (req.app.get('io'))
+app.set('io', io);
+
 // Prometheus Metrics
 const client = require('prom-client');
 const collectDefaultMetrics = client.collectDefaultMetrics;
@@ -45,6 +67,12 @@ const connectedUsersGauge = new client.Gauge({
   registers: [register],
 });
 
+// Prune messages past their room's retention policy
+const retentionJob = startRetentionJob({ io, register });
+
+// Send queued webhook deliveries
+const webhookJob = startWebhookJob({ io, register });
+
 // Connect to MongoDB
 console.log('Attempting to connect to MongoDB...');
 const dbURI = process.env.MONGODB_URI || 'undefined';
@@ -58,6 +86,7 @@ app.use(express.urlencoded({ extended: true })); // Parse URL-encoded bodies
 
 // Public Routes
 app.use('/auth', authRoutes);
+app.use('/hooks', hooksRoutes); // Incoming webhooks, authenticated by their token
 
 // Metrics endpoint
 app.get('/metrics', async (req, res) => {
@@ -77,6 +106,12 @@ app.get('/health', (req, res) => {
 // Protected Routes - All routes require JWT authentication
 app.use('/api/chat', chatRoutes);
 app.use('/rooms', roomsRoutes);
+app.use('/api/users', usersRoutes);
+app.use('/api/attachments', attachmentsRoutes);
+app.use('/api/notifications', notificationsRoutes);
+app.use('/api/bots', botsRoutes);
+app.use('/api/tokens', tokensRoutes);
+app.use('/api/sessions', sessionsRoutes);
 
 // Protected user info endpoint
 app.get('/api/user', authMiddleware, (req, res) => {
@@ -87,8 +122,23 @@ app.get('/api/user', authMiddleware, (req, res) => {
 });
 
 // Socket.io authentication middleware
+// Users send their JWT as auth.token; bots send their API key as auth.apiKey
 io.use(async (socket, next) => {
   try {
+    if (socket.handshake.auth.apiKey) {
+      const bot = await botService.authenticateApiKey(socket.handshake.auth.apiKey);
+
+      if (!bot) {
+        console.error('Socket auth: Invalid API key');
+        return next(new Error('Authentication error: Invalid API key'));
+      }
+
+      socket.userId = bot._id.toString();
+      socket.username = bot.username;
+      socket.isBot = true;
+      return next();
+    }
+
     const token = socket.handshake.auth.token || socket.handshake.headers.authorization?.substring(7);
 
     if (!token) {
@@ -97,6 +147,14 @@ io.use(async (socket, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Sockets are tied to the session; revoking it disconnects them
+    const session = await sessionService.findActiveSession(decoded.sid);
+    if (!session) {
+      console.error('Socket auth: Session expired');
+      return next(new Error('Authentication error: Session expired'));
+    }
+
     const user = await User.findById(decoded.userId).select('-password');
 
     if (!user) {
@@ -106,6 +164,7 @@ io.use(async (socket, next) => {
 
     socket.userId = user._id.toString();
     socket.username = user.username;
+    socket.sessionId = session._id.toString();
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -121,11 +180,33 @@ io.use(async (socket, next) => {
   }
 });
 
+/**
+ * Broadcast presence status changes to the affected rooms
+ * @param {Array<{room: string, username: string, status: string}>} changes
+ */
+const broadcastPresence = (changes) => presenceService.broadcast(io, changes);
+
 // Socket.io connection handling
 io.on('connection', (socket) => {
   console.log(`✅ User connected: ${socket.username} (${socket.id})`);
   connectedUsersGauge.inc();
 
+  // Personal channel reaching every socket of this user (e.g. other tabs)
+  socket.join(`user:${socket.userId}`);
+
+  // Session channel, so revoking the session disconnects its sockets
+  if (socket.sessionId) {
+    socket.join(`session:${socket.sessionId}`);
+  }
+
+  // Typing indicators go to the room but never to this user's own sockets
+  const typing = createTypingTracker((event, room) => {
+    socket.to(room).except(`user:${socket.userId}`).emit(event, {
+      room,
+      username: socket.username,
+    });
+  });
+
   // Handle connection errors
   socket.on('error', (error) => {
     console.error(`Socket error for ${socket.username}:`, error);
@@ -134,7 +215,7 @@ io.on('connection', (socket) => {
   /**
    * Handle joining a room
    * Validates room exists in database before allowing join
-   * Emits last 50 messages from that room
+   * Emits the last 50 messages from that room with a cursor for older pages
    */
   socket.on('joinRoom', async (room) => {
     try {
@@ -188,6 +269,20 @@ io.on('connection', (socket) => {
         return;
       }
 
+      // Direct messages can only be joined by their participants, and bots
+      // only join rooms they were added to
+      if (!roomService.canAccessRoom(roomExists, socket.userId, { bot: socket.isBot })) {
+        socket.emit('error', { message: 'You are not a member of this room' });
+        return;
+      }
+
+      if (roomExists.archivedAt) {
+        socket.emit('error', { message: 'This room has been archived' });
+        return;
+      }
+
+      moderationService.assertNotBanned(roomExists, socket.userId);
+
       // Leave previous rooms (optional: if you want users to be in only one room at a time)
       // socket.rooms.forEach(room => {
       //   if (room !== socket.id) {
@@ -199,19 +294,44 @@ io.on('connection', (socket) => {
       socket.join(roomName);
       console.log(`📥 ${socket.username} joined room: ${roomName}`);
 
-      // Get last 50 messages from the room
-      const messages = await Message.find({ room: roomName })
-        .sort({ ts: -1 })
-        .limit(50)
-        .lean();
+      const wasPresent = presenceService.getRoomPresence(roomName)
+        .some(member => member.username === socket.username && member.status !== 'offline');
+
+      broadcastPresence(presenceService.join(roomName, {
+        id: socket.id,
+        userId: socket.userId,
+        username: socket.username,
+      }));
+
+      // Other tabs of a user already in the room don't count as joining
+      if (!wasPresent) {
+        webhookService.dispatchEvent(roomName, 'member.joined', { username: socket.username })
+          .catch(error => console.error('Error queueing webhooks:', error));
+      }
+
+      // Get the last 50 top-level messages from the room, oldest first (thread
+      // replies carry their own reply count and last-reply time on the parent).
+      // nextCursor pages further back through GET /api/chat/messages?before=
+      const { messages, nextCursor, hasMore } = await messageService.getRoomHistory({
+        room: roomName,
+        limit: 50,
+      });
+
+      // Read markers for "seen by" receipts (omitted in large rooms)
+      const readers = await readStateService.getRoomReaders(roomName);
 
-      // Reverse to show oldest first
-      messages.reverse();
+      // Room info for the header (direct messages list their participants)
+      await roomExists.populate('participants', 'username');
 
-      // Send room history to the user
+      // Send room history to the user, with their role and any mute
       socket.emit('roomHistory', {
         room: roomName,
+        info: roomService.toRoomPayload(roomExists),
+        ...moderationService.getUserStatus(roomExists, socket.userId),
         messages,
+        nextCursor,
+        hasMore,
+        ...(readers && { readers }),
       });
 
       // Notify others in the room (optional)
@@ -220,37 +340,118 @@ io.on('connection', (socket) => {
         room: roomName,
       });
     } catch (error) {
+      if (error.status) {
+        socket.emit('error', { message: error.message });
+        return;
+      }
       console.error('Error joining room:', error);
       socket.emit('error', { message: 'Failed to join room' });
     }
   });
 
+  /**
+   * Save a message from this user and deliver it
+   * Used for chat messages and by commands that post (e.g. /me)
+   * @param {Object} params - Room name, text, parentId, attachmentIds and action
+   * @returns {Promise<Object>} Saved message
+   */
+  const postMessage = async ({ roomName, text, parentId, attachmentIds, action }) => {
+    // Banned or muted users cannot post
+    await moderationService.assertCanPost(roomName, socket.userId);
+
+    // Create and save message
+    const { message, parent } = await messageService.createMessage({
+      room: roomName,
+      username: socket.username,
+      text,
+      parentId,
+      userId: socket.userId,
+      attachmentIds,
+      action,
+      bot: Boolean(socket.isBot),
+    });
+
+    // Sending a message ends the typing indicator
+    typing.stop(roomName);
+
+    // Broadcast message to all users in the room (and to direct message
+    // participants who don't have the conversation open)
+    const targets = await roomService.getMessageTargets(roomName);
+    io.to(targets).emit('message', messageService.toMessagePayload(message));
+
+    // Bump unread badges for users who don't have the room open
+    readStateService.notifyRoomActivity(io, message)
+      .catch(error => console.error('Error sending room activity:', error));
+
+    webhookService.dispatchEvent(roomName, 'message.created', messageService.toMessagePayload(message))
+      .catch(error => console.error('Error queueing webhooks:', error));
+
+    // Tell mentioned users, wherever they are
+    notificationService.notifyMentions(io, message, socket.userId)
+      .catch(error => console.error('Error sending mention notifications:', error));
+
+    // Let clients update the parent's reply count in the main timeline
+    if (parent) {
+      io.to(roomName).emit('threadUpdated', {
+        _id: parent._id,
+        room: roomName,
+        replyCount: parent.replyCount,
+        lastReplyAt: parent.lastReplyAt,
+      });
+    }
+
+    return message;
+  };
+
+  /**
+   * Run a slash command sent from the composer
+   * Replies go to this socket only, as commandReply events.
+   * @param {string} roomName - Room the command was sent in
+   * @param {string} [parentId] - Thread the command was sent in
+   * @param {{name: string, args: string}} command - Parsed command
+   */
+  const runCommand = (roomName, parentId, command) => commands.runCommand({
+    io,
+    user: { _id: new mongoose.Types.ObjectId(socket.userId), username: socket.username },
+    roomName,
+    parentId: parentId || null,
+    reply: (text) => socket.emit('commandReply', {
+      room: roomName,
+      parentId: parentId || null,
+      text,
+      ts: new Date(),
+    }),
+    post: ({ text, action }) => postMessage({ roomName, text, parentId, action }),
+  }, command);
+
   /**
    * Handle chat messages
    * Saves message to DB and broadcasts to room
+   * A parentId posts the message as a reply in that message's thread
+   * Text starting with "/" runs a slash command instead
    */
   socket.on('chatMessage', async (data) => {
     try {
-      const { room, text } = data;
+      const { room, text, parentId, attachmentIds } = data;
+      const hasAttachments = Array.isArray(attachmentIds) && attachmentIds.length > 0;
 
-      // Validate input
+      // Validate input (text is optional when sending attachments)
       if (!room || typeof room !== 'string' || room.trim().length === 0) {
         socket.emit('error', { message: 'Invalid room name' });
         return;
       }
 
-      if (!text || typeof text !== 'string' || text.trim().length === 0) {
+      if (!hasAttachments && (!text || typeof text !== 'string' || text.trim().length === 0)) {
         socket.emit('error', { message: 'Message text is required' });
         return;
       }
 
-      if (text.length > 1000) {
+      if (typeof text === 'string' && text.length > 1000) {
         socket.emit('error', { message: 'Message cannot exceed 1000 characters' });
         return;
       }
 
       const roomName = room.trim();
-      const messageText = text.trim();
 
       // Check if user is in the room
       if (!socket.rooms.has(roomName)) {
@@ -258,30 +459,295 @@ io.on('connection', (socket) => {
         return;
       }
 
-      // Create and save message
-      const message = new Message({
-        room: roomName,
+      const command = !hasAttachments && commands.parseCommand(text);
+      if (command) {
+        await runCommand(roomName, parentId, command);
+        console.log(`⌨️ ${socket.username} ran /${command.name} in ${roomName}`);
+        return;
+      }
+
+      await postMessage({
+        roomName,
+        text: commands.unescapeCommand(text),
+        parentId,
+        attachmentIds,
+      });
+
+      console.log(`💬 ${socket.username} sent message in ${roomName}`);
+    } catch (error) {
+      if (error.status) {
+        socket.emit('error', { message: error.message });
+        return;
+      }
+      console.error('Error sending message:', error);
+      socket.emit('error', { message: 'Failed to send message' });
+    }
+  });
+
+  /**
+   * Handle fetching a thread
+   * Emits a page of replies for a top-level message in a joined room
+   */
+  socket.on('getThread', async (data) => {
+    try {
+      const { messageId, limit, skip } = data || {};
+
+      const { parent, replies, hasMore } = await messageService.getThread({ messageId, limit, skip });
+
+      if (!socket.rooms.has(parent.room)) {
+        socket.emit('error', { message: 'You must join the room first' });
+        return;
+      }
+
+      socket.emit('threadHistory', {
+        parent: messageService.toMessagePayload(parent),
+        replies,
+        skip: Number.parseInt(skip, 10) || 0,
+        hasMore,
+      });
+    } catch (error) {
+      if (error.status) {
+        socket.emit('error', { message: error.message });
+        return;
+      }
+      console.error('Error fetching thread:', error);
+      socket.emit('error', { message: 'Failed to load thread' });
+    }
+  });
+
+  /**
+   * Handle editing a message
+   * Only the author can edit; the previous text is kept as a revision
+   */
+  socket.on('editMessage', async (data) => {
+    try {
+      const { messageId, text } = data || {};
+
+      const message = await messageService.editMessage({
+        messageId,
         username: socket.username,
-        text: messageText,
-        ts: new Date(),
+        text,
       });
 
-      await message.save();
+      const targets = await roomService.getMessageTargets(message.room);
+      io.to(targets).emit('messageUpdated', messageService.toMessagePayload(message));
 
-      // Broadcast message to all users in the room
-      io.to(roomName).emit('message', {
-        room: roomName,
+      // Only users mentioned for the first time are notified
+      notificationService.notifyMentions(io, message, socket.userId)
+        .catch(error => console.error('Error sending mention notifications:', error));
+
+      webhookService.dispatchEvent(message.room, 'message.updated', messageService.toMessagePayload(message))
+        .catch(error => console.error('Error queueing webhooks:', error));
+
+      console.log(`✏️ ${socket.username} edited message ${message._id} in ${message.room}`);
+    } catch (error) {
+      if (error.status) {
+        socket.emit('error', { message: error.message });
+        return;
+      }
+      console.error('Error editing message:', error);
+      socket.emit('error', { message: 'Failed to edit message' });
+    }
+  });
+
+  /**
+   * Handle deleting a message
+   * Only the author can delete; the message is kept as a tombstone
+   */
+  socket.on('deleteMessage', async (data) => {
+    try {
+      const { messageId } = data || {};
+
+      const message = await messageService.deleteMessage({
+        messageId,
         username: socket.username,
-        text: messageText,
-        ts: message.ts,
+      });
+
+      const targets = await roomService.getMessageTargets(message.room);
+      io.to(targets).emit('messageDeleted', {
         _id: message._id,
+        room: message.room,
+        deletedAt: message.deletedAt,
       });
 
-      console.log(`💬 ${socket.username} sent message in ${roomName}`);
+      webhookService.dispatchEvent(message.room, 'message.deleted', messageService.toMessagePayload(message))
+        .catch(error => console.error('Error queueing webhooks:', error));
+
+      console.log(`🗑️ ${socket.username} deleted message ${message._id} in ${message.room}`);
     } catch (error) {
-      console.error('Error sending message:', error);
-      socket.emit('error', { message: 'Failed to send message' });
+      if (error.status) {
+        socket.emit('error', { message: error.message });
+        return;
+      }
+      console.error('Error deleting message:', error);
+      socket.emit('error', { message: 'Failed to delete message' });
+    }
+  });
+
+  /**
+   * Handle adding/removing emoji reactions
+   * Both events are idempotent and broadcast the message's full reaction set
+   */
+  const handleReaction = (add) => async (data) => {
+    try {
+      const { messageId, emoji } = data || {};
+
+      await roomService.assertMessageAccess(messageId, socket.userId);
+
+      const message = await messageService.setReaction({
+        messageId,
+        username: socket.username,
+        emoji,
+        add,
+      });
+
+      const targets = await roomService.getMessageTargets(message.room);
+      io.to(targets).emit('reactionUpdated', {
+        _id: message._id,
+        room: message.room,
+        reactions: messageService.toMessagePayload(message).reactions,
+      });
+    } catch (error) {
+      if (error.status) {
+        socket.emit('error', { message: error.message });
+        return;
+      }
+      console.error('Error updating reaction:', error);
+      socket.emit('error', { message: 'Failed to update reaction' });
+    }
+  };
+
+  socket.on('addReaction', handleReaction(true));
+  socket.on('removeReaction', handleReaction(false));
+
+  /**
+   * Handle moderation actions (owners and moderators)
+   * Data: { room, username, reason, durationMinutes } (durationMinutes for
+   * bans and mutes only; omit for no expiry)
+   * The affected user is notified by the moderation service.
+   */
+  const handleModeration = (action, description) => async (data) => {
+    try {
+      const { room, username, reason, durationMinutes } = data || {};
+
+      if (!room || typeof room !== 'string' || room.trim().length === 0) {
+        socket.emit('error', { message: 'Invalid room name' });
+        return;
+      }
+
+      await action(io, {
+        roomName: room.trim(),
+        actor: { _id: socket.userId, username: socket.username },
+        username,
+        reason,
+        durationMinutes,
+      });
+
+      console.log(`🛡️ ${socket.username} ${description} ${username} in ${room.trim()}`);
+    } catch (error) {
+      if (error.status) {
+        socket.emit('error', { message: error.message });
+        return;
+      }
+      console.error('Error applying moderation action:', error);
+      socket.emit('error', { message: 'Moderation action failed' });
+    }
+  };
+
+  socket.on('kickUser', handleModeration(moderationService.kickUser, 'kicked'));
+  socket.on('banUser', handleModeration(moderationService.banUser, 'banned'));
+  socket.on('unbanUser', handleModeration(moderationService.unbanUser, 'unbanned'));
+  socket.on('muteUser', handleModeration(moderationService.muteUser, 'muted'));
+  socket.on('unmuteUser', handleModeration(moderationService.unmuteUser, 'unmuted'));
+  socket.on('addModerator', handleModeration(
+    (server, params) => moderationService.setModerator(server, { ...params, moderator: true }),
+    'promoted'
+  ));
+  socket.on('removeModerator', handleModeration(
+    (server, params) => moderationService.setModerator(server, { ...params, moderator: false }),
+    'demoted'
+  ));
+
+  /**
+   * Handle read markers
+   * Advances the user's read position in a room (to messageId, or to now)
+   */
+  socket.on('markRead', async (data) => {
+    try {
+      const { room, messageId } = data || {};
+
+      if (!room || typeof room !== 'string' || room.trim().length === 0) {
+        socket.emit('error', { message: 'Invalid room name' });
+        return;
+      }
+
+      const roomName = room.trim();
+
+      if (!socket.rooms.has(roomName)) {
+        socket.emit('error', { message: 'You must join the room first' });
+        return;
+      }
+
+      const marker = await readStateService.markRead({
+        userId: socket.userId,
+        username: socket.username,
+        room: roomName,
+        messageId,
+      });
+
+      // Clear the unread badge in the user's other tabs
+      io.to(`user:${socket.userId}`).emit('roomRead', {
+        room: roomName,
+        lastReadAt: marker.lastReadAt,
+      });
+
+      // Per-message receipts are only shown in small rooms
+      if (await readStateService.getRoomReaders(roomName)) {
+        socket.to(roomName).emit('readReceipt', {
+          room: roomName,
+          username: socket.username,
+          lastReadAt: marker.lastReadAt,
+        });
+      }
+    } catch (error) {
+      if (error.status) {
+        socket.emit('error', { message: error.message });
+        return;
+      }
+      console.error('Error marking room as read:', error);
+      socket.emit('error', { message: 'Failed to mark room as read' });
+    }
+  });
+
+  /**
+   * Handle typing indicators
+   * Throttled and automatically expired by the typing tracker
+   */
+  socket.on('typingStart', (data) => {
+    const { room } = data || {};
+    if (room && typeof room === 'string' && socket.rooms.has(room.trim())) {
+      typing.start(room.trim());
+    }
+  });
+
+  socket.on('typingStop', (data) => {
+    const { room } = data || {};
+    if (room && typeof room === 'string') {
+      typing.stop(room.trim());
+    }
+  });
+
+  /**
+   * Handle idle time reports
+   * Clients report how long the user has been inactive; presence marks the
+   * user away once every one of their sockets is idle
+   */
+  socket.on('reportIdle', (data) => {
+    const { idleMs } = data || {};
+    if (typeof idleMs !== 'number' || !Number.isFinite(idleMs) || idleMs < 0) {
+      return;
     }
+    broadcastPresence(presenceService.reportIdle(socket.id, idleMs));
   });
 
   /**
@@ -289,7 +755,9 @@ io.on('connection', (socket) => {
    */
   socket.on('leaveRoom', (room) => {
     if (room && typeof room === 'string') {
+      typing.stop(room.trim());
       socket.leave(room.trim());
+      broadcastPresence(presenceService.leave(room.trim(), socket.id));
       console.log(`📤 ${socket.username} left room: ${room}`);
     }
   });
@@ -299,6 +767,8 @@ io.on('connection', (socket) => {
    */
   socket.on('disconnect', () => {
     console.log(`❌ User disconnected: ${socket.username} (${socket.id})`);
+    typing.stopAll();
+    broadcastPresence(presenceService.disconnect(socket.id));
     connectedUsersGauge.dec();
   });
 });
@@ -317,6 +787,8 @@ server.listen(PORT, () => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM signal received: closing HTTP server');
+  retentionJob.stop();
+  webhookJob.stop();
   server.close(() => {
     console.log('HTTP server closed');
     process.exit(0);
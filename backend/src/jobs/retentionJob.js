@@ -0,0 +1,95 @@
+/**
+ * Retention Job
+ * Prunes messages that rooms' retention policies no longer keep, and
+ * deletes uploads that expired without being sent
+ *
+ * Runs every RETENTION_INTERVAL_MINUTES (default 60), never overlapping a
+ * run that is still going, and reports through Prometheus:
+ * - chat_retention_messages_removed_total{action}: messages deleted or archived
+ * - chat_retention_runs_total{result}: runs by result (success, failure, skipped)
+ * - chat_retention_last_success_timestamp_seconds: end of the last good run
+ */
+
+const mongoose = require('mongoose');
+const client = require('prom-client');
+const retentionService = require('../services/retentionService');
+const attachmentService = require('../services/attachmentService');
+
+const INTERVAL_MS = (Number.parseFloat(process.env.RETENTION_INTERVAL_MINUTES) || 60) * 60 * 1000;
+
+// Let the server finish starting before the first run
+const FIRST_RUN_DELAY_MS = 60 * 1000;
+
+/**
+ * Start pruning in the background
+ * @param {Object} params
+ * @param {Object} params.io - Socket.io server, to tell rooms about removed messages
+ * @param {Object} params.register - Prometheus registry for the job's metrics
+ * @returns {{run: Function, stop: Function}} run() prunes now; stop() cancels the schedule
+ */
+const startRetentionJob = ({ io, register }) => {
+  const removedCounter = new client.Counter({
+    name: 'chat_retention_messages_removed_total',
+    help: 'Messages removed by room retention policies',
+    labelNames: ['action'],
+    registers: [register],
+  });
+  const runsCounter = new client.Counter({
+    name: 'chat_retention_runs_total',
+    help: 'Retention pruning runs',
+    labelNames: ['result'],
+    registers: [register],
+  });
+  const lastSuccessGauge = new client.Gauge({
+    name: 'chat_retention_last_success_timestamp_seconds',
+    help: 'When the last successful retention pruning run finished',
+    registers: [register],
+  });
+
+  let running = false;
+
+  const run = async () => {
+    if (running) return;
+
+    if (mongoose.connection.readyState !== 1) {
+      runsCounter.inc({ result: 'skipped' });
+      return;
+    }
+
+    running = true;
+    try {
+      // Counted per batch, so a run that fails halfway still reports what it removed
+      const { removed } = await retentionService.pruneExpiredMessages(io, (count) => {
+        removedCounter.inc({ action: retentionService.RETENTION_ACTION }, count);
+      });
+      await attachmentService.deleteExpiredUploads();
+
+      runsCounter.inc({ result: 'success' });
+      lastSuccessGauge.setToCurrentTime();
+      if (removed > 0) {
+        console.log(`🧹 Retention ${retentionService.RETENTION_ACTION}d ${removed} messages`);
+      }
+    } catch (error) {
+      runsCounter.inc({ result: 'failure' });
+      console.error('Retention pruning failed:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  // Timers don't keep the process alive on shutdown
+  const firstRun = setTimeout(run, FIRST_RUN_DELAY_MS).unref();
+  const interval = setInterval(run, INTERVAL_MS).unref();
+
+  return {
+    run,
+    stop: () => {
+      clearTimeout(firstRun);
+      clearInterval(interval);
+    },
+  };
+};
+
+module.exports = {
+  startRetentionJob,
+};
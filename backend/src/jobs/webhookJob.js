@@ -0,0 +1,89 @@
+/**
+ * Webhook Job
+ * Sends queued webhook deliveries
+ *
+ * Checks the queue every WEBHOOK_POLL_SECONDS (default 5), and straight
+ * away when an event is queued, sending up to WEBHOOK_CONCURRENCY
+ * (default 4) deliveries at a time. Reports through Prometheus:
+ * - chat_webhook_deliveries_total{result}: attempts by result (success, retry, failed)
+ * - chat_webhook_delivery_duration_seconds: time spent on each attempt
+ */
+
+const mongoose = require('mongoose');
+const client = require('prom-client');
+const webhookService = require('../services/webhookService');
+
+const POLL_MS = (Number.parseFloat(process.env.WEBHOOK_POLL_SECONDS) || 5) * 1000;
+const CONCURRENCY = Number.parseInt(process.env.WEBHOOK_CONCURRENCY, 10) || 4;
+
+/**
+ * Start sending deliveries in the background
+ * @param {Object} params
+ * @param {Object} params.io - Socket.io server, to tell owners about disabled webhooks
+ * @param {Object} params.register - Prometheus registry for the job's metrics
+ * @returns {{run: Function, stop: Function}} run() drains the queue now; stop() cancels the schedule
+ */
+const startWebhookJob = ({ io, register }) => {
+  const deliveriesCounter = new client.Counter({
+    name: 'chat_webhook_deliveries_total',
+    help: 'Webhook delivery attempts',
+    labelNames: ['result'],
+    registers: [register],
+  });
+  const durationHistogram = new client.Histogram({
+    name: 'chat_webhook_delivery_duration_seconds',
+    help: 'Time spent on webhook delivery attempts',
+    buckets: [0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+    registers: [register],
+  });
+
+  let running = false;
+  let stopped = false;
+
+  // Claim and send deliveries until none are due
+  const worker = async () => {
+    while (!stopped) {
+      const delivery = await webhookService.claimDueDelivery();
+      if (!delivery) return;
+
+      const endTimer = durationHistogram.startTimer();
+      const result = await webhookService.processDelivery(io, delivery);
+      endTimer();
+      deliveriesCounter.inc({ result });
+    }
+  };
+
+  const run = async () => {
+    if (running || stopped || mongoose.connection.readyState !== 1) return;
+
+    running = true;
+    try {
+      await Promise.all(Array.from({ length: CONCURRENCY }, worker));
+    } catch (error) {
+      console.error('Webhook delivery failed:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const onQueued = () => {
+    run();
+  };
+  webhookService.queueEvents.on('queued', onQueued);
+
+  // Timers don't keep the process alive on shutdown
+  const interval = setInterval(run, POLL_MS).unref();
+
+  return {
+    run,
+    stop: () => {
+      stopped = true;
+      clearInterval(interval);
+      webhookService.queueEvents.off('queued', onQueued);
+    },
+  };
+};
+
+module.exports = {
+  startWebhookJob,
+};
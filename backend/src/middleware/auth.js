@@ -1,31 +1,34 @@
 /**
  * Authentication Middleware
  * Protects routes by verifying JWT tokens from Authorization header
- * 
+ *
  * This middleware:
  * - Reads JWT token from Authorization header (Bearer token format)
  * - Verifies the token signature and expiry
+ * - Checks the token's session is still active (it is deleted on logout)
  * - Fetches user data from database
  * - Attaches user object to req.user
  * - Returns 401 Unauthorized on authentication failure
+ *
+ * Personal access tokens (mmpat_...) are accepted in place of a JWT on
+ * routes protected with requireScope(scope), when the token was granted
+ * that scope. Routes protected with plain authMiddleware refuse them, so a
+ * token can never do more than its scopes allow.
  */
 
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const accessTokenService = require('../services/accessTokenService');
+const sessionService = require('../services/sessionService');
 
 /**
- * Express middleware to authenticate requests using JWT tokens
- * 
- * Usage: app.get('/protected-route', authMiddleware, handler)
- * 
- * @param {Object} req - Express request object
- * @param {Object} res - Express response object
- * @param {Function} next - Express next middleware function
- * 
- * On success: Attaches user object to req.user and calls next()
- * On failure: Returns 401 status with error message
+ * Create an authentication middleware
+ * @param {Object} [options]
+ * @param {string} [options.scope] - Scope a personal access token needs for
+ *   this route; without one, personal access tokens are refused
+ * @returns {Function} Express middleware
  */
-const authMiddleware = async (req, res, next) => {
+const authenticate = ({ scope } = {}) => async (req, res, next) => {
   try {
     // Get token from Authorization header
     const authHeader = req.headers?.authorization;
@@ -46,11 +49,53 @@ const authMiddleware = async (req, res, next) => {
       });
     }
 
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    let userId;
+
+    if (accessTokenService.isAccessToken(token)) {
+      const accessToken = await accessTokenService.authenticateToken(token);
+
+      if (!accessToken) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid or expired access token',
+        });
+      }
+
+      if (!scope) {
+        return res.status(403).json({
+          success: false,
+          message: 'This endpoint does not accept personal access tokens',
+        });
+      }
+
+      if (!accessToken.scopes.includes(scope)) {
+        return res.status(403).json({
+          success: false,
+          message: `This access token is missing the ${scope} scope`,
+        });
+      }
+
+      userId = accessToken.userId;
+      req.accessToken = accessToken;
+    } else {
+      // Verify token
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+      // Access tokens stop working as soon as their session is revoked
+      const session = await sessionService.findActiveSession(decoded.sid);
+      if (!session) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session expired',
+        });
+      }
+
+      userId = decoded.userId;
+      req.sessionId = session._id.toString();
+    }
 
     // Get user from database
-    const user = await User.findById(decoded.userId).select('-password');
+    const user = await User.findById(userId).select('-password');
 
     if (!user) {
       return res.status(401).json({
@@ -81,7 +126,33 @@ const authMiddleware = async (req, res, next) => {
   }
 };
 
+/**
+ * Express middleware to authenticate requests using JWT tokens
+ *
+ * Usage: app.get('/protected-route', authMiddleware, handler)
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ *
+ * On success: Attaches user object to req.user (and, for JWTs, the session
+ * ID to req.sessionId) and calls next()
+ * On failure: Returns 401 status with error message
+ */
+const authMiddleware = authenticate();
+
+/**
+ * Express middleware that also accepts personal access tokens with a scope
+ * JWTs are accepted as with authMiddleware.
+ *
+ * Usage: router.get('/messages', requireScope('messages:read'), handler)
+ *
+ * @param {string} scope - One of accessTokenService.TOKEN_SCOPES
+ * @returns {Function} Express middleware
+ */
+const requireScope = (scope) => authenticate({ scope });
+
 // Export as both authMiddleware (new name) and authenticate (for backward compatibility)
 module.exports = authMiddleware;
 module.exports.authenticate = authMiddleware; // Alias for backward compatibility
-
+module.exports.requireScope = requireScope;
@@ -0,0 +1,44 @@
+/**
+ * ArchivedMessage Model
+ * A message removed from its room by a retention policy, kept for the record
+ *
+ * Features:
+ * - Stores the whole original message document, so nothing is lost when
+ *   the Message schema changes later
+ * - Room name and original timestamp copied out for lookups
+ * - Only written when RETENTION_ACTION is 'archive'; never shown to clients
+ */
+
+const mongoose = require('mongoose');
+
+const archivedMessageSchema = new mongoose.Schema({
+  messageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    unique: true, // A message is archived once, even if a prune is retried
+  },
+  room: {
+    type: String,
+    required: [true, 'Room is required'],
+    trim: true,
+    index: true, // Index for a room's archive
+  },
+  ts: {
+    type: Date,
+    required: true,
+  },
+  message: {
+    // The original Message document
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+  },
+  archivedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  timestamps: false,
+  minimize: false,
+});
+
+module.exports = mongoose.model('ArchivedMessage', archivedMessageSchema);
@@ -0,0 +1,76 @@
+/**
+ * Attachment Model
+ * A file uploaded to a room, stored through the storage backend
+ *
+ * Features:
+ * - Uploaded before the message is sent; messageId stays null until a
+ *   message claims it, and only the uploader can claim or view it until then;
+ *   unsent uploads expire after PENDING_UPLOAD_TTL_HOURS
+ * - Images get a thumbnail (thumbnailKey) and their pixel dimensions
+ * - Access follows the room: anyone who can read the room can download
+ */
+
+const mongoose = require('mongoose');
+
+const attachmentSchema = new mongoose.Schema({
+  room: {
+    type: String,
+    required: [true, 'Room is required'],
+    trim: true,
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Uploader is required'],
+  },
+  filename: {
+    type: String,
+    required: [true, 'Filename is required'],
+    trim: true,
+    maxlength: [200, 'Filename cannot exceed 200 characters'],
+  },
+  mimeType: {
+    type: String,
+    required: [true, 'MIME type is required'],
+  },
+  size: {
+    type: Number,
+    required: true,
+  },
+  storageKey: {
+    type: String,
+    required: true,
+  },
+  thumbnailKey: {
+    type: String,
+    default: null,
+  },
+  width: {
+    type: Number,
+    default: null,
+  },
+  height: {
+    type: Number,
+    default: null,
+  },
+  messageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    default: null, // null until sent with a message
+    index: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  timestamps: false,
+});
+
+// Index for finding a user's unsent uploads
+attachmentSchema.index({ uploadedBy: 1, messageId: 1 });
+
+// Index for sweeping expired unsent uploads
+attachmentSchema.index({ messageId: 1, createdAt: 1 });
+
+module.exports = mongoose.model('Attachment', attachmentSchema);
@@ -0,0 +1,54 @@
+/**
+ * IncomingWebhook Model
+ * A token that lets an external system post messages into a room
+ *
+ * Features:
+ * - Created by the room's owner; anyone holding the token can post
+ * - Only a SHA-256 hash of the token is stored, with its first characters
+ *   kept so owners can tell tokens apart
+ * - The name is the integration's identity, shown on its messages
+ * - Revoking deletes the webhook, so its token stops working at once
+ */
+
+const mongoose = require('mongoose');
+
+const incomingWebhookSchema = new mongoose.Schema({
+  room: {
+    type: String,
+    required: [true, 'Room is required'],
+    trim: true,
+    index: true, // Index for listing a room's webhooks
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [50, 'Name cannot exceed 50 characters'],
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true, // Index for looking up the token on every post
+  },
+  tokenPrefix: {
+    type: String,
+    required: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  timestamps: false,
+});
+
+module.exports = mongoose.model('IncomingWebhook', incomingWebhookSchema);
@@ -1,10 +1,96 @@
 /**
  * Message Model
  * Represents a chat message in a room
+ *
+ * Features:
+ * - Edits keep the previous text as a revision
+ * - Deleted messages are kept as tombstones (text cleared, deleted flag set)
+ * - Replies point at their top-level message through parentId; the parent
+ *   keeps a denormalized reply count and last-reply time
+ * - Emoji reactions keyed by emoji, each listing the usernames who reacted
+ * - Attachments referenced by ID, with a summary kept on the message so
+ *   history loads without a second query; text is optional when present
+ * - Mentions of existing users (@username) and of the whole room (@room),
+ *   parsed whenever the text is saved
+ * - Action messages (/me) shown as "username does something"
+ * - Imported messages keep their ID in the source (importId), so imports
+ *   can be re-run without duplicating them
+ * - Messages posted through an incoming webhook name the integration that
+ *   sent them; username is only a display name and no user can edit them
+ * - Messages from bot accounts are flagged (bot)
+ * - Text index on the message text for full-text search
  */
 
 const mongoose = require('mongoose');
 
+/**
+ * Earlier revision of a message, recorded every time it is edited
+ */
+const revisionSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: true,
+  },
+  editedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  _id: false,
+});
+
+/**
+ * Attachment sent with a message (_id is the Attachment document's ID)
+ */
+const messageAttachmentSchema = new mongoose.Schema({
+  _id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Attachment',
+    required: true,
+  },
+  filename: String,
+  mimeType: String,
+  size: Number,
+  width: Number,
+  height: Number,
+  hasThumbnail: {
+    type: Boolean,
+    default: false,
+  },
+});
+
+/**
+ * Integration that posted the message (a snapshot, kept if it is revoked)
+ */
+const integrationSchema = new mongoose.Schema({
+  _id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'IncomingWebhook',
+    required: true,
+  },
+  name: {
+    type: String,
+    required: true,
+  },
+});
+
+/**
+ * User mentioned in the message text
+ */
+const mentionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  username: {
+    type: String,
+    required: true,
+  },
+}, {
+  _id: false,
+});
+
 const messageSchema = new mongoose.Schema({
   room: {
     type: String,
@@ -19,7 +105,11 @@ const messageSchema = new mongoose.Schema({
   },
   text: {
     type: String,
-    required: [true, 'Message text is required'],
+    // Tombstones keep no text; attachments can be sent without any
+    required: [
+      function () { return !this.deleted && !(this.attachments && this.attachments.length > 0); },
+      'Message text is required',
+    ],
     trim: true,
     maxlength: [1000, 'Message cannot exceed 1000 characters'],
   },
@@ -28,6 +118,71 @@ const messageSchema = new mongoose.Schema({
     default: Date.now,
     index: true, // Index for faster queries
   },
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    default: null, // null for top-level messages
+  },
+  replyCount: {
+    type: Number,
+    default: 0,
+  },
+  lastReplyAt: {
+    type: Date,
+    default: null,
+  },
+  reactions: {
+    type: Map,
+    of: [String], // emoji -> usernames
+    default: {},
+  },
+  attachments: {
+    type: [messageAttachmentSchema],
+    default: [],
+  },
+  mentions: {
+    type: [mentionSchema],
+    default: [],
+  },
+  mentionsRoom: {
+    type: Boolean,
+    default: false,
+  },
+  action: {
+    // Posted with /me
+    type: Boolean,
+    default: false,
+  },
+  revisions: {
+    type: [revisionSchema],
+    default: [],
+  },
+  editedAt: {
+    type: Date,
+    default: null,
+  },
+  deleted: {
+    type: Boolean,
+    default: false,
+  },
+  deletedAt: {
+    type: Date,
+    default: null,
+  },
+  importId: {
+    // "<source>:<room id>:<message id>", e.g. "slack:C0123:1700000000.000100"
+    type: String,
+    default: undefined,
+  },
+  integration: {
+    type: integrationSchema,
+    default: null,
+  },
+  bot: {
+    // Posted by a bot account
+    type: Boolean,
+    default: false,
+  },
 }, {
   timestamps: false, // We use custom ts field instead
 });
@@ -35,5 +190,17 @@ const messageSchema = new mongoose.Schema({
 // Compound index for efficient room message queries
 messageSchema.index({ room: 1, ts: -1 });
 
+// Index for cursor-paginated room history (top-level messages by ts, then _id)
+messageSchema.index({ room: 1, parentId: 1, ts: -1, _id: -1 });
+
+// Index for loading a thread's replies in order
+messageSchema.index({ parentId: 1, ts: -1 });
+
+// One copy of each imported message
+messageSchema.index({ importId: 1 }, { unique: true, sparse: true });
+
+// Full-text search over message text
+messageSchema.index({ text: 'text' });
+
 module.exports = mongoose.model('Message', messageSchema);
 
@@ -0,0 +1,72 @@
+/**
+ * Notification Model
+ * Something a user should look at, shown in their inbox
+ *
+ * Features:
+ * - Created when a user is mentioned by name (mention) or through @room
+ *   (roomMention)
+ * - At most one notification per user per message, so editing a message
+ *   only notifies newly mentioned users
+ * - readAt stays null until the user marks it read
+ */
+
+const mongoose = require('mongoose');
+
+const notificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Recipient is required'],
+  },
+  type: {
+    type: String,
+    enum: ['mention', 'roomMention'],
+    required: true,
+  },
+  room: {
+    type: String,
+    required: [true, 'Room is required'],
+    trim: true,
+  },
+  messageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    required: true,
+    index: true, // Index for removing a deleted message's notifications
+  },
+  // Top-level message when the mention is in a thread reply
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    default: null,
+  },
+  actor: {
+    type: String, // Username of the message author
+    required: true,
+  },
+  excerpt: {
+    type: String,
+    default: '',
+  },
+  readAt: {
+    type: Date,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  timestamps: false,
+});
+
+// Index for listing a user's inbox, newest first
+notificationSchema.index({ userId: 1, createdAt: -1 });
+
+// Index for counting unread notifications
+notificationSchema.index({ userId: 1, readAt: 1 });
+
+// One notification per user per message
+notificationSchema.index({ userId: 1, messageId: 1 }, { unique: true });
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,68 @@
+/**
+ * PersonalAccessToken Model
+ * A long-lived token a user creates for scripts calling the REST API
+ *
+ * Features:
+ * - Acts as its owner, limited to the scopes chosen when it was created
+ * - Only a SHA-256 hash of the token is stored, with its first characters
+ *   kept so users can tell tokens apart
+ * - Optional expiry; expired tokens stop working and are removed by a
+ *   TTL index
+ * - Revoking deletes the token, so it stops working at once
+ */
+
+const mongoose = require('mongoose');
+
+const personalAccessTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true, // Index for listing a user's tokens
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [50, 'Name cannot exceed 50 characters'],
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true, // Index for looking up the token on every request
+  },
+  tokenPrefix: {
+    type: String,
+    required: true,
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: ['messages:read', 'messages:write', 'rooms:read', 'rooms:admin'],
+    }],
+    validate: {
+      validator: (scopes) => scopes.length > 0,
+      message: 'At least one scope is required',
+    },
+  },
+  expiresAt: {
+    // null never expires
+    type: Date,
+    default: null,
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  timestamps: false,
+});
+
+// Expired tokens are deleted (tokens without expiresAt are kept)
+personalAccessTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('PersonalAccessToken', personalAccessTokenSchema);
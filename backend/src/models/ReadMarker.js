@@ -0,0 +1,41 @@
+/**
+ * ReadMarker Model
+ * Tracks how far each user has read in each room
+ *
+ * Features:
+ * - One marker per (user, room) pair, enforced by a unique compound index
+ * - lastReadAt only moves forward (updated with $max)
+ * - Username stored alongside userId for "seen by" receipts
+ */
+
+const mongoose = require('mongoose');
+
+const readMarkerSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+  },
+  username: {
+    type: String,
+    required: [true, 'Username is required'],
+    trim: true,
+  },
+  room: {
+    type: String,
+    required: [true, 'Room is required'],
+    trim: true,
+    index: true, // Index for loading a room's readers
+  },
+  lastReadAt: {
+    type: Date,
+    required: true,
+  },
+}, {
+  timestamps: false,
+});
+
+// One marker per user per room
+readMarkerSchema.index({ userId: 1, room: 1 }, { unique: true });
+
+module.exports = mongoose.model('ReadMarker', readMarkerSchema);
@@ -6,10 +6,99 @@
  * - Unique room name constraint (database and application level)
  * - Automatic timestamp for creation date
  * - Indexed for efficient queries
+ * - Direct message rooms: type 'direct', exactly two participants and a
+ *   stable name derived from their user IDs
+ * - Private rooms: visibility 'private', readable only by members; users
+ *   join by accepting an invitation
+ * - Roles: the creator owns the room and may appoint moderators; owners and
+ *   moderators can ban and mute users, optionally until an expiry date
+ * - Topic shown in the room header, set by owners and moderators
+ * - Description and icon, set by the creator
+ * - Archiving: an archived room keeps its history but is hidden from room
+ *   lists and can no longer be joined or posted to
+ * - Retention policy: keep messages forever, for a number of days, or only
+ *   the most recent ones; older messages are pruned in the background
+ * - Bots: bot accounts the owner added; bots can only join rooms that
+ *   list them
  */
 
 const mongoose = require('mongoose');
 
+/**
+ * Pending invitation to a private room
+ */
+const invitationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  invitedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  _id: false,
+});
+
+/**
+ * Ban or mute of one user in a room
+ * A null expiresAt never expires
+ */
+const restrictionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 200,
+    default: '',
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    default: null,
+  },
+}, {
+  _id: false,
+});
+
+/**
+ * How long a room keeps its messages
+ * value is the number of days ('days') or of top-level messages
+ * ('messages'); 'forever' has no value
+ */
+const retentionSchema = new mongoose.Schema({
+  mode: {
+    type: String,
+    enum: ['forever', 'days', 'messages'],
+    default: 'forever',
+  },
+  value: {
+    type: Number,
+    min: [1, 'Retention must keep at least one day or message'],
+    default: null,
+  },
+}, {
+  _id: false,
+});
+
 const roomSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -21,6 +110,93 @@ const roomSchema = new mongoose.Schema({
     match: [/^[a-zA-Z0-9_-]+$/, 'Room name can only contain letters, numbers, hyphens, and underscores'],
     index: true, // Index for faster lookups
   },
+  type: {
+    type: String,
+    enum: ['public', 'direct'],
+    default: 'public',
+  },
+  participants: {
+    // Only used by direct message rooms
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    }],
+    default: undefined,
+    index: true, // Index for listing a user's direct messages
+  },
+  visibility: {
+    type: String,
+    enum: ['public', 'private'],
+    default: 'public',
+  },
+  members: {
+    // Only used by private rooms
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    }],
+    default: undefined,
+    index: true, // Index for listing a user's private rooms
+  },
+  invitations: {
+    type: [invitationSchema],
+    default: undefined,
+  },
+  topic: {
+    type: String,
+    trim: true,
+    maxlength: [250, 'Topic cannot exceed 250 characters'],
+    default: '',
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters'],
+    default: '',
+  },
+  icon: {
+    // Short emoji or text shown next to the room name
+    type: String,
+    trim: true,
+    maxlength: [16, 'Icon cannot exceed 16 characters'],
+    default: '',
+  },
+  archivedAt: {
+    type: Date,
+    default: null,
+  },
+  retention: {
+    type: retentionSchema,
+    default: undefined,
+  },
+  createdBy: {
+    // The room's owner
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  moderators: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    }],
+    default: undefined,
+  },
+  bans: {
+    type: [restrictionSchema],
+    default: undefined,
+  },
+  bots: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    }],
+    default: undefined,
+  },
+  mutes: {
+    type: [restrictionSchema],
+    default: undefined,
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -33,5 +209,11 @@ const roomSchema = new mongoose.Schema({
 // Compound index for efficient queries
 roomSchema.index({ name: 1, createdAt: -1 });
 
+// Index for listing a user's pending invitations
+roomSchema.index({ 'invitations.userId': 1 });
+
+// Index for finding a bot's rooms
+roomSchema.index({ bots: 1 }, { sparse: true });
+
 module.exports = mongoose.model('Room', roomSchema);
 
@@ -0,0 +1,67 @@
+/**
+ * Session Model
+ * A signed-in device: the server-side record behind a refresh token
+ *
+ * Features:
+ * - Each login creates a session; access tokens name it (sid) and stop
+ *   working as soon as it is gone
+ * - Only a SHA-256 hash of the current refresh token is stored; the hashes
+ *   of rotated-out tokens are kept so reuse of an old token can be detected
+ * - Sessions expire after going unused for REFRESH_TOKEN_TTL_DAYS (each
+ *   refresh pushes expiresAt back) and are removed by a TTL index
+ * - Signing out deletes the session
+ */
+
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true, // Index for listing a user's sessions
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    unique: true, // Index for looking up the token on every refresh
+  },
+  previousTokenHashes: {
+    // Rotated-out refresh tokens, oldest first (capped)
+    type: [String],
+    index: true,
+  },
+  rotatedAt: {
+    // When the current refresh token was issued
+    type: Date,
+    default: Date.now,
+  },
+  userAgent: {
+    type: String,
+    default: '',
+    maxlength: 500,
+  },
+  ip: {
+    type: String,
+    default: '',
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  timestamps: false,
+});
+
+// Idle sessions are deleted once they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -7,6 +7,9 @@
  * - Automatic password hashing using bcrypt before saving
  * - Password comparison method for authentication
  * - Password excluded from JSON output for security
+ * - Bot accounts (type 'bot') have no password; they sign in with an API
+ *   key, of which only a SHA-256 hash is stored, and belong to the user
+ *   who created them
  */
 
 const mongoose = require('mongoose');
@@ -32,9 +35,36 @@ const userSchema = new mongoose.Schema({
   },
   password: {
     type: String,
-    required: [true, 'Password is required'],
+    required: [function () { return this.type !== 'bot'; }, 'Password is required'],
     minlength: [6, 'Password must be at least 6 characters long'],
   },
+  type: {
+    type: String,
+    enum: ['user', 'bot'],
+    default: 'user',
+  },
+  apiKeyHash: {
+    // Bots only
+    type: String,
+    unique: true,
+    sparse: true,
+    select: false,
+  },
+  apiKeyPrefix: {
+    // Start of the bot's API key, for telling keys apart
+    type: String,
+  },
+  owner: {
+    // Bots only: the user who created the bot
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: { sparse: true },
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters'],
+  },
 }, {
   timestamps: true, // Adds createdAt and updatedAt fields
 });
@@ -45,8 +75,8 @@ const userSchema = new mongoose.Schema({
  * Uses bcrypt with salt rounds of 10 for secure hashing
  */
 userSchema.pre('save', async function (next) {
-  // Only hash the password if it has been modified (or is new)
-  if (!this.isModified('password')) {
+  // Only hash the password if it has been modified (or is new); bots have none
+  if (!this.password || !this.isModified('password')) {
     return next();
   }
 
@@ -69,6 +99,7 @@ userSchema.pre('save', async function (next) {
  * @returns {Promise<boolean>} - True if password matches, false otherwise
  */
 userSchema.methods.comparePassword = async function (candidatePassword) {
+  if (!this.password) return false;
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
@@ -79,6 +110,7 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
 userSchema.methods.toJSON = function () {
   const userObject = this.toObject();
   delete userObject.password;
+  delete userObject.apiKeyHash;
   return userObject;
 };
 
@@ -0,0 +1,73 @@
+/**
+ * Webhook Model
+ * An outgoing webhook: a URL that receives a room's events
+ *
+ * Features:
+ * - Registered by the room's owner for a chosen set of events
+ * - Each delivery is signed with the webhook's secret (HMAC-SHA256)
+ * - Counts failed delivery attempts in a row and is disabled after too
+ *   many; a successful delivery resets the count
+ */
+
+const mongoose = require('mongoose');
+
+const webhookSchema = new mongoose.Schema({
+  room: {
+    type: String,
+    required: [true, 'Room is required'],
+    trim: true,
+    index: true, // Index for finding a room's webhooks on every event
+  },
+  url: {
+    type: String,
+    required: [true, 'URL is required'],
+    trim: true,
+    maxlength: [2048, 'URL cannot exceed 2048 characters'],
+  },
+  secret: {
+    // Signing key; only shown when the webhook is created
+    type: String,
+    required: true,
+  },
+  events: {
+    type: [{
+      type: String,
+      enum: ['message.created', 'message.updated', 'message.deleted', 'member.joined'],
+    }],
+    validate: [events => events.length > 0, 'At least one event is required'],
+  },
+  active: {
+    type: Boolean,
+    default: true,
+  },
+  consecutiveFailures: {
+    type: Number,
+    default: 0,
+  },
+  disabledAt: {
+    type: Date,
+    default: null,
+  },
+  disabledReason: {
+    type: String,
+    default: '',
+  },
+  lastDeliveryAt: {
+    // Last successful delivery
+    type: Date,
+    default: null,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  timestamps: false,
+});
+
+module.exports = mongoose.model('Webhook', webhookSchema);
@@ -0,0 +1,91 @@
+/**
+ * WebhookDelivery Model
+ * One event on its way to a webhook: the delivery queue and its log
+ *
+ * Features:
+ * - Pending deliveries wait for nextAttemptAt; a worker claims one by
+ *   setting lockedUntil, so several servers can share the queue and a
+ *   delivery left behind by a crash is picked up again
+ * - The payload is stored as sent, so retries send the same body
+ * - Finished deliveries (succeeded or failed) record the last response and
+ *   expire from the log after WEBHOOK_LOG_RETENTION_DAYS
+ */
+
+const mongoose = require('mongoose');
+
+const LOG_RETENTION_DAYS = Number.parseInt(process.env.WEBHOOK_LOG_RETENTION_DAYS, 10) || 14;
+
+const webhookDeliverySchema = new mongoose.Schema({
+  webhookId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true,
+  },
+  room: {
+    type: String,
+    required: [true, 'Room is required'],
+    trim: true,
+    index: true, // Index for moving or removing a room's deliveries
+  },
+  event: {
+    type: String,
+    required: true,
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed'],
+    default: 'pending',
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now,
+  },
+  lockedUntil: {
+    type: Date,
+    default: null,
+  },
+  responseStatus: {
+    // HTTP status of the last attempt; null when there was no response
+    type: Number,
+    default: null,
+  },
+  error: {
+    // Why the last attempt failed
+    type: String,
+    default: '',
+  },
+  durationMs: {
+    type: Number,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  completedAt: {
+    type: Date,
+    default: null,
+  },
+}, {
+  timestamps: false,
+  minimize: false,
+});
+
+// Index for claiming due deliveries
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+// Index for a webhook's delivery log, newest first
+webhookDeliverySchema.index({ webhookId: 1, createdAt: -1 });
+
+// Finished deliveries expire from the log (pending ones have no completedAt)
+webhookDeliverySchema.index({ completedAt: 1 }, { expireAfterSeconds: LOG_RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,169 @@
+/**
+ * Attachments Routes
+ * REST API endpoints for uploading and downloading message attachments
+ * All routes are protected with requireScope (a JWT, or a personal access
+ * token with the route's scope)
+ */
+
+const express = require('express');
+const multer = require('multer');
+const { body, param } = require('express-validator');
+const { requireScope } = require('../middleware/auth');
+const validate = require('../middleware/validation');
+const attachmentService = require('../services/attachmentService');
+const httpError = require('../utils/httpError');
+const contentDisposition = require('../utils/contentDisposition');
+
+const router = express.Router();
+
+// Files are kept in memory until checked, then written to storage
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: attachmentService.MAX_ATTACHMENT_BYTES, files: 1 },
+  defParamCharset: 'utf8',
+  fileFilter: (req, file, cb) => {
+    if (!attachmentService.isAllowedType(file.mimetype)) {
+      cb(httpError(415, 'File type not allowed'));
+      return;
+    }
+    cb(null, true);
+  },
+});
+
+/**
+ * Parse a single multipart "file" field, turning multer errors into HTTP errors
+ */
+const parseFile = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      next(error.code === 'LIMIT_FILE_SIZE'
+        ? httpError(413, 'File is too large')
+        : httpError(400, error.message));
+      return;
+    }
+    next(error);
+  });
+};
+
+/**
+ * Stream a stored file to the response
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ * @param {string} key - Storage key
+ */
+const sendFile = (res, next, key) => {
+  const stream = attachmentService.openFile(key);
+
+  stream.on('error', (error) => {
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+    next(error.code === 'ENOENT' ? httpError(404, 'Attachment file not found') : error);
+  });
+  stream.pipe(res);
+};
+
+/**
+ * POST /api/attachments
+ * Upload a file to send in a room
+ * Multipart body: room (required), file (required)
+ * Protected route - requires JWT authentication
+ * Personal access tokens need the messages:write scope
+ *
+ * The user is authenticated before the upload is read, and the body is
+ * only validated once multer has parsed it.
+ */
+router.post(
+  '/',
+  requireScope('messages:write'),
+  parseFile,
+  [
+    body('room')
+      .trim()
+      .notEmpty()
+      .withMessage('Room is required'),
+  ],
+  validate,
+  async (req, res, next) => {
+    try {
+      const attachment = await attachmentService.createAttachment({
+        room: req.body.room,
+        userId: req.user._id,
+        file: req.file,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'File uploaded successfully',
+        attachment: attachmentService.toAttachmentPayload(attachment),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/attachments/:id
+ * Download an attachment
+ * Query params: download (optional, forces a download instead of inline display)
+ * Protected route - requires JWT authentication and access to the room
+ * Personal access tokens need the messages:read scope
+ */
+router.get(
+  '/:id',
+  [param('id').isMongoId().withMessage('Invalid attachment id')],
+  validate,
+  requireScope('messages:read'),
+  async (req, res, next) => {
+    try {
+      const attachment = await attachmentService.getAccessibleAttachment(req.params.id, req.user._id);
+      const inline = attachmentService.IMAGE_MIME_TYPES.includes(attachment.mimeType)
+        && req.query.download === undefined;
+
+      res.set({
+        'Content-Type': attachment.mimeType,
+        'Content-Length': attachment.size,
+        'Content-Disposition': contentDisposition(inline ? 'inline' : 'attachment', attachment.filename),
+        'X-Content-Type-Options': 'nosniff',
+        'Cache-Control': 'private, max-age=86400',
+      });
+      sendFile(res, next, attachment.storageKey);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/attachments/:id/thumbnail
+ * Download an image attachment's thumbnail (WebP)
+ * Protected route - requires JWT authentication and access to the room
+ * Personal access tokens need the messages:read scope
+ */
+router.get(
+  '/:id/thumbnail',
+  [param('id').isMongoId().withMessage('Invalid attachment id')],
+  validate,
+  requireScope('messages:read'),
+  async (req, res, next) => {
+    try {
+      const attachment = await attachmentService.getAccessibleAttachment(req.params.id, req.user._id);
+      if (!attachment.thumbnailKey) {
+        throw httpError(404, 'Attachment has no thumbnail');
+      }
+
+      res.set({
+        'Content-Type': 'image/webp',
+        'X-Content-Type-Options': 'nosniff',
+        'Cache-Control': 'private, max-age=86400',
+      });
+      sendFile(res, next, attachment.thumbnailKey);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -1,19 +1,21 @@
 /**
  * Authentication Routes
- * Handles user registration and login endpoints
+ * Handles user registration, login, token refresh and logout endpoints
  * 
  * Features:
  * - User registration with unique username validation
  * - Password hashing using bcrypt (handled in User model)
- * - JWT token generation with 24-hour expiry
+ * - Server-side sessions: short-lived JWT access tokens plus rotating
+ *   refresh tokens (see sessionService)
  * - Input validation using express-validator
  */
 
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const { body } = require('express-validator');
 const User = require('../models/User');
 const validate = require('../middleware/validation');
+const authMiddleware = require('../middleware/auth');
+const sessionService = require('../services/sessionService');
 
 const router = express.Router();
 
@@ -26,7 +28,7 @@ const router = express.Router();
  *   - password: string (min 6 characters)
  * 
  * Response:
- *   - 201: User created successfully with JWT token
+ *   - 201: User created successfully with an access token and refresh token
  *   - 409: Username already exists
  *   - 400: Validation error
  * 
@@ -80,18 +82,14 @@ router.post(
       const user = new User({ username, password, email });
       await user.save();
 
-      // Generate JWT token with 24 hour expiry
-      // Token contains userId and username for easy access
-      const token = jwt.sign(
-        { userId: user._id, username: user.username },
-        process.env.JWT_SECRET,
-        { expiresIn: '24h' }
-      );
+      // Sign the new user in on this device
+      const { token, refreshToken } = await sessionService.startSession(user, req);
 
       res.status(201).json({
         success: true,
         message: 'User registered successfully',
         token,
+        refreshToken,
         user: {
           id: user._id,
           username: user.username,
@@ -105,14 +103,15 @@ router.post(
 
 /**
  * POST /auth/login
- * Authenticate an existing user and return JWT token
+ * Authenticate an existing user and start a session
  * 
  * Request Body:
  *   - username: string (required)
  *   - password: string (required)
  * 
  * Response:
- *   - 200: Login successful with JWT token
+ *   - 200: Login successful with an access token (token, a JWT) and a
+ *          refresh token for POST /auth/refresh
  *   - 401: Invalid username or password
  *   - 400: Validation error
  * 
@@ -154,17 +153,14 @@ router.post(
         });
       }
 
-      // Generate JWT token with 24 hour expiry
-      const token = jwt.sign(
-        { userId: user._id, username: user.username },
-        process.env.JWT_SECRET,
-        { expiresIn: '24h' }
-      );
+      // Start a session for this device
+      const { token, refreshToken } = await sessionService.startSession(user, req);
 
       res.json({
         success: true,
         message: 'Login successful',
         token,
+        refreshToken,
         user: {
           id: user._id,
           username: user.username,
@@ -176,5 +172,79 @@ router.post(
   }
 );
 
+/**
+ * POST /auth/refresh
+ * Trade a refresh token for a new access token and refresh token
+ *
+ * Request Body:
+ *   - refreshToken: string (required)
+ *
+ * Response:
+ *   - 200: { token, refreshToken } - the old refresh token stops working
+ *   - 401: Unknown, expired or already used refresh token. Reusing a
+ *          rotated-out token revokes its session.
+ */
+router.post(
+  '/refresh',
+  [
+    body('refreshToken')
+      .isString()
+      .withMessage('Refresh token is required')
+      .notEmpty()
+      .withMessage('Refresh token is required'),
+  ],
+  validate,
+  async (req, res, next) => {
+    try {
+      const { token, refreshToken, user } = await sessionService.refreshSession(
+        req.app.get('io'),
+        req.body.refreshToken,
+        req
+      );
+
+      res.json({
+        success: true,
+        message: 'Token refreshed',
+        token,
+        refreshToken,
+        user: {
+          id: user._id,
+          username: user.username,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /auth/logout
+ * End the current session
+ * Protected route - requires JWT authentication
+ *
+ * The session's access and refresh tokens stop working, and sockets opened
+ * with it are disconnected.
+ *
+ * Response:
+ *   - 200: Logged out
+ */
+router.post(
+  '/logout',
+  authMiddleware,
+  async (req, res, next) => {
+    try {
+      await sessionService.revokeSession(req.app.get('io'), req.sessionId);
+
+      res.json({
+        success: true,
+        message: 'Logged out',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 module.exports = router;
 
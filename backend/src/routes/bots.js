@@ -0,0 +1,167 @@
+/**
+ * Bots Routes
+ * REST API endpoints for the authenticated user's bot accounts
+ * All routes are protected with authMiddleware
+ *
+ * Bots connect over Socket.io with their API key (see the bot SDK in
+ * bot-sdk/); room owners add them to rooms through /rooms/:name/bots.
+ */
+
+const express = require('express');
+const { body, param } = require('express-validator');
+const authMiddleware = require('../middleware/auth');
+const validate = require('../middleware/validation');
+const botService = require('../services/botService');
+
+const router = express.Router();
+
+const botIdParam = param('id')
+  .isMongoId()
+  .withMessage('Invalid bot ID');
+
+/**
+ * GET /api/bots
+ * List the user's bots
+ * Protected route - requires JWT authentication
+ *
+ * Response:
+ *   - 200: Bots with their username, description and the start of their
+ *          API key (keys themselves are never listed)
+ */
+router.get(
+  '/',
+  authMiddleware,
+  async (req, res, next) => {
+    try {
+      const bots = await botService.listBots(req.user);
+
+      res.json({
+        success: true,
+        count: bots.length,
+        bots,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/bots
+ * Create a bot account owned by the user
+ * Protected route - requires JWT authentication
+ *
+ * Request Body:
+ *   - username: string (required, 3-20 chars, alphanumeric + underscore)
+ *   - description: string (optional, max 200 characters)
+ *
+ * Response:
+ *   - 201: { bot, apiKey } - the API key is only shown here
+ *   - 400: Validation error or too many bots
+ *   - 409: Username already exists
+ */
+router.post(
+  '/',
+  [
+    body('username')
+      .trim()
+      .isLength({ min: 3, max: 20 })
+      .withMessage('Username must be between 3 and 20 characters')
+      .matches(/^\w+$/)
+      .withMessage('Username can only contain letters, numbers, and underscores'),
+    body('description')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('Description cannot exceed 200 characters'),
+  ],
+  validate,
+  authMiddleware,
+  async (req, res, next) => {
+    try {
+      const { bot, apiKey } = await botService.createBot({
+        owner: req.user,
+        username: req.body.username,
+        description: req.body.description,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Bot created',
+        bot,
+        apiKey,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/bots/:id/api-key
+ * Replace a bot's API key
+ * Protected route - requires JWT authentication (the bot's owner)
+ *
+ * The old key stops working and the bot's connections are closed.
+ *
+ * Response:
+ *   - 200: { bot, apiKey } - the new API key is only shown here
+ *   - 404: Bot not found
+ */
+router.post(
+  '/:id/api-key',
+  [botIdParam],
+  validate,
+  authMiddleware,
+  async (req, res, next) => {
+    try {
+      const { bot, apiKey } = await botService.regenerateApiKey(req.app.get('io'), {
+        owner: req.user,
+        botId: req.params.id,
+      });
+
+      res.json({
+        success: true,
+        message: 'API key regenerated',
+        bot,
+        apiKey,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * DELETE /api/bots/:id
+ * Delete a bot and take it out of every room
+ * Protected route - requires JWT authentication (the bot's owner)
+ *
+ * Response:
+ *   - 200: Bot deleted
+ *   - 404: Bot not found
+ */
+router.delete(
+  '/:id',
+  [botIdParam],
+  validate,
+  authMiddleware,
+  async (req, res, next) => {
+    try {
+      await botService.deleteBot(req.app.get('io'), {
+        owner: req.user,
+        botId: req.params.id,
+      });
+
+      res.json({
+        success: true,
+        message: 'Bot deleted',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -1,22 +1,97 @@
 /**
  * Chat Routes
  * REST API endpoints for chat-related operations
- * All routes are protected with authMiddleware
+ * All routes are protected with authMiddleware; those that accept personal
+ * access tokens use requireScope
  */
 
 const express = require('express');
-const { body, query } = require('express-validator');
+const { body, query, param } = require('express-validator');
 const Message = require('../models/Message');
+const messageService = require('../services/messageService');
+const roomService = require('../services/roomService');
+const moderationService = require('../services/moderationService');
+const searchService = require('../services/searchService');
+const notificationService = require('../services/notificationService');
+const readStateService = require('../services/readStateService');
+const webhookService = require('../services/webhookService');
+const commands = require('../commands');
 const authMiddleware = require('../middleware/auth');
+const { requireScope } = require('../middleware/auth');
 const validate = require('../middleware/validation');
 
 const router = express.Router();
 
+/**
+ * Validators shared by the room history endpoints
+ */
+const historyValidators = [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('skip')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Skip must be a non-negative integer'),
+  query('before')
+    .optional()
+    .isString()
+    .notEmpty()
+    .withMessage('Invalid cursor'),
+  query('after')
+    .optional()
+    .isString()
+    .notEmpty()
+    .withMessage('Invalid cursor'),
+];
+
+/**
+ * Respond with a page of a room's top-level messages
+ * before/after take the nextCursor of an earlier page; skip is only used
+ * without a cursor and is kept for older clients.
+ */
+const sendRoomHistory = async (req, res, roomName) => {
+  await moderationService.assertCanRead(roomName, req.user._id);
+
+  const { messages, nextCursor, hasMore } = await messageService.getRoomHistory({
+    room: roomName,
+    before: req.query.before,
+    after: req.query.after,
+    limit: req.query.limit,
+    skip: req.query.skip,
+  });
+
+  res.json({
+    success: true,
+    room: roomName,
+    count: messages.length,
+    messages,
+    nextCursor,
+    hasMore,
+  });
+};
+
+/**
+ * GET /api/chat/commands
+ * List the slash commands with their argument hints, for the command palette
+ * Protected route - requires JWT authentication
+ */
+router.get('/commands', authMiddleware, (req, res) => {
+  res.json({
+    success: true,
+    commands: commands.listCommands(),
+  });
+});
+
 /**
  * GET /api/chat/messages
- * Get messages from a specific room
- * Query params: room (required), limit (optional, default: 50), skip (optional, default: 0)
+ * Get messages from a specific room, oldest first
+ * Query params: room (required), limit (optional, default: 50),
+ *   before / after (optional cursors from an earlier page's nextCursor),
+ *   skip (optional, deprecated: use cursors)
  * Protected route - requires JWT authentication
+ * Personal access tokens need the messages:read scope
  */
 router.get(
   '/messages',
@@ -25,6 +100,165 @@ router.get(
       .trim()
       .notEmpty()
       .withMessage('Room parameter is required'),
+    ...historyValidators,
+  ],
+  validate,
+  requireScope('messages:read'),
+  async (req, res, next) => {
+    try {
+      await sendRoomHistory(req, res, req.query.room.trim());
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/chat/messages
+ * Create a new message in a room
+ * Body: { room, text, parentId (optional, posts the message as a thread reply),
+ *   attachmentIds (optional, uploaded through POST /api/attachments; text may then be empty) }
+ * Protected route - requires JWT authentication
+ * Personal access tokens need the messages:write scope
+ *
+ * The message is broadcast as for the chatMessage socket event.
+ *
+ * Text starting with "/" runs a slash command instead: the response (200)
+ * carries the command name, its ephemeral replies, and the message it
+ * posted, if any.
+ */
+router.post(
+  '/messages',
+  [
+    body('room')
+      .trim()
+      .notEmpty()
+      .withMessage('Room is required'),
+    // Text may be left out when sending attachments (checked by createMessage)
+    body('text')
+      .optional({ values: 'null' })
+      .isString()
+      .withMessage('Message text must be a string')
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Message cannot exceed 1000 characters'),
+    body('parentId')
+      .optional({ values: 'null' })
+      .isMongoId()
+      .withMessage('Invalid parent message id'),
+    body('attachmentIds')
+      .optional()
+      .isArray({ max: 10 })
+      .withMessage('A message can have at most 10 attachments'),
+    body('attachmentIds.*')
+      .isMongoId()
+      .withMessage('Invalid attachment id'),
+  ],
+  validate,
+  requireScope('messages:write'),
+  async (req, res, next) => {
+    try {
+      const { room, text, parentId, attachmentIds } = req.body;
+
+      await roomService.assertRoomAccess(room.trim(), req.user._id);
+
+      /**
+       * Save a message from the authenticated user
+       */
+      const postMessage = async ({ text: messageText, action }) => {
+        await moderationService.assertCanPost(room.trim(), req.user._id);
+
+        const { message, parent } = await messageService.createMessage({
+          room: room.trim(),
+          username: req.user.username, // Use authenticated user's username
+          text: messageText,
+          parentId,
+          userId: req.user._id,
+          attachmentIds,
+          action,
+        });
+
+        // Broadcast as for chatMessage over Socket.io
+        const io = req.app.get('io');
+        if (io) {
+          const targets = await roomService.getMessageTargets(message.room);
+          io.to(targets).emit('message', messageService.toMessagePayload(message));
+
+          readStateService.notifyRoomActivity(io, message)
+            .catch(error => console.error('Error sending room activity:', error));
+
+          // Let clients update the parent's reply count in the main timeline
+          if (parent) {
+            io.to(message.room).emit('threadUpdated', {
+              _id: parent._id,
+              room: message.room,
+              replyCount: parent.replyCount,
+              lastReplyAt: parent.lastReplyAt,
+            });
+          }
+        }
+
+        notificationService.notifyMentions(req.app.get('io'), message, req.user._id)
+          .catch(error => console.error('Error sending mention notifications:', error));
+
+        webhookService.dispatchEvent(message.room, 'message.created', messageService.toMessagePayload(message))
+          .catch(error => console.error('Error queueing webhooks:', error));
+
+        return message;
+      };
+
+      const command = !attachmentIds?.length && commands.parseCommand(text);
+      if (command) {
+        const replies = [];
+        let posted = null;
+
+        await commands.runCommand({
+          io: req.app.get('io'),
+          user: req.user,
+          roomName: room.trim(),
+          parentId: parentId || null,
+          reply: (replyText) => replies.push(replyText),
+          post: async (params) => {
+            posted = await postMessage(params);
+            return posted;
+          },
+        }, command);
+
+        return res.json({
+          success: true,
+          message: 'Command executed',
+          command: command.name,
+          replies,
+          data: posted && messageService.toMessagePayload(posted),
+        });
+      }
+
+      const message = await postMessage({ text: commands.unescapeCommand(text) });
+
+      res.status(201).json({
+        success: true,
+        message: 'Message created successfully',
+        data: messageService.toMessagePayload(message),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/chat/messages/:id/thread
+ * Get replies in a message's thread (oldest first)
+ * Query params: limit (optional, default: 50), skip (optional, default: 0, counts back from the newest reply)
+ * Protected route - requires JWT authentication
+ * Personal access tokens need the messages:read scope
+ */
+router.get(
+  '/messages/:id/thread',
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid message id'),
     query('limit')
       .optional()
       .isInt({ min: 1, max: 100 })
@@ -35,28 +269,71 @@ router.get(
       .withMessage('Skip must be a non-negative integer'),
   ],
   validate,
-  authMiddleware,
+  requireScope('messages:read'),
   async (req, res, next) => {
     try {
-      const { room } = req.query;
-      const limit = Number.parseInt(req.query.limit, 10) || 50;
-      const skip = Number.parseInt(req.query.skip, 10) || 0;
+      const { parent, replies, hasMore } = await messageService.getThread({
+        messageId: req.params.id,
+        limit: req.query.limit,
+        skip: req.query.skip,
+      });
+
+      await moderationService.assertCanRead(parent.room, req.user._id);
 
-      // Fetch messages from the room, sorted by timestamp (newest first)
-      const messages = await Message.find({ room: room.trim() })
-        .sort({ ts: -1 })
-        .limit(limit)
-        .skip(skip)
-        .lean();
+      res.json({
+        success: true,
+        parent: messageService.toMessagePayload(parent),
+        count: replies.length,
+        hasMore,
+        replies,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
 
-      // Reverse to show oldest first (chronological order)
-      messages.reverse();
+/**
+ * GET /api/chat/messages/:id/context
+ * Get the top-level messages around a message (oldest first), for jumping
+ * to a search hit. Thread replies are shown around their parent.
+ * Query params: limit (optional, default: 25, messages on each side)
+ * Protected route - requires JWT authentication
+ * Personal access tokens need the messages:read scope
+ */
+router.get(
+  '/messages/:id/context',
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid message id'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage('Limit must be between 1 and 50'),
+  ],
+  validate,
+  requireScope('messages:read'),
+  async (req, res, next) => {
+    try {
+      const context = await messageService.getMessageContext({
+        messageId: req.params.id,
+        limit: req.query.limit,
+      });
+
+      await moderationService.assertCanRead(context.target.room, req.user._id);
 
       res.json({
         success: true,
-        room: room.trim(),
-        count: messages.length,
-        messages,
+        room: context.target.room,
+        targetId: context.target._id,
+        anchorId: context.anchorId,
+        parentId: context.target.parentId || null,
+        hasMoreBefore: context.hasMoreBefore,
+        hasMoreAfter: context.hasMoreAfter,
+        beforeCursor: context.beforeCursor,
+        afterCursor: context.afterCursor,
+        messages: context.messages,
       });
     } catch (error) {
       next(error);
@@ -65,18 +342,22 @@ router.get(
 );
 
 /**
- * POST /api/chat/messages
- * Create a new message in a room
- * Body: { room, text }
+ * PATCH /api/chat/messages/:id
+ * Edit a message (author only)
+ * Body: { text }
  * Protected route - requires JWT authentication
+ * Personal access tokens need the messages:write scope
+ *
+ * The previous text is kept in the message's revisions and the update is
+ * broadcast to the room (and direct message participants) as a
+ * messageUpdated event.
  */
-router.post(
-  '/messages',
+router.patch(
+  '/messages/:id',
   [
-    body('room')
-      .trim()
-      .notEmpty()
-      .withMessage('Room is required'),
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid message id'),
     body('text')
       .trim()
       .notEmpty()
@@ -85,31 +366,210 @@ router.post(
       .withMessage('Message cannot exceed 1000 characters'),
   ],
   validate,
-  authMiddleware,
+  requireScope('messages:write'),
   async (req, res, next) => {
     try {
-      const { room, text } = req.body;
-
-      // Create new message
-      const message = new Message({
-        room: room.trim(),
-        username: req.user.username, // Use authenticated user's username
-        text: text.trim(),
-        ts: new Date(),
+      const message = await messageService.editMessage({
+        messageId: req.params.id,
+        username: req.user.username,
+        text: req.body.text,
       });
 
-      await message.save();
+      const payload = messageService.toMessagePayload(message);
+      const targets = await roomService.getMessageTargets(message.room);
+      req.app.get('io')?.to(targets).emit('messageUpdated', payload);
 
-      res.status(201).json({
+      notificationService.notifyMentions(req.app.get('io'), message, req.user._id)
+        .catch(error => console.error('Error sending mention notifications:', error));
+
+      webhookService.dispatchEvent(message.room, 'message.updated', payload)
+        .catch(error => console.error('Error queueing webhooks:', error));
+
+      res.json({
         success: true,
-        message: 'Message created successfully',
-        data: {
-          _id: message._id,
-          room: message.room,
-          username: message.username,
-          text: message.text,
-          ts: message.ts,
-        },
+        message: 'Message updated successfully',
+        data: payload,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * DELETE /api/chat/messages/:id
+ * Delete a message (author only)
+ * Protected route - requires JWT authentication
+ * Personal access tokens need the messages:write scope
+ *
+ * The message is kept as a tombstone and a messageDeleted event is
+ * broadcast to the room (and direct message participants).
+ */
+router.delete(
+  '/messages/:id',
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid message id'),
+  ],
+  validate,
+  requireScope('messages:write'),
+  async (req, res, next) => {
+    try {
+      const message = await messageService.deleteMessage({
+        messageId: req.params.id,
+        username: req.user.username,
+      });
+
+      const targets = await roomService.getMessageTargets(message.room);
+      req.app.get('io')?.to(targets).emit('messageDeleted', {
+        _id: message._id,
+        room: message.room,
+        deletedAt: message.deletedAt,
+      });
+
+      const payload = messageService.toMessagePayload(message);
+      webhookService.dispatchEvent(message.room, 'message.deleted', payload)
+        .catch(error => console.error('Error queueing webhooks:', error));
+
+      res.json({
+        success: true,
+        message: 'Message deleted successfully',
+        data: payload,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * PUT /api/chat/messages/:id/reactions/:emoji
+ * DELETE /api/chat/messages/:id/reactions/:emoji
+ * Add or remove the authenticated user's reaction (both idempotent)
+ * Protected route - requires JWT authentication
+ * Personal access tokens need the messages:write scope
+ *
+ * The message's full reaction set is broadcast to the room (and, for direct
+ * messages, to both participants) as a reactionUpdated event.
+ */
+const reactionHandler = (add) => async (req, res, next) => {
+  try {
+    await roomService.assertMessageAccess(req.params.id, req.user._id);
+
+    const message = await messageService.setReaction({
+      messageId: req.params.id,
+      username: req.user.username,
+      emoji: req.params.emoji,
+      add,
+    });
+
+    const { reactions } = messageService.toMessagePayload(message);
+    const targets = await roomService.getMessageTargets(message.room);
+    req.app.get('io')?.to(targets).emit('reactionUpdated', {
+      _id: message._id,
+      room: message.room,
+      reactions,
+    });
+
+    res.json({
+      success: true,
+      data: {
+        _id: message._id,
+        room: message.room,
+        reactions,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const reactionValidators = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid message id'),
+];
+
+router.put('/messages/:id/reactions/:emoji', reactionValidators, validate, requireScope('messages:write'), reactionHandler(true));
+router.delete('/messages/:id/reactions/:emoji', reactionValidators, validate, requireScope('messages:write'), reactionHandler(false));
+
+/**
+ * GET /api/chat/search
+ * Full-text search over messages in rooms the user can access
+ * Query params:
+ *   - q (required, MongoDB text search syntax: words, "phrases", -excluded)
+ *   - room, username (optional filters)
+ *   - from, to (optional ISO 8601 dates, inclusive)
+ *   - limit (optional, default: 20, max: 50), skip (optional, default: 0)
+ * Protected route - requires JWT authentication
+ * Personal access tokens need the messages:read scope
+ *
+ * Each result is a message with its relevance score and highlighted
+ * fragments: arrays of { text, match } segments.
+ */
+router.get(
+  '/search',
+  [
+    query('q')
+      .trim()
+      .notEmpty()
+      .withMessage('Search query is required')
+      .isLength({ max: searchService.MAX_QUERY_LENGTH })
+      .withMessage(`Search query cannot exceed ${searchService.MAX_QUERY_LENGTH} characters`),
+    query('room')
+      .optional()
+      .trim()
+      .notEmpty()
+      .withMessage('Room cannot be empty'),
+    query('username')
+      .optional()
+      .trim()
+      .notEmpty()
+      .withMessage('Username cannot be empty'),
+    query('from')
+      .optional()
+      .isISO8601()
+      .withMessage('From must be an ISO 8601 date')
+      .toDate(),
+    query('to')
+      .optional()
+      .isISO8601()
+      .withMessage('To must be an ISO 8601 date')
+      .toDate(),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: searchService.MAX_SEARCH_LIMIT })
+      .withMessage(`Limit must be between 1 and ${searchService.MAX_SEARCH_LIMIT}`),
+    query('skip')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Skip must be a non-negative integer'),
+  ],
+  validate,
+  requireScope('messages:read'),
+  async (req, res, next) => {
+    try {
+      const { q, room, username, from, to, limit, skip } = req.query;
+
+      const { results, total, hasMore } = await searchService.searchMessages({
+        userId: req.user._id,
+        query: q,
+        room,
+        username,
+        from,
+        to,
+        limit,
+        skip,
+      });
+
+      res.json({
+        success: true,
+        query: q,
+        total,
+        count: results.length,
+        hasMore,
+        results,
       });
     } catch (error) {
       next(error);
@@ -121,14 +581,22 @@ router.post(
  * GET /api/chat/rooms
  * Get list of all available rooms (with message counts)
  * Protected route - requires JWT authentication
+ * Personal access tokens need the rooms:read scope
+ *
+ * Direct message and private rooms are only included for their participants.
  */
 router.get(
   '/rooms',
-  authMiddleware,
+  requireScope('rooms:read'),
   async (req, res, next) => {
     try {
+      const hiddenRooms = await roomService.getHiddenRoomNames(req.user._id);
+
       // Aggregate to get distinct rooms with message counts
       const rooms = await Message.aggregate([
+        {
+          $match: { room: { $nin: hiddenRooms } },
+        },
         {
           $group: {
             _id: '$room',
@@ -163,44 +631,18 @@ router.get(
 /**
  * GET /api/chat/messages/:roomId
  * Get messages from a specific room (alternative endpoint using route parameter)
- * Query params: limit (optional, default: 50), skip (optional, default: 0)
+ * Query params: same as GET /api/chat/messages, without room
  * Protected route - requires JWT authentication
+ * Personal access tokens need the messages:read scope
  */
 router.get(
   '/messages/:roomId',
-  [
-    query('limit')
-      .optional()
-      .isInt({ min: 1, max: 100 })
-      .withMessage('Limit must be between 1 and 100'),
-    query('skip')
-      .optional()
-      .isInt({ min: 0 })
-      .withMessage('Skip must be a non-negative integer'),
-  ],
+  historyValidators,
   validate,
-  authMiddleware,
+  requireScope('messages:read'),
   async (req, res, next) => {
     try {
-      const { roomId } = req.params;
-      const limit = Number.parseInt(req.query.limit, 10) || 50;
-      const skip = Number.parseInt(req.query.skip, 10) || 0;
-
-      // Fetch messages from the room
-      const messages = await Message.find({ room: roomId.trim() })
-        .sort({ ts: -1 })
-        .limit(limit)
-        .skip(skip)
-        .lean();
-
-      messages.reverse();
-
-      res.json({
-        success: true,
-        room: roomId.trim(),
-        count: messages.length,
-        messages,
-      });
+      await sendRoomHistory(req, res, req.params.roomId.trim());
     } catch (error) {
       next(error);
     }
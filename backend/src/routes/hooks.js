@@ -0,0 +1,85 @@
+/**
+ * Hooks Routes
+ * Public endpoint that incoming webhooks post to
+ * Authenticated by the token in the URL instead of a JWT
+ */
+
+const express = require('express');
+const { body, param } = require('express-validator');
+const incomingWebhookService = require('../services/incomingWebhookService');
+const messageService = require('../services/messageService');
+const validate = require('../middleware/validation');
+
+const router = express.Router();
+
+/**
+ * POST /hooks/:token
+ * Post a message into the webhook's room
+ * Public route - the token is the credential
+ *
+ * The message is broadcast to the room like a user's message, attributed
+ * to the webhook's integration. Each token may post
+ * INCOMING_WEBHOOK_RATE_LIMIT messages a minute.
+ *
+ * Request Body (JSON):
+ *   - text: string (required, max 1000 characters)
+ *   - username: string (optional display name, max 50 characters;
+ *     defaults to the webhook's name)
+ *   - markdown: boolean (optional, default true; false shows the text as is)
+ *
+ * Response:
+ *   - 201: Message posted
+ *   - 400: Validation error
+ *   - 404: Unknown or revoked token
+ *   - 410: The room was archived or deleted
+ *   - 429: Rate limit exceeded (see Retry-After)
+ */
+router.post(
+  '/:token',
+  [
+    param('token')
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Invalid token'),
+    body('text')
+      .isString()
+      .withMessage('Text is required')
+      .trim()
+      .isLength({ min: 1, max: 1000 })
+      .withMessage('Text must be between 1 and 1000 characters'),
+    body('username')
+      .optional()
+      .isString()
+      .isLength({ max: 50 })
+      .withMessage('Username cannot exceed 50 characters'),
+    body('markdown')
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage('Markdown must be true or false'),
+  ],
+  validate,
+  async (req, res, next) => {
+    try {
+      const { message, rateLimit } = await incomingWebhookService.postWithToken(req.app.get('io'), {
+        token: req.params.token,
+        text: req.body.text,
+        username: req.body.username,
+        markdown: req.body.markdown,
+      });
+
+      res.set('X-RateLimit-Limit', String(rateLimit.limit));
+      res.set('X-RateLimit-Remaining', String(rateLimit.remaining));
+      res.status(201).json({
+        success: true,
+        message: 'Message posted',
+        data: messageService.toMessagePayload(message),
+      });
+    } catch (error) {
+      if (error.retryAfterSeconds) {
+        res.set('Retry-After', String(error.retryAfterSeconds));
+      }
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,132 @@
+/**
+ * Notifications Routes
+ * REST API endpoints for the authenticated user's notification inbox
+ * All routes are protected with authMiddleware
+ *
+ * Marking notifications read emits notificationsRead ({ ids | all,
+ * unreadCount }) to the user's sockets so their other tabs stay in sync.
+ */
+
+const express = require('express');
+const { query, param } = require('express-validator');
+const authMiddleware = require('../middleware/auth');
+const validate = require('../middleware/validation');
+const notificationService = require('../services/notificationService');
+
+const router = express.Router();
+
+/**
+ * GET /api/notifications
+ * List the user's notifications, newest first
+ * Query params: unread (optional, "true" for unread only), limit (optional,
+ *   default: 20, max: 50), skip (optional)
+ * Protected route - requires JWT authentication
+ *
+ * Response includes unreadCount (all unread notifications) and hasMore.
+ */
+router.get(
+  '/',
+  [
+    query('unread')
+      .optional()
+      .isBoolean()
+      .withMessage('Unread must be true or false'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: notificationService.MAX_NOTIFICATION_LIMIT })
+      .withMessage(`Limit must be between 1 and ${notificationService.MAX_NOTIFICATION_LIMIT}`),
+    query('skip')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Skip must be a non-negative integer'),
+  ],
+  validate,
+  authMiddleware,
+  async (req, res, next) => {
+    try {
+      const { notifications, unreadCount, hasMore } = await notificationService.listNotifications({
+        userId: req.user._id,
+        unreadOnly: req.query.unread === 'true',
+        limit: req.query.limit,
+        skip: req.query.skip,
+      });
+
+      res.json({
+        success: true,
+        count: notifications.length,
+        notifications,
+        unreadCount,
+        hasMore,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/notifications/read-all
+ * Mark all of the user's notifications read
+ * Protected route - requires JWT authentication
+ */
+router.post(
+  '/read-all',
+  authMiddleware,
+  async (req, res, next) => {
+    try {
+      await notificationService.markAllRead(req.user._id);
+
+      req.app.get('io')?.to(`user:${req.user._id}`).emit('notificationsRead', {
+        all: true,
+        unreadCount: 0,
+      });
+
+      res.json({
+        success: true,
+        message: 'All notifications marked as read',
+        unreadCount: 0,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/notifications/:id/read
+ * Mark one notification read
+ * Protected route - requires JWT authentication
+ *
+ * Response:
+ *   - 200: Marked read (also when it already was), with unreadCount
+ *   - 404: Notification not found
+ */
+router.post(
+  '/:id/read',
+  [param('id').isMongoId().withMessage('Invalid notification id')],
+  validate,
+  authMiddleware,
+  async (req, res, next) => {
+    try {
+      const unreadCount = await notificationService.markRead({
+        userId: req.user._id,
+        notificationId: req.params.id,
+      });
+
+      req.app.get('io')?.to(`user:${req.user._id}`).emit('notificationsRead', {
+        ids: [req.params.id],
+        unreadCount,
+      });
+
+      res.json({
+        success: true,
+        message: 'Notification marked as read',
+        unreadCount,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
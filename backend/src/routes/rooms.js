@@ -1,41 +1,72 @@
 /**
  * Rooms Routes
  * REST API endpoints for room management
- * All routes are protected with authMiddleware
+ * All routes are protected with authMiddleware; those that accept personal
+ * access tokens use requireScope
  */
 
+const { Readable } = require('node:stream');
+const { pipeline } = require('node:stream/promises');
 const express = require('express');
-const { body } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const Room = require('../models/Room');
+const User = require('../models/User');
+const ReadMarker = require('../models/ReadMarker');
+const readStateService = require('../services/readStateService');
+const presenceService = require('../services/presenceService');
+const roomService = require('../services/roomService');
+const moderationService = require('../services/moderationService');
+const roomManagementService = require('../services/roomManagementService');
+const retentionService = require('../services/retentionService');
+const exportService = require('../services/exportService');
+const webhookService = require('../services/webhookService');
+const incomingWebhookService = require('../services/incomingWebhookService');
+const botService = require('../services/botService');
+const contentDisposition = require('../utils/contentDisposition');
 const authMiddleware = require('../middleware/auth');
+const { requireScope } = require('../middleware/auth');
 const validate = require('../middleware/validation');
 
 const router = express.Router();
 
+// Sort order for member lists
+const STATUS_ORDER = { online: 0, away: 1, offline: 2 };
+
 /**
  * GET /rooms
  * Get list of all available rooms
  * Protected route - requires JWT authentication
+ * Personal access tokens need the rooms:read scope
  * 
+ * Public rooms are listed for everyone; direct message rooms only for
+ * their participants and private rooms only for their members.
+ *
  * Response:
- *   - 200: List of rooms with creation dates
+ *   - 200: List of rooms with creation dates and the user's unread counts
  */
 router.get(
   '/',
-  authMiddleware,
+  requireScope('rooms:read'),
   async (req, res, next) => {
     try {
       // Fetch all rooms, sorted by creation date (newest first)
-      const rooms = await Room.find({})
+      const rooms = await Room.find(roomService.visibleRoomsFilter(req.user._id))
         .sort({ createdAt: -1 })
+        .populate('participants', 'username')
         .lean();
 
+      const unreadCounts = await readStateService.getUnreadCounts({
+        userId: req.user._id,
+        username: req.user.username,
+        rooms: rooms.map(room => room.name),
+      });
+
       res.json({
         success: true,
         count: rooms.length,
         rooms: rooms.map(room => ({
-          name: room.name,
-          createdAt: room.createdAt,
+          ...roomService.toRoomPayload(room),
+          unreadCount: unreadCounts[room.name] || 0,
         })),
       });
     } catch (error) {
@@ -44,13 +75,129 @@ router.get(
   }
 );
 
+/**
+ * GET /rooms/invitations
+ * Get the authenticated user's pending private room invitations
+ * Protected route - requires JWT authentication
+ * Personal access tokens need the rooms:read scope
+ *
+ * Response:
+ *   - 200: Invitations with the room name, inviter and invitation date
+ */
+router.get(
+  '/invitations',
+  requireScope('rooms:read'),
+  async (req, res, next) => {
+    try {
+      const invitations = await roomService.getPendingInvitations(req.user._id);
+
+      res.json({
+        success: true,
+        count: invitations.length,
+        invitations,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /rooms/:name/members
+ * Get a room's members with their presence status
+ * Protected route - requires JWT authentication
+ * Personal access tokens need the rooms:read scope
+ *
+ * Members are users currently in the room (online or away) plus users who
+ * have read the room before (offline). Direct message and private rooms
+ * list their participants or members instead of past readers. Each member
+ * carries their role (owner, moderator or member) and whether they are muted.
+ *
+ * Response:
+ *   - 200: Members sorted by status, then username
+ *   - 404: Room not found
+ */
+router.get(
+  '/:name/members',
+  requireScope('rooms:read'),
+  async (req, res, next) => {
+    try {
+      const roomName = req.params.name.trim();
+
+      const room = await moderationService.assertCanRead(roomName, req.user._id);
+      if (!room) {
+        return res.status(404).json({
+          success: false,
+          message: 'Room not found',
+        });
+      }
+
+      const present = presenceService.getRoomPresence(roomName);
+      const presentNames = new Set(present.map(member => member.username));
+
+      // Direct messages and private rooms have a fixed member list
+      let knownMembers;
+      if (room.type === 'direct') {
+        knownMembers = await User.find({ _id: { $in: room.participants } }).select('username').lean();
+      } else if (room.visibility === 'private') {
+        knownMembers = await User.find({ _id: { $in: room.members } }).select('username').lean();
+      } else {
+        knownMembers = await ReadMarker.find({ room: roomName }).select('username').lean();
+      }
+      const offline = knownMembers
+        .filter(reader => !presentNames.has(reader.username))
+        .map(reader => ({ username: reader.username, status: 'offline' }));
+
+      const annotations = await moderationService.getMemberAnnotations(room);
+      const members = [...present, ...offline]
+        .map(member => ({
+          ...member,
+          role: 'member',
+          muted: false,
+          ...annotations.get(member.username),
+        }))
+        .sort((a, b) => (
+          STATUS_ORDER[a.status] - STATUS_ORDER[b.status] || a.username.localeCompare(b.username)
+        ));
+
+      res.json({
+        success: true,
+        room: roomName,
+        count: members.length,
+        members,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Add the rules for a new room name to a validation chain
+ * @param {Object} chain - express-validator chain for the name field
+ * @returns {Object} The chain
+ */
+const withRoomNameRules = (chain) => chain
+  .isLength({ min: 1, max: 50 })
+  .withMessage('Room name must be between 1 and 50 characters')
+  .matches(/^[a-zA-Z0-9_-]+$/)
+  .withMessage('Room name can only contain letters, numbers, hyphens, and underscores')
+  .not()
+  .matches(new RegExp(`^${roomService.DIRECT_PREFIX}`))
+  .withMessage(`Room names starting with "${roomService.DIRECT_PREFIX}" are reserved for direct messages`);
+
 /**
  * POST /rooms
  * Create a new room
  * Protected route - requires JWT authentication
+ * Personal access tokens need the rooms:admin scope
  * 
  * Request Body:
  *   - name: string (required, unique, 1-50 chars, alphanumeric + hyphens/underscores)
+ *   - visibility: 'public' | 'private' (optional, default 'public'; the
+ *     creator is the first member of a private room)
+ *
+ * The creator is recorded as the room's owner (createdBy).
  * 
  * Response:
  *   - 201: Room created successfully
@@ -60,20 +207,22 @@ router.get(
 router.post(
   '/',
   [
-    body('name')
-      .trim()
-      .notEmpty()
-      .withMessage('Room name is required')
-      .isLength({ min: 1, max: 50 })
-      .withMessage('Room name must be between 1 and 50 characters')
-      .matches(/^[a-zA-Z0-9_-]+$/)
-      .withMessage('Room name can only contain letters, numbers, hyphens, and underscores'),
+    withRoomNameRules(
+      body('name')
+        .trim()
+        .notEmpty()
+        .withMessage('Room name is required')
+    ),
+    body('visibility')
+      .optional()
+      .isIn(['public', 'private'])
+      .withMessage('Visibility must be public or private'),
   ],
   validate,
-  authMiddleware,
+  requireScope('rooms:admin'),
   async (req, res, next) => {
     try {
-      const { name } = req.body;
+      const { name, visibility = 'public' } = req.body;
       const roomName = name.trim();
 
       // Check if room already exists (database-level unique constraint also exists)
@@ -88,6 +237,9 @@ router.post(
       // Create new room
       const room = new Room({
         name: roomName,
+        visibility,
+        createdBy: req.user._id,
+        ...(visibility === 'private' && { members: [req.user._id] }),
         createdAt: new Date(),
       });
 
@@ -96,10 +248,7 @@ router.post(
       res.status(201).json({
         success: true,
         message: 'Room created successfully',
-        room: {
-          name: room.name,
-          createdAt: room.createdAt,
-        },
+        room: roomService.toRoomPayload(room),
       });
     } catch (error) {
       next(error);
@@ -107,5 +256,1117 @@ router.post(
   }
 );
 
-module.exports = router;
+/**
+ * POST /rooms/direct
+ * Open a direct message conversation with another user
+ * Protected route - requires JWT authentication
+ *
+ * Request Body:
+ *   - username: string (required, the other participant)
+ *
+ * Response:
+ *   - 200: The conversation's room (created on first use; the same room is
+ *          returned no matter which participant opens it)
+ *   - 404: User not found
+ *   - 400: Validation error, or trying to message yourself
+ */
+router.post(
+  '/direct',
+  [
+    body('username')
+      .trim()
+      .notEmpty()
+      .withMessage('Username is required'),
+  ],
+  validate,
+  authMiddleware,
+  async (req, res, next) => {
+    try {
+      const otherUser = await User.findOne({ username: req.body.username.toString() });
+      if (!otherUser) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found',
+        });
+      }
+
+      const room = await roomService.getOrCreateDirectRoom(req.user, otherUser);
+      const populated = await Room.findById(room._id).populate('participants', 'username').lean();
+
+      res.json({
+        success: true,
+        room: roomService.toRoomPayload(populated),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+const roomNameParam = param('name')
+  .trim()
+  .notEmpty()
+  .withMessage('Room name is required');
+
+/**
+ * Validators for a retention policy's mode and value
+ * @param {string} location - 'body' or 'query'
+ * @param {string} prefix - Field prefix (e.g. 'retention.')
+ * @returns {Array} express-validator chains
+ */
+const retentionValidators = (location, prefix) => {
+  const field = location === 'body' ? body : query;
+  return [
+    field(`${prefix}mode`)
+      .optional()
+      .isIn(retentionService.RETENTION_MODES)
+      .withMessage(`Retention mode must be one of: ${retentionService.RETENTION_MODES.join(', ')}`),
+    field(`${prefix}value`)
+      .optional({ values: 'null' })
+      .isInt({ min: 1 })
+      .withMessage('Retention value must be a positive whole number')
+      .toInt(),
+  ];
+};
+
+/**
+ * PATCH /rooms/:name
+ * Change a room's settings
+ * Protected route - requires JWT authentication (room creator only)
+ * Personal access tokens need the rooms:admin scope
+ *
+ * Renaming moves the room's history and connected users to the new name.
+ * Everyone who can see the room is told through a roomUpdated event.
+ *
+ * Request Body (all optional; only changed fields are saved):
+ *   - name: string (new room name, same rules as POST /rooms)
+ *   - topic: string (max 250 characters)
+ *   - description: string (max 500 characters)
+ *   - icon: string (max 16 characters, e.g. an emoji)
+ *   - retention: { mode, value } where mode is 'forever', 'days' (keep
+ *     threads active in the last value days) or 'messages' (keep the last
+ *     value top-level messages with their threads)
+ *
+ * Response:
+ *   - 200: { room, changes } with the updated room and the changed fields
+ *   - 400: Validation error, a direct message, an archived room, or
+ *          renaming the default room
+ *   - 403: Not the room creator
+ *   - 404: Room not found
+ *   - 409: Room name already exists
+ */
+router.patch(
+  '/:name',
+  [
+    roomNameParam,
+    withRoomNameRules(body('name').optional().trim()),
+    body('topic')
+      .optional()
+      .isString()
+      .isLength({ max: 250 })
+      .withMessage('Topic cannot exceed 250 characters'),
+    body('description')
+      .optional()
+      .isString()
+      .isLength({ max: 500 })
+      .withMessage('Description cannot exceed 500 characters'),
+    body('icon')
+      .optional()
+      .isString()
+      .isLength({ max: 16 })
+      .withMessage('Icon cannot exceed 16 characters'),
+    ...retentionValidators('body', 'retention.'),
+  ],
+  validate,
+  requireScope('rooms:admin'),
+  async (req, res, next) => {
+    try {
+      const { name, topic, description, icon, retention } = req.body;
+      const { room, changes } = await roomManagementService.updateRoom(req.app.get('io'), {
+        roomName: req.params.name,
+        actor: req.user,
+        name,
+        topic,
+        description,
+        icon,
+        retention,
+      });
+
+      res.json({
+        success: true,
+        message: changes.length > 0 ? 'Room updated' : 'No changes',
+        room: roomService.toRoomPayload(room),
+        changes,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /rooms/:name/retention/preview
+ * Show what a retention policy would remove from a room right now
+ * Protected route - requires JWT authentication (room creator only)
+ * Personal access tokens need the rooms:admin scope
+ *
+ * Query Parameters (omit both to preview the room's current policy):
+ *   - mode: 'forever', 'days' or 'messages'
+ *   - value: number of days or messages to keep
+ *
+ * Response:
+ *   - 200: { retention, threads, messages, oldest, newest }; messages
+ *          includes thread replies, newest is the latest activity removed
+ *   - 400: Validation error or a direct message
+ *   - 403: Not the room creator
+ *   - 404: Room not found
+ */
+router.get(
+  '/:name/retention/preview',
+  [roomNameParam, ...retentionValidators('query', '')],
+  validate,
+  requireScope('rooms:admin'),
+  async (req, res, next) => {
+    try {
+      const { mode, value } = req.query;
+      const preview = await roomManagementService.previewRetention({
+        roomName: req.params.name,
+        actor: req.user,
+        retention: mode === undefined ? undefined : { mode, value },
+      });
+
+      res.json({
+        success: true,
+        room: req.params.name,
+        ...preview,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /rooms/:name/export
+ * Download a room's history
+ * Protected route - requires JWT authentication and access to the room
+ * Personal access tokens need the messages:read scope
+ *
+ * The export is streamed as it is read. Threads are kept together: JSON
+ * nests replies under their message, CSV rows carry parent_id, and HTML and
+ * plain text indent replies. Attachments are listed with links that need
+ * the same authentication as the API.
+ *
+ * Query Parameters:
+ *   - format: 'json' (default), 'csv', 'html' or 'txt'
+ *   - from, to: ISO 8601 dates; threads started in this range are exported
+ *
+ * Response:
+ *   - 200: The export as a file download
+ *   - 400: Validation error
+ *   - 404: Room not found
+ */
+router.get(
+  '/:name/export',
+  [
+    roomNameParam,
+    query('format')
+      .optional()
+      .isIn(Object.keys(exportService.EXPORT_FORMATS))
+      .withMessage(`Format must be one of: ${Object.keys(exportService.EXPORT_FORMATS).join(', ')}`),
+    query(['from', 'to'])
+      .optional()
+      .isISO8601()
+      .withMessage('Dates must be ISO 8601')
+      .toDate(),
+  ],
+  validate,
+  requireScope('messages:read'),
+  async (req, res, next) => {
+    try {
+      const { format = 'json', from, to } = req.query;
+      const room = await moderationService.assertCanRead(req.params.name, req.user._id);
+      const { contentType, extension } = exportService.EXPORT_FORMATS[format];
+      const date = new Date().toISOString().slice(0, 10);
+
+      res.set({
+        'Content-Type': contentType,
+        'Content-Disposition': contentDisposition('attachment', `${req.params.name}-${date}.${extension}`),
+        'X-Content-Type-Options': 'nosniff',
+        'Cache-Control': 'no-store',
+      });
+
+      await pipeline(
+        Readable.from(exportService.exportRoom(
+          room ? roomService.toRoomPayload(room) : { name: req.params.name },
+          { format, from, to, baseUrl: `${req.protocol}://${req.get('host')}` }
+        )),
+        res
+      );
+    } catch (error) {
+      if (res.headersSent) {
+        // The download has started; ending it early is all that's left
+        console.error('Room export failed:', error);
+        return;
+      }
+      next(error);
+    }
+  }
+);
+
+/**
+ * DELETE /rooms/:name
+ * Archive or delete a room
+ * Protected route - requires JWT authentication (room creator only)
+ * Personal access tokens need the rooms:admin scope
+ *
+ * Archived rooms keep their history but disappear from room lists and can
+ * no longer be joined or posted to. Deleting also removes the messages,
+ * read markers, notifications and attachments. Everyone who can see the
+ * room is told through a roomDeleted event.
+ *
+ * Query Parameters:
+ *   - mode: 'archive' (default) or 'delete'
+ *
+ * Response:
+ *   - 200: Room archived or deleted
+ *   - 400: Validation error, a direct message, or the default room
+ *   - 403: Not the room creator
+ *   - 404: Room not found
+ *   - 409: Room is already archived
+ */
+router.delete(
+  '/:name',
+  [
+    roomNameParam,
+    query('mode')
+      .optional()
+      .isIn(roomManagementService.DELETE_MODES)
+      .withMessage(`Mode must be one of: ${roomManagementService.DELETE_MODES.join(', ')}`),
+  ],
+  validate,
+  requireScope('rooms:admin'),
+  async (req, res, next) => {
+    try {
+      const mode = req.query.mode || 'archive';
+      const room = await roomManagementService.deleteRoom(req.app.get('io'), {
+        roomName: req.params.name,
+        actor: req.user,
+        mode,
+      });
+
+      res.json({
+        success: true,
+        message: mode === 'archive' ? 'Room archived' : 'Room deleted',
+        room: room.name,
+        archived: mode === 'archive',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /rooms/:name/invitations
+ * Invite a user to a private room
+ * Protected route - requires JWT authentication (any member may invite)
+ * Personal access tokens need the rooms:admin scope
+ *
+ * The invitee is notified live with a roomInvitation event.
+ *
+ * Request Body:
+ *   - username: string (required, the user to invite)
+ *
+ * Response:
+ *   - 201: Invitation created
+ *   - 400: Validation error, or the room is not private
+ *   - 404: Room or user not found
+ *   - 409: User is already a member or already invited
+ */
+router.post(
+  '/:name/invitations',
+  [
+    roomNameParam,
+    body('username')
+      .trim()
+      .notEmpty()
+      .withMessage('Username is required'),
+  ],
+  validate,
+  requireScope('rooms:admin'),
+  async (req, res, next) => {
+    try {
+      const { room, invitee } = await roomService.inviteMember({
+        roomName: req.params.name,
+        inviter: req.user,
+        username: req.body.username,
+      });
+
+      const invitation = roomService.notifyInvitation(req.app.get('io'), {
+        room,
+        invitee,
+        invitedBy: req.user.username,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Invitation sent',
+        invitation: { ...invitation, username: invitee.username },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /rooms/:name/invitations/accept
+ * POST /rooms/:name/invitations/decline
+ * Respond to a pending invitation
+ * Protected route - requires JWT authentication
+ *
+ * Response:
+ *   - 200: Invitation accepted (the room is returned) or declined
+ *   - 404: No pending invitation for this room
+ */
+router.post(
+  '/:name/invitations/accept',
+  [roomNameParam],
+  validate,
+  authMiddleware,
+  async (req, res, next) => {
+    try {
+      const room = await roomService.acceptInvitation(req.params.name, req.user._id);
+
+      res.json({
+        success: true,
+        message: 'Invitation accepted',
+        room: roomService.toRoomPayload(room),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.post(
+  '/:name/invitations/decline',
+  [roomNameParam],
+  validate,
+  authMiddleware,
+  async (req, res, next) => {
+    try {
+      await roomService.declineInvitation(req.params.name, req.user._id);
+
+      res.json({
+        success: true,
+        message: 'Invitation declined',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * DELETE /rooms/:name/members/:username
+ * Remove a member from a private room
+ * Protected route - requires JWT authentication
+ * Personal access tokens need the rooms:admin scope
+ *
+ * Members may remove themselves (leave); only the room creator may remove
+ * others. The removed user's sockets receive removedFromRoom and are taken
+ * out of the room; the remaining members receive memberRemoved.
+ *
+ * Response:
+ *   - 200: Member removed
+ *   - 400: The room is not private
+ *   - 403: Not allowed to remove this member
+ *   - 404: Room not found or user is not a member
+ */
+router.delete(
+  '/:name/members/:username',
+  [
+    roomNameParam,
+    param('username')
+      .trim()
+      .notEmpty()
+      .withMessage('Username is required'),
+  ],
+  validate,
+  requireScope('rooms:admin'),
+  async (req, res, next) => {
+    try {
+      const { room, target } = await roomService.removeMember({
+        roomName: req.params.name,
+        actor: req.user,
+        username: req.params.username,
+      });
+
+      const io = req.app.get('io');
+      if (io) {
+        await roomService.evictUserFromRoom(io, target._id, room.name, 'removedFromRoom', {
+          removedBy: req.user.username,
+        });
+        io.to(room.name).emit('memberRemoved', { room: room.name, username: target.username });
+      }
+
+      res.json({
+        success: true,
+        message: 'Member removed',
+        room: room.name,
+        username: target.username,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Moderation endpoints (owners and moderators)
+ * Each responds with the action summary; the affected user and the room are
+ * notified over Socket.io by the moderation service.
+ * Personal access tokens need the rooms:admin scope.
+ *
+ * POST   /rooms/:name/kick                 Body: { username, reason }
+ * POST   /rooms/:name/bans                 Body: { username, reason, durationMinutes }
+ * DELETE /rooms/:name/bans/:username
+ * POST   /rooms/:name/mutes                Body: { username, reason, durationMinutes }
+ * DELETE /rooms/:name/mutes/:username
+ * PUT    /rooms/:name/moderators/:username (owner only)
+ * DELETE /rooms/:name/moderators/:username (owner only)
+ *
+ * durationMinutes is optional; bans and mutes without it never expire.
+ *
+ * Response:
+ *   - 200: Action applied
+ *   - 400: Validation error, or the room is a direct message
+ *   - 403: Not allowed to moderate this user
+ *   - 404: Room or user not found, or no ban/mute to lift
+ */
+const moderationHandler = (action, message, extra = {}) => async (req, res, next) => {
+  try {
+    const result = await action(req.app.get('io'), {
+      roomName: req.params.name,
+      actor: req.user,
+      username: req.params.username || req.body.username,
+      reason: req.body?.reason,
+      durationMinutes: req.body?.durationMinutes,
+      ...extra,
+    });
+
+    res.json({
+      success: true,
+      message,
+      action: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const moderationTargetValidators = [
+  roomNameParam,
+  body('username')
+    .trim()
+    .notEmpty()
+    .withMessage('Username is required'),
+  body('reason')
+    .optional()
+    .isString()
+    .isLength({ max: moderationService.MAX_REASON_LENGTH })
+    .withMessage(`Reason cannot exceed ${moderationService.MAX_REASON_LENGTH} characters`),
+];
+
+const durationValidator = body('durationMinutes')
+  .optional({ values: 'null' })
+  .isInt({ min: 1, max: moderationService.MAX_DURATION_MINUTES })
+  .withMessage(`Duration must be between 1 and ${moderationService.MAX_DURATION_MINUTES} minutes`)
+  .toInt();
+
+const usernameParam = param('username')
+  .trim()
+  .notEmpty()
+  .withMessage('Username is required');
 
+router.post(
+  '/:name/kick',
+  moderationTargetValidators,
+  validate,
+  requireScope('rooms:admin'),
+  moderationHandler(moderationService.kickUser, 'User kicked')
+);
+
+router.post(
+  '/:name/bans',
+  [...moderationTargetValidators, durationValidator],
+  validate,
+  requireScope('rooms:admin'),
+  moderationHandler(moderationService.banUser, 'User banned')
+);
+
+router.delete(
+  '/:name/bans/:username',
+  [roomNameParam, usernameParam],
+  validate,
+  requireScope('rooms:admin'),
+  moderationHandler(moderationService.unbanUser, 'User unbanned')
+);
+
+router.post(
+  '/:name/mutes',
+  [...moderationTargetValidators, durationValidator],
+  validate,
+  requireScope('rooms:admin'),
+  moderationHandler(moderationService.muteUser, 'User muted')
+);
+
+router.delete(
+  '/:name/mutes/:username',
+  [roomNameParam, usernameParam],
+  validate,
+  requireScope('rooms:admin'),
+  moderationHandler(moderationService.unmuteUser, 'User unmuted')
+);
+
+router.put(
+  '/:name/moderators/:username',
+  [roomNameParam, usernameParam],
+  validate,
+  requireScope('rooms:admin'),
+  moderationHandler(moderationService.setModerator, 'Moderator added', { moderator: true })
+);
+
+router.delete(
+  '/:name/moderators/:username',
+  [roomNameParam, usernameParam],
+  validate,
+  requireScope('rooms:admin'),
+  moderationHandler(moderationService.setModerator, 'Moderator removed', { moderator: false })
+);
+
+/**
+ * GET /rooms/:name/moderation
+ * List a room's active bans and mutes
+ * Protected route - requires JWT authentication (owners and moderators)
+ * Personal access tokens need the rooms:admin scope
+ *
+ * Response:
+ *   - 200: { bans, mutes }, each entry { username, by, reason, createdAt, expiresAt }
+ *   - 403: Not a moderator
+ *   - 404: Room not found
+ */
+router.get(
+  '/:name/moderation',
+  [roomNameParam],
+  validate,
+  requireScope('rooms:admin'),
+  async (req, res, next) => {
+    try {
+      const { bans, mutes } = await moderationService.getRestrictions(req.params.name, req.user._id);
+
+      res.json({
+        success: true,
+        room: req.params.name,
+        bans,
+        mutes,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+const webhookIdParam = param('id')
+  .isMongoId()
+  .withMessage('Invalid webhook ID');
+
+/**
+ * Validators for a webhook's URL and events
+ * @param {boolean} optional - Whether the fields may be left out (PATCH)
+ * @returns {Array} express-validator chains
+ */
+const webhookValidators = (optional) => {
+  const url = body('url');
+  const events = body('events');
+  return [
+    (optional ? url.optional() : url.exists().withMessage('URL is required'))
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 2048 })
+      .withMessage('URL must be between 1 and 2048 characters'),
+    (optional ? events.optional() : events.exists().withMessage('Events are required'))
+      .isArray({ min: 1 })
+      .withMessage('At least one event is required'),
+    body('events.*')
+      .isIn(webhookService.WEBHOOK_EVENTS)
+      .withMessage(`Events must be among: ${webhookService.WEBHOOK_EVENTS.join(', ')}`),
+  ];
+};
+
+/**
+ * GET /rooms/:name/webhooks
+ * List a room's outgoing webhooks
+ * Protected route - requires JWT authentication (room creator only)
+ * Personal access tokens need the rooms:admin scope
+ *
+ * Response:
+ *   - 200: Webhooks with their URL, events, whether they are active and
+ *          why they were disabled (secrets are never listed)
+ *   - 400: A direct message
+ *   - 403: Not the room creator
+ *   - 404: Room not found
+ */
+router.get(
+  '/:name/webhooks',
+  [roomNameParam],
+  validate,
+  requireScope('rooms:admin'),
+  async (req, res, next) => {
+    try {
+      const webhooks = await webhookService.listWebhooks({ roomName: req.params.name, actor: req.user });
+
+      res.json({
+        success: true,
+        count: webhooks.length,
+        webhooks,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /rooms/:name/webhooks
+ * Register an outgoing webhook
+ * Protected route - requires JWT authentication (room creator only)
+ * Personal access tokens need the rooms:admin scope
+ *
+ * Request Body:
+ *   - url: string (required, http or https)
+ *   - events: string[] (required; message.created, message.updated,
+ *     message.deleted, member.joined)
+ *
+ * Response:
+ *   - 201: { webhook, secret } - the signing secret is only shown here
+ *   - 400: Validation error, an unusable URL, or too many webhooks
+ *   - 403: Not the room creator
+ *   - 404: Room not found
+ */
+router.post(
+  '/:name/webhooks',
+  [roomNameParam, ...webhookValidators(false)],
+  validate,
+  requireScope('rooms:admin'),
+  async (req, res, next) => {
+    try {
+      const { webhook, secret } = await webhookService.createWebhook({
+        roomName: req.params.name,
+        actor: req.user,
+        url: req.body.url,
+        events: req.body.events,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Webhook created',
+        webhook,
+        secret,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * PATCH /rooms/:name/webhooks/:id
+ * Change a webhook's URL or events, or turn it on or off
+ * Protected route - requires JWT authentication (room creator only)
+ * Personal access tokens need the rooms:admin scope
+ *
+ * Turning a webhook that was disabled after failing back on resets its
+ * failure count.
+ *
+ * Request Body (all optional):
+ *   - url: string
+ *   - events: string[]
+ *   - active: boolean
+ *
+ * Response:
+ *   - 200: Updated webhook
+ *   - 400: Validation error or an unusable URL
+ *   - 403: Not the room creator
+ *   - 404: Room or webhook not found
+ */
+router.patch(
+  '/:name/webhooks/:id',
+  [
+    roomNameParam,
+    webhookIdParam,
+    ...webhookValidators(true),
+    body('active')
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage('Active must be true or false'),
+  ],
+  validate,
+  requireScope('rooms:admin'),
+  async (req, res, next) => {
+    try {
+      const webhook = await webhookService.updateWebhook({
+        roomName: req.params.name,
+        actor: req.user,
+        webhookId: req.params.id,
+        url: req.body.url,
+        events: req.body.events,
+        active: req.body.active,
+      });
+
+      res.json({
+        success: true,
+        message: 'Webhook updated',
+        webhook,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * DELETE /rooms/:name/webhooks/:id
+ * Remove a webhook and its delivery log
+ * Protected route - requires JWT authentication (room creator only)
+ * Personal access tokens need the rooms:admin scope
+ *
+ * Response:
+ *   - 200: Webhook deleted
+ *   - 403: Not the room creator
+ *   - 404: Room or webhook not found
+ */
+router.delete(
+  '/:name/webhooks/:id',
+  [roomNameParam, webhookIdParam],
+  validate,
+  requireScope('rooms:admin'),
+  async (req, res, next) => {
+    try {
+      await webhookService.deleteWebhook({
+        roomName: req.params.name,
+        actor: req.user,
+        webhookId: req.params.id,
+      });
+
+      res.json({
+        success: true,
+        message: 'Webhook deleted',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /rooms/:name/webhooks/:id/deliveries
+ * A webhook's recent deliveries, newest first
+ * Protected route - requires JWT authentication (room creator only)
+ * Personal access tokens need the rooms:admin scope
+ *
+ * Query Parameters:
+ *   - limit: number (optional, default 20, max 100)
+ *
+ * Response:
+ *   - 200: Deliveries with their event, status (pending, succeeded,
+ *          failed), attempts, last HTTP status or error and timings
+ *   - 403: Not the room creator
+ *   - 404: Room or webhook not found
+ */
+router.get(
+  '/:name/webhooks/:id/deliveries',
+  [
+    roomNameParam,
+    webhookIdParam,
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+      .toInt(),
+  ],
+  validate,
+  requireScope('rooms:admin'),
+  async (req, res, next) => {
+    try {
+      const deliveries = await webhookService.getDeliveries({
+        roomName: req.params.name,
+        actor: req.user,
+        webhookId: req.params.id,
+        limit: req.query.limit,
+      });
+
+      res.json({
+        success: true,
+        count: deliveries.length,
+        deliveries,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /rooms/:name/webhooks/:id/test
+ * Send a ping event to a webhook
+ * Protected route - requires JWT authentication (room creator only)
+ * Personal access tokens need the rooms:admin scope
+ *
+ * The ping is queued like any other delivery and shows up in the log.
+ *
+ * Response:
+ *   - 202: Test delivery queued
+ *   - 400: The webhook is disabled
+ *   - 403: Not the room creator
+ *   - 404: Room or webhook not found
+ */
+router.post(
+  '/:name/webhooks/:id/test',
+  [roomNameParam, webhookIdParam],
+  validate,
+  requireScope('rooms:admin'),
+  async (req, res, next) => {
+    try {
+      await webhookService.sendTestEvent({
+        roomName: req.params.name,
+        actor: req.user,
+        webhookId: req.params.id,
+      });
+
+      res.status(202).json({
+        success: true,
+        message: 'Test delivery queued',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /rooms/:name/incoming-webhooks
+ * List the tokens external systems use to post into a room
+ * Protected route - requires JWT authentication (room creator only)
+ * Personal access tokens need the rooms:admin scope
+ *
+ * Response:
+ *   - 200: Webhooks with their name, the start of their token and when
+ *          they were last used (tokens themselves are never listed)
+ *   - 403: Not the room creator
+ *   - 404: Room not found
+ */
+router.get(
+  '/:name/incoming-webhooks',
+  [roomNameParam],
+  validate,
+  requireScope('rooms:admin'),
+  async (req, res, next) => {
+    try {
+      const webhooks = await incomingWebhookService.listIncomingWebhooks({
+        roomName: req.params.name,
+        actor: req.user,
+      });
+
+      res.json({
+        success: true,
+        count: webhooks.length,
+        webhooks,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /rooms/:name/incoming-webhooks
+ * Create a token for posting into a room
+ * Protected route - requires JWT authentication (room creator only)
+ * Personal access tokens need the rooms:admin scope
+ *
+ * Request Body:
+ *   - name: string (required, max 50 characters; the integration's name,
+ *     shown on its messages)
+ *
+ * Response:
+ *   - 201: { webhook, token, url } - the token and URL are only shown here
+ *   - 400: Validation error or too many webhooks
+ *   - 403: Not the room creator
+ *   - 404: Room not found
+ */
+router.post(
+  '/:name/incoming-webhooks',
+  [
+    roomNameParam,
+    body('name')
+      .isString()
+      .withMessage('Name is required')
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Name must be between 1 and 50 characters'),
+  ],
+  validate,
+  requireScope('rooms:admin'),
+  async (req, res, next) => {
+    try {
+      const { webhook, token } = await incomingWebhookService.createIncomingWebhook({
+        roomName: req.params.name,
+        actor: req.user,
+        name: req.body.name,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Incoming webhook created',
+        webhook,
+        token,
+        url: `${req.protocol}://${req.get('host')}/hooks/${token}`,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * DELETE /rooms/:name/incoming-webhooks/:id
+ * Revoke an incoming webhook; its token stops working immediately
+ * Protected route - requires JWT authentication (room creator only)
+ * Personal access tokens need the rooms:admin scope
+ *
+ * Response:
+ *   - 200: Webhook revoked
+ *   - 403: Not the room creator
+ *   - 404: Room or webhook not found
+ */
+router.delete(
+  '/:name/incoming-webhooks/:id',
+  [roomNameParam, webhookIdParam],
+  validate,
+  requireScope('rooms:admin'),
+  async (req, res, next) => {
+    try {
+      await incomingWebhookService.revokeIncomingWebhook({
+        roomName: req.params.name,
+        actor: req.user,
+        webhookId: req.params.id,
+      });
+
+      res.json({
+        success: true,
+        message: 'Incoming webhook revoked',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /rooms/:name/bots
+ * List the bots added to a room
+ * Protected route - requires JWT authentication (room creator only)
+ * Personal access tokens need the rooms:admin scope
+ *
+ * Response:
+ *   - 200: Bots with their username and description
+ *   - 403: Not the room creator
+ *   - 404: Room not found
+ */
+router.get(
+  '/:name/bots',
+  [roomNameParam],
+  validate,
+  requireScope('rooms:admin'),
+  async (req, res, next) => {
+    try {
+      const bots = await botService.listRoomBots({ roomName: req.params.name, actor: req.user });
+
+      res.json({
+        success: true,
+        count: bots.length,
+        bots,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * PUT /rooms/:name/bots/:username
+ * DELETE /rooms/:name/bots/:username
+ * Add a bot to a room, or remove it
+ * Protected route - requires JWT authentication (room creator only)
+ * Personal access tokens need the rooms:admin scope
+ *
+ * Bots can only join rooms they were added to. An added bot receives
+ * addedToRoom; a removed bot receives removedFromRoom and leaves the room.
+ *
+ * Response:
+ *   - 200: Bot added or removed
+ *   - 403: Not the room creator
+ *   - 404: Room or bot not found, or the bot is not in the room
+ *   - 409: The bot is already in the room
+ */
+router.put(
+  '/:name/bots/:username',
+  [roomNameParam, usernameParam],
+  validate,
+  requireScope('rooms:admin'),
+  async (req, res, next) => {
+    try {
+      const bot = await botService.addBotToRoom(req.app.get('io'), {
+        roomName: req.params.name,
+        actor: req.user,
+        username: req.params.username,
+      });
+
+      res.json({
+        success: true,
+        message: 'Bot added',
+        bot,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.delete(
+  '/:name/bots/:username',
+  [roomNameParam, usernameParam],
+  validate,
+  requireScope('rooms:admin'),
+  async (req, res, next) => {
+    try {
+      await botService.removeBotFromRoom(req.app.get('io'), {
+        roomName: req.params.name,
+        actor: req.user,
+        username: req.params.username,
+      });
+
+      res.json({
+        success: true,
+        message: 'Bot removed',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
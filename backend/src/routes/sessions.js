@@ -0,0 +1,111 @@
+/**
+ * Sessions Routes
+ * REST API endpoints for the authenticated user's signed-in devices
+ * All routes are protected with authMiddleware
+ *
+ * Revoking a session signs that device out: its tokens stop working and
+ * its sockets are disconnected immediately. Personal access tokens are
+ * refused here.
+ */
+
+const express = require('express');
+const { param } = require('express-validator');
+const authMiddleware = require('../middleware/auth');
+const validate = require('../middleware/validation');
+const sessionService = require('../services/sessionService');
+
+const router = express.Router();
+
+/**
+ * GET /api/sessions
+ * List the user's active sessions
+ * Protected route - requires JWT authentication
+ *
+ * Response:
+ *   - 200: Sessions with their user agent, IP, creation and last-seen times;
+ *          the one the request was made with has `current: true`
+ */
+router.get(
+  '/',
+  authMiddleware,
+  async (req, res, next) => {
+    try {
+      const sessions = await sessionService.listSessions(req.user, req.sessionId);
+
+      res.json({
+        success: true,
+        count: sessions.length,
+        sessions,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * DELETE /api/sessions
+ * Sign out everywhere: revoke all of the user's sessions, this one included
+ * Protected route - requires JWT authentication
+ *
+ * Response:
+ *   - 200: { revoked } - number of sessions revoked
+ */
+router.delete(
+  '/',
+  authMiddleware,
+  async (req, res, next) => {
+    try {
+      const revoked = await sessionService.revokeAllSessions({
+        io: req.app.get('io'),
+        user: req.user,
+      });
+
+      res.json({
+        success: true,
+        message: 'Signed out everywhere',
+        revoked,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * DELETE /api/sessions/:id
+ * Revoke one of the user's sessions
+ * Protected route - requires JWT authentication
+ *
+ * Response:
+ *   - 200: Session revoked; the device is signed out immediately
+ *   - 404: Session not found
+ */
+router.delete(
+  '/:id',
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid session ID'),
+  ],
+  validate,
+  authMiddleware,
+  async (req, res, next) => {
+    try {
+      await sessionService.revokeUserSession({
+        io: req.app.get('io'),
+        user: req.user,
+        sessionId: req.params.id,
+      });
+
+      res.json({
+        success: true,
+        message: 'Session revoked',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
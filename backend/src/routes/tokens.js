@@ -0,0 +1,136 @@
+/**
+ * Tokens Routes
+ * REST API endpoints for the authenticated user's personal access tokens
+ * All routes are protected with authMiddleware
+ *
+ * Managing tokens needs a login (JWT); personal access tokens themselves
+ * are refused here, so a token can't create or revoke tokens.
+ */
+
+const express = require('express');
+const { body, param } = require('express-validator');
+const authMiddleware = require('../middleware/auth');
+const validate = require('../middleware/validation');
+const accessTokenService = require('../services/accessTokenService');
+
+const router = express.Router();
+
+/**
+ * GET /api/tokens
+ * List the user's personal access tokens
+ * Protected route - requires JWT authentication
+ *
+ * Response:
+ *   - 200: Tokens with their name, scopes, expiry, last use and the start of
+ *          the token (tokens themselves are never listed)
+ */
+router.get(
+  '/',
+  authMiddleware,
+  async (req, res, next) => {
+    try {
+      const tokens = await accessTokenService.listTokens(req.user);
+
+      res.json({
+        success: true,
+        count: tokens.length,
+        tokens,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/tokens
+ * Create a personal access token
+ * Protected route - requires JWT authentication
+ *
+ * Request Body:
+ *   - name: string (required, max 50 characters)
+ *   - scopes: string[] (required, among messages:read, messages:write,
+ *     rooms:read and rooms:admin)
+ *   - expiresInDays: number (optional, 1-365; omit for a token that never expires)
+ *
+ * Response:
+ *   - 201: { token, secret } - the secret is only shown here
+ *   - 400: Validation error or too many tokens
+ */
+router.post(
+  '/',
+  [
+    body('name')
+      .isString()
+      .withMessage('Name is required')
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Name must be between 1 and 50 characters'),
+    body('scopes')
+      .isArray({ min: 1 })
+      .withMessage('At least one scope is required'),
+    body('scopes.*')
+      .isIn(accessTokenService.TOKEN_SCOPES)
+      .withMessage(`Scopes must be among: ${accessTokenService.TOKEN_SCOPES.join(', ')}`),
+    body('expiresInDays')
+      .optional({ values: 'null' })
+      .isInt({ min: 1, max: 365 })
+      .withMessage('Expiry must be between 1 and 365 days')
+      .toInt(),
+  ],
+  validate,
+  authMiddleware,
+  async (req, res, next) => {
+    try {
+      const { token, secret } = await accessTokenService.createToken({
+        user: req.user,
+        name: req.body.name,
+        scopes: req.body.scopes,
+        expiresInDays: req.body.expiresInDays,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Token created',
+        token,
+        secret,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * DELETE /api/tokens/:id
+ * Revoke a personal access token
+ * Protected route - requires JWT authentication
+ *
+ * Response:
+ *   - 200: Token revoked; it stops working immediately
+ *   - 404: Token not found
+ */
+router.delete(
+  '/:id',
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid token ID'),
+  ],
+  validate,
+  authMiddleware,
+  async (req, res, next) => {
+    try {
+      await accessTokenService.revokeToken({ user: req.user, tokenId: req.params.id });
+
+      res.json({
+        success: true,
+        message: 'Token revoked',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,72 @@
+/**
+ * Users Routes
+ * REST API endpoints for finding other users
+ * All routes are protected with authMiddleware
+ */
+
+const express = require('express');
+const { query } = require('express-validator');
+const User = require('../models/User');
+const authMiddleware = require('../middleware/auth');
+const validate = require('../middleware/validation');
+
+const router = express.Router();
+
+/**
+ * Escape a string for use inside a regular expression
+ * @param {string} value - Raw user input
+ * @returns {string}
+ */
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * GET /api/users
+ * Search users by username prefix (for the direct message picker)
+ * Query params: search (optional), limit (optional, default: 20, max: 50)
+ * Protected route - requires JWT authentication
+ *
+ * The authenticated user is never included.
+ */
+router.get(
+  '/',
+  [
+    query('search')
+      .optional()
+      .trim()
+      .isLength({ max: 20 })
+      .withMessage('Search cannot exceed 20 characters'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage('Limit must be between 1 and 50'),
+  ],
+  validate,
+  authMiddleware,
+  async (req, res, next) => {
+    try {
+      const search = (req.query.search || '').toString();
+      const limit = Number.parseInt(req.query.limit, 10) || 20;
+
+      const filter = { _id: { $ne: req.user._id } };
+      if (search) {
+        filter.username = { $regex: `^${escapeRegExp(search)}`, $options: 'i' };
+      }
+
+      const users = await User.find(filter)
+        .select('username')
+        .sort({ username: 1 })
+        .limit(limit)
+        .lean();
+
+      res.json({
+        success: true,
+        count: users.length,
+        users: users.map(user => ({ id: user._id, username: user.username })),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
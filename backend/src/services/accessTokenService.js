@@ -0,0 +1,157 @@
+/**
+ * Access Token Service
+ * Personal access tokens for scripts calling the REST API
+ *
+ * A user creates a token with a name, one or more scopes and an optional
+ * expiry, and sends it as `Authorization: Bearer mmpat_...` in place of a
+ * JWT. The token acts as its owner, but only on routes that require one of
+ * its scopes (see requireScope in middleware/auth.js); every other route
+ * refuses it. Tokens are only shown when created; a SHA-256 hash is
+ * stored. Revoking a token deletes it.
+ */
+
+const crypto = require('node:crypto');
+const mongoose = require('mongoose');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const httpError = require('../utils/httpError');
+
+const TOKEN_PREFIX = 'mmpat_';
+
+// Scopes a token can be granted (matches the PersonalAccessToken model)
+const TOKEN_SCOPES = ['messages:read', 'messages:write', 'rooms:read', 'rooms:admin'];
+
+const MAX_TOKENS_PER_USER = 20;
+const MAX_EXPIRY_DAYS = 365;
+
+// Only record use once a minute, not on every request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * Hash a token for storage and lookup
+ * @param {string} token - Personal access token
+ * @returns {string} Hex SHA-256
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Whether a string looks like a personal access token (rather than a JWT)
+ * @param {string} token - Bearer token
+ * @returns {boolean}
+ */
+const isAccessToken = (token) => typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+
+/**
+ * Build the payload sent to clients for a token
+ * @param {Object} token - PersonalAccessToken document or plain object
+ * @returns {Object}
+ */
+const toTokenPayload = (token) => ({
+  _id: token._id,
+  name: token.name,
+  tokenPrefix: token.tokenPrefix,
+  scopes: token.scopes,
+  expiresAt: token.expiresAt || null,
+  lastUsedAt: token.lastUsedAt || null,
+  createdAt: token.createdAt,
+});
+
+/**
+ * List the user's tokens, newest first
+ * @param {Object} user - Acting user
+ * @returns {Promise<Object[]>}
+ */
+const listTokens = async (user) => {
+  const tokens = await PersonalAccessToken.find({
+    userId: user._id,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+  }).sort({ createdAt: -1 }).lean();
+  return tokens.map(toTokenPayload);
+};
+
+/**
+ * Create a token
+ * @param {Object} params
+ * @param {Object} params.user - Acting user
+ * @param {string} params.name - What the token is for
+ * @param {string[]} params.scopes - Granted scopes (from TOKEN_SCOPES)
+ * @param {number} [params.expiresInDays] - Days until the token expires (omit for never)
+ * @returns {Promise<{token: Object, secret: string}>} The secret is only returned here
+ */
+const createToken = async ({ user, name, scopes, expiresInDays }) => {
+  if (user.type === 'bot') {
+    throw httpError(403, 'Bots cannot create access tokens');
+  }
+
+  const unknown = scopes.find(scope => !TOKEN_SCOPES.includes(scope));
+  if (unknown || scopes.length === 0) {
+    throw httpError(400, `Scopes must be among: ${TOKEN_SCOPES.join(', ')}`);
+  }
+
+  if (expiresInDays !== undefined && expiresInDays !== null
+    && !(Number.isInteger(expiresInDays) && expiresInDays >= 1 && expiresInDays <= MAX_EXPIRY_DAYS)) {
+    throw httpError(400, `Expiry must be between 1 and ${MAX_EXPIRY_DAYS} days`);
+  }
+
+  if (await PersonalAccessToken.countDocuments({ userId: user._id }) >= MAX_TOKENS_PER_USER) {
+    throw httpError(400, `You can have at most ${MAX_TOKENS_PER_USER} access tokens`);
+  }
+
+  const secret = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  const token = await PersonalAccessToken.create({
+    userId: user._id,
+    name: name.trim(),
+    tokenHash: hashToken(secret),
+    tokenPrefix: secret.slice(0, TOKEN_PREFIX.length + 6),
+    scopes: TOKEN_SCOPES.filter(scope => scopes.includes(scope)),
+    expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null,
+  });
+
+  return { token: toTokenPayload(token), secret };
+};
+
+/**
+ * Revoke a token; it stops working immediately
+ * @param {Object} params
+ * @param {Object} params.user - Acting user
+ * @param {string} params.tokenId - Token ID
+ * @returns {Promise<void>}
+ */
+const revokeToken = async ({ user, tokenId }) => {
+  const result = mongoose.isValidObjectId(tokenId)
+    && await PersonalAccessToken.deleteOne({ _id: tokenId, userId: user._id });
+
+  if (!result || result.deletedCount === 0) {
+    throw httpError(404, 'Token not found');
+  }
+};
+
+/**
+ * Find the token a request was made with
+ * Expired tokens are treated as unknown (the TTL index removes them later).
+ * @param {string} secret - Personal access token
+ * @returns {Promise<Object|null>} Token (lean), or null for unknown or expired tokens
+ */
+const authenticateToken = async (secret) => {
+  if (!isAccessToken(secret)) return null;
+
+  const token = await PersonalAccessToken.findOne({ tokenHash: hashToken(secret) }).lean();
+  const now = new Date();
+  if (!token || (token.expiresAt && token.expiresAt <= now)) return null;
+
+  if (!token.lastUsedAt || now - token.lastUsedAt >= LAST_USED_RESOLUTION_MS) {
+    PersonalAccessToken.updateOne({ _id: token._id }, { $set: { lastUsedAt: now } })
+      .catch(error => console.error('Error updating access token:', error));
+  }
+
+  return token;
+};
+
+module.exports = {
+  TOKEN_PREFIX,
+  TOKEN_SCOPES,
+  isAccessToken,
+  listTokens,
+  createToken,
+  revokeToken,
+  authenticateToken,
+};
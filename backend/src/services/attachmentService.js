@@ -0,0 +1,366 @@
+/**
+ * Attachment Service
+ * Uploading, claiming and serving files attached to messages
+ *
+ * Files are uploaded to a room first and sent afterwards by passing their
+ * IDs with the message. Images are checked by decoding them (so a renamed
+ * file can't pose as an image) and get a WebP thumbnail. Uploads that are
+ * never sent expire, and each user can only hold a few at a time.
+ *
+ * Environment:
+ * - MAX_ATTACHMENT_BYTES: largest accepted upload (default 10 MB)
+ * - PENDING_UPLOAD_TTL_HOURS: how long an unsent upload is kept (default 24)
+ */
+
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+const Attachment = require('../models/Attachment');
+const { getStorage } = require('../storage');
+const roomService = require('./roomService');
+const moderationService = require('./moderationService');
+const httpError = require('../utils/httpError');
+
+const MAX_ATTACHMENT_BYTES = Number.parseInt(process.env.MAX_ATTACHMENT_BYTES, 10) || 10 * 1024 * 1024;
+const MAX_ATTACHMENTS_PER_MESSAGE = 10;
+const MAX_FILENAME_LENGTH = 200;
+const PENDING_UPLOAD_TTL_HOURS = Number.parseInt(process.env.PENDING_UPLOAD_TTL_HOURS, 10) || 24;
+const MAX_PENDING_UPLOADS = 20;
+
+// Thumbnails fit in a square of this size (pixels)
+const THUMBNAIL_SIZE = 320;
+
+// Images that are decoded and thumbnailed; SVG is left out since it can carry scripts
+const IMAGE_MIME_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+
+const ALLOWED_MIME_TYPES = [
+  ...IMAGE_MIME_TYPES,
+  'application/pdf',
+  'application/zip',
+  'text/plain',
+  'text/csv',
+  'audio/mpeg',
+  'video/mp4',
+];
+
+// sharp's format names for each image MIME type
+const IMAGE_FORMATS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpeg',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+};
+
+/**
+ * Whether a MIME type may be uploaded
+ * @param {string} mimeType - Declared MIME type
+ * @returns {boolean}
+ */
+const isAllowedType = (mimeType) => ALLOWED_MIME_TYPES.includes(mimeType);
+
+/**
+ * Strip directories and control characters from an uploaded filename
+ * @param {string} filename - Filename sent by the client
+ * @returns {string}
+ */
+const sanitizeFilename = (filename) => {
+  const name = String(filename || '')
+    .split(/[\\/]/)
+    .pop()
+    .replace(/[\u0000-\u001f\u007f]/g, '')
+    .trim()
+    .slice(0, MAX_FILENAME_LENGTH);
+
+  return name || 'file';
+};
+
+/**
+ * Build the payload sent to clients for an attachment
+ * @param {Object} attachment - Attachment document, or the summary stored on a message
+ * @returns {Object} Client-facing attachment fields with download URLs
+ */
+const toAttachmentPayload = (attachment) => {
+  const hasThumbnail = Boolean(attachment.thumbnailKey || attachment.hasThumbnail);
+
+  return {
+    _id: attachment._id,
+    filename: attachment.filename,
+    mimeType: attachment.mimeType,
+    size: attachment.size,
+    width: attachment.width || null,
+    height: attachment.height || null,
+    url: `/api/attachments/${attachment._id}`,
+    thumbnailUrl: hasThumbnail ? `/api/attachments/${attachment._id}/thumbnail` : null,
+  };
+};
+
+/**
+ * Summary of an attachment stored on its message
+ * @param {Object} attachment - Attachment document
+ * @returns {Object}
+ */
+const toMessageAttachment = (attachment) => ({
+  _id: attachment._id,
+  filename: attachment.filename,
+  mimeType: attachment.mimeType,
+  size: attachment.size,
+  width: attachment.width,
+  height: attachment.height,
+  hasThumbnail: Boolean(attachment.thumbnailKey),
+});
+
+/**
+ * Creation time before which unsent uploads have expired
+ * @returns {Date}
+ */
+const getPendingUploadCutoff = () => new Date(Date.now() - PENDING_UPLOAD_TTL_HOURS * 60 * 60 * 1000);
+
+/**
+ * Check that an upload is the image it claims to be and make its thumbnail
+ * @param {Buffer} buffer - Uploaded file
+ * @param {string} mimeType - Declared MIME type
+ * @returns {Promise<{width: number, height: number, thumbnail: Buffer}>}
+ */
+const processImage = async (buffer, mimeType) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    throw httpError(400, 'Image could not be read');
+  }
+
+  if (metadata.format !== IMAGE_FORMATS[mimeType]) {
+    throw httpError(400, 'File content does not match its type');
+  }
+
+  // EXIF orientation swaps the displayed width and height
+  const rotated = metadata.orientation >= 5;
+  const thumbnail = await sharp(buffer)
+    .rotate()
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .webp({ quality: 80 })
+    .toBuffer();
+
+  return {
+    width: rotated ? metadata.height : metadata.width,
+    height: rotated ? metadata.width : metadata.height,
+    thumbnail,
+  };
+};
+
+/**
+ * Store an uploaded file for a room
+ * @param {Object} params
+ * @param {string} params.room - Room the file will be sent to
+ * @param {string} params.userId - Uploading user's ID
+ * @param {Object} params.file - Uploaded file ({ buffer, originalname, mimetype, size })
+ * @returns {Promise<Object>} Attachment document
+ */
+const createAttachment = async ({ room, userId, file }) => {
+  await roomService.assertRoomAccess(room, userId);
+  await moderationService.assertCanPost(room, userId);
+
+  if (!file) {
+    throw httpError(400, 'File is required');
+  }
+
+  if (!isAllowedType(file.mimetype)) {
+    throw httpError(415, 'File type not allowed');
+  }
+
+  if (file.size > MAX_ATTACHMENT_BYTES) {
+    throw httpError(413, 'File is too large');
+  }
+
+  await deleteExpiredUploads({ uploadedBy: userId });
+  const pending = await Attachment.countDocuments({ uploadedBy: userId, messageId: null });
+  if (pending >= MAX_PENDING_UPLOADS) {
+    throw httpError(429, `You can have at most ${MAX_PENDING_UPLOADS} unsent uploads`);
+  }
+
+  const image = IMAGE_MIME_TYPES.includes(file.mimetype)
+    ? await processImage(file.buffer, file.mimetype)
+    : null;
+
+  const attachment = new Attachment({
+    room,
+    uploadedBy: userId,
+    filename: sanitizeFilename(file.originalname),
+    mimeType: file.mimetype,
+    size: file.size,
+    width: image ? image.width : null,
+    height: image ? image.height : null,
+  });
+  attachment.storageKey = `${attachment._id}/original`;
+  attachment.thumbnailKey = image ? `${attachment._id}/thumbnail.webp` : null;
+
+  const storage = getStorage();
+  await storage.save(attachment.storageKey, file.buffer, { contentType: file.mimetype });
+  if (image) {
+    await storage.save(attachment.thumbnailKey, image.thumbnail, { contentType: 'image/webp' });
+  }
+
+  await attachment.save();
+  return attachment;
+};
+
+/**
+ * Attach uploaded files to a message that is about to be saved
+ * Only the uploader's unsent, unexpired attachments for the same room can be
+ * claimed; claiming is atomic, so an attachment ends up on at most one message.
+ * @param {Object} params
+ * @param {*} params.attachmentIds - Attachment IDs from the client
+ * @param {string} params.room - Message room
+ * @param {string} params.userId - Sender's user ID
+ * @param {Object} params.messageId - ID of the message being created
+ * @returns {Promise<Array>} Summaries to store on the message, in the given order
+ */
+const claimAttachments = async ({ attachmentIds, room, userId, messageId }) => {
+  if (!Array.isArray(attachmentIds)) {
+    throw httpError(400, 'Attachments must be a list of IDs');
+  }
+
+  const ids = [...new Set(attachmentIds.map(String))];
+  if (ids.length > MAX_ATTACHMENTS_PER_MESSAGE) {
+    throw httpError(400, `A message can have at most ${MAX_ATTACHMENTS_PER_MESSAGE} attachments`);
+  }
+  if (!ids.every(id => mongoose.isValidObjectId(id))) {
+    throw httpError(400, 'Invalid attachment id');
+  }
+
+  const result = await Attachment.updateMany(
+    {
+      _id: { $in: ids },
+      room,
+      uploadedBy: userId,
+      messageId: null,
+      createdAt: { $gt: getPendingUploadCutoff() },
+    },
+    { $set: { messageId } }
+  );
+
+  if (result.modifiedCount !== ids.length) {
+    await Attachment.updateMany({ messageId }, { $set: { messageId: null } });
+    throw httpError(400, 'Attachment not found or already sent');
+  }
+
+  const attachments = await Attachment.find({ messageId }).lean();
+  const byId = new Map(attachments.map(attachment => [attachment._id.toString(), attachment]));
+  return ids.map(id => toMessageAttachment(byId.get(id)));
+};
+
+/**
+ * Release attachments claimed for a message that failed to save
+ * @param {Object} messageId - Message ID
+ * @returns {Promise<void>}
+ */
+const releaseAttachments = async (messageId) => {
+  await Attachment.updateMany({ messageId }, { $set: { messageId: null } });
+};
+
+/**
+ * Delete attachments matching a filter, with their files
+ * @param {Object} filter - Attachment query filter
+ * @returns {Promise<void>}
+ */
+const deleteAttachments = async (filter) => {
+  const attachments = await Attachment.find(filter).lean();
+  if (attachments.length === 0) return;
+
+  const storage = getStorage();
+  await Promise.all(attachments.flatMap(attachment => [
+    storage.remove(attachment.storageKey),
+    ...(attachment.thumbnailKey ? [storage.remove(attachment.thumbnailKey)] : []),
+  ]));
+  await Attachment.deleteMany({ _id: { $in: attachments.map(attachment => attachment._id) } });
+};
+
+/**
+ * Delete the attachments of a deleted message, with their files
+ * @param {Object} messageId - Message ID
+ * @returns {Promise<void>}
+ */
+const deleteMessageAttachments = (messageId) => deleteAttachments({ messageId });
+
+/**
+ * Delete the attachments of several removed messages, with their files
+ * @param {Array} messageIds - Message IDs
+ * @returns {Promise<void>}
+ */
+const deleteAttachmentsForMessages = (messageIds) => deleteAttachments({ messageId: { $in: messageIds } });
+
+/**
+ * Delete every attachment in a deleted room, with their files
+ * Includes uploads that were never sent.
+ * @param {string} roomName - Room name
+ * @returns {Promise<void>}
+ */
+const deleteRoomAttachments = (roomName) => deleteAttachments({ room: roomName });
+
+/**
+ * Delete uploads that were never sent and have expired, with their files
+ * Expired uploads can no longer be claimed, so none is sent while it's removed.
+ * @param {Object} [filter] - Narrows the uploads checked, e.g. to one user's
+ * @returns {Promise<void>}
+ */
+const deleteExpiredUploads = (filter = {}) => deleteAttachments({
+  ...filter,
+  messageId: null,
+  createdAt: { $lt: getPendingUploadCutoff() },
+});
+
+/**
+ * Load an attachment the user may download
+ * Unsent attachments are only visible to their uploader; sent ones to
+ * anyone with access to the room.
+ * @param {string} attachmentId - Attachment ID
+ * @param {string} userId - Requesting user's ID
+ * @returns {Promise<Object>} Attachment (lean)
+ */
+const getAccessibleAttachment = async (attachmentId, userId) => {
+  if (!mongoose.isValidObjectId(attachmentId)) {
+    throw httpError(400, 'Invalid attachment id');
+  }
+
+  const attachment = await Attachment.findById(attachmentId).lean();
+  if (!attachment) {
+    throw httpError(404, 'Attachment not found');
+  }
+
+  if (!attachment.messageId) {
+    if (attachment.uploadedBy.toString() !== userId.toString()) {
+      throw httpError(404, 'Attachment not found');
+    }
+  } else {
+    await moderationService.assertCanRead(attachment.room, userId);
+  }
+
+  return attachment;
+};
+
+/**
+ * Open a stored file for reading
+ * @param {string} key - Storage key
+ * @returns {import('node:stream').Readable}
+ */
+const openFile = (key) => getStorage().createReadStream(key);
+
+module.exports = {
+  MAX_ATTACHMENT_BYTES,
+  MAX_ATTACHMENTS_PER_MESSAGE,
+  PENDING_UPLOAD_TTL_HOURS,
+  MAX_PENDING_UPLOADS,
+  IMAGE_MIME_TYPES,
+  ALLOWED_MIME_TYPES,
+  isAllowedType,
+  sanitizeFilename,
+  toAttachmentPayload,
+  createAttachment,
+  claimAttachments,
+  releaseAttachments,
+  deleteMessageAttachments,
+  deleteAttachmentsForMessages,
+  deleteRoomAttachments,
+  deleteExpiredUploads,
+  getAccessibleAttachment,
+  openFile,
+};
@@ -0,0 +1,261 @@
+/**
+ * Bot Service
+ * Bot accounts: users that connect with an API key instead of a password
+ *
+ * Any user can create bots, which they then own. A bot connects over
+ * Socket.io with { auth: { apiKey } } and uses the same events as users,
+ * but may only join rooms whose owner added it. Bots are told when they
+ * are added to a room (addedToRoom) or removed from one (removedFromRoom),
+ * and their messages are flagged (message.bot).
+ *
+ * API keys are only shown when created or regenerated; a SHA-256 hash is
+ * stored. Regenerating a key or deleting a bot disconnects its sockets.
+ */
+
+const crypto = require('node:crypto');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Room = require('../models/Room');
+const roomService = require('./roomService');
+const roomManagementService = require('./roomManagementService');
+const httpError = require('../utils/httpError');
+
+const API_KEY_PREFIX = 'mmbot_';
+
+const MAX_BOTS_PER_OWNER = 10;
+
+/**
+ * Hash an API key for storage and lookup
+ * @param {string} apiKey - API key
+ * @returns {string} Hex SHA-256
+ */
+const hashApiKey = (apiKey) => crypto.createHash('sha256').update(apiKey).digest('hex');
+
+/**
+ * Generate an API key
+ * @returns {{apiKey: string, apiKeyHash: string, apiKeyPrefix: string}}
+ */
+const generateApiKey = () => {
+  const apiKey = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  return {
+    apiKey,
+    apiKeyHash: hashApiKey(apiKey),
+    apiKeyPrefix: apiKey.slice(0, API_KEY_PREFIX.length + 6),
+  };
+};
+
+/**
+ * Build the payload sent to clients for a bot
+ * @param {Object} bot - Bot user document or plain object
+ * @returns {Object}
+ */
+const toBotPayload = (bot) => ({
+  _id: bot._id,
+  username: bot.username,
+  description: bot.description || '',
+  apiKeyPrefix: bot.apiKeyPrefix,
+  createdAt: bot.createdAt,
+});
+
+/**
+ * Find the bot an API key belongs to
+ * @param {string} apiKey - API key
+ * @returns {Promise<Object|null>} Bot user, or null for unknown keys
+ */
+const authenticateApiKey = async (apiKey) => {
+  if (typeof apiKey !== 'string' || !apiKey.startsWith(API_KEY_PREFIX)) return null;
+  return User.findOne({ type: 'bot', apiKeyHash: hashApiKey(apiKey) }).select('-password');
+};
+
+/**
+ * Disconnect all of a bot's sockets
+ * @param {Object} [io] - Socket.io server
+ * @param {string} botId - Bot user ID
+ */
+const disconnectBot = (io, botId) => {
+  io?.in(`user:${botId}`).disconnectSockets(true);
+};
+
+/**
+ * Load one of the user's bots
+ * @param {Object} owner - Acting user
+ * @param {string} botId - Bot user ID
+ * @returns {Promise<Object>} Bot user document
+ */
+const findOwnedBot = async (owner, botId) => {
+  const bot = mongoose.isValidObjectId(botId)
+    && await User.findOne({ _id: botId, type: 'bot', owner: owner._id });
+
+  if (!bot) {
+    throw httpError(404, 'Bot not found');
+  }
+  return bot;
+};
+
+/**
+ * List the user's bots
+ * @param {Object} owner - Acting user
+ * @returns {Promise<Object[]>}
+ */
+const listBots = async (owner) => {
+  const bots = await User.find({ type: 'bot', owner: owner._id }).sort({ createdAt: 1 }).lean();
+  return bots.map(toBotPayload);
+};
+
+/**
+ * Create a bot owned by the user
+ * @param {Object} params
+ * @param {Object} params.owner - Acting user
+ * @param {string} params.username - Bot username (same rules as users)
+ * @param {string} [params.description] - What the bot does
+ * @returns {Promise<{bot: Object, apiKey: string}>} The API key is only returned here
+ */
+const createBot = async ({ owner, username, description = '' }) => {
+  if (owner.type === 'bot') {
+    throw httpError(403, 'Bots cannot create bots');
+  }
+
+  if (await User.countDocuments({ type: 'bot', owner: owner._id }) >= MAX_BOTS_PER_OWNER) {
+    throw httpError(400, `You can have at most ${MAX_BOTS_PER_OWNER} bots`);
+  }
+
+  if (await User.exists({ username })) {
+    throw httpError(409, 'Username already exists');
+  }
+
+  const { apiKey, apiKeyHash, apiKeyPrefix } = generateApiKey();
+  const bot = await User.create({
+    username,
+    type: 'bot',
+    owner: owner._id,
+    description,
+    apiKeyHash,
+    apiKeyPrefix,
+  });
+
+  return { bot: toBotPayload(bot), apiKey };
+};
+
+/**
+ * Replace a bot's API key; the old key stops working and connected
+ * sockets are disconnected
+ * @param {Object} [io] - Socket.io server
+ * @param {Object} params
+ * @param {Object} params.owner - Acting user
+ * @param {string} params.botId - Bot user ID
+ * @returns {Promise<{bot: Object, apiKey: string}>}
+ */
+const regenerateApiKey = async (io, { owner, botId }) => {
+  const bot = await findOwnedBot(owner, botId);
+  const { apiKey, apiKeyHash, apiKeyPrefix } = generateApiKey();
+
+  bot.apiKeyHash = apiKeyHash;
+  bot.apiKeyPrefix = apiKeyPrefix;
+  await bot.save();
+  disconnectBot(io, bot._id);
+
+  return { bot: toBotPayload(bot), apiKey };
+};
+
+/**
+ * Delete a bot, taking it out of every room
+ * Its messages stay, under its username.
+ * @param {Object} [io] - Socket.io server
+ * @param {Object} params
+ * @param {Object} params.owner - Acting user
+ * @param {string} params.botId - Bot user ID
+ * @returns {Promise<void>}
+ */
+const deleteBot = async (io, { owner, botId }) => {
+  const bot = await findOwnedBot(owner, botId);
+
+  disconnectBot(io, bot._id);
+  await Room.updateMany({ bots: bot._id }, { $pull: { bots: bot._id } });
+  await User.deleteOne({ _id: bot._id });
+};
+
+/**
+ * List the bots in a room
+ * @param {Object} params
+ * @param {string} params.roomName - Room name
+ * @param {Object} params.actor - Acting user (must be the room's owner)
+ * @returns {Promise<Object[]>}
+ */
+const listRoomBots = async ({ roomName, actor }) => {
+  const room = await roomManagementService.findOwnedRoom(roomName, actor);
+  const bots = await User.find({ _id: { $in: room.bots || [] }, type: 'bot' }).sort({ username: 1 }).lean();
+  return bots.map(toBotPayload);
+};
+
+/**
+ * Find a bot by username for adding to or removing from a room
+ * @param {string} username - Bot username
+ * @returns {Promise<Object>} Bot user (lean)
+ */
+const findBotByUsername = async (username) => {
+  const bot = await User.findOne({ username: String(username), type: 'bot' }).lean();
+  if (!bot) {
+    throw httpError(404, 'Bot not found');
+  }
+  return bot;
+};
+
+/**
+ * Add a bot to a room; the bot is told through addedToRoom
+ * @param {Object} [io] - Socket.io server
+ * @param {Object} params
+ * @param {string} params.roomName - Room name
+ * @param {Object} params.actor - Acting user (must be the room's owner)
+ * @param {string} params.username - Bot username
+ * @returns {Promise<Object>} The bot
+ */
+const addBotToRoom = async (io, { roomName, actor, username }) => {
+  const room = await roomManagementService.findOwnedRoom(roomName, actor);
+  const bot = await findBotByUsername(username);
+
+  if (roomService.canAccessRoom(room, bot._id, { bot: true })) {
+    throw httpError(409, 'Bot is already in this room');
+  }
+
+  await Room.updateOne({ _id: room._id }, { $addToSet: { bots: bot._id } });
+  io?.to(`user:${bot._id}`).emit('addedToRoom', { room: room.name, addedBy: actor.username });
+
+  return toBotPayload(bot);
+};
+
+/**
+ * Remove a bot from a room; its sockets receive removedFromRoom and leave
+ * @param {Object} [io] - Socket.io server
+ * @param {Object} params
+ * @param {string} params.roomName - Room name
+ * @param {Object} params.actor - Acting user (must be the room's owner)
+ * @param {string} params.username - Bot username
+ * @returns {Promise<void>}
+ */
+const removeBotFromRoom = async (io, { roomName, actor, username }) => {
+  const room = await roomManagementService.findOwnedRoom(roomName, actor);
+  const bot = await findBotByUsername(username);
+
+  if (!roomService.canAccessRoom(room, bot._id, { bot: true })) {
+    throw httpError(404, 'Bot is not in this room');
+  }
+
+  await Room.updateOne({ _id: room._id }, { $pull: { bots: bot._id } });
+  if (io) {
+    await roomService.evictUserFromRoom(io, bot._id, room.name, 'removedFromRoom', {
+      removedBy: actor.username,
+    });
+  }
+};
+
+module.exports = {
+  API_KEY_PREFIX,
+  authenticateApiKey,
+  listBots,
+  createBot,
+  regenerateApiKey,
+  deleteBot,
+  listRoomBots,
+  addBotToRoom,
+  removeBotFromRoom,
+};
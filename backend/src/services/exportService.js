@@ -0,0 +1,315 @@
+/**
+ * Export Service
+ * Streams a room's history as JSON, CSV, HTML or plain text
+ *
+ * Top-level messages are read through a database cursor in chronological
+ * order, and each thread's replies are loaded with their top-level message,
+ * so memory use is bounded by the largest thread rather than the room.
+ * from/to select threads by the time of their top-level message; a
+ * selected thread is exported whole.
+ *
+ * Every format is produced by an async generator of text chunks, which the
+ * route pipes to the response with backpressure.
+ */
+
+const Message = require('../models/Message');
+const messageService = require('./messageService');
+
+const EXPORT_FORMATS = {
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  html: { contentType: 'text/html; charset=utf-8', extension: 'html' },
+  txt: { contentType: 'text/plain; charset=utf-8', extension: 'txt' },
+};
+
+const CSV_COLUMNS = [
+  'id', 'parent_id', 'timestamp', 'username', 'text', 'action',
+  'attachments', 'reactions', 'edited_at', 'deleted',
+];
+
+/**
+ * Client-facing message with absolute attachment links
+ * @param {Object} message - Message (lean)
+ * @param {string} baseUrl - Server origin, e.g. "https://chat.example.com"
+ * @returns {Object}
+ */
+const toExportMessage = (message, baseUrl) => {
+  const payload = messageService.toMessagePayload(message);
+  return {
+    ...payload,
+    attachments: payload.attachments.map(({ thumbnailUrl, ...attachment }) => ({
+      ...attachment,
+      url: `${baseUrl}${attachment.url}`,
+    })),
+  };
+};
+
+/**
+ * Iterate a room's threads in chronological order
+ * @param {string} roomName - Room name
+ * @param {Object} options
+ * @param {Date} [options.from] - Earliest top-level message time
+ * @param {Date} [options.to] - Latest top-level message time
+ * @param {string} options.baseUrl - Server origin for attachment links
+ * @yields {{message: Object, replies: Object[]}}
+ */
+const iterateThreads = async function* (roomName, { from, to, baseUrl }) {
+  const filter = { room: roomName, parentId: null };
+  if (from || to) {
+    filter.ts = { ...(from && { $gte: from }), ...(to && { $lte: to }) };
+  }
+
+  const cursor = Message.find(filter).sort({ ts: 1, _id: 1 }).lean().cursor();
+
+  for await (const message of cursor) {
+    const replies = message.replyCount > 0 || message.lastReplyAt
+      ? await Message.find({ parentId: message._id }).sort({ ts: 1, _id: 1 }).lean()
+      : [];
+
+    yield {
+      message: toExportMessage(message, baseUrl),
+      replies: replies.map(reply => toExportMessage(reply, baseUrl)),
+    };
+  }
+};
+
+/**
+ * Format a date for people to read
+ * @param {Date|string} date
+ * @returns {string} e.g. "2024-01-01 12:00:00 UTC"
+ */
+const formatTime = (date) => `${new Date(date).toISOString().slice(0, 19).replace('T', ' ')} UTC`;
+
+/**
+ * Format a file size
+ * @param {number} bytes
+ * @returns {string} e.g. "12.3 KB"
+ */
+const formatSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+/**
+ * Describe a message's reactions
+ * @param {Object} reactions - emoji -> usernames
+ * @returns {string} e.g. "👍 alice, bob; 🎉 carol"
+ */
+const formatReactions = (reactions) => Object.entries(reactions || {})
+  .map(([emoji, usernames]) => `${emoji} ${usernames.join(', ')}`)
+  .join('; ');
+
+/**
+ * Quote a CSV cell
+ * Cells that spreadsheets would run as formulas are prefixed with an
+ * apostrophe.
+ * @param {*} value - Cell value
+ * @returns {string}
+ */
+const csvCell = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Escape text for HTML
+ * @param {*} value
+ * @returns {string}
+ */
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Describe the exported time range
+ * @param {Object} options - { from, to }
+ * @returns {string}
+ */
+const describeRange = ({ from, to }) => {
+  if (from && to) return `${formatTime(from)} to ${formatTime(to)}`;
+  if (from) return `since ${formatTime(from)}`;
+  if (to) return `until ${formatTime(to)}`;
+  return 'full history';
+};
+
+/**
+ * JSON: { room, exportedAt, from, to, messages: [{ ...message, replies }] }
+ */
+const exportJson = async function* (room, threads, options) {
+  yield `{"room":${JSON.stringify(room)},"exportedAt":${JSON.stringify(new Date())},`
+    + `"from":${JSON.stringify(options.from || null)},"to":${JSON.stringify(options.to || null)},"messages":[`;
+
+  let first = true;
+  for await (const { message, replies } of threads) {
+    yield `${first ? '' : ','}\n${JSON.stringify({ ...message, replies })}`;
+    first = false;
+  }
+
+  yield '\n]}\n';
+};
+
+/**
+ * CSV: one row per message; replies follow their thread and carry parent_id
+ */
+const exportCsv = async function* (room, threads) {
+  /**
+   * @param {Object} message - Export message
+   * @returns {string} CSV row
+   */
+  const row = (message) => [
+    message._id,
+    message.parentId,
+    new Date(message.ts).toISOString(),
+    message.username,
+    message.deleted ? '' : message.text,
+    message.action,
+    message.attachments.map(attachment => `${attachment.filename} <${attachment.url}>`).join('; '),
+    formatReactions(message.reactions),
+    message.editedAt ? new Date(message.editedAt).toISOString() : '',
+    message.deleted,
+  ].map(csvCell).join(',');
+
+  yield `${CSV_COLUMNS.join(',')}\r\n`;
+
+  for await (const { message, replies } of threads) {
+    yield [message, ...replies].map(row).join('\r\n') + '\r\n';
+  }
+};
+
+const HTML_STYLE = `
+  body { margin: 0 auto; max-width: 820px; padding: 24px; font: 15px/1.5 system-ui, sans-serif; color: #222; }
+  header { border-bottom: 1px solid #ddd; margin-bottom: 16px; }
+  header p { margin: 4px 0; color: #666; }
+  .message { padding: 8px 0; border-bottom: 1px solid #f0f0f0; }
+  .meta { color: #666; font-size: 13px; }
+  .author { font-weight: 600; color: #222; }
+  .text { margin: 2px 0; white-space: pre-wrap; overflow-wrap: anywhere; }
+  .deleted { color: #999; font-style: italic; }
+  .attachments, .reactions { margin: 2px 0; font-size: 13px; }
+  .replies { margin: 6px 0 0 12px; padding-left: 12px; border-left: 3px solid #e4e4e4; }
+  .replies .message { border-bottom: none; padding: 4px 0; }
+`;
+
+/**
+ * Render one message as HTML
+ * @param {Object} message - Export message
+ * @param {Object[]} [replies] - Thread replies, rendered inside the message
+ * @returns {string}
+ */
+const htmlMessage = (message, replies = []) => {
+  const text = message.deleted
+    ? '<p class="text deleted">This message was deleted</p>'
+    : message.text && `<p class="text">${message.action ? `<em>${escapeHtml(message.username)} ${escapeHtml(message.text)}</em>` : escapeHtml(message.text)}</p>`;
+  const attachments = message.attachments.length > 0 && `<ul class="attachments">${message.attachments
+    .map(attachment => `<li><a href="${escapeHtml(attachment.url)}">${escapeHtml(attachment.filename)}</a> (${formatSize(attachment.size)})</li>`)
+    .join('')}</ul>`;
+  const reactions = formatReactions(message.reactions);
+
+  return [
+    `<article class="message" id="m-${message._id}">`,
+    `<div class="meta"><span class="author">${escapeHtml(message.username)}</span> `,
+    `<time datetime="${new Date(message.ts).toISOString()}">${formatTime(message.ts)}</time>`,
+    message.editedAt ? ' (edited)' : '',
+    '</div>',
+    text || '',
+    attachments || '',
+    reactions ? `<p class="reactions">${escapeHtml(reactions)}</p>` : '',
+    replies.length > 0 ? `<div class="replies">${replies.map(reply => htmlMessage(reply)).join('')}</div>` : '',
+    '</article>',
+  ].join('');
+};
+
+/**
+ * HTML: a standalone transcript with threads indented under their message
+ */
+const exportHtml = async function* (room, threads, options) {
+  const title = `#${room.name}`;
+  yield [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '<meta charset="utf-8">',
+    '<meta name="viewport" content="width=device-width, initial-scale=1">',
+    `<title>${escapeHtml(title)} transcript</title>`,
+    `<style>${HTML_STYLE}</style>`,
+    '</head>',
+    '<body>',
+    '<header>',
+    `<h1>${escapeHtml(title)}</h1>`,
+    room.topic ? `<p>${escapeHtml(room.topic)}</p>` : '',
+    `<p>${escapeHtml(describeRange(options))} · exported ${formatTime(new Date())}</p>`,
+    '</header>',
+    '<main>',
+    '',
+  ].join('\n');
+
+  for await (const { message, replies } of threads) {
+    yield `${htmlMessage(message, replies)}\n`;
+  }
+
+  yield '</main>\n</body>\n</html>\n';
+};
+
+/**
+ * Render one message as plain text
+ * @param {Object} message - Export message
+ * @param {string} indent - Prefix for every line
+ * @returns {string}
+ */
+const textMessage = (message, indent) => {
+  const body = message.deleted ? '[deleted]' : (message.text || '');
+  const [firstLine, ...rest] = body.split('\n');
+  const author = message.action ? `* ${message.username} ${firstLine}` : `${message.username}: ${firstLine}`;
+
+  return [
+    `${indent}[${formatTime(message.ts)}] ${author}${message.editedAt ? ' (edited)' : ''}`,
+    ...rest.map(line => `${indent}    ${line}`),
+    ...message.attachments.map(attachment => (
+      `${indent}    [file] ${attachment.filename} (${formatSize(attachment.size)}) ${attachment.url}`
+    )),
+  ].join('\n');
+};
+
+/**
+ * Plain text: one message per line, replies indented under their thread
+ */
+const exportText = async function* (room, threads, options) {
+  yield `#${room.name} (${describeRange(options)}, exported ${formatTime(new Date())})\n\n`;
+
+  for await (const { message, replies } of threads) {
+    yield [textMessage(message, ''), ...replies.map(reply => textMessage(reply, '    ↳ '))].join('\n') + '\n';
+  }
+};
+
+const EXPORTERS = {
+  json: exportJson,
+  csv: exportCsv,
+  html: exportHtml,
+  txt: exportText,
+};
+
+/**
+ * Stream a room's history in a format
+ * @param {Object} room - Client-facing room info (toRoomPayload)
+ * @param {Object} options
+ * @param {string} options.format - json, csv, html or txt
+ * @param {Date} [options.from] - Earliest top-level message time
+ * @param {Date} [options.to] - Latest top-level message time
+ * @param {string} options.baseUrl - Server origin for attachment links
+ * @returns {AsyncGenerator<string>} Text chunks
+ */
+const exportRoom = (room, { format, ...options }) => (
+  EXPORTERS[format](room, iterateThreads(room.name, options), options)
+);
+
+module.exports = {
+  EXPORT_FORMATS,
+  csvCell,
+  escapeHtml,
+  exportRoom,
+};
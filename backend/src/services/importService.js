@@ -0,0 +1,401 @@
+/**
+ * Import Service
+ * Brings chat history from other services into rooms, users and messages
+ *
+ * Exports are read by an importer (see importers/index.js). Source channels
+ * map to rooms with the same name, created when missing. Source users map
+ * to the local user with the same username (or the one given in the user
+ * map), and are created with a random password when there is none; only
+ * users who wrote, reacted or belong to an imported private room are
+ * created.
+ *
+ * Messages keep their original timestamps and threads, and are stored with
+ * an importId naming their source, room and ID. Messages already imported
+ * are skipped, so running an import again only adds what is new. A dry run
+ * reads everything and reports what would be created without writing.
+ *
+ * Imported messages don't notify anyone.
+ */
+
+const crypto = require('node:crypto');
+const Room = require('../models/Room');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const roomService = require('./roomService');
+const mentionService = require('./mentionService');
+
+// Limits match the User, Room and Message models
+const MIN_USERNAME_LENGTH = 3;
+const MAX_USERNAME_LENGTH = 20;
+const MAX_ROOM_NAME_LENGTH = 50;
+const MAX_TOPIC_LENGTH = 250;
+const MAX_DESCRIPTION_LENGTH = 500;
+const MAX_TEXT_LENGTH = 1000;
+
+// Messages looked up or inserted per query
+const BATCH_SIZE = 500;
+
+/**
+ * Turn a source name into a valid username
+ * @param {string} name - Name in the source
+ * @returns {string} e.g. "jane.doe" -> "jane_doe"
+ */
+const toUsername = (name) => {
+  const username = String(name || '')
+    .normalize('NFKD')
+    .replace(/\W+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .slice(0, MAX_USERNAME_LENGTH);
+
+  return (username || 'user').padEnd(MIN_USERNAME_LENGTH, '_');
+};
+
+/**
+ * Turn a source channel name into a valid room name
+ * Names in the direct message namespace get an "imported-" prefix.
+ * @param {Object} room - Room from the importer
+ * @returns {string}
+ */
+const toRoomName = (room) => {
+  let name = String(room.name || '')
+    .normalize('NFKD')
+    .replace(/[^a-zA-Z0-9_-]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+  if (!name) name = `channel-${room.id}`;
+  if (roomService.isDirectRoomName(name)) name = `imported-${name}`;
+  return name.slice(0, MAX_ROOM_NAME_LENGTH);
+};
+
+/**
+ * Shorten text to a length limit
+ * @param {string} text
+ * @param {number} max - Maximum length
+ * @returns {string}
+ */
+const truncate = (text, max) => (text.length > max ? `${text.slice(0, max - 1)}…` : text);
+
+/**
+ * Split a list into batches
+ * @param {Array} items
+ * @param {number} size - Batch size
+ * @returns {Array[]}
+ */
+const chunk = (items, size) => {
+  const batches = [];
+  for (let i = 0; i < items.length; i += size) {
+    batches.push(items.slice(i, i + size));
+  }
+  return batches;
+};
+
+/**
+ * Map source users to local users
+ * Usernames are assigned in the order users are first seen, so the same
+ * export always maps the same way; two source users whose names clash get
+ * a numeric suffix.
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Look users up without creating any
+ * @param {Object} options.userMap - Source user ID or name -> local username
+ * @param {Object} options.report - Import report to count users in
+ * @returns {{nameFor: Function, ensure: Function}}
+ *   nameFor(user) gives the local username; ensure(user) resolves to the
+ *   local user ({ _id, username }; _id is null for users a dry run would create)
+ */
+const createUserResolver = ({ dryRun, userMap, report }) => {
+  const names = new Map();
+  const taken = new Set();
+  const resolved = new Map();
+
+  const nameFor = (user) => {
+    if (names.has(user.id)) return names.get(user.id);
+
+    const mapped = userMap[user.id] || userMap[user.name];
+    let username = mapped || toUsername(user.name);
+
+    if (!mapped) {
+      const base = username;
+      for (let n = 2; taken.has(username.toLowerCase()); n += 1) {
+        username = `${base.slice(0, MAX_USERNAME_LENGTH - String(n).length)}${n}`;
+      }
+    }
+
+    taken.add(username.toLowerCase());
+    names.set(user.id, username);
+    return username;
+  };
+
+  const ensure = async (user) => {
+    if (resolved.has(user.id)) return resolved.get(user.id);
+
+    const username = nameFor(user);
+    let local = await User.findOne({ username }).select('username').lean();
+
+    if (local) {
+      report.users.matched += 1;
+    } else {
+      report.users.created += 1;
+      local = dryRun
+        ? { _id: null, username }
+        : await User.create({ username, password: crypto.randomBytes(24).toString('base64url') });
+    }
+
+    const result = { _id: local._id, username: local.username };
+    resolved.set(user.id, result);
+    return result;
+  };
+
+  return { nameFor, ensure };
+};
+
+/**
+ * Find or create the room for a source channel
+ * @param {Object} room - Room from the importer
+ * @param {Object} context - { dryRun, users, sourceUsers, roomNames, report }
+ * @returns {Promise<string>} Local room name
+ */
+const importRoom = async (room, { dryRun, users, sourceUsers, roomNames, report }) => {
+  const name = toRoomName(room);
+
+  // Channels with the same name share a room
+  if (roomNames.has(name) || await Room.exists({ name })) {
+    report.rooms.existing += 1;
+    roomNames.add(name);
+    return name;
+  }
+
+  report.rooms.created += 1;
+  roomNames.add(name);
+
+  const resolveSourceUser = (id) => (id && sourceUsers.has(id) ? users.ensure(sourceUsers.get(id)) : null);
+  const creator = await resolveSourceUser(room.creatorId);
+  const members = [];
+  if (room.visibility === 'private') {
+    for (const id of room.memberIds) {
+      const member = await resolveSourceUser(id);
+      if (member) members.push(member);
+    }
+  }
+
+  if (!dryRun) {
+    await Room.create({
+      name,
+      visibility: room.visibility,
+      topic: truncate(room.topic || '', MAX_TOPIC_LENGTH),
+      description: truncate(room.description || '', MAX_DESCRIPTION_LENGTH),
+      createdBy: creator?._id || null,
+      ...(room.visibility === 'private' && { members: members.map(member => member._id) }),
+      ...(room.createdAt && { createdAt: room.createdAt }),
+    });
+  }
+
+  return name;
+};
+
+/**
+ * Find which of a set of import IDs are already stored
+ * @param {string[]} importIds
+ * @returns {Promise<Map<string, Object>>} importId -> message _id
+ */
+const findImported = async (importIds) => {
+  const found = new Map();
+
+  for (const batch of chunk(importIds, BATCH_SIZE)) {
+    const messages = await Message.find({ importId: { $in: batch } }).select('importId').lean();
+    messages.forEach(message => found.set(message.importId, message._id));
+  }
+
+  return found;
+};
+
+/**
+ * Insert messages, ignoring any a concurrent import stored first
+ * @param {Object[]} docs - Message documents
+ * @returns {Promise<number>} Messages inserted
+ */
+const insertMessages = async (docs) => {
+  let inserted = 0;
+
+  for (const batch of chunk(docs, BATCH_SIZE)) {
+    try {
+      await Message.insertMany(batch, { ordered: false });
+      inserted += batch.length;
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      inserted += batch.length - (error.writeErrors?.length || 0);
+    }
+  }
+
+  return inserted;
+};
+
+/**
+ * Recount replies and last reply times of threads
+ * @param {Array} parentIds - Top-level message IDs
+ * @returns {Promise<void>}
+ */
+const refreshThreadCounts = async (parentIds) => {
+  for (const batch of chunk(parentIds, BATCH_SIZE)) {
+    const counts = await Message.aggregate([
+      { $match: { parentId: { $in: batch } } },
+      { $group: { _id: '$parentId', replyCount: { $sum: 1 }, lastReplyAt: { $max: '$ts' } } },
+    ]);
+
+    if (counts.length > 0) {
+      await Message.bulkWrite(counts.map(({ _id, replyCount, lastReplyAt }) => ({
+        updateOne: { filter: { _id }, update: { $set: { replyCount, lastReplyAt } } },
+      })));
+    }
+  }
+};
+
+/**
+ * Import one room's messages
+ * @param {Object} room - Room from the importer
+ * @param {string} roomName - Local room name
+ * @param {Object} context - { source, dryRun, users, sourceUsers, report }
+ * @returns {Promise<void>}
+ */
+const importMessages = async (room, roomName, { source, dryRun, users, sourceUsers, report }) => {
+  const { messages, skipped } = await room.loadMessages(users.nameFor);
+  report.messages.skipped += skipped;
+
+  const importIdOf = (id) => `${source}:${room.id}:${id}`;
+  const imported = await findImported(messages.map(message => importIdOf(message.id)));
+  const sourceIds = new Set(messages.map(message => message.id));
+  const pending = [];
+
+  for (const message of messages) {
+    const importId = importIdOf(message.id);
+    if (imported.has(importId)) {
+      report.messages.existing += 1;
+      continue;
+    }
+
+    let text = message.text.trim();
+    if (!text) {
+      report.messages.skipped += 1;
+      continue;
+    }
+    if (text.length > MAX_TEXT_LENGTH) {
+      text = truncate(text, MAX_TEXT_LENGTH);
+      report.messages.truncated += 1;
+    }
+
+    const author = await users.ensure(message.author);
+    const reactions = {};
+    for (const [emoji, userIds] of Object.entries(message.reactions)) {
+      const reactors = [];
+      for (const id of userIds) {
+        const sourceUser = sourceUsers.get(id);
+        if (sourceUser) reactors.push((await users.ensure(sourceUser)).username);
+      }
+      // Map keys can't contain "." or start with "$"
+      if (reactors.length > 0) reactions[emoji.replace(/\./g, '_').replace(/^\$/, '_')] = reactors;
+    }
+
+    pending.push({
+      importId,
+      // Replies to messages outside the export become top-level messages
+      parentImportId: message.parentId && sourceIds.has(message.parentId) ? importIdOf(message.parentId) : null,
+      doc: {
+        room: roomName,
+        username: author.username,
+        text,
+        ts: message.ts,
+        editedAt: message.editedAt,
+        action: message.action,
+        reactions,
+        importId,
+      },
+    });
+  }
+
+  report.messages.created += pending.length;
+  if (dryRun || pending.length === 0) return;
+
+  // Mentions of users who exist, looked up once for the room
+  const mentionedNames = new Set();
+  const mentionsOf = new Map();
+  pending.forEach(({ importId, doc }) => {
+    const parsed = mentionService.parseMentions(doc.text);
+    parsed.usernames.forEach(name => mentionedNames.add(name));
+    mentionsOf.set(importId, parsed);
+  });
+  const mentionable = new Map();
+  for (const batch of chunk([...mentionedNames], BATCH_SIZE)) {
+    const found = await User.find({ username: { $in: batch } }).select('username').lean();
+    found.forEach(user => mentionable.set(user.username, user));
+  }
+  pending.forEach(({ importId, doc }) => {
+    const { usernames, mentionsRoom } = mentionsOf.get(importId);
+    doc.mentions = usernames
+      .filter(name => mentionable.has(name))
+      .map(name => ({ userId: mentionable.get(name)._id, username: name }));
+    doc.mentionsRoom = mentionsRoom;
+  });
+
+  // Top-level messages first, so replies can point at them
+  await insertMessages(pending.filter(entry => !entry.parentImportId).map(entry => entry.doc));
+
+  const replies = pending.filter(entry => entry.parentImportId);
+  if (replies.length === 0) return;
+
+  const parents = await findImported([...new Set(replies.map(entry => entry.parentImportId))]);
+  await insertMessages(replies.map(entry => ({ ...entry.doc, parentId: parents.get(entry.parentImportId) || null })));
+  await refreshThreadCounts([...parents.values()]);
+};
+
+/**
+ * Import a chat export
+ * @param {Object} importer - Importer module (see importers/index.js)
+ * @param {string} exportPath - Path to the export
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Report what would be created without writing
+ * @param {Object} [options.userMap] - Source user ID or name -> local username
+ * @param {Function} [options.onRoom] - Called with each room's name as its import starts
+ * @returns {Promise<Object>} Report:
+ *   { dryRun, users: { matched, created }, rooms: { existing, created },
+ *     messages: { created, existing, skipped, truncated } }
+ */
+const importExport = async (importer, exportPath, { dryRun = false, userMap = {}, onRoom = () => {} } = {}) => {
+  const report = {
+    dryRun,
+    users: { matched: 0, created: 0 },
+    rooms: { existing: 0, created: 0 },
+    messages: { created: 0, existing: 0, skipped: 0, truncated: 0 },
+  };
+
+  // The unique importId index must exist before anything is inserted
+  if (!dryRun) await Message.init();
+
+  const exported = await importer.open(exportPath);
+
+  try {
+    const users = createUserResolver({ dryRun, userMap, report });
+    const context = {
+      source: importer.name,
+      dryRun,
+      users,
+      sourceUsers: exported.users,
+      roomNames: new Set(),
+      report,
+    };
+
+    for (const room of exported.rooms) {
+      const roomName = await importRoom(room, context);
+      onRoom(roomName);
+      await importMessages(room, roomName, context);
+    }
+  } finally {
+    await exported.close();
+  }
+
+  return report;
+};
+
+module.exports = {
+  toUsername,
+  toRoomName,
+  importExport,
+};
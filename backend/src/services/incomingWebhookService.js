@@ -0,0 +1,201 @@
+/**
+ * Incoming Webhook Service
+ * Lets external systems (CI pipelines, cron jobs) post messages into rooms
+ *
+ * A room's owner creates a webhook and gets a secret URL,
+ * POST /hooks/<token>. Whoever holds the token can post; the message is
+ * saved and broadcast like a user's, but it is attributed to the webhook's
+ * integration identity (message.integration) and may carry its own display
+ * name. Posting is rate limited per token. Revoking a webhook deletes it,
+ * so its token stops working at once.
+ */
+
+const crypto = require('node:crypto');
+const mongoose = require('mongoose');
+const IncomingWebhook = require('../models/IncomingWebhook');
+const Room = require('../models/Room');
+const messageService = require('./messageService');
+const roomService = require('./roomService');
+const roomManagementService = require('./roomManagementService');
+const notificationService = require('./notificationService');
+const readStateService = require('./readStateService');
+const webhookService = require('./webhookService');
+const { createRateLimiter } = require('../utils/rateLimiter');
+const httpError = require('../utils/httpError');
+
+const TOKEN_PREFIX = 'mmwh_';
+
+const MAX_WEBHOOKS_PER_ROOM = 10;
+const MAX_NAME_LENGTH = 50;
+
+// Posts allowed per token per minute
+const RATE_LIMIT = Number.parseInt(process.env.INCOMING_WEBHOOK_RATE_LIMIT, 10) || 30;
+
+const limiter = createRateLimiter({ limit: RATE_LIMIT, windowMs: 60 * 1000 });
+
+// Characters that start Markdown formatting anywhere in a line; underscores
+// inside words (e.g. in @user_names) are left alone
+const INLINE_MARKUP_PATTERN = /[\\`*[\]]|(?<!\w)_|_(?!\w)/g;
+
+// Markers that start a list or a blockquote at the beginning of a line
+const LINE_MARKUP_PATTERN = /^(\s*)(>|-|\d{1,9}[.)])/gm;
+
+/**
+ * Hash a token for storage and lookup
+ * @param {string} token - Webhook token
+ * @returns {string} Hex SHA-256
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Escape Markdown so text is shown exactly as sent
+ * @param {string} text - Plain text
+ * @returns {string}
+ */
+const escapeMarkdown = (text) => text
+  .replace(INLINE_MARKUP_PATTERN, '\\$&')
+  .replace(LINE_MARKUP_PATTERN, (match, space, marker) => `${space}${marker.slice(0, -1)}\\${marker.slice(-1)}`);
+
+/**
+ * Build the payload sent to clients for an incoming webhook
+ * @param {Object} webhook - IncomingWebhook document or plain object
+ * @returns {Object}
+ */
+const toIncomingWebhookPayload = (webhook) => ({
+  _id: webhook._id,
+  room: webhook.room,
+  name: webhook.name,
+  tokenPrefix: webhook.tokenPrefix,
+  lastUsedAt: webhook.lastUsedAt || null,
+  createdAt: webhook.createdAt,
+});
+
+/**
+ * List a room's incoming webhooks
+ * @param {Object} params
+ * @param {string} params.roomName - Room name
+ * @param {Object} params.actor - Acting user (must be the room's owner)
+ * @returns {Promise<Object[]>}
+ */
+const listIncomingWebhooks = async ({ roomName, actor }) => {
+  const room = await roomManagementService.findOwnedRoom(roomName, actor);
+  const webhooks = await IncomingWebhook.find({ room: room.name }).sort({ createdAt: 1 }).lean();
+  return webhooks.map(toIncomingWebhookPayload);
+};
+
+/**
+ * Create an incoming webhook
+ * @param {Object} params
+ * @param {string} params.roomName - Room name
+ * @param {Object} params.actor - Acting user (must be the room's owner)
+ * @param {string} params.name - Integration name shown on its messages
+ * @returns {Promise<{webhook: Object, token: string}>} The token is only returned here
+ */
+const createIncomingWebhook = async ({ roomName, actor, name }) => {
+  const room = await roomManagementService.findOwnedRoom(roomName, actor);
+
+  if (await IncomingWebhook.countDocuments({ room: room.name }) >= MAX_WEBHOOKS_PER_ROOM) {
+    throw httpError(400, `A room can have at most ${MAX_WEBHOOKS_PER_ROOM} incoming webhooks`);
+  }
+
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  const webhook = await IncomingWebhook.create({
+    room: room.name,
+    name: name.trim(),
+    tokenHash: hashToken(token),
+    tokenPrefix: token.slice(0, TOKEN_PREFIX.length + 6),
+    createdBy: actor._id,
+  });
+
+  return { webhook: toIncomingWebhookPayload(webhook), token };
+};
+
+/**
+ * Revoke an incoming webhook; its token stops working immediately
+ * Messages it posted keep their integration name.
+ * @param {Object} params
+ * @param {string} params.roomName - Room name
+ * @param {Object} params.actor - Acting user (must be the room's owner)
+ * @param {string} params.webhookId - Webhook ID
+ * @returns {Promise<void>}
+ */
+const revokeIncomingWebhook = async ({ roomName, actor, webhookId }) => {
+  const room = await roomManagementService.findOwnedRoom(roomName, actor);
+  const result = mongoose.isValidObjectId(webhookId)
+    && await IncomingWebhook.deleteOne({ _id: webhookId, room: room.name });
+
+  if (!result || result.deletedCount === 0) {
+    throw httpError(404, 'Webhook not found');
+  }
+};
+
+/**
+ * Post a message with a webhook token
+ * The message is broadcast, notifies mentioned users and goes to the
+ * room's outgoing webhooks, like a message from a user.
+ * @param {Object} io - Socket.io server
+ * @param {Object} params
+ * @param {string} params.token - Webhook token
+ * @param {string} params.text - Message text
+ * @param {string} [params.username] - Display name (defaults to the webhook's name)
+ * @param {boolean} [params.markdown] - Render the text as Markdown (default true)
+ * @returns {Promise<{message: Object, rateLimit: Object}>} Saved message and the token's remaining allowance
+ */
+const postWithToken = async (io, { token, text, username, markdown = true }) => {
+  const webhook = typeof token === 'string' && token.startsWith(TOKEN_PREFIX)
+    && await IncomingWebhook.findOne({ tokenHash: hashToken(token) }).lean();
+
+  if (!webhook) {
+    throw httpError(404, 'Webhook not found');
+  }
+
+  const rateLimit = limiter.consume(String(webhook._id));
+  if (!rateLimit.allowed) {
+    const error = httpError(429, `Rate limit exceeded: at most ${RATE_LIMIT} messages per minute`);
+    error.retryAfterSeconds = Math.ceil(rateLimit.retryAfterMs / 1000);
+    throw error;
+  }
+
+  const room = await Room.findOne({ name: webhook.room }).select('archivedAt').lean();
+  if (!room || room.archivedAt) {
+    throw httpError(410, 'This room is no longer available');
+  }
+
+  const displayName = typeof username === 'string' && username.trim()
+    ? username.trim().slice(0, MAX_NAME_LENGTH)
+    : webhook.name;
+
+  const { message } = await messageService.createMessage({
+    room: webhook.room,
+    username: displayName,
+    text: markdown || typeof text !== 'string' ? text : escapeMarkdown(text),
+    integration: { _id: webhook._id, name: webhook.name },
+  });
+
+  IncomingWebhook.updateOne({ _id: webhook._id }, { $set: { lastUsedAt: message.ts } })
+    .catch(error => console.error('Error updating webhook:', error));
+
+  const payload = messageService.toMessagePayload(message);
+  const targets = await roomService.getMessageTargets(webhook.room);
+  io?.to(targets).emit('message', payload);
+
+  readStateService.notifyRoomActivity(io, message)
+    .catch(error => console.error('Error sending room activity:', error));
+
+  notificationService.notifyMentions(io, message)
+    .catch(error => console.error('Error sending mention notifications:', error));
+
+  webhookService.dispatchEvent(webhook.room, 'message.created', payload)
+    .catch(error => console.error('Error queueing webhooks:', error));
+
+  return { message, rateLimit: { limit: RATE_LIMIT, remaining: rateLimit.remaining } };
+};
+
+module.exports = {
+  TOKEN_PREFIX,
+  escapeMarkdown,
+  listIncomingWebhooks,
+  createIncomingWebhook,
+  revokeIncomingWebhook,
+  postWithToken,
+};
@@ -0,0 +1,66 @@
+/**
+ * Mention Service
+ * Finds @username and @room mentions in message text
+ *
+ * Only usernames that belong to existing users are kept, so a stray
+ * "@something" in a message doesn't turn into a mention.
+ */
+
+const User = require('../models/User');
+
+// Mentions everyone in the room
+const ROOM_MENTION = 'room';
+
+// Most distinct users notified by one message
+const MAX_MENTIONS = 20;
+
+// "@name" at the start of the text or after a character that can't be part
+// of a username or an email address
+const MENTION_PATTERN = /(^|[^\w@.])@(\w{3,20})(?!\w)/g;
+
+/**
+ * Extract mentioned names from text
+ * @param {string} text - Message text
+ * @returns {{usernames: string[], mentionsRoom: boolean}}
+ */
+const parseMentions = (text) => {
+  const usernames = new Set();
+  let mentionsRoom = false;
+
+  for (const match of (text || '').matchAll(MENTION_PATTERN)) {
+    const name = match[2];
+    if (name.toLowerCase() === ROOM_MENTION) {
+      mentionsRoom = true;
+    } else if (usernames.size < MAX_MENTIONS) {
+      usernames.add(name);
+    }
+  }
+
+  return { usernames: [...usernames], mentionsRoom };
+};
+
+/**
+ * Extract mentions and look the users up
+ * @param {string} text - Message text
+ * @returns {Promise<{mentions: Array<{userId: Object, username: string}>, mentionsRoom: boolean}>}
+ */
+const resolveMentions = async (text) => {
+  const { usernames, mentionsRoom } = parseMentions(text);
+  if (usernames.length === 0) {
+    return { mentions: [], mentionsRoom };
+  }
+
+  const users = await User.find({ username: { $in: usernames } }).select('username').lean();
+
+  return {
+    mentions: users.map(user => ({ userId: user._id, username: user.username })),
+    mentionsRoom,
+  };
+};
+
+module.exports = {
+  ROOM_MENTION,
+  MAX_MENTIONS,
+  parseMentions,
+  resolveMentions,
+};
@@ -0,0 +1,515 @@
+/**
+ * Message Service
+ * Message operations shared by the Socket.io handlers and the REST routes
+ *
+ * Functions throw errors created with httpError so REST routes can pass
+ * them to next() and socket handlers can emit err.message to the client.
+ */
+
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const attachmentService = require('./attachmentService');
+const mentionService = require('./mentionService');
+const notificationService = require('./notificationService');
+const httpError = require('../utils/httpError');
+
+const MAX_MESSAGE_LENGTH = 1000;
+const DEFAULT_THREAD_LIMIT = 50;
+const MAX_THREAD_LIMIT = 100;
+const DEFAULT_CONTEXT_LIMIT = 25;
+const MAX_CONTEXT_LIMIT = 50;
+const DEFAULT_HISTORY_LIMIT = 50;
+const MAX_HISTORY_LIMIT = 100;
+const MAX_EMOJI_LENGTH = 32;
+const EMOJI_PATTERN = /\p{Extended_Pictographic}|\p{Regional_Indicator}/u;
+
+/**
+ * Validate and normalize message text
+ * @param {*} text - Raw text from the client
+ * @returns {string} Trimmed message text
+ */
+const normalizeText = (text) => {
+  if (!text || typeof text !== 'string' || text.trim().length === 0) {
+    throw httpError(400, 'Message text is required');
+  }
+
+  if (text.length > MAX_MESSAGE_LENGTH) {
+    throw httpError(400, `Message cannot exceed ${MAX_MESSAGE_LENGTH} characters`);
+  }
+
+  return text.trim();
+};
+
+/**
+ * Validate an emoji used as a reaction key
+ * Keys are stored as Map paths, so dots and leading $ are never allowed.
+ * @param {*} emoji - Raw emoji from the client
+ * @returns {string} Validated emoji
+ */
+const normalizeEmoji = (emoji) => {
+  if (
+    !emoji
+    || typeof emoji !== 'string'
+    || emoji.length > MAX_EMOJI_LENGTH
+    || /[\s.$]/.test(emoji)
+    || !EMOJI_PATTERN.test(emoji)
+  ) {
+    throw httpError(400, 'Invalid emoji');
+  }
+
+  return emoji;
+};
+
+/**
+ * Convert stored reactions (Map on documents, object on lean results) to a plain object
+ * @param {Map|Object} reactions - Stored reactions
+ * @returns {Object} emoji -> usernames
+ */
+const serializeReactions = (reactions) => {
+  if (!reactions) return {};
+  return reactions instanceof Map ? Object.fromEntries(reactions) : reactions;
+};
+
+/**
+ * Build the payload sent to clients for a message
+ * @param {Object} message - Message document or plain object
+ * @returns {Object} Client-facing message fields
+ */
+const toMessagePayload = (message) => ({
+  _id: message._id,
+  room: message.room,
+  username: message.username,
+  text: message.text,
+  ts: message.ts,
+  parentId: message.parentId || null,
+  replyCount: message.replyCount || 0,
+  lastReplyAt: message.lastReplyAt || null,
+  reactions: serializeReactions(message.reactions),
+  attachments: (message.attachments || []).map(attachmentService.toAttachmentPayload),
+  mentions: (message.mentions || []).map(mention => mention.username),
+  mentionsRoom: Boolean(message.mentionsRoom),
+  action: Boolean(message.action),
+  integration: message.integration ? { _id: message.integration._id, name: message.integration.name } : null,
+  bot: Boolean(message.bot),
+  editedAt: message.editedAt || null,
+  deleted: Boolean(message.deleted),
+  deletedAt: message.deletedAt || null,
+});
+
+/**
+ * Encode a message's position in a room's history as an opaque cursor
+ * @param {Object} message - Message with ts and _id
+ * @returns {string} base64url cursor
+ */
+const encodeCursor = (message) => Buffer
+  .from(`${new Date(message.ts).getTime()}:${message._id}`)
+  .toString('base64url');
+
+/**
+ * Decode a history cursor
+ * @param {string} cursor - Cursor from encodeCursor
+ * @returns {{ts: Date, _id: mongoose.Types.ObjectId}}
+ */
+const decodeCursor = (cursor) => {
+  const [time, id] = typeof cursor === 'string'
+    ? Buffer.from(cursor, 'base64url').toString().split(':')
+    : [];
+  const ts = new Date(Number(time));
+
+  if (!id || Number.isNaN(ts.getTime()) || !mongoose.isValidObjectId(id)) {
+    throw httpError(400, 'Invalid cursor');
+  }
+
+  return { ts, _id: new mongoose.Types.ObjectId(id) };
+};
+
+/**
+ * Query filter for messages strictly older or newer than a position
+ * Ties on ts are broken by _id so no message is skipped or repeated.
+ * @param {{ts: Date, _id: Object}} position - Decoded cursor or message
+ * @param {'before'|'after'} direction
+ * @returns {Object} MongoDB filter
+ */
+const positionFilter = ({ ts, _id }, direction) => {
+  const op = direction === 'before' ? '$lt' : '$gt';
+  return { $or: [{ ts: { [op]: ts } }, { ts, _id: { [op]: _id } }] };
+};
+
+/**
+ * Load a page of a room's top-level messages, oldest first
+ * Without a cursor the newest messages are returned. nextCursor continues
+ * in the same direction (older for before and the newest page, newer for
+ * after) and is null when nothing is left.
+ * @param {Object} params
+ * @param {string} params.room - Room name
+ * @param {string} [params.before] - Cursor: only messages older than this
+ * @param {string} [params.after] - Cursor: only messages newer than this
+ * @param {number} [params.limit] - Page size (default 50, max 100)
+ * @param {number} [params.skip] - Legacy offset from the newest message,
+ *   only used without a cursor
+ * @returns {Promise<{messages: Array, nextCursor: (string|null), hasMore: boolean}>}
+ */
+const getRoomHistory = async ({ room, before, after, limit, skip }) => {
+  if (before && after) {
+    throw httpError(400, 'Use either before or after, not both');
+  }
+
+  const pageSize = Math.min(Math.max(Number.parseInt(limit, 10) || DEFAULT_HISTORY_LIMIT, 1), MAX_HISTORY_LIMIT);
+  const filter = { room, parentId: null };
+  const newerFirst = !after;
+
+  if (before) {
+    Object.assign(filter, positionFilter(decodeCursor(before), 'before'));
+  } else if (after) {
+    Object.assign(filter, positionFilter(decodeCursor(after), 'after'));
+  }
+
+  const order = newerFirst ? -1 : 1;
+  let query = Message.find(filter).sort({ ts: order, _id: order });
+  if (!before && !after && skip) {
+    query = query.skip(Math.max(Number.parseInt(skip, 10) || 0, 0));
+  }
+
+  // Fetch one extra message to know whether more remain
+  const messages = await query.limit(pageSize + 1).lean();
+
+  const hasMore = messages.length > pageSize;
+  if (hasMore) {
+    messages.pop();
+  }
+
+  // The last message fetched is the oldest (or newest, for after) of the page
+  const nextCursor = hasMore ? encodeCursor(messages[messages.length - 1]) : null;
+
+  if (newerFirst) {
+    messages.reverse();
+  }
+
+  return { messages: messages.map(toMessagePayload), nextCursor, hasMore };
+};
+
+/**
+ * Load a top-level message that can be replied to
+ * @param {string} parentId - Parent message ObjectId
+ * @param {string} [room] - Room the reply is posted in, if known
+ * @returns {Promise<Object>} Parent message document
+ */
+const findThreadParent = async (parentId, room) => {
+  if (!mongoose.isValidObjectId(parentId)) {
+    throw httpError(400, 'Invalid parent message id');
+  }
+
+  const parent = await Message.findById(parentId);
+
+  if (!parent || (room && parent.room !== room)) {
+    throw httpError(404, 'Parent message not found');
+  }
+
+  if (parent.parentId) {
+    throw httpError(400, 'Replies cannot have their own threads');
+  }
+
+  return parent;
+};
+
+/**
+ * Create and save a message, optionally as a reply in a thread
+ * Text may be left empty when the message carries attachments.
+ * @param {Object} params
+ * @param {string} params.room - Room name (already validated)
+ * @param {string} params.username - Author's username
+ * @param {string} params.text - Message text
+ * @param {string} [params.parentId] - Top-level message being replied to
+ * @param {string} [params.userId] - Author's user ID (required with attachments)
+ * @param {string[]} [params.attachmentIds] - Uploaded attachments to send
+ * @param {boolean} [params.action] - Post as an action (/me)
+ * @param {Object} [params.integration] - { _id, name } of the integration posting it
+ * @param {boolean} [params.bot] - Posted by a bot account
+ * @returns {Promise<{message: Object, parent: Object|null}>} Saved message and updated parent
+ */
+const createMessage = async ({
+  room, username, text, parentId, userId, attachmentIds, action = false, integration = null, bot = false,
+}) => {
+  const hasAttachments = Array.isArray(attachmentIds) && attachmentIds.length > 0;
+  const isBlank = typeof text !== 'string' || text.trim().length === 0;
+  const messageText = hasAttachments && isBlank ? '' : normalizeText(text);
+  let parent = null;
+
+  if (parentId) {
+    parent = await findThreadParent(parentId, room);
+
+    if (parent.deleted) {
+      throw httpError(400, 'Cannot reply to a deleted message');
+    }
+  }
+
+  const message = new Message({
+    room,
+    username,
+    text: messageText,
+    ts: new Date(),
+    parentId: parent ? parent._id : null,
+    action,
+    integration,
+    bot,
+    ...await mentionService.resolveMentions(messageText),
+  });
+
+  if (hasAttachments) {
+    message.attachments = await attachmentService.claimAttachments({
+      attachmentIds,
+      room,
+      userId,
+      messageId: message._id,
+    });
+  }
+
+  try {
+    await message.save();
+  } catch (error) {
+    if (hasAttachments) {
+      await attachmentService.releaseAttachments(message._id);
+    }
+    throw error;
+  }
+
+  if (parent) {
+    parent = await Message.findByIdAndUpdate(
+      parent._id,
+      { $inc: { replyCount: 1 }, $max: { lastReplyAt: message.ts } },
+      { new: true }
+    );
+  }
+
+  return { message, parent };
+};
+
+/**
+ * Load a page of replies in a thread
+ * Replies are returned oldest first; skip counts back from the newest reply.
+ * @param {Object} params
+ * @param {string} params.messageId - Top-level message ID
+ * @param {number} [params.limit] - Page size (default 50, max 100)
+ * @param {number} [params.skip] - Number of newest replies to skip
+ * @returns {Promise<{parent: Object, replies: Array, hasMore: boolean}>}
+ */
+const getThread = async ({ messageId, limit, skip }) => {
+  const parent = await findThreadParent(messageId);
+  const pageSize = Math.min(Math.max(Number.parseInt(limit, 10) || DEFAULT_THREAD_LIMIT, 1), MAX_THREAD_LIMIT);
+  const offset = Math.max(Number.parseInt(skip, 10) || 0, 0);
+
+  // Fetch one extra reply to know whether older replies remain
+  const replies = await Message.find({ parentId: parent._id })
+    .sort({ ts: -1 })
+    .skip(offset)
+    .limit(pageSize + 1)
+    .lean();
+
+  const hasMore = replies.length > pageSize;
+  if (hasMore) {
+    replies.pop();
+  }
+
+  replies.reverse();
+
+  return { parent, replies: replies.map(toMessagePayload), hasMore };
+};
+
+/**
+ * Load the top-level messages around a message, oldest first
+ * Thread replies are shown in the context of their parent.
+ * @param {Object} params
+ * @param {string} params.messageId - Message to show
+ * @param {number} [params.limit] - Messages to load on each side (default 25, max 50)
+ * @returns {Promise<Object>} { target, anchorId, messages, hasMoreBefore,
+ *   hasMoreAfter, beforeCursor, afterCursor }; cursors continue the history
+ *   with getRoomHistory and are null when nothing is left
+ */
+const getMessageContext = async ({ messageId, limit }) => {
+  if (!mongoose.isValidObjectId(messageId)) {
+    throw httpError(400, 'Invalid message id');
+  }
+
+  const target = await Message.findById(messageId).lean();
+  if (!target) {
+    throw httpError(404, 'Message not found');
+  }
+
+  const anchor = target.parentId ? await Message.findById(target.parentId).lean() : target;
+  if (!anchor) {
+    throw httpError(404, 'Message not found');
+  }
+
+  const pageSize = Math.min(Math.max(Number.parseInt(limit, 10) || DEFAULT_CONTEXT_LIMIT, 1), MAX_CONTEXT_LIMIT);
+  const base = { room: anchor.room, parentId: null };
+
+  // One extra message on each side tells whether more remain
+  const [before, after] = await Promise.all([
+    Message.find({ ...base, ...positionFilter(anchor, 'before') })
+      .sort({ ts: -1, _id: -1 }).limit(pageSize + 1).lean(),
+    Message.find({ ...base, ...positionFilter(anchor, 'after') })
+      .sort({ ts: 1, _id: 1 }).limit(pageSize + 1).lean(),
+  ]);
+
+  const hasMoreBefore = before.length > pageSize;
+  const hasMoreAfter = after.length > pageSize;
+  const older = before.slice(0, pageSize).reverse();
+  const newer = after.slice(0, pageSize);
+  const messages = [...older, anchor, ...newer];
+
+  return {
+    target,
+    anchorId: anchor._id,
+    messages: messages.map(toMessagePayload),
+    hasMoreBefore,
+    hasMoreAfter,
+    beforeCursor: hasMoreBefore ? encodeCursor(messages[0]) : null,
+    afterCursor: hasMoreAfter ? encodeCursor(messages[messages.length - 1]) : null,
+  };
+};
+
+/**
+ * Load a message that the given user is allowed to modify
+ * @param {string} messageId - Message ObjectId
+ * @param {string} username - Authenticated user's username
+ * @returns {Promise<Object>} Message document
+ */
+const findOwnMessage = async (messageId, username) => {
+  if (!mongoose.isValidObjectId(messageId)) {
+    throw httpError(400, 'Invalid message id');
+  }
+
+  const message = await Message.findById(messageId);
+
+  if (!message || message.deleted) {
+    throw httpError(404, 'Message not found');
+  }
+
+  // Integrations post under display names that may match a user's
+  if (message.username !== username || message.integration) {
+    throw httpError(403, 'You can only modify your own messages');
+  }
+
+  return message;
+};
+
+/**
+ * Edit a message, keeping the previous text as a revision
+ * Mentions are parsed again from the new text.
+ * @param {Object} params
+ * @param {string} params.messageId - Message to edit
+ * @param {string} params.username - Authenticated user's username
+ * @param {string} params.text - New message text
+ * @returns {Promise<Object>} Updated message document
+ */
+const editMessage = async ({ messageId, username, text }) => {
+  const newText = normalizeText(text);
+  const message = await findOwnMessage(messageId, username);
+
+  if (message.text === newText) {
+    return message;
+  }
+
+  const editedAt = new Date();
+  message.revisions.push({ text: message.text, editedAt });
+  message.text = newText;
+  message.editedAt = editedAt;
+
+  const { mentions, mentionsRoom } = await mentionService.resolveMentions(newText);
+  message.mentions = mentions;
+  message.mentionsRoom = mentionsRoom;
+
+  await message.save();
+  return message;
+};
+
+/**
+ * Delete a message by turning it into a tombstone
+ * The document stays in place so history keeps its shape, but its text
+ * and revisions are cleared, and its attachments and notifications are deleted.
+ * @param {Object} params
+ * @param {string} params.messageId - Message to delete
+ * @param {string} params.username - Authenticated user's username
+ * @returns {Promise<Object>} Tombstoned message document
+ */
+const deleteMessage = async ({ messageId, username }) => {
+  const message = await findOwnMessage(messageId, username);
+
+  message.deleted = true;
+  message.deletedAt = new Date();
+  message.text = '';
+  message.revisions = [];
+  message.reactions = new Map();
+  const hadAttachments = message.attachments.length > 0;
+  message.attachments = [];
+  message.mentions = [];
+  message.mentionsRoom = false;
+
+  await message.save();
+  await notificationService.deleteForMessage(message._id);
+
+  if (hadAttachments) {
+    await attachmentService.deleteMessageAttachments(message._id);
+  }
+  return message;
+};
+
+/**
+ * Add or remove the user's reaction on a message
+ * Both directions are idempotent: adding twice or removing a missing
+ * reaction leaves the message unchanged.
+ * @param {Object} params
+ * @param {string} params.messageId - Message to react to
+ * @param {string} params.username - Reacting user's username
+ * @param {string} params.emoji - Reaction emoji
+ * @param {boolean} params.add - true to add, false to remove
+ * @returns {Promise<Object>} Updated message document
+ */
+const setReaction = async ({ messageId, username, emoji, add }) => {
+  const key = normalizeEmoji(emoji);
+
+  if (!mongoose.isValidObjectId(messageId)) {
+    throw httpError(400, 'Invalid message id');
+  }
+
+  const path = `reactions.${key}`;
+  const update = add
+    ? { $addToSet: { [path]: username } }
+    : { $pull: { [path]: username } };
+
+  let message = await Message.findOneAndUpdate(
+    { _id: messageId, deleted: { $ne: true } },
+    update,
+    { new: true }
+  );
+
+  if (!message) {
+    throw httpError(404, 'Message not found');
+  }
+
+  // Drop emoji keys nobody is reacting with anymore
+  if (!add && message.reactions.get(key)?.length === 0) {
+    message = await Message.findOneAndUpdate(
+      { _id: messageId, [path]: { $size: 0 } },
+      { $unset: { [path]: 1 } },
+      { new: true }
+    ) || await Message.findById(messageId);
+  }
+
+  return message;
+};
+
+module.exports = {
+  MAX_MESSAGE_LENGTH,
+  normalizeText,
+  toMessagePayload,
+  encodeCursor,
+  decodeCursor,
+  getRoomHistory,
+  createMessage,
+  getThread,
+  getMessageContext,
+  setReaction,
+  editMessage,
+  deleteMessage,
+};
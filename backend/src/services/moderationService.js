@@ -0,0 +1,501 @@
+/**
+ * Moderation Service
+ * Room roles and moderation actions (kick, ban, mute)
+ *
+ * Roles:
+ * - owner: the room's creator (createdBy); appoints and removes moderators
+ * - moderator: kicks, bans and mutes members
+ * - member: everyone else with access to the room
+ *
+ * Moderators cannot act on the owner or on other moderators. Direct message
+ * rooms and legacy rooms without a Room document have no roles.
+ *
+ * Each action notifies the affected user's sockets with a dedicated event
+ * (kicked, banned, muted, unmuted) and the room with moderationAction.
+ */
+
+const Room = require('../models/Room');
+const User = require('../models/User');
+const roomService = require('./roomService');
+const httpError = require('../utils/httpError');
+
+// Longest ban or mute that can be given a duration (one year)
+const MAX_DURATION_MINUTES = 365 * 24 * 60;
+
+// Longest reason shown to the affected user
+const MAX_REASON_LENGTH = 200;
+
+/**
+ * Get a user's role in a room
+ * @param {Object} room - Room document or plain object
+ * @param {string} userId - User ID
+ * @returns {'owner'|'moderator'|'member'}
+ */
+const getRole = (room, userId) => {
+  if (room.createdBy && room.createdBy.toString() === userId.toString()) return 'owner';
+  if (roomService.includesUser(room.moderators, userId)) return 'moderator';
+  return 'member';
+};
+
+/**
+ * Find a user's active ban or mute
+ * @param {Array} restrictions - room.bans or room.mutes
+ * @param {string} userId - User ID
+ * @returns {Object|null} Restriction, or null if none is in effect
+ */
+const findActiveRestriction = (restrictions, userId) => {
+  const now = new Date();
+  return (restrictions || []).find(restriction => (
+    restriction.userId.toString() === userId.toString()
+    && (!restriction.expiresAt || restriction.expiresAt > now)
+  )) || null;
+};
+
+/**
+ * Describe when a restriction ends, for error messages
+ * @param {Object} restriction - Ban or mute
+ * @returns {string}
+ */
+const describeExpiry = (restriction) => (
+  restriction.expiresAt ? ` until ${restriction.expiresAt.toISOString()}` : ''
+);
+
+/**
+ * Reject users banned from a room
+ * @param {Object} room - Room document or plain object
+ * @param {string} userId - User ID
+ * @throws {Error} 403 when the user is banned
+ */
+const assertNotBanned = (room, userId) => {
+  const ban = findActiveRestriction(room.bans, userId);
+  if (ban) {
+    throw httpError(403, `You are banned from this room${describeExpiry(ban)}`);
+  }
+};
+
+/**
+ * Check whether a user is currently banned from a room
+ * @param {Object} room - Room, with its bans
+ * @param {string} userId - User ID
+ * @returns {boolean}
+ */
+const isBanned = (room, userId) => Boolean(findActiveRestriction(room.bans, userId));
+
+/**
+ * Check that a user may read a room's messages: they can access it and
+ * aren't banned from it (as when joining over Socket.io)
+ * @param {string} roomName - Room name
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} Room (lean), or null for legacy rooms
+ */
+const assertCanRead = async (roomName, userId) => {
+  const room = await roomService.assertRoomAccess(roomName, userId);
+  if (room) {
+    assertNotBanned(room, userId);
+  }
+  return room;
+};
+
+/**
+ * List the names of rooms a user is currently banned from
+ * Used to filter queries over messages, like roomService.getHiddenRoomNames.
+ * @param {string} userId - User ID
+ * @returns {Promise<string[]>}
+ */
+const getBannedRoomNames = async (userId) => {
+  const rooms = await Room.find({
+    bans: {
+      $elemMatch: {
+        userId,
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+      },
+    },
+  }).select('name').lean();
+  return rooms.map(room => room.name);
+};
+
+/**
+ * Reject users who may not post in a room (banned or muted, or the room
+ * is archived)
+ * Rooms without a Room document have no restrictions.
+ * @param {string} roomName - Room name
+ * @param {string} userId - User ID
+ * @returns {Promise<void>}
+ */
+const assertCanPost = async (roomName, userId) => {
+  const room = await Room.findOne({ name: roomName }).select('bans mutes archivedAt').lean();
+  if (!room) return;
+
+  if (room.archivedAt) {
+    throw httpError(403, 'This room has been archived');
+  }
+
+  assertNotBanned(room, userId);
+
+  const mute = findActiveRestriction(room.mutes, userId);
+  if (mute) {
+    throw httpError(403, `You are muted in this room${describeExpiry(mute)}`);
+  }
+};
+
+/**
+ * A user's role and mute in a room, as sent with the room history
+ * @param {Object} room - Room document or plain object
+ * @param {string} userId - User ID
+ * @returns {{role: string, mutedUntil: (Date|null|undefined)}} mutedUntil is
+ *   undefined when not muted and null for a mute without expiry
+ */
+const getUserStatus = (room, userId) => {
+  const mute = findActiveRestriction(room.mutes, userId);
+  return {
+    role: room.type === 'direct' ? 'member' : getRole(room, userId),
+    ...(mute && { mutedUntil: mute.expiresAt }),
+  };
+};
+
+/**
+ * Validate optional action details shared by bans and mutes
+ * @param {Object} details
+ * @param {string} [details.reason]
+ * @param {number} [details.durationMinutes] - Omit for no expiry
+ * @returns {{reason: string, expiresAt: (Date|null)}}
+ */
+const parseDetails = ({ reason, durationMinutes }) => {
+  if (reason !== undefined && reason !== null && typeof reason !== 'string') {
+    throw httpError(400, 'Reason must be a string');
+  }
+
+  const trimmedReason = (reason || '').trim();
+  if (trimmedReason.length > MAX_REASON_LENGTH) {
+    throw httpError(400, `Reason cannot exceed ${MAX_REASON_LENGTH} characters`);
+  }
+
+  if (durationMinutes === undefined || durationMinutes === null) {
+    return { reason: trimmedReason, expiresAt: null };
+  }
+
+  const minutes = Number(durationMinutes);
+  if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_DURATION_MINUTES) {
+    throw httpError(400, `Duration must be between 1 and ${MAX_DURATION_MINUTES} minutes`);
+  }
+
+  return { reason: trimmedReason, expiresAt: new Date(Date.now() + minutes * 60 * 1000) };
+};
+
+/**
+ * Load the room and target user of a moderation action and check the
+ * actor may act on the target
+ * @param {string} roomName - Room name
+ * @param {Object} actor - Acting user ({ _id, username })
+ * @param {string} username - Target username
+ * @param {Object} [options]
+ * @param {boolean} [options.ownerOnly] - Only the owner may perform the action
+ * @returns {Promise<{room: Object, target: Object}>} Room document and target user
+ */
+const loadModerationTarget = async (roomName, actor, username, { ownerOnly = false } = {}) => {
+  if (!username || typeof username !== 'string' || username.trim().length === 0) {
+    throw httpError(400, 'Username is required');
+  }
+
+  const room = await Room.findOne({ name: roomName });
+  if (!room || !roomService.canAccessRoom(room, actor._id)) {
+    throw httpError(404, 'Room not found');
+  }
+
+  if (room.type === 'direct') {
+    throw httpError(400, 'Direct messages cannot be moderated');
+  }
+
+  const actorRole = getRole(room, actor._id);
+  if (ownerOnly ? actorRole !== 'owner' : actorRole === 'member') {
+    throw httpError(403, ownerOnly
+      ? 'Only the room owner can do that'
+      : 'Only room owners and moderators can do that');
+  }
+
+  const target = await User.findOne({ username: username.trim() });
+  if (!target) {
+    throw httpError(404, 'User not found');
+  }
+
+  if (target._id.equals(actor._id)) {
+    throw httpError(400, 'You cannot moderate yourself');
+  }
+
+  const targetRole = getRole(room, target._id);
+  if (targetRole === 'owner') {
+    throw httpError(403, 'The room owner cannot be moderated');
+  }
+  if (targetRole === 'moderator' && actorRole !== 'owner') {
+    throw httpError(403, 'Only the room owner can moderate moderators');
+  }
+
+  return { room, target };
+};
+
+/**
+ * Drop a user from a private room's members and moderators
+ * @param {Object} room - Room document (modified in place, not saved)
+ * @param {string} userId - User ID
+ */
+const dropMembership = (room, userId) => {
+  const keep = ids => ids && ids.filter(id => !id.equals(userId));
+  room.members = keep(room.members);
+  room.moderators = keep(room.moderators);
+};
+
+/**
+ * Tell the room about a moderation action
+ */
+const announce = (io, room, payload) => {
+  io.to(room.name).emit('moderationAction', { room: room.name, ...payload });
+};
+
+/**
+ * Kick a user out of a room
+ * They may rejoin public rooms; private rooms also lose the membership.
+ * @param {Object} io - Socket.io server
+ * @param {Object} params
+ * @param {string} params.roomName - Room name
+ * @param {Object} params.actor - Acting user ({ _id, username })
+ * @param {string} params.username - User to kick
+ * @param {string} [params.reason] - Reason shown to the user
+ * @returns {Promise<Object>} Action summary
+ */
+const kickUser = async (io, { roomName, actor, username, reason }) => {
+  const { room, target } = await loadModerationTarget(roomName, actor, username);
+  const details = parseDetails({ reason });
+
+  if (room.visibility === 'private') {
+    dropMembership(room, target._id);
+    await room.save();
+  }
+
+  const action = { action: 'kick', username: target.username, by: actor.username, reason: details.reason };
+  await roomService.evictUserFromRoom(io, target._id, room.name, 'kicked', {
+    by: actor.username,
+    reason: details.reason,
+  });
+  io.to(room.name).emit('memberRemoved', { room: room.name, username: target.username });
+  announce(io, room, action);
+
+  return { room: room.name, ...action };
+};
+
+/**
+ * Ban a user from a room, optionally for a limited time
+ * Replaces any earlier ban of the same user.
+ * @param {Object} io - Socket.io server
+ * @param {Object} params
+ * @param {string} params.roomName - Room name
+ * @param {Object} params.actor - Acting user ({ _id, username })
+ * @param {string} params.username - User to ban
+ * @param {string} [params.reason] - Reason shown to the user
+ * @param {number} [params.durationMinutes] - Omit for a permanent ban
+ * @returns {Promise<Object>} Action summary
+ */
+const banUser = async (io, { roomName, actor, username, reason, durationMinutes }) => {
+  const { room, target } = await loadModerationTarget(roomName, actor, username);
+  const details = parseDetails({ reason, durationMinutes });
+
+  room.bans = [
+    ...(room.bans || []).filter(ban => !ban.userId.equals(target._id)),
+    { userId: target._id, by: actor._id, ...details },
+  ];
+  if (room.visibility === 'private') {
+    dropMembership(room, target._id);
+  }
+  await room.save();
+
+  const action = {
+    action: 'ban',
+    username: target.username,
+    by: actor.username,
+    reason: details.reason,
+    expiresAt: details.expiresAt,
+  };
+  await roomService.evictUserFromRoom(io, target._id, room.name, 'banned', {
+    by: actor.username,
+    reason: details.reason,
+    expiresAt: details.expiresAt,
+  });
+  io.to(room.name).emit('memberRemoved', { room: room.name, username: target.username });
+  announce(io, room, action);
+
+  return { room: room.name, ...action };
+};
+
+/**
+ * Mute a user in a room, optionally for a limited time
+ * Muted users stay in the room but cannot post.
+ * @param {Object} io - Socket.io server
+ * @param {Object} params - Same as banUser
+ * @returns {Promise<Object>} Action summary
+ */
+const muteUser = async (io, { roomName, actor, username, reason, durationMinutes }) => {
+  const { room, target } = await loadModerationTarget(roomName, actor, username);
+  const details = parseDetails({ reason, durationMinutes });
+
+  room.mutes = [
+    ...(room.mutes || []).filter(mute => !mute.userId.equals(target._id)),
+    { userId: target._id, by: actor._id, ...details },
+  ];
+  await room.save();
+
+  const action = {
+    action: 'mute',
+    username: target.username,
+    by: actor.username,
+    reason: details.reason,
+    expiresAt: details.expiresAt,
+  };
+  io.to(`user:${target._id}`).emit('muted', {
+    room: room.name,
+    by: actor.username,
+    reason: details.reason,
+    expiresAt: details.expiresAt,
+  });
+  announce(io, room, action);
+
+  return { room: room.name, ...action };
+};
+
+/**
+ * Lift a ban or mute
+ * @param {string} field - 'bans' or 'mutes'
+ * @returns {Function} (io, { roomName, actor, username }) => Promise<Object>
+ */
+const liftRestriction = field => async (io, { roomName, actor, username }) => {
+  const { room, target } = await loadModerationTarget(roomName, actor, username);
+
+  if (!findActiveRestriction(room[field], target._id)) {
+    throw httpError(404, field === 'bans' ? 'User is not banned' : 'User is not muted');
+  }
+
+  room[field] = room[field].filter(restriction => !restriction.userId.equals(target._id));
+  await room.save();
+
+  const action = {
+    action: field === 'bans' ? 'unban' : 'unmute',
+    username: target.username,
+    by: actor.username,
+  };
+  if (field === 'mutes') {
+    io.to(`user:${target._id}`).emit('unmuted', { room: room.name, by: actor.username });
+  }
+  announce(io, room, action);
+
+  return { room: room.name, ...action };
+};
+
+const unbanUser = liftRestriction('bans');
+const unmuteUser = liftRestriction('mutes');
+
+/**
+ * Appoint or remove a moderator (owner only)
+ * @param {Object} io - Socket.io server
+ * @param {Object} params
+ * @param {string} params.roomName - Room name
+ * @param {Object} params.actor - Acting user ({ _id, username })
+ * @param {string} params.username - User to promote or demote
+ * @param {boolean} params.moderator - true to appoint, false to remove
+ * @returns {Promise<Object>} Action summary
+ */
+const setModerator = async (io, { roomName, actor, username, moderator }) => {
+  const { room, target } = await loadModerationTarget(roomName, actor, username, { ownerOnly: true });
+
+  if (moderator && !roomService.canAccessRoom(room, target._id)) {
+    throw httpError(400, 'Only room members can become moderators');
+  }
+
+  const isModerator = roomService.includesUser(room.moderators, target._id);
+  if (moderator && !isModerator) {
+    room.moderators = [...(room.moderators || []), target._id];
+  } else if (!moderator && isModerator) {
+    room.moderators = room.moderators.filter(id => !id.equals(target._id));
+  }
+  await room.save();
+
+  const action = {
+    action: moderator ? 'promote' : 'demote',
+    username: target.username,
+    by: actor.username,
+    role: moderator ? 'moderator' : 'member',
+  };
+  announce(io, room, action);
+
+  return { room: room.name, ...action };
+};
+
+/**
+ * List a room's active bans and mutes (owners and moderators only)
+ * @param {string} roomName - Room name
+ * @param {string} userId - Requesting user's ID
+ * @returns {Promise<{bans: Array, mutes: Array}>}
+ */
+const getRestrictions = async (roomName, userId) => {
+  const room = await Room.findOne({ name: roomName })
+    .populate('bans.userId bans.by mutes.userId mutes.by', 'username')
+    .lean();
+
+  if (!room || !roomService.canAccessRoom(room, userId)) {
+    throw httpError(404, 'Room not found');
+  }
+
+  if (getRole(room, userId) === 'member') {
+    throw httpError(403, 'Only room owners and moderators can do that');
+  }
+
+  const now = new Date();
+  const toPayload = restrictions => (restrictions || [])
+    .filter(restriction => restriction.userId && (!restriction.expiresAt || restriction.expiresAt > now))
+    .map(restriction => ({
+      username: restriction.userId.username,
+      by: restriction.by?.username || null,
+      reason: restriction.reason,
+      createdAt: restriction.createdAt,
+      expiresAt: restriction.expiresAt,
+    }));
+
+  return { bans: toPayload(room.bans), mutes: toPayload(room.mutes) };
+};
+
+/**
+ * Roles and mutes by username, for member lists
+ * Users without an entry are plain, unmuted members.
+ * @param {Object} room - Room document or plain object
+ * @returns {Promise<Map<string, {role: string, muted: boolean}>>}
+ */
+const getMemberAnnotations = async (room) => {
+  const mutedIds = (room.mutes || [])
+    .filter(mute => findActiveRestriction([mute], mute.userId))
+    .map(mute => mute.userId);
+  const ids = [room.createdBy, ...(room.moderators || []), ...mutedIds].filter(Boolean);
+  if (ids.length === 0) return new Map();
+
+  const users = await User.find({ _id: { $in: ids } }).select('username').lean();
+  return new Map(users.map(user => [user.username, {
+    role: getRole(room, user._id),
+    muted: Boolean(findActiveRestriction(room.mutes, user._id)),
+  }]));
+};
+
+module.exports = {
+  MAX_DURATION_MINUTES,
+  MAX_REASON_LENGTH,
+  getRole,
+  getUserStatus,
+  assertNotBanned,
+  isBanned,
+  assertCanRead,
+  getBannedRoomNames,
+  assertCanPost,
+  kickUser,
+  banUser,
+  unbanUser,
+  muteUser,
+  unmuteUser,
+  setModerator,
+  getRestrictions,
+  getMemberAnnotations,
+};
@@ -0,0 +1,248 @@
+/**
+ * Notification Service
+ * Inbox notifications for mentions
+ *
+ * New notifications are pushed to the recipient's personal channel
+ * (user:<id>) as a notification event, so they arrive whichever room the
+ * recipient has open. Marking notifications read emits notificationsRead to
+ * the same channel to keep the user's other tabs in sync.
+ */
+
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const ReadMarker = require('../models/ReadMarker');
+const Room = require('../models/Room');
+const roomService = require('./roomService');
+const httpError = require('../utils/httpError');
+
+const DEFAULT_NOTIFICATION_LIMIT = 20;
+const MAX_NOTIFICATION_LIMIT = 50;
+
+// Most users notified by one @room mention
+const MAX_ROOM_MENTION_RECIPIENTS = 500;
+
+// Characters of the message text kept on the notification
+const EXCERPT_LENGTH = 140;
+
+/**
+ * Build the payload sent to clients for a notification
+ * @param {Object} notification - Notification document or plain object
+ * @returns {Object} Client-facing notification fields
+ */
+const toNotificationPayload = (notification) => ({
+  _id: notification._id,
+  type: notification.type,
+  room: notification.room,
+  messageId: notification.messageId,
+  parentId: notification.parentId || null,
+  actor: notification.actor,
+  excerpt: notification.excerpt,
+  read: Boolean(notification.readAt),
+  createdAt: notification.createdAt,
+});
+
+/**
+ * Shorten message text for a notification
+ * @param {string} text - Message text
+ * @returns {string}
+ */
+const toExcerpt = (text) => (
+  text.length > EXCERPT_LENGTH ? `${text.slice(0, EXCERPT_LENGTH)}…` : text
+);
+
+/**
+ * Users reached by an @room mention
+ * Direct messages and private rooms reach every participant or member;
+ * public rooms reach users who have read the room before.
+ * @param {Object|null} room - Room (lean), or null for legacy rooms
+ * @param {string} roomName - Room name
+ * @returns {Promise<string[]>} User IDs
+ */
+const getRoomMentionRecipients = async (room, roomName) => {
+  if (room && room.type === 'direct') {
+    return (room.participants || []).map(String);
+  }
+  if (room && room.visibility === 'private') {
+    return (room.members || []).map(String);
+  }
+
+  const readers = await ReadMarker.find({ room: roomName })
+    .select('userId')
+    .limit(MAX_ROOM_MENTION_RECIPIENTS)
+    .lean();
+  return readers.map(reader => reader.userId.toString());
+};
+
+/**
+ * Notify the users mentioned in a message
+ * Mentioned users who can't access the room are skipped, as is the author.
+ * Users already notified about the message (before an edit) aren't
+ * notified again.
+ * @param {Object} [io] - Socket.io server (notifications are still stored without one)
+ * @param {Object} message - Saved message with mentions and mentionsRoom
+ * @param {string} [authorId] - Author's user ID (none for integrations)
+ * @returns {Promise<Array>} Created notifications
+ */
+const notifyMentions = async (io, message, authorId) => {
+  const mentions = message.mentions || [];
+  if (mentions.length === 0 && !message.mentionsRoom) {
+    return [];
+  }
+
+  const room = await Room.findOne({ name: message.room }).lean();
+
+  // userId -> notification type; a direct mention wins over @room
+  const recipients = new Map();
+  if (message.mentionsRoom) {
+    (await getRoomMentionRecipients(room, message.room))
+      .forEach(userId => recipients.set(userId, 'roomMention'));
+  }
+  mentions
+    .filter(mention => !room || roomService.canAccessRoom(room, mention.userId))
+    .forEach(mention => recipients.set(mention.userId.toString(), 'mention'));
+
+  if (authorId) {
+    recipients.delete(authorId.toString());
+  }
+
+  const alreadyNotified = await Notification.find({
+    messageId: message._id,
+    userId: { $in: [...recipients.keys()] },
+  }).select('userId').lean();
+  alreadyNotified.forEach(notification => recipients.delete(notification.userId.toString()));
+
+  if (recipients.size === 0) {
+    return [];
+  }
+
+  const docs = [...recipients].map(([userId, type]) => ({
+    userId,
+    type,
+    room: message.room,
+    messageId: message._id,
+    parentId: message.parentId || null,
+    actor: message.username,
+    excerpt: toExcerpt(message.text || ''),
+  }));
+
+  let created;
+  try {
+    created = await Notification.insertMany(docs, { ordered: false });
+  } catch (error) {
+    // A concurrent edit may have notified some users first
+    if (error.code !== 11000) throw error;
+    created = error.insertedDocs || [];
+  }
+
+  created.forEach((notification) => {
+    io?.to(`user:${notification.userId}`).emit('notification', toNotificationPayload(notification));
+  });
+
+  return created;
+};
+
+/**
+ * Count a user's unread notifications
+ * @param {string} userId - User ID
+ * @returns {Promise<number>}
+ */
+const getUnreadCount = (userId) => Notification.countDocuments({ userId, readAt: null });
+
+/**
+ * Load a page of a user's notifications, newest first
+ * @param {Object} params
+ * @param {string} params.userId - User ID
+ * @param {boolean} [params.unreadOnly] - Only unread notifications
+ * @param {number} [params.limit] - Page size (default 20, max 50)
+ * @param {number} [params.skip] - Notifications to skip
+ * @returns {Promise<{notifications: Array, unreadCount: number, hasMore: boolean}>}
+ */
+const listNotifications = async ({ userId, unreadOnly, limit, skip }) => {
+  const pageSize = Math.min(Math.max(Number.parseInt(limit, 10) || DEFAULT_NOTIFICATION_LIMIT, 1), MAX_NOTIFICATION_LIMIT);
+  const offset = Math.max(Number.parseInt(skip, 10) || 0, 0);
+  const filter = { userId, ...(unreadOnly && { readAt: null }) };
+
+  const [notifications, unreadCount] = await Promise.all([
+    Notification.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(offset)
+      .limit(pageSize + 1)
+      .lean(),
+    getUnreadCount(userId),
+  ]);
+
+  const hasMore = notifications.length > pageSize;
+  if (hasMore) {
+    notifications.pop();
+  }
+
+  return {
+    notifications: notifications.map(toNotificationPayload),
+    unreadCount,
+    hasMore,
+  };
+};
+
+/**
+ * Mark one of the user's notifications read
+ * @param {Object} params
+ * @param {string} params.userId - User ID
+ * @param {string} params.notificationId - Notification ID
+ * @returns {Promise<number>} Remaining unread count
+ */
+const markRead = async ({ userId, notificationId }) => {
+  if (!mongoose.isValidObjectId(notificationId)) {
+    throw httpError(400, 'Invalid notification id');
+  }
+
+  const notification = await Notification.findOne({ _id: notificationId, userId });
+  if (!notification) {
+    throw httpError(404, 'Notification not found');
+  }
+
+  if (!notification.readAt) {
+    notification.readAt = new Date();
+    await notification.save();
+  }
+
+  return getUnreadCount(userId);
+};
+
+/**
+ * Mark all of a user's notifications read
+ * @param {string} userId - User ID
+ * @returns {Promise<void>}
+ */
+const markAllRead = async (userId) => {
+  await Notification.updateMany({ userId, readAt: null }, { $set: { readAt: new Date() } });
+};
+
+/**
+ * Remove the notifications for a deleted message
+ * @param {Object} messageId - Message ID
+ * @returns {Promise<void>}
+ */
+const deleteForMessage = async (messageId) => {
+  await Notification.deleteMany({ messageId });
+};
+
+/**
+ * Remove the notifications for several removed messages
+ * @param {Array} messageIds - Message IDs
+ * @returns {Promise<void>}
+ */
+const deleteForMessages = async (messageIds) => {
+  await Notification.deleteMany({ messageId: { $in: messageIds } });
+};
+
+module.exports = {
+  MAX_NOTIFICATION_LIMIT,
+  toNotificationPayload,
+  notifyMentions,
+  getUnreadCount,
+  listNotifications,
+  markRead,
+  markAllRead,
+  deleteForMessage,
+  deleteForMessages,
+};
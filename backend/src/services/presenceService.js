@@ -0,0 +1,213 @@
+/**
+ * Presence Service
+ * In-memory tracking of which users are in which rooms
+ *
+ * Features:
+ * - Multiple sockets per user (tabs, devices): a user is offline in a room
+ *   only when their last socket leaves it
+ * - Away status from client-reported idle time: a user is away when every
+ *   one of their sockets in the room is idle
+ * - Every mutation returns the status changes it caused, so callers can
+ *   broadcast presenceUpdate diffs
+ *
+ * State lives in this process only; a multi-instance deployment would need
+ * a shared store such as Redis.
+ */
+
+// Idle time after which a socket counts as away
+const AWAY_AFTER_MS = 5 * 60 * 1000;
+
+// room -> Map(userId -> { username, sockets: Set<socketId> })
+const rooms = new Map();
+
+// socketId -> { userId, username, rooms: Set<room>, idle: boolean }
+const sockets = new Map();
+
+/**
+ * Compute a user's status in a room
+ * @param {string} room - Room name
+ * @param {string} userId - User ID
+ * @returns {'online'|'away'|'offline'}
+ */
+const getStatus = (room, userId) => {
+  const entry = rooms.get(room)?.get(userId);
+  if (!entry || entry.sockets.size === 0) return 'offline';
+
+  const allIdle = [...entry.sockets].every(socketId => sockets.get(socketId)?.idle);
+  return allIdle ? 'away' : 'online';
+};
+
+/**
+ * Run a mutation and report the user's status change in each affected room
+ * @param {string[]} roomNames - Rooms the mutation may affect
+ * @param {string} userId - User ID
+ * @param {string} username - Username
+ * @param {Function} mutate - Mutation to run
+ * @returns {Array<{room: string, username: string, status: string}>} Status changes
+ */
+const trackChanges = (roomNames, userId, username, mutate) => {
+  const before = roomNames.map(room => getStatus(room, userId));
+  mutate();
+
+  return roomNames
+    .map((room, i) => ({ room, username, status: getStatus(room, userId), previous: before[i] }))
+    .filter(change => change.status !== change.previous)
+    .map(({ room, status }) => ({ room, username, status }));
+};
+
+/**
+ * Register a socket in a room
+ * @param {string} room - Room name
+ * @param {Object} socket - Socket with id, userId and username
+ * @returns {Array} Status changes
+ */
+const join = (room, { id, userId, username }) => {
+  return trackChanges([room], userId, username, () => {
+    if (!sockets.has(id)) {
+      sockets.set(id, { userId, username, rooms: new Set(), idle: false });
+    }
+    sockets.get(id).rooms.add(room);
+
+    if (!rooms.has(room)) {
+      rooms.set(room, new Map());
+    }
+    const members = rooms.get(room);
+    if (!members.has(userId)) {
+      members.set(userId, { username, sockets: new Set() });
+    }
+    members.get(userId).sockets.add(id);
+  });
+};
+
+/**
+ * Remove a socket from a room
+ * @param {string} room - Room name
+ * @param {string} socketId - Socket ID
+ * @returns {Array} Status changes
+ */
+const leave = (room, socketId) => {
+  const socketEntry = sockets.get(socketId);
+  if (!socketEntry || !socketEntry.rooms.has(room)) return [];
+
+  const { userId, username } = socketEntry;
+
+  return trackChanges([room], userId, username, () => {
+    socketEntry.rooms.delete(room);
+
+    const members = rooms.get(room);
+    const member = members?.get(userId);
+    member?.sockets.delete(socketId);
+
+    if (member && member.sockets.size === 0) members.delete(userId);
+    if (members && members.size === 0) rooms.delete(room);
+  });
+};
+
+/**
+ * Remove a socket from every room it was in
+ * @param {string} socketId - Socket ID
+ * @returns {Array} Status changes
+ */
+const disconnect = (socketId) => {
+  const socketEntry = sockets.get(socketId);
+  if (!socketEntry) return [];
+
+  const changes = [...socketEntry.rooms].flatMap(room => leave(room, socketId));
+  sockets.delete(socketId);
+  return changes;
+};
+
+/**
+ * Record the idle time reported by a client
+ * @param {string} socketId - Socket ID
+ * @param {number} idleMs - Milliseconds since the user's last activity
+ * @returns {Array} Status changes
+ */
+const reportIdle = (socketId, idleMs) => {
+  const socketEntry = sockets.get(socketId);
+  if (!socketEntry) return [];
+
+  const { userId, username } = socketEntry;
+
+  return trackChanges([...socketEntry.rooms], userId, username, () => {
+    socketEntry.idle = idleMs >= AWAY_AFTER_MS;
+  });
+};
+
+/**
+ * List users present in a room
+ * @param {string} room - Room name
+ * @returns {Array<{username: string, status: string}>} Online and away users
+ */
+const getRoomPresence = (room) => {
+  const members = rooms.get(room);
+  if (!members) return [];
+
+  return [...members.entries()].map(([userId, { username }]) => ({
+    username,
+    status: getStatus(room, userId),
+  }));
+};
+
+/**
+ * Move a room's presence to its new name after a rename
+ * Nobody's status changes, so there is nothing to broadcast.
+ * @param {string} oldName - Previous room name
+ * @param {string} newName - New room name
+ */
+const renameRoom = (oldName, newName) => {
+  const members = rooms.get(oldName);
+  if (!members) return;
+
+  rooms.delete(oldName);
+  rooms.set(newName, members);
+  members.forEach(({ sockets: memberSockets }) => {
+    memberSockets.forEach((socketId) => {
+      const socketRooms = sockets.get(socketId)?.rooms;
+      if (socketRooms?.delete(oldName)) socketRooms.add(newName);
+    });
+  });
+};
+
+/**
+ * Forget a room that was archived or deleted
+ * @param {string} room - Room name
+ */
+const removeRoom = (room) => {
+  const members = rooms.get(room);
+  if (!members) return;
+
+  members.forEach(({ sockets: memberSockets }) => {
+    memberSockets.forEach(socketId => sockets.get(socketId)?.rooms.delete(room));
+  });
+  rooms.delete(room);
+};
+
+/**
+ * Broadcast presence status changes as per-room presenceUpdate diffs
+ * @param {Object} io - Socket.io server
+ * @param {Array<{room: string, username: string, status: string}>} changes
+ */
+const broadcast = (io, changes) => {
+  const byRoom = new Map();
+  changes.forEach(({ room, username, status }) => {
+    if (!byRoom.has(room)) byRoom.set(room, []);
+    byRoom.get(room).push({ username, status });
+  });
+
+  byRoom.forEach((roomChanges, room) => {
+    io.to(room).emit('presenceUpdate', { room, changes: roomChanges });
+  });
+};
+
+module.exports = {
+  AWAY_AFTER_MS,
+  join,
+  leave,
+  disconnect,
+  reportIdle,
+  getRoomPresence,
+  renameRoom,
+  removeRoom,
+  broadcast,
+};
@@ -0,0 +1,139 @@
+/**
+ * Read State Service
+ * Read markers, unread counts and "seen by" receipts
+ */
+
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const ReadMarker = require('../models/ReadMarker');
+const Room = require('../models/Room');
+const moderationService = require('./moderationService');
+const httpError = require('../utils/httpError');
+
+// Rooms with more readers than this don't get per-message receipts
+const SEEN_BY_MAX_READERS = 10;
+
+/**
+ * Advance a user's read marker in a room
+ * The marker never moves backwards, so out-of-order events are harmless.
+ * @param {Object} params
+ * @param {string} params.userId - User ObjectId
+ * @param {string} params.username - Username
+ * @param {string} params.room - Room name
+ * @param {string} [params.messageId] - Last message read (defaults to "now")
+ * @returns {Promise<Object>} Updated read marker
+ */
+const markRead = async ({ userId, username, room, messageId }) => {
+  let lastReadAt = new Date();
+
+  if (messageId) {
+    if (!mongoose.isValidObjectId(messageId)) {
+      throw httpError(400, 'Invalid message id');
+    }
+
+    const message = await Message.findOne({ _id: messageId, room }).select('ts').lean();
+    if (!message) {
+      throw httpError(404, 'Message not found');
+    }
+    lastReadAt = message.ts;
+  }
+
+  return ReadMarker.findOneAndUpdate(
+    { userId, room },
+    { $max: { lastReadAt }, $set: { username } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  ).lean();
+};
+
+/**
+ * Count unread top-level messages per room for a user
+ * Messages the user sent and deleted messages are never unread.
+ * @param {Object} params
+ * @param {string} params.userId - User ObjectId
+ * @param {string} params.username - Username
+ * @param {string[]} params.rooms - Room names to count
+ * @returns {Promise<Object>} room name -> unread count
+ */
+const getUnreadCounts = async ({ userId, username, rooms }) => {
+  const markers = await ReadMarker.find({ userId, room: { $in: rooms } }).lean();
+  const lastReadByRoom = new Map(markers.map(marker => [marker.room, marker.lastReadAt]));
+
+  const counts = await Promise.all(rooms.map((room) => {
+    const filter = {
+      room,
+      parentId: null,
+      deleted: { $ne: true },
+      username: { $ne: username },
+    };
+
+    if (lastReadByRoom.has(room)) {
+      filter.ts = { $gt: lastReadByRoom.get(room) };
+    }
+
+    return Message.countDocuments(filter);
+  }));
+
+  return Object.fromEntries(rooms.map((room, i) => [room, counts[i]]));
+};
+
+/**
+ * Load read markers for "seen by" receipts
+ * @param {string} room - Room name
+ * @returns {Promise<Array|null>} [{ username, lastReadAt }], or null for rooms too large for receipts
+ */
+const getRoomReaders = async (room) => {
+  const readers = await ReadMarker.find({ room })
+    .select('username lastReadAt -_id')
+    .limit(SEEN_BY_MAX_READERS + 1)
+    .lean();
+
+  return readers.length > SEEN_BY_MAX_READERS ? null : readers;
+};
+
+/**
+ * Tell users a room has a new top-level message, for their unread badges
+ * Sent as roomActivity to each user's personal channel, so it arrives for
+ * rooms the user isn't viewing. Direct messages and private rooms reach
+ * every participant or member; public rooms reach users who have read the
+ * room before (others get its count when they next load the room list).
+ * Users banned from the room are left out.
+ * @param {Object} [io] - Socket.io server
+ * @param {Object} message - Saved message
+ * @returns {Promise<void>}
+ */
+const notifyRoomActivity = async (io, message) => {
+  if (!io || message.parentId) return;
+
+  const room = await Room.findOne({ name: message.room })
+    .select('type visibility participants members bans')
+    .lean();
+
+  let userIds;
+  if (room && room.type === 'direct') {
+    userIds = room.participants || [];
+  } else if (room && room.visibility === 'private') {
+    userIds = room.members || [];
+  } else {
+    userIds = await ReadMarker.distinct('userId', { room: message.room });
+  }
+
+  if (room) {
+    userIds = userIds.filter(userId => !moderationService.isBanned(room, userId));
+  }
+
+  if (userIds.length === 0) return;
+
+  io.to(userIds.map(userId => `user:${userId}`)).emit('roomActivity', {
+    room: message.room,
+    messageId: message._id,
+    username: message.username,
+  });
+};
+
+module.exports = {
+  SEEN_BY_MAX_READERS,
+  markRead,
+  getUnreadCounts,
+  getRoomReaders,
+  notifyRoomActivity,
+};
@@ -0,0 +1,248 @@
+/**
+ * Retention Service
+ * Per-room retention policies and the pruning of expired messages
+ *
+ * Policies work on whole threads: a top-level message expires together
+ * with its replies, once the thread has had no activity for the number of
+ * days kept ('days'), or once it is no longer among the newest top-level
+ * messages kept ('messages').
+ *
+ * Expired messages are deleted along with their attachments and
+ * notifications. With RETENTION_ACTION=archive they are copied to
+ * ArchivedMessage first and their attachments are kept.
+ */
+
+const Room = require('../models/Room');
+const Message = require('../models/Message');
+const ArchivedMessage = require('../models/ArchivedMessage');
+const attachmentService = require('./attachmentService');
+const notificationService = require('./notificationService');
+const httpError = require('../utils/httpError');
+
+const RETENTION_MODES = ['forever', 'days', 'messages'];
+const MAX_RETENTION_DAYS = 3650;
+const MAX_RETENTION_MESSAGES = 1000000;
+
+// What happens to expired messages: 'delete' (default) or 'archive'
+const RETENTION_ACTION = process.env.RETENTION_ACTION === 'archive' ? 'archive' : 'delete';
+
+// Threads removed per batch
+const PRUNE_BATCH_SIZE = Number.parseInt(process.env.RETENTION_BATCH_SIZE, 10) || 200;
+
+// Batches per room in one run; anything left waits for the next run
+const MAX_BATCHES_PER_ROOM = 50;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Check whether a policy removes anything
+ * @param {Object} [policy] - Retention policy ({ mode, value })
+ * @returns {boolean}
+ */
+const isActive = (policy) => Boolean(policy && policy.mode && policy.mode !== 'forever');
+
+/**
+ * Validate a retention policy from a request
+ * @param {Object} [policy] - { mode, value }; a missing mode means 'forever'
+ * @returns {{mode: string, value: (number|null)}}
+ */
+const normalizePolicy = (policy) => {
+  const mode = policy?.mode || 'forever';
+
+  if (!RETENTION_MODES.includes(mode)) {
+    throw httpError(400, `Retention mode must be one of: ${RETENTION_MODES.join(', ')}`);
+  }
+
+  if (mode === 'forever') {
+    return { mode, value: null };
+  }
+
+  const value = Number(policy.value);
+  const max = mode === 'days' ? MAX_RETENTION_DAYS : MAX_RETENTION_MESSAGES;
+  if (!Number.isInteger(value) || value < 1 || value > max) {
+    throw httpError(400, `Retention must keep between 1 and ${max} ${mode}`);
+  }
+
+  return { mode, value };
+};
+
+/**
+ * Query filter for a room's expired top-level messages
+ * @param {string} roomName - Room name
+ * @param {Object} policy - Active retention policy
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Object|null>} Filter, or null when nothing has expired
+ */
+const expiredThreadsFilter = async (roomName, policy, now = new Date()) => {
+  const topLevel = { room: roomName, parentId: null };
+
+  if (policy.mode === 'days') {
+    const cutoff = new Date(now.getTime() - policy.value * DAY_MS);
+    return {
+      ...topLevel,
+      ts: { $lt: cutoff },
+      $or: [{ lastReplyAt: null }, { lastReplyAt: { $lt: cutoff } }],
+    };
+  }
+
+  // The oldest top-level message still kept
+  const [oldestKept] = await Message.find(topLevel)
+    .sort({ ts: -1, _id: -1 })
+    .skip(policy.value - 1)
+    .limit(1)
+    .select('ts')
+    .lean();
+
+  if (!oldestKept) return null;
+
+  return {
+    ...topLevel,
+    $or: [
+      { ts: { $lt: oldestKept.ts } },
+      { ts: oldestKept.ts, _id: { $lt: oldestKept._id } },
+    ],
+  };
+};
+
+/**
+ * Summarize what a policy would remove from a room right now
+ * Reply counts come from the threads' denormalized replyCount.
+ * @param {string} roomName - Room name
+ * @param {Object} policy - Retention policy
+ * @returns {Promise<{threads: number, messages: number, oldest: (Date|null), newest: (Date|null)}>}
+ *   newest is the latest activity among the expired threads
+ */
+const previewRetention = async (roomName, policy) => {
+  const nothing = { threads: 0, messages: 0, oldest: null, newest: null };
+  if (!isActive(policy)) return nothing;
+
+  const filter = await expiredThreadsFilter(roomName, policy);
+  if (!filter) return nothing;
+
+  const [summary] = await Message.aggregate([
+    { $match: filter },
+    {
+      $group: {
+        _id: null,
+        threads: { $sum: 1 },
+        replies: { $sum: { $ifNull: ['$replyCount', 0] } },
+        oldest: { $min: '$ts' },
+        newest: { $max: { $max: ['$ts', '$lastReplyAt'] } },
+      },
+    },
+  ]);
+
+  if (!summary) return nothing;
+
+  return {
+    threads: summary.threads,
+    messages: summary.threads + summary.replies,
+    oldest: summary.oldest,
+    newest: summary.newest,
+  };
+};
+
+/**
+ * Remove threads with their replies
+ * @param {Array} threadIds - IDs of expired top-level messages
+ * @returns {Promise<number>} Messages removed
+ */
+const removeThreads = async (threadIds) => {
+  const messages = await Message.find({
+    $or: [{ _id: { $in: threadIds } }, { parentId: { $in: threadIds } }],
+  }).lean();
+  const ids = messages.map(message => message._id);
+
+  if (RETENTION_ACTION === 'archive') {
+    // Upserts, so a batch interrupted after archiving can be retried
+    await ArchivedMessage.bulkWrite(messages.map(message => ({
+      updateOne: {
+        filter: { messageId: message._id },
+        update: {
+          $setOnInsert: {
+            messageId: message._id,
+            room: message.room,
+            ts: message.ts,
+            message,
+            archivedAt: new Date(),
+          },
+        },
+        upsert: true,
+      },
+    })));
+  } else {
+    await attachmentService.deleteAttachmentsForMessages(ids);
+  }
+
+  await notificationService.deleteForMessages(ids);
+  await Message.deleteMany({ _id: { $in: ids } });
+  return ids.length;
+};
+
+/**
+ * Prune one room's expired threads in batches
+ * The room is told which top-level messages went away (messagesPruned).
+ * @param {Object} [io] - Socket.io server
+ * @param {Object} room - Room with name and retention
+ * @param {Function} [onBatch] - Called with the number of messages removed by each batch
+ * @returns {Promise<number>} Messages removed
+ */
+const pruneRoom = async (io, room, onBatch = () => {}) => {
+  let removed = 0;
+
+  for (let batch = 0; batch < MAX_BATCHES_PER_ROOM; batch += 1) {
+    const filter = await expiredThreadsFilter(room.name, room.retention);
+    if (!filter) break;
+
+    const threads = await Message.find(filter)
+      .sort({ ts: 1 })
+      .limit(PRUNE_BATCH_SIZE)
+      .select('_id')
+      .lean();
+    if (threads.length === 0) break;
+
+    const threadIds = threads.map(thread => thread._id);
+    const count = await removeThreads(threadIds);
+    removed += count;
+    onBatch(count);
+
+    io?.to(room.name).emit('messagesPruned', {
+      room: room.name,
+      messageIds: threadIds.map(String),
+    });
+
+    if (threads.length < PRUNE_BATCH_SIZE) break;
+  }
+
+  return removed;
+};
+
+/**
+ * Prune every room with an active retention policy
+ * Rooms are pruned one after another to keep the load on the database low.
+ * @param {Object} [io] - Socket.io server
+ * @param {Function} [onBatch] - Called with the number of messages removed by each batch
+ * @returns {Promise<{rooms: number, removed: number}>}
+ */
+const pruneExpiredMessages = async (io, onBatch) => {
+  const rooms = await Room.find({ 'retention.mode': { $in: ['days', 'messages'] } })
+    .select('name retention')
+    .lean();
+
+  let removed = 0;
+  for (const room of rooms) {
+    removed += await pruneRoom(io, room, onBatch);
+  }
+
+  return { rooms: rooms.length, removed };
+};
+
+module.exports = {
+  RETENTION_MODES,
+  RETENTION_ACTION,
+  isActive,
+  normalizePolicy,
+  previewRetention,
+  pruneRoom,
+  pruneExpiredMessages,
+};
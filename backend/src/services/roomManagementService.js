@@ -0,0 +1,302 @@
+/**
+ * Room Management Service
+ * Room settings (name, topic, description, icon, retention policy),
+ * archiving and deletion
+ *
+ * Changes are announced to everyone who can see the room, so room lists and
+ * headers update live: all users for public rooms, the members of private
+ * rooms. roomUpdated follows a change and roomDeleted follows archiving or
+ * deleting.
+ *
+ * Messages (live and archived), read markers, notifications,
+ * attachments and webhooks refer to rooms by name, so a rename moves them
+ * along with the room's sockets and presence.
+ */
+
+const Room = require('../models/Room');
+const Message = require('../models/Message');
+const ReadMarker = require('../models/ReadMarker');
+const Notification = require('../models/Notification');
+const Attachment = require('../models/Attachment');
+const ArchivedMessage = require('../models/ArchivedMessage');
+const Webhook = require('../models/Webhook');
+const IncomingWebhook = require('../models/IncomingWebhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const roomService = require('./roomService');
+const presenceService = require('./presenceService');
+const attachmentService = require('./attachmentService');
+const retentionService = require('./retentionService');
+const httpError = require('../utils/httpError');
+
+// Settings stored as plain text on the room
+const TEXT_SETTINGS = ['topic', 'description', 'icon'];
+
+// Collections that refer to rooms by name
+const ROOM_NAME_MODELS = [
+  Message, ReadMarker, Notification, Attachment, ArchivedMessage, Webhook, WebhookDelivery, IncomingWebhook,
+];
+
+const DELETE_MODES = ['archive', 'delete'];
+
+/**
+ * Send an event to everyone who can see a room
+ * @param {Object} [io] - Socket.io server
+ * @param {Object} room - Room document or plain object
+ * @param {string} event - Event name
+ * @param {Object} payload - Event payload
+ */
+const emitToRoomAudience = (io, room, event, payload) => {
+  if (!io) return;
+
+  if (room.visibility === 'private') {
+    const channels = (room.members || []).map(userId => `user:${userId}`);
+    if (channels.length > 0) io.to(channels).emit(event, payload);
+    return;
+  }
+
+  io.emit(event, payload);
+};
+
+/**
+ * Announce a room change (roomUpdated event)
+ * @param {Object} [io] - Socket.io server
+ * @param {Object} room - Updated room
+ * @param {Object} details
+ * @param {string} details.updatedBy - Username of the user who made the change
+ * @param {string[]} details.changes - Changed fields (e.g. ['name', 'topic'])
+ * @param {string} [details.previousName] - Room name before a rename
+ */
+const broadcastRoomUpdate = (io, room, { updatedBy, changes, previousName }) => {
+  emitToRoomAudience(io, room, 'roomUpdated', {
+    ...roomService.toRoomPayload(room),
+    updatedBy,
+    changes,
+    ...(previousName && { previousName }),
+  });
+};
+
+/**
+ * Load a room the user created
+ * @param {string} roomName - Room name
+ * @param {Object} actor - Acting user
+ * @returns {Promise<Object>} Room document
+ */
+const findOwnedRoom = async (roomName, actor) => {
+  const room = await Room.findOne({ name: roomName });
+
+  if (!room || !roomService.canAccessRoom(room, actor._id)) {
+    throw httpError(404, 'Room not found');
+  }
+
+  if (room.type === 'direct') {
+    throw httpError(400, 'Direct messages cannot be changed');
+  }
+
+  if (!room.createdBy || !room.createdBy.equals(actor._id)) {
+    throw httpError(403, 'Only the room creator can change this room');
+  }
+
+  return room;
+};
+
+/**
+ * Move everything that refers to a room by name to its new name
+ * @param {Object} [io] - Socket.io server
+ * @param {string} oldName - Previous room name
+ * @param {string} newName - New room name
+ * @returns {Promise<void>}
+ */
+const moveRoomData = async (io, oldName, newName) => {
+  await Promise.all(ROOM_NAME_MODELS.map(Model => (
+    Model.updateMany({ room: oldName }, { $set: { room: newName } })
+  )));
+
+  if (io) {
+    io.in(oldName).socketsJoin(newName);
+    io.in(oldName).socketsLeave(oldName);
+  }
+  presenceService.renameRoom(oldName, newName);
+};
+
+/**
+ * Update a room's settings
+ * Only fields that are given and differ from the current value change.
+ * @param {Object} [io] - Socket.io server
+ * @param {Object} params
+ * @param {string} params.roomName - Room name
+ * @param {Object} params.actor - Acting user (must be the creator)
+ * @param {string} [params.name] - New room name
+ * @param {string} [params.topic] - New topic
+ * @param {string} [params.description] - New description
+ * @param {string} [params.icon] - New icon
+ * @param {Object} [params.retention] - New retention policy ({ mode, value })
+ * @returns {Promise<{room: Object, changes: string[]}>}
+ */
+const updateRoom = async (io, { roomName, actor, name, retention, ...settings }) => {
+  const room = await findOwnedRoom(roomName, actor);
+
+  if (room.archivedAt) {
+    throw httpError(400, 'Archived rooms cannot be changed');
+  }
+
+  const changes = [];
+
+  TEXT_SETTINGS.forEach((field) => {
+    if (settings[field] === undefined) return;
+
+    const value = String(settings[field]).trim();
+    if (value !== (room[field] || '')) {
+      room[field] = value;
+      changes.push(field);
+    }
+  });
+
+  if (retention !== undefined) {
+    const policy = retentionService.normalizePolicy(retention);
+    const current = room.retention || { mode: 'forever', value: null };
+    if (policy.mode !== current.mode || policy.value !== current.value) {
+      room.retention = policy;
+      changes.push('retention');
+    }
+  }
+
+  const previousName = room.name;
+  const newName = name === undefined ? previousName : String(name).trim();
+
+  if (newName !== previousName) {
+    if (previousName === roomService.DEFAULT_ROOM) {
+      throw httpError(400, `#${roomService.DEFAULT_ROOM} can't be renamed`);
+    }
+    if (roomService.isDirectRoomName(newName)) {
+      throw httpError(400, `Room names cannot start with "${roomService.DIRECT_PREFIX}"`);
+    }
+    if (await Room.exists({ name: newName })) {
+      throw httpError(409, 'Room name already exists');
+    }
+    room.name = newName;
+    changes.push('name');
+  }
+
+  if (changes.length === 0) {
+    return { room, changes };
+  }
+
+  try {
+    await room.save();
+  } catch (error) {
+    // Another room took the name between the check and the save
+    if (error.code === 11000) {
+      throw httpError(409, 'Room name already exists');
+    }
+    throw error;
+  }
+
+  const renamed = changes.includes('name');
+  if (renamed) {
+    await moveRoomData(io, previousName, room.name);
+  }
+
+  broadcastRoomUpdate(io, room, {
+    updatedBy: actor.username,
+    changes,
+    ...(renamed && { previousName }),
+  });
+
+  return { room, changes };
+};
+
+/**
+ * Preview what a retention policy would remove from a room right now
+ * @param {Object} params
+ * @param {string} params.roomName - Room name
+ * @param {Object} params.actor - Acting user (must be the creator)
+ * @param {Object} [params.retention] - Policy to try; defaults to the room's own
+ * @returns {Promise<{retention: Object, threads: number, messages: number, oldest: (Date|null), newest: (Date|null)}>}
+ */
+const previewRetention = async ({ roomName, actor, retention }) => {
+  const room = await findOwnedRoom(roomName, actor);
+  const policy = retention === undefined
+    ? retentionService.normalizePolicy(room.retention)
+    : retentionService.normalizePolicy(retention);
+
+  return {
+    retention: policy,
+    ...(await retentionService.previewRetention(room.name, policy)),
+  };
+};
+
+/**
+ * Archive or delete a room
+ * Archiving keeps the history but hides the room and stops new messages.
+ * Deleting removes the room with its messages (including archived ones),
+ * read markers, notifications and attachments. Either way the room's sockets are told
+ * through roomDeleted and taken out of the room.
+ *
+ * A room being deleted is archived first and its Room document is removed
+ * last: without one, a room counts as a public legacy room, so removing it
+ * first would expose a private room's remaining data (and free its name
+ * for a new room that the cleanup would then wipe). If the cleanup fails,
+ * the room stays archived and deleting it again finishes the job.
+ * @param {Object} [io] - Socket.io server
+ * @param {Object} params
+ * @param {string} params.roomName - Room name
+ * @param {Object} params.actor - Acting user (must be the creator)
+ * @param {'archive'|'delete'} [params.mode] - Defaults to 'archive'
+ * @returns {Promise<Object>} The archived or deleted room
+ */
+const deleteRoom = async (io, { roomName, actor, mode = 'archive' }) => {
+  if (!DELETE_MODES.includes(mode)) {
+    throw httpError(400, `Mode must be one of: ${DELETE_MODES.join(', ')}`);
+  }
+
+  const room = await findOwnedRoom(roomName, actor);
+  const archived = mode === 'archive';
+
+  if (room.name === roomService.DEFAULT_ROOM) {
+    throw httpError(400, `#${roomService.DEFAULT_ROOM} can't be archived or deleted`);
+  }
+
+  if (archived && room.archivedAt) {
+    throw httpError(409, 'Room is already archived');
+  }
+
+  // Deleted rooms are archived while their data is removed, so nobody can post
+  if (!room.archivedAt) {
+    room.archivedAt = new Date();
+    await room.save();
+  }
+
+  emitToRoomAudience(io, room, 'roomDeleted', {
+    room: room.name,
+    archived,
+    deletedBy: actor.username,
+  });
+
+  io?.in(room.name).socketsLeave(room.name);
+  presenceService.removeRoom(room.name);
+
+  if (!archived) {
+    await Promise.all([
+      Message.deleteMany({ room: room.name }),
+      ReadMarker.deleteMany({ room: room.name }),
+      Notification.deleteMany({ room: room.name }),
+      ArchivedMessage.deleteMany({ room: room.name }),
+      Webhook.deleteMany({ room: room.name }),
+      WebhookDelivery.deleteMany({ room: room.name }),
+      IncomingWebhook.deleteMany({ room: room.name }),
+      attachmentService.deleteRoomAttachments(room.name),
+    ]);
+    await Room.deleteOne({ _id: room._id });
+  }
+
+  return room;
+};
+
+module.exports = {
+  DELETE_MODES,
+  broadcastRoomUpdate,
+  findOwnedRoom,
+  updateRoom,
+  previewRetention,
+  deleteRoom,
+};
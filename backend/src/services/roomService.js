@@ -0,0 +1,429 @@
+/**
+ * Room Service
+ * Room access rules, direct message rooms and private room membership
+ *
+ * Direct message rooms are regular Room documents with type 'direct'. Their
+ * name is derived from both participants' IDs, so either user opening the
+ * conversation gets the same room.
+ *
+ * Private rooms (visibility 'private') are only visible to their members.
+ * Members invite other users; invitees become members by accepting.
+ */
+
+const crypto = require('node:crypto');
+const mongoose = require('mongoose');
+const Room = require('../models/Room');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const presenceService = require('./presenceService');
+const httpError = require('../utils/httpError');
+
+// Reserved prefix for direct message room names
+const DIRECT_PREFIX = 'dm-';
+
+// Room clients fall back to, which can't be left, renamed or removed
+const DEFAULT_ROOM = 'general';
+
+/**
+ * Build the stable room name for a conversation between two users
+ * @param {string} userIdA - First user ID
+ * @param {string} userIdB - Second user ID
+ * @returns {string} Room name such as "dm-3f2a..."
+ */
+const directRoomName = (userIdA, userIdB) => {
+  const key = [userIdA.toString(), userIdB.toString()].sort().join(':');
+  const hash = crypto.createHash('sha256').update(key).digest('hex').slice(0, 32);
+  return `${DIRECT_PREFIX}${hash}`;
+};
+
+/**
+ * Check whether a room name is in the direct message namespace
+ * @param {string} name - Room name
+ * @returns {boolean}
+ */
+const isDirectRoomName = (name) => typeof name === 'string' && name.startsWith(DIRECT_PREFIX);
+
+/**
+ * Check whether a list of user IDs (or populated users) contains a user
+ * @param {Array} ids - ObjectIds or populated user documents
+ * @param {string} userId - User ID
+ * @returns {boolean}
+ */
+const includesUser = (ids, userId) => (ids || []).some(id => (
+  (id._id || id).toString() === userId.toString()
+));
+
+/**
+ * Check whether a user may read and post in a room
+ * @param {Object} room - Room document or plain object
+ * @param {string} userId - User ID
+ * @param {Object} [options]
+ * @param {boolean} [options.bot] - The user is a bot, which may only enter rooms that list it
+ * @returns {boolean}
+ */
+const canAccessRoom = (room, userId, { bot = false } = {}) => {
+  if (bot) return room.type !== 'direct' && includesUser(room.bots, userId);
+  if (room.type === 'direct') return includesUser(room.participants, userId);
+  if (room.visibility === 'private') return includesUser(room.members, userId);
+  return true;
+};
+
+/**
+ * Query filter for the rooms a user can see
+ * Archived rooms are left out.
+ * @param {string} userId - User ID
+ * @returns {Object} MongoDB filter
+ */
+const visibleRoomsFilter = (userId) => ({
+  archivedAt: null,
+  $or: [
+    { type: { $ne: 'direct' }, visibility: { $ne: 'private' } },
+    { type: 'direct', participants: userId },
+    { visibility: 'private', members: userId },
+  ],
+});
+
+/**
+ * Load a room and check that the user may access it
+ * Rooms without a Room document (legacy rooms that only exist through
+ * messages) are treated as public, except in the direct message namespace.
+ * @param {string} roomName - Room name
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} Room (lean), or null for legacy rooms
+ */
+const assertRoomAccess = async (roomName, userId) => {
+  const room = await Room.findOne({ name: roomName }).lean();
+
+  if (!room) {
+    if (isDirectRoomName(roomName)) {
+      throw httpError(404, 'Room not found');
+    }
+    return null;
+  }
+
+  if (!canAccessRoom(room, userId)) {
+    // Same response as a missing room, so private names don't leak
+    throw httpError(404, 'Room not found');
+  }
+
+  return room;
+};
+
+/**
+ * Check that a user may access the room a message belongs to
+ * @param {string} messageId - Message ID
+ * @param {string} userId - User ID
+ * @returns {Promise<string>} The message's room name
+ */
+const assertMessageAccess = async (messageId, userId) => {
+  if (!mongoose.isValidObjectId(messageId)) {
+    throw httpError(400, 'Invalid message id');
+  }
+
+  const message = await Message.findById(messageId).select('room').lean();
+  if (!message) {
+    throw httpError(404, 'Message not found');
+  }
+
+  await assertRoomAccess(message.room, userId);
+  return message.room;
+};
+
+/**
+ * Find or create the direct message room between two users
+ * @param {Object} user - Current user document
+ * @param {Object} otherUser - Other participant's user document
+ * @returns {Promise<Object>} Room (lean)
+ */
+const getOrCreateDirectRoom = async (user, otherUser) => {
+  if (user._id.toString() === otherUser._id.toString()) {
+    throw httpError(400, 'You cannot start a direct message with yourself');
+  }
+
+  const name = directRoomName(user._id, otherUser._id);
+
+  // Upsert so two users opening the conversation at once get one room
+  return Room.findOneAndUpdate(
+    { name },
+    {
+      $setOnInsert: {
+        name,
+        type: 'direct',
+        participants: [user._id, otherUser._id],
+        createdAt: new Date(),
+      },
+    },
+    { new: true, upsert: true }
+  ).lean();
+};
+
+/**
+ * List the names of restricted rooms a user cannot access
+ * Used to filter queries over messages, which only know room names.
+ * @param {string} userId - User ID
+ * @returns {Promise<string[]>}
+ */
+const getHiddenRoomNames = async (userId) => {
+  const rooms = await Room.find({
+    $or: [
+      { type: 'direct', participants: { $ne: userId } },
+      { visibility: 'private', members: { $ne: userId } },
+    ],
+  }).select('name').lean();
+  return rooms.map(room => room.name);
+};
+
+/**
+ * Load a private room the user belongs to
+ * @param {string} roomName - Room name
+ * @param {string} userId - Acting user's ID
+ * @returns {Promise<Object>} Room document
+ */
+const findPrivateRoomForMember = async (roomName, userId) => {
+  const room = await Room.findOne({ name: roomName });
+
+  if (!room || !canAccessRoom(room, userId)) {
+    throw httpError(404, 'Room not found');
+  }
+
+  if (room.visibility !== 'private') {
+    throw httpError(400, 'Only private rooms have members and invitations');
+  }
+
+  return room;
+};
+
+/**
+ * Invite a user to a private room
+ * @param {Object} params
+ * @param {string} params.roomName - Room name
+ * @param {Object} params.inviter - Inviting user (must be a member)
+ * @param {string} params.username - Username to invite
+ * @returns {Promise<{room: Object, invitee: Object}>}
+ */
+const inviteMember = async ({ roomName, inviter, username }) => {
+  const room = await findPrivateRoomForMember(roomName, inviter._id);
+
+  const invitee = await User.findOne({ username: username.toString() });
+  if (!invitee) {
+    throw httpError(404, 'User not found');
+  }
+
+  if (includesUser(room.members, invitee._id)) {
+    throw httpError(409, 'User is already a member');
+  }
+
+  if ((room.invitations || []).some(invitation => invitation.userId.equals(invitee._id))) {
+    throw httpError(409, 'User has already been invited');
+  }
+
+  room.invitations = [
+    ...(room.invitations || []),
+    { userId: invitee._id, invitedBy: inviter._id, invitedAt: new Date() },
+  ];
+  await room.save();
+
+  return { room, invitee };
+};
+
+/**
+ * Tell an invitee about their new invitation (roomInvitation event)
+ * @param {Object} [io] - Socket.io server
+ * @param {Object} params
+ * @param {Object} params.room - Room returned by inviteMember
+ * @param {Object} params.invitee - Invited user
+ * @param {string} params.invitedBy - Inviter's username
+ * @returns {{room: string, invitedBy: string, invitedAt: Date}} Invitation sent
+ */
+const notifyInvitation = (io, { room, invitee, invitedBy }) => {
+  const invitation = {
+    room: room.name,
+    invitedBy,
+    invitedAt: room.invitations[room.invitations.length - 1].invitedAt,
+  };
+  io?.to(`user:${invitee._id}`).emit('roomInvitation', invitation);
+  return invitation;
+};
+
+/**
+ * Accept a pending invitation, making the user a member
+ * @param {string} roomName - Room name
+ * @param {string} userId - Invited user's ID
+ * @returns {Promise<Object>} Updated room (lean)
+ */
+const acceptInvitation = async (roomName, userId) => {
+  const room = await Room.findOneAndUpdate(
+    { name: roomName, 'invitations.userId': userId },
+    {
+      $pull: { invitations: { userId } },
+      $addToSet: { members: userId },
+    },
+    { new: true }
+  ).lean();
+
+  if (!room) {
+    throw httpError(404, 'Invitation not found');
+  }
+
+  return room;
+};
+
+/**
+ * Decline a pending invitation
+ * @param {string} roomName - Room name
+ * @param {string} userId - Invited user's ID
+ * @returns {Promise<Object>} Updated room (lean)
+ */
+const declineInvitation = async (roomName, userId) => {
+  const room = await Room.findOneAndUpdate(
+    { name: roomName, 'invitations.userId': userId },
+    { $pull: { invitations: { userId } } },
+    { new: true }
+  ).lean();
+
+  if (!room) {
+    throw httpError(404, 'Invitation not found');
+  }
+
+  return room;
+};
+
+/**
+ * Remove a member from a private room
+ * Members can always remove themselves; removing someone else is reserved
+ * for the room's creator.
+ * @param {Object} params
+ * @param {string} params.roomName - Room name
+ * @param {Object} params.actor - User performing the removal
+ * @param {string} params.username - Member to remove
+ * @returns {Promise<{room: Object, target: Object}>}
+ */
+const removeMember = async ({ roomName, actor, username }) => {
+  const room = await findPrivateRoomForMember(roomName, actor._id);
+
+  const target = username === actor.username
+    ? actor
+    : await User.findOne({ username: username.toString() });
+
+  if (!target || !includesUser(room.members, target._id)) {
+    throw httpError(404, 'User is not a member of this room');
+  }
+
+  const isSelf = target._id.equals(actor._id);
+  if (!isSelf && !(room.createdBy && room.createdBy.equals(actor._id))) {
+    throw httpError(403, 'Only the room creator can remove other members');
+  }
+
+  const updated = await Room.findByIdAndUpdate(
+    room._id,
+    { $pull: { members: target._id } },
+    { new: true }
+  ).lean();
+
+  return { room: updated, target };
+};
+
+/**
+ * List a user's pending invitations
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<{room: string, invitedBy: string, invitedAt: Date}>>}
+ */
+const getPendingInvitations = async (userId) => {
+  const rooms = await Room.find({ 'invitations.userId': userId })
+    .populate('invitations.invitedBy', 'username')
+    .lean();
+
+  return rooms.map((room) => {
+    const invitation = room.invitations.find(entry => entry.userId.toString() === userId.toString());
+    return {
+      room: room.name,
+      invitedBy: invitation.invitedBy?.username || null,
+      invitedAt: invitation.invitedAt,
+    };
+  });
+};
+
+/**
+ * Take every socket of a user out of a room
+ * The user's sockets are told why through the given event before leaving.
+ * @param {Object} io - Socket.io server
+ * @param {string} userId - User to remove
+ * @param {string} roomName - Room name
+ * @param {string} event - Event sent to the user's sockets (e.g. 'removedFromRoom')
+ * @param {Object} payload - Event payload
+ * @returns {Promise<void>}
+ */
+const evictUserFromRoom = async (io, userId, roomName, event, payload) => {
+  const channel = `user:${userId}`;
+  io.to(channel).emit(event, { room: roomName, ...payload });
+
+  const sockets = await io.in(channel).fetchSockets();
+  sockets.forEach((socket) => {
+    socket.leave(roomName);
+    presenceService.broadcast(io, presenceService.leave(roomName, socket.id));
+  });
+};
+
+/**
+ * Socket.io targets for a new message
+ * Direct messages also go to each participant's personal channel, so they
+ * arrive even when the conversation isn't open. Socket.io delivers once per
+ * socket when targets overlap.
+ * @param {string} roomName - Room name
+ * @returns {Promise<string[]>} Socket.io room names
+ */
+const getMessageTargets = async (roomName) => {
+  if (!isDirectRoomName(roomName)) return [roomName];
+
+  const room = await Room.findOne({ name: roomName }).select('participants').lean();
+  const participants = room?.participants || [];
+  return [roomName, ...participants.map(userId => `user:${userId}`)];
+};
+
+/**
+ * Client-facing room info
+ * Direct message rooms include the participants' usernames, so the
+ * participants list must be populated.
+ * @param {Object} room - Room (lean, participants populated with username)
+ * @returns {Object}
+ */
+const toRoomPayload = (room) => ({
+  name: room.name,
+  type: room.type || 'public',
+  visibility: room.visibility || 'public',
+  topic: room.topic || '',
+  description: room.description || '',
+  icon: room.icon || '',
+  // null when messages are kept forever
+  retention: room.retention && room.retention.mode !== 'forever'
+    ? { mode: room.retention.mode, value: room.retention.value }
+    : null,
+  createdBy: room.createdBy || null,
+  createdAt: room.createdAt,
+  ...(room.type === 'direct' && {
+    participants: (room.participants || []).map(participant => participant.username),
+  }),
+});
+
+module.exports = {
+  DIRECT_PREFIX,
+  DEFAULT_ROOM,
+  directRoomName,
+  isDirectRoomName,
+  includesUser,
+  canAccessRoom,
+  visibleRoomsFilter,
+  assertRoomAccess,
+  assertMessageAccess,
+  getOrCreateDirectRoom,
+  getHiddenRoomNames,
+  inviteMember,
+  notifyInvitation,
+  acceptInvitation,
+  declineInvitation,
+  removeMember,
+  getPendingInvitations,
+  evictUserFromRoom,
+  getMessageTargets,
+  toRoomPayload,
+};
@@ -0,0 +1,191 @@
+/**
+ * Search Service
+ * Full-text message search backed by the text index on Message.text
+ *
+ * Results only include rooms the user can access, skip deleted messages,
+ * and carry highlighted fragments of the matched text so clients can show
+ * hits without rendering HTML.
+ */
+
+const Message = require('../models/Message');
+const messageService = require('./messageService');
+const roomService = require('./roomService');
+const moderationService = require('./moderationService');
+
+const DEFAULT_SEARCH_LIMIT = 20;
+const MAX_SEARCH_LIMIT = 50;
+const MAX_QUERY_LENGTH = 200;
+
+// Characters of surrounding text kept on each side of a match
+const FRAGMENT_CONTEXT = 40;
+// Fragments returned per message
+const MAX_FRAGMENTS = 3;
+
+/**
+ * Extract the terms to highlight from a search query
+ * Quoted phrases are kept whole; negated terms (-word) are ignored.
+ * @param {string} query - Search query
+ * @returns {string[]} Lowercase terms, longest first
+ */
+const extractTerms = (query) => {
+  const terms = new Set();
+  const pattern = /(-?)"([^"]+)"|(-?)(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(query)) !== null) {
+    const [, phraseNegated, phrase, wordNegated, word] = match;
+    const term = phrase !== undefined ? phrase : word;
+    if (!(phraseNegated || wordNegated) && term.trim()) {
+      terms.add(term.trim().toLowerCase());
+    }
+  }
+
+  return [...terms].sort((a, b) => b.length - a.length);
+};
+
+/**
+ * Split highlighted fragments out of a message's text
+ * Each fragment is a list of segments; matched segments have match: true.
+ * Text without a literal match (e.g. matched through stemming) returns its
+ * beginning as a single unhighlighted fragment.
+ * @param {string} text - Message text
+ * @param {string[]} terms - Terms from extractTerms
+ * @returns {Array<Array<{text: string, match: boolean}>>}
+ */
+const highlight = (text, terms) => {
+  const escaped = terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  const ranges = [];
+
+  if (escaped.length > 0) {
+    const pattern = new RegExp(escaped.join('|'), 'gi');
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      ranges.push([match.index, match.index + match[0].length]);
+    }
+  }
+
+  if (ranges.length === 0) {
+    const end = Math.min(text.length, FRAGMENT_CONTEXT * 2);
+    return [[{ text: text.slice(0, end) + (end < text.length ? '…' : ''), match: false }]];
+  }
+
+  // Group matches whose surrounding context overlaps into one fragment
+  const windows = [];
+  ranges.forEach(([start, end]) => {
+    const last = windows[windows.length - 1];
+    if (last && start - FRAGMENT_CONTEXT <= last.end) {
+      last.end = Math.min(text.length, end + FRAGMENT_CONTEXT);
+      last.matches.push([start, end]);
+    } else {
+      windows.push({
+        start: Math.max(0, start - FRAGMENT_CONTEXT),
+        end: Math.min(text.length, end + FRAGMENT_CONTEXT),
+        matches: [[start, end]],
+      });
+    }
+  });
+
+  return windows.slice(0, MAX_FRAGMENTS).map((window) => {
+    const segments = [];
+    let position = window.start;
+
+    window.matches.forEach(([start, end]) => {
+      if (start > position) {
+        segments.push({ text: text.slice(position, start), match: false });
+      }
+      segments.push({ text: text.slice(start, end), match: true });
+      position = end;
+    });
+    if (position < window.end) {
+      segments.push({ text: text.slice(position, window.end), match: false });
+    }
+
+    if (window.start > 0) {
+      segments.unshift({ text: '…', match: false });
+    }
+    if (window.end < text.length) {
+      segments.push({ text: '…', match: false });
+    }
+    return segments;
+  });
+};
+
+/**
+ * Search messages the user can see
+ * Results are sorted by relevance, newest first among equal scores.
+ * @param {Object} params
+ * @param {string} params.userId - Searching user's ID
+ * @param {string} params.query - Search query (MongoDB text search syntax)
+ * @param {string} [params.room] - Only search this room
+ * @param {string} [params.username] - Only messages by this author
+ * @param {Date} [params.from] - Only messages sent at or after this date
+ * @param {Date} [params.to] - Only messages sent at or before this date
+ * @param {number} [params.limit] - Page size (default 20, max 50)
+ * @param {number} [params.skip] - Results to skip
+ * @returns {Promise<{results: Array, total: number, hasMore: boolean}>}
+ */
+const searchMessages = async ({ userId, query, room, username, from, to, limit, skip }) => {
+  const pageSize = Math.min(Math.max(Number.parseInt(limit, 10) || DEFAULT_SEARCH_LIMIT, 1), MAX_SEARCH_LIMIT);
+  const offset = Math.max(Number.parseInt(skip, 10) || 0, 0);
+
+  const filter = {
+    $text: { $search: query },
+    deleted: { $ne: true },
+  };
+
+  if (room) {
+    await moderationService.assertCanRead(room, userId);
+    filter.room = room;
+  } else {
+    const [hidden, banned] = await Promise.all([
+      roomService.getHiddenRoomNames(userId),
+      moderationService.getBannedRoomNames(userId),
+    ]);
+    filter.room = { $nin: [...hidden, ...banned] };
+  }
+
+  if (username) {
+    filter.username = username;
+  }
+
+  if (from || to) {
+    filter.ts = {
+      ...(from && { $gte: from }),
+      ...(to && { $lte: to }),
+    };
+  }
+
+  const [messages, total] = await Promise.all([
+    Message.find(filter, { score: { $meta: 'textScore' } })
+      .sort({ score: { $meta: 'textScore' }, ts: -1 })
+      .skip(offset)
+      .limit(pageSize + 1)
+      .lean(),
+    Message.countDocuments(filter),
+  ]);
+
+  const hasMore = messages.length > pageSize;
+  if (hasMore) {
+    messages.pop();
+  }
+
+  const terms = extractTerms(query);
+
+  return {
+    results: messages.map(message => ({
+      ...messageService.toMessagePayload(message),
+      score: message.score,
+      highlights: highlight(message.text, terms),
+    })),
+    total,
+    hasMore,
+  };
+};
+
+module.exports = {
+  MAX_SEARCH_LIMIT,
+  MAX_QUERY_LENGTH,
+  extractTerms,
+  highlight,
+  searchMessages,
+};
@@ -0,0 +1,283 @@
+/**
+ * Session Service
+ * Server-side sessions with short-lived access tokens and rotating refresh
+ * tokens
+ *
+ * Logging in creates a session and returns a pair of tokens:
+ * - an access token, a JWT naming the user and the session (sid) that
+ *   expires after ACCESS_TOKEN_TTL (default 15 minutes). It only works
+ *   while its session exists.
+ * - a refresh token (mmrt_...), traded at POST /auth/refresh for a new
+ *   pair. Each refresh replaces it (rotation), so a refresh token works
+ *   once.
+ *
+ * Presenting a refresh token that was already rotated out means it was
+ * copied: the session is revoked and its sockets disconnected, signing
+ * out both the thief and the user. Within REFRESH_REUSE_GRACE_SECONDS of a
+ * rotation the old token is only refused, since two tabs of the same
+ * browser may refresh at the same moment.
+ *
+ * Revoking a session (logout, or from the sessions page) deletes it and
+ * disconnects its sockets, which join `session:<id>`.
+ */
+
+const crypto = require('node:crypto');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const httpError = require('../utils/httpError');
+
+const REFRESH_TOKEN_PREFIX = 'mmrt_';
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number.parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+const REUSE_GRACE_MS = (Number.parseFloat(process.env.REFRESH_REUSE_GRACE_SECONDS) || 10) * 1000;
+
+// Rotated-out refresh tokens remembered per session for reuse detection
+const MAX_PREVIOUS_TOKENS = 20;
+
+// Only record activity once a minute, not on every request
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000;
+
+const MAX_USER_AGENT_LENGTH = 500;
+
+/**
+ * Hash a refresh token for storage and lookup
+ * @param {string} token - Refresh token
+ * @returns {string} Hex SHA-256
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Generate a refresh token
+ * @returns {{refreshToken: string, refreshTokenHash: string}}
+ */
+const generateRefreshToken = () => {
+  const refreshToken = `${REFRESH_TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  return { refreshToken, refreshTokenHash: hashToken(refreshToken) };
+};
+
+/**
+ * When a session used now should expire
+ * @returns {Date}
+ */
+const nextExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Describe the client a request came from
+ * @param {Object} req - Express request (or any object with headers and ip)
+ * @returns {{userAgent: string, ip: string}}
+ */
+const describeClient = (req) => ({
+  userAgent: String(req?.headers?.['user-agent'] || '').slice(0, MAX_USER_AGENT_LENGTH),
+  ip: req?.ip || '',
+});
+
+/**
+ * Sign an access token for a session
+ * @param {Object} user - User
+ * @param {Object} session - Session
+ * @returns {string} JWT
+ */
+const signAccessToken = (user, session) => jwt.sign(
+  { userId: user._id, username: user.username, sid: session._id },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+/**
+ * Build the payload sent to clients for a session
+ * @param {Object} session - Session document or plain object
+ * @param {string} [currentSessionId] - Session the request was made with
+ * @returns {Object}
+ */
+const toSessionPayload = (session, currentSessionId) => ({
+  _id: session._id,
+  userAgent: session.userAgent,
+  ip: session.ip,
+  createdAt: session.createdAt,
+  lastSeenAt: session.lastSeenAt,
+  expiresAt: session.expiresAt,
+  current: session._id.toString() === currentSessionId,
+});
+
+/**
+ * Disconnect all sockets opened with a session's access tokens
+ * @param {Object} [io] - Socket.io server
+ * @param {string} sessionId - Session ID
+ */
+const disconnectSession = (io, sessionId) => {
+  io?.in(`session:${sessionId}`).disconnectSockets(true);
+};
+
+/**
+ * Sign a user in: create a session and its first pair of tokens
+ * @param {Object} user - User who logged in or registered
+ * @param {Object} req - Express request, for the device's user agent and IP
+ * @returns {Promise<{token: string, refreshToken: string, session: Object}>}
+ */
+const startSession = async (user, req) => {
+  const { refreshToken, refreshTokenHash } = generateRefreshToken();
+  const session = await Session.create({
+    userId: user._id,
+    refreshTokenHash,
+    ...describeClient(req),
+    expiresAt: nextExpiry(),
+  });
+
+  return { token: signAccessToken(user, session), refreshToken, session };
+};
+
+/**
+ * Trade a refresh token for a new pair of tokens
+ * @param {Object} [io] - Socket.io server, to disconnect a session revoked for reuse
+ * @param {string} refreshToken - Refresh token
+ * @param {Object} req - Express request, for the device's user agent and IP
+ * @returns {Promise<{token: string, refreshToken: string, user: Object}>}
+ */
+const refreshSession = async (io, refreshToken, req) => {
+  const hash = typeof refreshToken === 'string' && refreshToken.startsWith(REFRESH_TOKEN_PREFIX)
+    && hashToken(refreshToken);
+
+  const session = hash && await Session.findOne({
+    $or: [{ refreshTokenHash: hash }, { previousTokenHashes: hash }],
+  });
+
+  if (!session || session.expiresAt <= new Date()) {
+    throw httpError(401, 'Invalid or expired refresh token');
+  }
+
+  if (session.refreshTokenHash !== hash) {
+    const isLatest = session.previousTokenHashes[session.previousTokenHashes.length - 1] === hash;
+    if (isLatest && Date.now() - session.rotatedAt < REUSE_GRACE_MS) {
+      throw httpError(401, 'Refresh token already used');
+    }
+
+    console.warn(`🔐 Refresh token reuse detected for session ${session._id}; revoking it`);
+    await revokeSession(io, session._id);
+    throw httpError(401, 'Refresh token reuse detected. Please log in again.');
+  }
+
+  const user = await User.findById(session.userId).select('-password');
+  if (!user) {
+    await revokeSession(io, session._id);
+    throw httpError(401, 'User not found');
+  }
+
+  const next = generateRefreshToken();
+  const now = new Date();
+  // Only rotate if no other request rotated this token in the meantime
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: hash },
+    {
+      $set: {
+        refreshTokenHash: next.refreshTokenHash,
+        rotatedAt: now,
+        lastSeenAt: now,
+        expiresAt: nextExpiry(),
+        ...describeClient(req),
+      },
+      $push: { previousTokenHashes: { $each: [hash], $slice: -MAX_PREVIOUS_TOKENS } },
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    throw httpError(401, 'Refresh token already used');
+  }
+
+  return { token: signAccessToken(user, rotated), refreshToken: next.refreshToken, user };
+};
+
+/**
+ * Find the live session an access token names
+ * Also records that the session was seen.
+ * @param {string} sessionId - Session ID (the token's sid)
+ * @returns {Promise<Object|null>} Session (lean), or null if it was revoked or expired
+ */
+const findActiveSession = async (sessionId) => {
+  if (!mongoose.isValidObjectId(sessionId)) return null;
+
+  const session = await Session.findById(sessionId).lean();
+  const now = new Date();
+  if (!session || session.expiresAt <= now) return null;
+
+  if (now - session.lastSeenAt >= LAST_SEEN_RESOLUTION_MS) {
+    Session.updateOne({ _id: session._id }, { $set: { lastSeenAt: now } })
+      .catch(error => console.error('Error updating session:', error));
+  }
+
+  return session;
+};
+
+/**
+ * Revoke a session: its tokens stop working and its sockets are disconnected
+ * @param {Object} [io] - Socket.io server
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<boolean>} Whether the session existed
+ */
+const revokeSession = async (io, sessionId) => {
+  const result = await Session.deleteOne({ _id: sessionId });
+  disconnectSession(io, sessionId);
+  return result.deletedCount > 0;
+};
+
+/**
+ * List the user's active sessions, most recently seen first
+ * @param {Object} user - Acting user
+ * @param {string} [currentSessionId] - Session the request was made with, marked `current`
+ * @returns {Promise<Object[]>}
+ */
+const listSessions = async (user, currentSessionId) => {
+  const sessions = await Session.find({
+    userId: user._id,
+    expiresAt: { $gt: new Date() },
+  }).sort({ lastSeenAt: -1 }).lean();
+  return sessions.map(session => toSessionPayload(session, currentSessionId));
+};
+
+/**
+ * Revoke one of the user's sessions
+ * @param {Object} params
+ * @param {Object} [params.io] - Socket.io server
+ * @param {Object} params.user - Acting user
+ * @param {string} params.sessionId - Session ID
+ * @returns {Promise<void>}
+ */
+const revokeUserSession = async ({ io, user, sessionId }) => {
+  const session = mongoose.isValidObjectId(sessionId)
+    && await Session.findOne({ _id: sessionId, userId: user._id }).select('_id').lean();
+
+  if (!session) {
+    throw httpError(404, 'Session not found');
+  }
+
+  await revokeSession(io, session._id);
+};
+
+/**
+ * Revoke every session of a user ("sign out everywhere")
+ * @param {Object} params
+ * @param {Object} [params.io] - Socket.io server
+ * @param {Object} params.user - Acting user
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+const revokeAllSessions = async ({ io, user }) => {
+  const sessions = await Session.find({ userId: user._id }).select('_id').lean();
+  await Session.deleteMany({ _id: { $in: sessions.map(session => session._id) } });
+  sessions.forEach(session => disconnectSession(io, session._id));
+  return sessions.length;
+};
+
+module.exports = {
+  REFRESH_TOKEN_PREFIX,
+  startSession,
+  refreshSession,
+  findActiveSession,
+  listSessions,
+  revokeSession,
+  revokeUserSession,
+  revokeAllSessions,
+  disconnectSession,
+};
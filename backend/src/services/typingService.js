@@ -0,0 +1,69 @@
+/**
+ * Typing Service
+ * Per-socket typing state with throttling and automatic expiry
+ *
+ * Clients send typingStart repeatedly while the user types. The tracker
+ * forwards at most one start per room every TYPING_THROTTLE_MS and sends a
+ * stop when the client says so, when it goes quiet for TYPING_EXPIRE_MS,
+ * or when the socket disconnects.
+ */
+
+const TYPING_THROTTLE_MS = 2000;
+const TYPING_EXPIRE_MS = 5000;
+
+/**
+ * Create a typing tracker for one socket
+ * @param {Function} broadcast - Called as broadcast(event, room) with 'typingStart' or 'typingStop'
+ * @returns {{start: Function, stop: Function, stopAll: Function}}
+ */
+const createTypingTracker = (broadcast) => {
+  // room -> { timer, lastSentAt }
+  const rooms = new Map();
+
+  /**
+   * Stop typing in a room (no-op if not typing there)
+   * @param {string} room - Room name
+   */
+  const stop = (room) => {
+    const entry = rooms.get(room);
+    if (!entry) return;
+
+    clearTimeout(entry.timer);
+    rooms.delete(room);
+    broadcast('typingStop', room);
+  };
+
+  /**
+   * Start (or keep) typing in a room
+   * @param {string} room - Room name
+   */
+  const start = (room) => {
+    const now = Date.now();
+    const entry = rooms.get(room) || { lastSentAt: 0 };
+
+    clearTimeout(entry.timer);
+
+    if (now - entry.lastSentAt >= TYPING_THROTTLE_MS) {
+      broadcast('typingStart', room);
+      entry.lastSentAt = now;
+    }
+
+    entry.timer = setTimeout(() => stop(room), TYPING_EXPIRE_MS);
+    rooms.set(room, entry);
+  };
+
+  /**
+   * Stop typing everywhere (used on disconnect)
+   */
+  const stopAll = () => {
+    [...rooms.keys()].forEach(stop);
+  };
+
+  return { start, stop, stopAll };
+};
+
+module.exports = {
+  TYPING_THROTTLE_MS,
+  TYPING_EXPIRE_MS,
+  createTypingTracker,
+};
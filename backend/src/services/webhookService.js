@@ -0,0 +1,548 @@
+/**
+ * Webhook Service
+ * Outgoing webhooks: room owners register URLs that receive room events
+ *
+ * Events (message.created, message.updated, message.deleted,
+ * member.joined) are queued as WebhookDelivery documents, one per
+ * subscribed webhook, and sent by the webhook job. A delivery is a POST
+ * with the JSON body { id, event, room, timestamp, data } and headers:
+ *   X-Webhook-Event, X-Webhook-Delivery (the id),
+ *   X-Webhook-Timestamp (Unix seconds, when this attempt was sent),
+ *   X-Webhook-Signature: "sha256=" + hex HMAC-SHA256 of
+ *     "<timestamp>.<body>" keyed with the webhook's secret
+ *
+ * Any 2xx response succeeds. Anything else is retried with exponential
+ * backoff up to WEBHOOK_MAX_ATTEMPTS; a webhook whose attempts fail
+ * WEBHOOK_DISABLE_AFTER_FAILURES times in a row is disabled and its owner
+ * told through a webhookDisabled event. Deliveries may arrive out of
+ * order; receivers should use the timestamp and id.
+ *
+ * URLs that resolve to loopback, private or link-local addresses are
+ * refused unless WEBHOOK_ALLOW_PRIVATE_URLS=true.
+ */
+
+const crypto = require('node:crypto');
+const dns = require('node:dns/promises');
+const net = require('node:net');
+const { EventEmitter } = require('node:events');
+const mongoose = require('mongoose');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const roomManagementService = require('./roomManagementService');
+const httpError = require('../utils/httpError');
+
+const WEBHOOK_EVENTS = ['message.created', 'message.updated', 'message.deleted', 'member.joined'];
+
+// Sent by "Send test"; delivered whatever the webhook subscribes to
+const PING_EVENT = 'ping';
+
+const MAX_WEBHOOKS_PER_ROOM = 10;
+
+const TIMEOUT_MS = (Number.parseFloat(process.env.WEBHOOK_TIMEOUT_SECONDS) || 10) * 1000;
+const MAX_ATTEMPTS = Number.parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8;
+const DISABLE_AFTER_FAILURES = Number.parseInt(process.env.WEBHOOK_DISABLE_AFTER_FAILURES, 10) || 20;
+const ALLOW_PRIVATE_URLS = process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+
+// Backoff between attempts: 30s, 1m, 2m, ... capped at 1h, with ±20% jitter
+const BASE_RETRY_DELAY_MS = 30 * 1000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+
+// How long a claimed delivery stays locked before another worker may retry it
+const LOCK_MS = TIMEOUT_MS * 3;
+
+const MAX_LOG_ENTRIES = 100;
+
+// Tells the webhook job that deliveries are waiting
+const queueEvents = new EventEmitter();
+
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 4],
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Check whether an IP address is loopback, private, link-local or multicast
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+const isPrivateAddress = (address) => {
+  // IPv4-mapped IPv6 (::ffff:127.0.0.1)
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return PRIVATE_ADDRESSES.check(mapped[1], 'ipv4');
+  return PRIVATE_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+};
+
+/**
+ * Validate a webhook URL from a request
+ * @param {string} value - URL
+ * @returns {string} Normalized URL
+ */
+const normalizeUrl = (value) => {
+  let url;
+  try {
+    url = new URL(String(value).trim());
+  } catch {
+    throw httpError(400, 'Invalid webhook URL');
+  }
+
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw httpError(400, 'Webhook URLs must use http or https');
+  }
+  if (url.username || url.password) {
+    throw httpError(400, 'Webhook URLs cannot contain credentials');
+  }
+
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (!ALLOW_PRIVATE_URLS && (host === 'localhost' || (net.isIP(host) && isPrivateAddress(host)))) {
+    throw httpError(400, 'Webhook URLs cannot point at private addresses');
+  }
+
+  return url.toString();
+};
+
+/**
+ * Refuse to send to hosts that resolve to private addresses
+ * Checked on every attempt, since DNS can change after registration.
+ * @param {string} url - Webhook URL
+ * @returns {Promise<void>}
+ */
+const assertPublicHost = async (url) => {
+  if (ALLOW_PRIVATE_URLS) return;
+
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(host) ? [{ address: host }] : await dns.lookup(host, { all: true });
+  if (addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw new Error('URL resolves to a private address');
+  }
+};
+
+/**
+ * Sign a delivery body
+ * @param {string} secret - Webhook secret
+ * @param {number} timestamp - Unix seconds
+ * @param {string} body - JSON body
+ * @returns {string} Hex HMAC-SHA256 of "<timestamp>.<body>"
+ */
+const signPayload = (secret, timestamp, body) => crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${body}`)
+  .digest('hex');
+
+/**
+ * Delay before the next attempt
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Milliseconds
+ */
+const retryDelay = (attempts) => {
+  const delay = Math.min(BASE_RETRY_DELAY_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+};
+
+/**
+ * Build the payload sent to clients for a webhook (the secret is left out)
+ * @param {Object} webhook - Webhook document or plain object
+ * @returns {Object}
+ */
+const toWebhookPayload = (webhook) => ({
+  _id: webhook._id,
+  room: webhook.room,
+  url: webhook.url,
+  events: webhook.events,
+  active: webhook.active,
+  consecutiveFailures: webhook.consecutiveFailures || 0,
+  disabledAt: webhook.disabledAt || null,
+  disabledReason: webhook.disabledReason || '',
+  lastDeliveryAt: webhook.lastDeliveryAt || null,
+  createdAt: webhook.createdAt,
+});
+
+/**
+ * Build the payload sent to clients for a delivery log entry
+ * @param {Object} delivery - WebhookDelivery (lean)
+ * @returns {Object}
+ */
+const toDeliveryPayload = (delivery) => ({
+  _id: delivery._id,
+  event: delivery.event,
+  status: delivery.status,
+  attempts: delivery.attempts,
+  responseStatus: delivery.responseStatus,
+  error: delivery.error,
+  durationMs: delivery.durationMs,
+  createdAt: delivery.createdAt,
+  completedAt: delivery.completedAt,
+  nextAttemptAt: delivery.status === 'pending' ? delivery.nextAttemptAt : null,
+});
+
+/**
+ * Validate a list of events from a request
+ * @param {string[]} events
+ * @returns {string[]} Unique events
+ */
+const normalizeEvents = (events) => {
+  if (!Array.isArray(events) || events.length === 0) {
+    throw httpError(400, 'At least one event is required');
+  }
+  const unknown = events.find(event => !WEBHOOK_EVENTS.includes(event));
+  if (unknown) {
+    throw httpError(400, `Events must be among: ${WEBHOOK_EVENTS.join(', ')}`);
+  }
+  return [...new Set(events)];
+};
+
+/**
+ * Load one of a room's webhooks for its owner
+ * @param {string} roomName - Room name
+ * @param {Object} actor - Acting user (must be the room's owner)
+ * @param {string} webhookId - Webhook ID
+ * @returns {Promise<Object>} Webhook document
+ */
+const findOwnedWebhook = async (roomName, actor, webhookId) => {
+  const room = await roomManagementService.findOwnedRoom(roomName, actor);
+  const webhook = mongoose.isValidObjectId(webhookId)
+    && await Webhook.findOne({ _id: webhookId, room: room.name });
+
+  if (!webhook) {
+    throw httpError(404, 'Webhook not found');
+  }
+  return webhook;
+};
+
+/**
+ * List a room's webhooks
+ * @param {Object} params
+ * @param {string} params.roomName - Room name
+ * @param {Object} params.actor - Acting user (must be the room's owner)
+ * @returns {Promise<Object[]>}
+ */
+const listWebhooks = async ({ roomName, actor }) => {
+  const room = await roomManagementService.findOwnedRoom(roomName, actor);
+  const webhooks = await Webhook.find({ room: room.name }).sort({ createdAt: 1 }).lean();
+  return webhooks.map(toWebhookPayload);
+};
+
+/**
+ * Register a webhook
+ * @param {Object} params
+ * @param {string} params.roomName - Room name
+ * @param {Object} params.actor - Acting user (must be the room's owner)
+ * @param {string} params.url - Where to send events
+ * @param {string[]} params.events - Events to send
+ * @returns {Promise<{webhook: Object, secret: string}>} The secret is only returned here
+ */
+const createWebhook = async ({ roomName, actor, url, events }) => {
+  const room = await roomManagementService.findOwnedRoom(roomName, actor);
+
+  if (await Webhook.countDocuments({ room: room.name }) >= MAX_WEBHOOKS_PER_ROOM) {
+    throw httpError(400, `A room can have at most ${MAX_WEBHOOKS_PER_ROOM} webhooks`);
+  }
+
+  const secret = crypto.randomBytes(32).toString('hex');
+  const webhook = await Webhook.create({
+    room: room.name,
+    url: normalizeUrl(url),
+    secret,
+    events: normalizeEvents(events),
+    createdBy: actor._id,
+  });
+
+  return { webhook: toWebhookPayload(webhook), secret };
+};
+
+/**
+ * Change a webhook
+ * Turning a disabled webhook back on resets its failure count.
+ * @param {Object} params
+ * @param {string} params.roomName - Room name
+ * @param {Object} params.actor - Acting user (must be the room's owner)
+ * @param {string} params.webhookId - Webhook ID
+ * @param {string} [params.url] - New URL
+ * @param {string[]} [params.events] - New events
+ * @param {boolean} [params.active] - Enable or disable
+ * @returns {Promise<Object>} Updated webhook
+ */
+const updateWebhook = async ({ roomName, actor, webhookId, url, events, active }) => {
+  const webhook = await findOwnedWebhook(roomName, actor, webhookId);
+
+  if (url !== undefined) webhook.url = normalizeUrl(url);
+  if (events !== undefined) webhook.events = normalizeEvents(events);
+
+  if (active === true && !webhook.active) {
+    webhook.active = true;
+    webhook.consecutiveFailures = 0;
+    webhook.disabledAt = null;
+    webhook.disabledReason = '';
+  } else if (active === false && webhook.active) {
+    webhook.active = false;
+    webhook.disabledAt = new Date();
+    webhook.disabledReason = `Disabled by ${actor.username}`;
+  }
+
+  await webhook.save();
+  return toWebhookPayload(webhook);
+};
+
+/**
+ * Remove a webhook and its delivery log
+ * @param {Object} params
+ * @param {string} params.roomName - Room name
+ * @param {Object} params.actor - Acting user (must be the room's owner)
+ * @param {string} params.webhookId - Webhook ID
+ * @returns {Promise<void>}
+ */
+const deleteWebhook = async ({ roomName, actor, webhookId }) => {
+  const webhook = await findOwnedWebhook(roomName, actor, webhookId);
+  await Webhook.deleteOne({ _id: webhook._id });
+  await WebhookDelivery.deleteMany({ webhookId: webhook._id });
+};
+
+/**
+ * A webhook's most recent deliveries
+ * @param {Object} params
+ * @param {string} params.roomName - Room name
+ * @param {Object} params.actor - Acting user (must be the room's owner)
+ * @param {string} params.webhookId - Webhook ID
+ * @param {number} [params.limit] - Entries to return (default 20, max 100)
+ * @returns {Promise<Object[]>} Newest first
+ */
+const getDeliveries = async ({ roomName, actor, webhookId, limit }) => {
+  const webhook = await findOwnedWebhook(roomName, actor, webhookId);
+  const count = Math.min(Math.max(Number.parseInt(limit, 10) || 20, 1), MAX_LOG_ENTRIES);
+
+  const deliveries = await WebhookDelivery.find({ webhookId: webhook._id })
+    .sort({ createdAt: -1 })
+    .limit(count)
+    .lean();
+  return deliveries.map(toDeliveryPayload);
+};
+
+/**
+ * Queue deliveries of an event
+ * @param {Array} webhookIds - Webhooks to deliver to
+ * @param {string} roomName - Room name
+ * @param {string} event - Event name
+ * @param {Object} data - Event data
+ * @returns {Promise<number>} Deliveries queued
+ */
+const enqueue = async (webhookIds, roomName, event, data) => {
+  if (webhookIds.length === 0) return 0;
+
+  const timestamp = new Date();
+  await WebhookDelivery.insertMany(webhookIds.map((webhookId) => {
+    const _id = new mongoose.Types.ObjectId();
+    return {
+      _id,
+      webhookId,
+      room: roomName,
+      event,
+      payload: { id: String(_id), event, room: roomName, timestamp, data },
+    };
+  }));
+
+  queueEvents.emit('queued');
+  return webhookIds.length;
+};
+
+/**
+ * Send an event to the room's webhooks that subscribe to it
+ * @param {string} roomName - Room name
+ * @param {string} event - One of WEBHOOK_EVENTS
+ * @param {Object} data - Event data (e.g. the message payload)
+ * @returns {Promise<number>} Deliveries queued
+ */
+const dispatchEvent = async (roomName, event, data) => {
+  const webhooks = await Webhook.find({ room: roomName, active: true, events: event }).select('_id').lean();
+  return enqueue(webhooks.map(webhook => webhook._id), roomName, event, data);
+};
+
+/**
+ * Queue a test delivery (ping) to one webhook
+ * @param {Object} params
+ * @param {string} params.roomName - Room name
+ * @param {Object} params.actor - Acting user (must be the room's owner)
+ * @param {string} params.webhookId - Webhook ID
+ * @returns {Promise<void>}
+ */
+const sendTestEvent = async ({ roomName, actor, webhookId }) => {
+  const webhook = await findOwnedWebhook(roomName, actor, webhookId);
+  if (!webhook.active) {
+    throw httpError(400, 'Enable the webhook before sending a test');
+  }
+
+  await enqueue([webhook._id], webhook.room, PING_EVENT, {
+    webhookId: webhook._id,
+    sentBy: actor.username,
+  });
+};
+
+/**
+ * Claim the next delivery that is due
+ * @returns {Promise<Object|null>} Delivery (lean), locked for this worker
+ */
+const claimDueDelivery = async () => {
+  const now = new Date();
+  return WebhookDelivery.findOneAndUpdate(
+    {
+      status: 'pending',
+      nextAttemptAt: { $lte: now },
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+    },
+    { $set: { lockedUntil: new Date(now.getTime() + LOCK_MS) } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  ).lean();
+};
+
+/**
+ * Finish a delivery
+ * @param {Object} delivery - Delivery
+ * @param {'succeeded'|'failed'} status
+ * @param {Object} [fields] - Fields to record (responseStatus, error, ...)
+ * @returns {Promise<void>}
+ */
+const completeDelivery = async (delivery, status, fields = {}) => {
+  await WebhookDelivery.updateOne({ _id: delivery._id }, {
+    $set: { ...fields, status, completedAt: new Date(), lockedUntil: null },
+  });
+};
+
+/**
+ * Turn off a webhook that keeps failing
+ * Its pending deliveries fail, and its owner is told (webhookDisabled).
+ * @param {Object} [io] - Socket.io server
+ * @param {Object} webhook - Webhook (lean)
+ * @param {string} reason - Why it was disabled
+ * @returns {Promise<void>}
+ */
+const disableWebhook = async (io, webhook, reason) => {
+  const disabledAt = new Date();
+  await Webhook.updateOne({ _id: webhook._id }, { $set: { active: false, disabledAt, disabledReason: reason } });
+  await WebhookDelivery.updateMany(
+    { webhookId: webhook._id, status: 'pending' },
+    { $set: { status: 'failed', error: 'Webhook was disabled', completedAt: disabledAt, lockedUntil: null } }
+  );
+
+  io?.to(`user:${webhook.createdBy}`).emit('webhookDisabled', {
+    room: webhook.room,
+    webhookId: webhook._id,
+    url: webhook.url,
+    reason,
+  });
+  console.warn(`🪝 Webhook ${webhook._id} for #${webhook.room} disabled: ${reason}`);
+};
+
+/**
+ * POST a delivery to its webhook
+ * Redirects are not followed, so a webhook can't be bounced to another host.
+ * @param {Object} webhook - Webhook
+ * @param {Object} delivery - Delivery
+ * @returns {Promise<number>} HTTP status
+ */
+const sendDelivery = async (webhook, delivery) => {
+  await assertPublicHost(webhook.url);
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  const response = await fetch(webhook.url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'User-Agent': 'mini-messenger-webhooks',
+      'X-Webhook-Event': delivery.event,
+      'X-Webhook-Delivery': String(delivery._id),
+      'X-Webhook-Timestamp': String(timestamp),
+      'X-Webhook-Signature': `sha256=${signPayload(webhook.secret, timestamp, body)}`,
+    },
+    body,
+    redirect: 'manual',
+    signal: AbortSignal.timeout(TIMEOUT_MS),
+  });
+
+  // The response body isn't used
+  await response.body?.cancel();
+  return response.status;
+};
+
+/**
+ * Make one attempt at a claimed delivery and record the outcome
+ * @param {Object} [io] - Socket.io server, to tell owners about disabled webhooks
+ * @param {Object} delivery - Claimed delivery
+ * @returns {Promise<'success'|'retry'|'failed'>}
+ */
+const processDelivery = async (io, delivery) => {
+  const webhook = await Webhook.findById(delivery.webhookId).lean();
+
+  if (!webhook || !webhook.active) {
+    await completeDelivery(delivery, 'failed', {
+      error: webhook ? 'Webhook is disabled' : 'Webhook was deleted',
+    });
+    return 'failed';
+  }
+
+  const started = Date.now();
+  const attempts = delivery.attempts + 1;
+  let responseStatus = null;
+  let error = '';
+
+  try {
+    responseStatus = await sendDelivery(webhook, delivery);
+    if (responseStatus < 200 || responseStatus >= 300) {
+      error = `Responded with HTTP ${responseStatus}`;
+    }
+  } catch (sendError) {
+    error = sendError.name === 'TimeoutError'
+      ? `No response within ${TIMEOUT_MS / 1000}s`
+      : sendError.cause?.message || sendError.message;
+  }
+
+  const outcome = { attempts, responseStatus, error, durationMs: Date.now() - started };
+
+  if (!error) {
+    await completeDelivery(delivery, 'succeeded', outcome);
+    await Webhook.updateOne({ _id: webhook._id }, {
+      $set: { consecutiveFailures: 0, lastDeliveryAt: new Date() },
+    });
+    return 'success';
+  }
+
+  const updated = await Webhook.findOneAndUpdate(
+    { _id: webhook._id, active: true },
+    { $inc: { consecutiveFailures: 1 } },
+    { new: true }
+  ).lean();
+
+  if (updated && updated.consecutiveFailures >= DISABLE_AFTER_FAILURES) {
+    await completeDelivery(delivery, 'failed', outcome);
+    await disableWebhook(io, updated, `${updated.consecutiveFailures} failed deliveries in a row (last: ${error})`);
+    return 'failed';
+  }
+
+  if (!updated || attempts >= MAX_ATTEMPTS) {
+    await completeDelivery(delivery, 'failed', outcome);
+    return 'failed';
+  }
+
+  await WebhookDelivery.updateOne({ _id: delivery._id }, {
+    $set: { ...outcome, nextAttemptAt: new Date(Date.now() + retryDelay(attempts)), lockedUntil: null },
+  });
+  return 'retry';
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  queueEvents,
+  signPayload,
+  listWebhooks,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  getDeliveries,
+  dispatchEvent,
+  sendTestEvent,
+  claimDueDelivery,
+  processDelivery,
+};
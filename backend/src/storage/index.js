@@ -0,0 +1,55 @@
+/**
+ * File Storage
+ * Selects the storage backend for uploaded files
+ *
+ * Every backend implements the same interface, so attachments don't care
+ * where their bytes live:
+ * - save(key, buffer, { contentType }) -> Promise<void>
+ * - createReadStream(key) -> Readable (emits an error with code ENOENT when missing)
+ * - remove(key) -> Promise<void> (missing files are ignored)
+ *
+ * Keys are generated by the server and look like "<id>/original".
+ *
+ * Environment:
+ * - STORAGE_DRIVER: "local" (default)
+ * - UPLOAD_DIR: directory for the local driver (default: backend/uploads)
+ */
+
+const path = require('node:path');
+const { createLocalDiskStorage } = require('./localDiskStorage');
+
+const DEFAULT_UPLOAD_DIR = path.join(__dirname, '..', '..', 'uploads');
+
+/**
+ * Create the storage backend configured through the environment
+ * @returns {Object} Storage backend
+ */
+const createStorage = () => {
+  const driver = process.env.STORAGE_DRIVER || 'local';
+
+  switch (driver) {
+    case 'local':
+      return createLocalDiskStorage(process.env.UPLOAD_DIR || DEFAULT_UPLOAD_DIR);
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${driver}"`);
+  }
+};
+
+// Shared instance used by the attachment service
+let storage = null;
+
+/**
+ * Get the configured storage backend, creating it on first use
+ * @returns {Object} Storage backend
+ */
+const getStorage = () => {
+  if (!storage) {
+    storage = createStorage();
+  }
+  return storage;
+};
+
+module.exports = {
+  createStorage,
+  getStorage,
+};
@@ -0,0 +1,68 @@
+/**
+ * Local Disk Storage
+ * Storage backend that keeps files in a directory on the server
+ *
+ * Suitable for a single server; use a shared backend when running several
+ * instances behind a load balancer.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+
+/**
+ * Create a storage backend rooted at a directory
+ * @param {string} rootDir - Directory files are written to (created on demand)
+ * @returns {{save: Function, createReadStream: Function, remove: Function}}
+ */
+const createLocalDiskStorage = (rootDir) => {
+  const root = path.resolve(rootDir);
+
+  /**
+   * Map a key to a path inside the root directory
+   * @param {string} key - Storage key
+   * @returns {string} Absolute file path
+   */
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key "${key}"`);
+    }
+    return filePath;
+  };
+
+  return {
+    /**
+     * Write a file
+     * @param {string} key - Storage key
+     * @param {Buffer} buffer - File contents
+     */
+    async save(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+    },
+
+    /**
+     * Open a file for reading
+     * @param {string} key - Storage key
+     * @returns {fs.ReadStream}
+     */
+    createReadStream(key) {
+      return fs.createReadStream(resolveKey(key));
+    },
+
+    /**
+     * Delete a file and its directory once empty
+     * @param {string} key - Storage key
+     */
+    async remove(key) {
+      const filePath = resolveKey(key);
+      await fs.promises.rm(filePath, { force: true });
+      await fs.promises.rmdir(path.dirname(filePath)).catch(() => {});
+    },
+  };
+};
+
+module.exports = {
+  createLocalDiskStorage,
+};
@@ -0,0 +1,18 @@
+/**
+ * Content-Disposition Helper
+ * Builds the header for files sent to the browser
+ */
+
+/**
+ * Value for a Content-Disposition header
+ * Non-ASCII names are sent as filename* with an ASCII fallback.
+ * @param {string} type - inline or attachment
+ * @param {string} filename - Original filename
+ * @returns {string}
+ */
+const contentDisposition = (type, filename) => {
+  const fallback = filename.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+};
+
+module.exports = contentDisposition;
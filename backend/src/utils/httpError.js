@@ -0,0 +1,21 @@
+/**
+ * HTTP Error Helper
+ * Creates errors carrying an HTTP status code
+ *
+ * The global error handler responds with err.status, and socket handlers
+ * forward err.message to the client when a status is present.
+ */
+
+/**
+ * Create an Error with an attached HTTP status
+ * @param {number} status - HTTP status code (e.g. 400, 403, 404)
+ * @param {string} message - Error message safe to show to the client
+ * @returns {Error} Error with a status property
+ */
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+module.exports = httpError;
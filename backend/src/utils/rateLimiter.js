@@ -0,0 +1,51 @@
+/**
+ * Rate Limiter
+ * Counts requests per key in a sliding window, in memory
+ *
+ * Each server keeps its own counts, so with several servers a key may make
+ * up to limit requests on each.
+ */
+
+/**
+ * Create a rate limiter
+ * @param {Object} options
+ * @param {number} options.limit - Requests allowed per window
+ * @param {number} options.windowMs - Window length in milliseconds
+ * @returns {{consume: Function, stop: Function}} consume(key) records a
+ *   request and returns { allowed, remaining, retryAfterMs }
+ */
+const createRateLimiter = ({ limit, windowMs }) => {
+  // key -> timestamps of requests in the current window, oldest first
+  const hits = new Map();
+
+  // Drop keys that have gone quiet, so the map doesn't grow forever
+  const sweep = setInterval(() => {
+    const cutoff = Date.now() - windowMs;
+    hits.forEach((times, key) => {
+      if (times[times.length - 1] <= cutoff) hits.delete(key);
+    });
+  }, windowMs).unref();
+
+  const consume = (key) => {
+    const now = Date.now();
+    const times = (hits.get(key) || []).filter(time => time > now - windowMs);
+
+    if (times.length >= limit) {
+      hits.set(key, times);
+      return { allowed: false, remaining: 0, retryAfterMs: times[0] + windowMs - now };
+    }
+
+    times.push(now);
+    hits.set(key, times);
+    return { allowed: true, remaining: limit - times.length, retryAfterMs: 0 };
+  };
+
+  return {
+    consume,
+    stop: () => clearInterval(sweep),
+  };
+};
+
+module.exports = {
+  createRateLimiter,
+};
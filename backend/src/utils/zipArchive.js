@@ -0,0 +1,163 @@
+/**
+ * Zip Archive Reader
+ * Reads files out of a .zip archive without extracting it
+ *
+ * Only what chat exports use is supported: stored and deflated entries in
+ * archives under 4 GB (no Zip64) without encryption. The central directory
+ * is read once; entries are read from disk when asked for.
+ */
+
+const fs = require('node:fs/promises');
+const { promisify } = require('node:util');
+const zlib = require('node:zlib');
+
+const inflateRaw = promisify(zlib.inflateRaw);
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+// End of central directory record, plus the longest possible comment
+const EOCD_SIZE = 22;
+const MAX_EOCD_SEARCH = EOCD_SIZE + 0xffff;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+
+/**
+ * Read bytes at a position
+ * @param {Object} handle - fs FileHandle
+ * @param {number} position - Byte offset
+ * @param {number} length - Number of bytes
+ * @returns {Promise<Buffer>}
+ */
+const readAt = async (handle, position, length) => {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+  if (bytesRead < length) {
+    throw new Error('Zip archive is truncated');
+  }
+  return buffer;
+};
+
+/**
+ * Locate the central directory
+ * @param {Object} handle - fs FileHandle
+ * @param {number} size - Archive size in bytes
+ * @returns {Promise<{offset: number, size: number, entries: number}>}
+ */
+const readEndOfCentralDirectory = async (handle, size) => {
+  const searchLength = Math.min(size, MAX_EOCD_SEARCH);
+  const tail = await readAt(handle, size - searchLength, searchLength);
+
+  for (let i = tail.length - EOCD_SIZE; i >= 0; i -= 1) {
+    if (tail.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY) {
+      const entries = tail.readUInt16LE(i + 10);
+      const directorySize = tail.readUInt32LE(i + 12);
+      const offset = tail.readUInt32LE(i + 16);
+
+      if (entries === 0xffff || offset === 0xffffffff) {
+        throw new Error('Zip64 archives are not supported');
+      }
+      return { offset, size: directorySize, entries };
+    }
+  }
+
+  throw new Error('Not a zip archive');
+};
+
+/**
+ * Parse the central directory into entries
+ * @param {Buffer} directory - Central directory bytes
+ * @param {number} count - Expected number of entries
+ * @returns {Map<string, Object>} File name -> entry
+ */
+const parseCentralDirectory = (directory, count) => {
+  const entries = new Map();
+  let position = 0;
+
+  for (let i = 0; i < count; i += 1) {
+    if (directory.readUInt32LE(position) !== CENTRAL_DIRECTORY_ENTRY) {
+      throw new Error('Zip central directory is corrupt');
+    }
+
+    const flags = directory.readUInt16LE(position + 8);
+    const nameLength = directory.readUInt16LE(position + 28);
+    const extraLength = directory.readUInt16LE(position + 30);
+    const commentLength = directory.readUInt16LE(position + 32);
+    const name = directory.toString('utf8', position + 46, position + 46 + nameLength);
+
+    if (!name.endsWith('/')) {
+      entries.set(name, {
+        name,
+        encrypted: Boolean(flags & 0x1),
+        method: directory.readUInt16LE(position + 10),
+        compressedSize: directory.readUInt32LE(position + 20),
+        size: directory.readUInt32LE(position + 24),
+        headerOffset: directory.readUInt32LE(position + 42),
+      });
+    }
+
+    position += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+};
+
+/**
+ * Open a zip archive
+ * @param {string} path - Path to the .zip file
+ * @returns {Promise<{names: string[], read: Function, close: Function}>}
+ *   read(name) resolves to the file's contents as a Buffer
+ */
+const openZip = async (path) => {
+  const handle = await fs.open(path, 'r');
+
+  try {
+    const { size } = await handle.stat();
+    const end = await readEndOfCentralDirectory(handle, size);
+    const entries = parseCentralDirectory(await readAt(handle, end.offset, end.size), end.entries);
+
+    /**
+     * Read one file from the archive
+     * @param {string} name - File name within the archive
+     * @returns {Promise<Buffer>}
+     */
+    const read = async (name) => {
+      const entry = entries.get(name);
+      if (!entry) {
+        throw new Error(`${name} is not in the archive`);
+      }
+      if (entry.encrypted) {
+        throw new Error(`${name} is encrypted`);
+      }
+
+      const header = await readAt(handle, entry.headerOffset, 30);
+      if (header.readUInt32LE(0) !== LOCAL_FILE_HEADER) {
+        throw new Error('Zip archive is corrupt');
+      }
+      const dataOffset = entry.headerOffset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+      const data = await readAt(handle, dataOffset, entry.compressedSize);
+
+      if (entry.method === METHOD_STORED) return data;
+      if (entry.method === METHOD_DEFLATED) {
+        // The declared size caps the output, so a bad entry can't inflate without limit
+        return inflateRaw(data, { maxOutputLength: Math.max(entry.size, 1) });
+      }
+      throw new Error(`${name} uses an unsupported compression method`);
+    };
+
+    return {
+      names: [...entries.keys()],
+      read,
+      close: () => handle.close(),
+    };
+  } catch (error) {
+    await handle.close();
+    throw error;
+  }
+};
+
+module.exports = {
+  openZip,
+};
@@ -0,0 +1,33 @@
+/**
+ * Echo Bot Example
+ * Replies to !echo, !ping and !help in the rooms it has been added to
+ *
+ * Usage:
+ *   BOT_API_KEY=mmbot_... CHAT_URL=http://localhost:3000 node examples/echo-bot.js
+ */
+
+const { createBot } = require('..');
+
+const bot = createBot({
+  url: process.env.CHAT_URL || 'http://localhost:3000',
+  apiKey: process.env.BOT_API_KEY,
+  rooms: (process.env.BOT_ROOMS || '').split(',').filter(Boolean),
+});
+
+bot
+  .command('echo', ({ rest, reply }) => reply(rest || 'Nothing to echo'))
+  .command('ping', ({ replyInThread }) => replyInThread('pong'))
+  .command('help', ({ reply }) => reply('Commands: `!echo <text>`, `!ping`, `!help`'));
+
+bot.on('ready', ({ rooms }) => console.log(`Connected, joining: ${rooms.join(', ') || 'no rooms yet'}`));
+bot.on('addedToRoom', ({ room, addedBy }) => console.log(`Added to ${room} by ${addedBy}`));
+bot.on('removedFromRoom', ({ room }) => console.log(`Removed from ${room}`));
+bot.on('reconnecting', ({ attempt, delayMs }) => console.log(`Reconnecting (attempt ${attempt}) in ${delayMs}ms`));
+bot.on('error', (error) => console.error('Bot error:', error.message));
+
+bot.start();
+
+process.on('SIGINT', () => {
+  bot.stop();
+  process.exit(0);
+});
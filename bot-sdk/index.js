@@ -0,0 +1,336 @@
+/**
+ * Mini Messenger Bot SDK
+ * Connects a bot account to the chat server over Socket.io
+ *
+ * A bot authenticates with its API key (from POST /api/bots) and uses the
+ * same socket events as the web client (frontend/src/socket.js): it joins
+ * rooms, receives message events and replies with chatMessage. Bots can
+ * only join rooms whose owner added them; the SDK joins those rooms when
+ * told (addedToRoom) and forgets them when removed, kicked or banned.
+ *
+ * Messages starting with the prefix (default "!") are routed to command
+ * handlers. Messages from bots, including this one, are ignored so bots
+ * can't answer each other in a loop.
+ *
+ * Socket.io's own reconnection is turned off: the SDK reconnects with
+ * exponential backoff and jitter, rejoins its rooms, and stops for good if
+ * the server rejects the API key.
+ */
+
+const { EventEmitter } = require('node:events');
+const { io } = require('socket.io-client');
+
+const DEFAULT_PREFIX = '!';
+const MIN_RECONNECT_DELAY_MS = 1000;
+const MAX_RECONNECT_DELAY_MS = 60 * 1000;
+
+// Events after which the server has taken the bot out of a room
+const ROOM_EXIT_EVENTS = ['removedFromRoom', 'kicked', 'banned'];
+
+/**
+ * Split a command message into its name and arguments
+ * @param {string} text - Message text
+ * @param {string} prefix - Command prefix
+ * @returns {{name: string, args: string[], rest: string}|null} null if the text is not a command
+ */
+const parseCommand = (text, prefix) => {
+  if (typeof text !== 'string' || !text.startsWith(prefix)) return null;
+
+  const body = text.slice(prefix.length).trim();
+  const [name, ...args] = body.split(/\s+/);
+  if (!name) return null;
+
+  return {
+    name: name.toLowerCase(),
+    args,
+    rest: body.slice(name.length).trim(),
+  };
+};
+
+/**
+ * Delay before the next reconnection attempt
+ * Doubles with each attempt up to the maximum, with jitter between half
+ * and the full delay so restarted bots don't reconnect all at once.
+ * @param {number} attempt - Attempts made so far (0 for the first)
+ * @param {number} minDelayMs - Delay for the first attempt
+ * @param {number} maxDelayMs - Largest delay
+ * @returns {number} Milliseconds
+ */
+const reconnectDelay = (attempt, minDelayMs, maxDelayMs) => {
+  const delay = Math.min(maxDelayMs, minDelayMs * 2 ** attempt);
+  return Math.round(delay / 2 + Math.random() * (delay / 2));
+};
+
+/**
+ * A bot connection
+ *
+ * Events:
+ *   - ready: connected, with the rooms being joined
+ *   - message: a message from a user, in a joined room
+ *   - roomHistory: the server's reply to joining a room
+ *   - addedToRoom / removedFromRoom: the bot was added to or taken out of a room
+ *   - disconnected: the connection dropped, with the reason
+ *   - reconnecting: { attempt, delayMs } before each reconnection attempt
+ *   - error: server errors, failing command handlers and a rejected API key
+ */
+class Bot extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - Server URL, e.g. http://localhost:3000
+   * @param {string} options.apiKey - The bot's API key
+   * @param {string[]} [options.rooms] - Rooms to join on every connection
+   * @param {string} [options.prefix] - Command prefix (default "!")
+   * @param {boolean} [options.joinWhenAdded] - Join rooms as the bot is added to them (default true)
+   * @param {number} [options.minReconnectDelayMs] - First reconnection delay
+   * @param {number} [options.maxReconnectDelayMs] - Largest reconnection delay
+   */
+  constructor({
+    url,
+    apiKey,
+    rooms = [],
+    prefix = DEFAULT_PREFIX,
+    joinWhenAdded = true,
+    minReconnectDelayMs = MIN_RECONNECT_DELAY_MS,
+    maxReconnectDelayMs = MAX_RECONNECT_DELAY_MS,
+  }) {
+    super();
+
+    if (!url) throw new Error('url is required');
+    if (!apiKey) throw new Error('apiKey is required');
+
+    this.url = url;
+    this.apiKey = apiKey;
+    this.prefix = prefix;
+    this.joinWhenAdded = joinWhenAdded;
+    this.minReconnectDelayMs = minReconnectDelayMs;
+    this.maxReconnectDelayMs = maxReconnectDelayMs;
+
+    this.rooms = new Set(rooms);
+    this.commands = new Map();
+    this.socket = null;
+    this.running = false;
+    this.attempt = 0;
+    this.reconnectTimer = null;
+  }
+
+  /**
+   * Whether the bot is currently connected
+   * @returns {boolean}
+   */
+  get connected() {
+    return Boolean(this.socket?.connected);
+  }
+
+  /**
+   * Register a command handler
+   * The handler receives a context with the message, the parsed arguments
+   * and reply helpers; it may be async.
+   * @param {string} name - Command name, without the prefix (case-insensitive)
+   * @param {Function} handler - ({ message, args, rest, reply, replyInThread }) => void
+   * @returns {Bot} this, for chaining
+   */
+  command(name, handler) {
+    this.commands.set(name.toLowerCase(), handler);
+    return this;
+  }
+
+  /**
+   * Connect, and keep reconnecting until stop() is called
+   * @returns {Bot} this, for chaining
+   */
+  start() {
+    if (!this.running) {
+      this.running = true;
+      this.attempt = 0;
+      this.connect();
+    }
+    return this;
+  }
+
+  /**
+   * Disconnect and stop reconnecting
+   */
+  stop() {
+    this.running = false;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.closeSocket();
+  }
+
+  /**
+   * Join a room now (if connected) and after every reconnection
+   * @param {string} room - Room name
+   */
+  join(room) {
+    this.rooms.add(room);
+    if (this.connected) {
+      this.socket.emit('joinRoom', room);
+    }
+  }
+
+  /**
+   * Leave a room and stop rejoining it
+   * @param {string} room - Room name
+   */
+  leave(room) {
+    this.rooms.delete(room);
+    if (this.connected) {
+      this.socket.emit('leaveRoom', room);
+    }
+  }
+
+  /**
+   * Send a message to a joined room
+   * @param {string} room - Room name
+   * @param {string} text - Message text (Markdown, max 1000 characters)
+   * @param {Object} [options]
+   * @param {string} [options.parentId] - Post as a reply in this message's thread
+   */
+  send(room, text, { parentId } = {}) {
+    if (!this.connected) {
+      throw new Error('Not connected');
+    }
+    this.socket.emit('chatMessage', { room, text, ...(parentId && { parentId }) });
+  }
+
+  /**
+   * Open a socket and wire up its events
+   * Each attempt uses a fresh socket; the previous one is closed.
+   */
+  connect() {
+    this.closeSocket();
+
+    const socket = io(this.url, {
+      auth: { apiKey: this.apiKey },
+      transports: ['websocket'],
+      reconnection: false,
+      forceNew: true,
+    });
+    this.socket = socket;
+
+    socket.on('connect', () => {
+      this.attempt = 0;
+      this.rooms.forEach((room) => socket.emit('joinRoom', room));
+      this.emit('ready', { rooms: [...this.rooms] });
+    });
+
+    socket.on('connect_error', (error) => {
+      if (/invalid api key/i.test(error.message)) {
+        this.stop();
+        this.reportError(error);
+        return;
+      }
+      this.scheduleReconnect();
+    });
+
+    socket.on('disconnect', (reason) => {
+      this.emit('disconnected', reason);
+      this.scheduleReconnect();
+    });
+
+    socket.on('message', (message) => this.handleMessage(message));
+
+    socket.on('roomHistory', (history) => this.emit('roomHistory', history));
+
+    socket.on('addedToRoom', (data) => {
+      if (this.joinWhenAdded) {
+        this.join(data.room);
+      }
+      this.emit('addedToRoom', data);
+    });
+
+    ROOM_EXIT_EVENTS.forEach((event) => {
+      socket.on(event, (data) => {
+        this.rooms.delete(data.room);
+        this.emit(event, data);
+      });
+    });
+
+    socket.on('error', (data) => {
+      this.reportError(new Error(data?.message || 'Server error'));
+    });
+  }
+
+  /**
+   * Close the current socket without triggering a reconnection
+   */
+  closeSocket() {
+    if (this.socket) {
+      this.socket.removeAllListeners();
+      this.socket.disconnect();
+      this.socket = null;
+    }
+  }
+
+  /**
+   * Try to connect again after a backoff delay
+   */
+  scheduleReconnect() {
+    if (!this.running || this.reconnectTimer) return;
+
+    const delayMs = reconnectDelay(this.attempt, this.minReconnectDelayMs, this.maxReconnectDelayMs);
+    this.attempt += 1;
+    this.emit('reconnecting', { attempt: this.attempt, delayMs });
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      if (this.running) this.connect();
+    }, delayMs);
+  }
+
+  /**
+   * Emit a message and run its command, if it is one
+   * @param {Object} message - Message payload from the server
+   */
+  handleMessage(message) {
+    if (message.bot || message.deleted) return;
+
+    this.emit('message', message);
+
+    const command = parseCommand(message.text, this.prefix);
+    const handler = command && this.commands.get(command.name);
+    if (!handler) return;
+
+    const context = {
+      message,
+      args: command.args,
+      rest: command.rest,
+      // Answer where the command was sent (in its thread, if it was in one)
+      reply: (text) => this.send(message.room, text, { parentId: message.parentId }),
+      // Answer in a thread on the command's message
+      replyInThread: (text) => this.send(message.room, text, { parentId: message.parentId || message._id }),
+    };
+
+    Promise.resolve()
+      .then(() => handler(context))
+      .catch((error) => this.reportError(error));
+  }
+
+  /**
+   * Emit an error, or log it when nothing listens for errors
+   * (an unhandled 'error' event would crash the process)
+   * @param {Error} error
+   */
+  reportError(error) {
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', error);
+    } else {
+      console.error('Bot error:', error.message);
+    }
+  }
+}
+
+/**
+ * Create a bot
+ * Call start() to connect.
+ * @param {Object} options - See the Bot constructor
+ * @returns {Bot}
+ */
+const createBot = (options) => new Bot(options);
+
+module.exports = {
+  Bot,
+  createBot,
+  parseCommand,
+  reconnectDelay,
+};
@@ -1,7 +1,7 @@
 /**
  * App Component
  * Main application component with routing
- * Handles navigation between Login, Register, and Chat pages
+ * Handles navigation between Login, Register, Chat and settings pages
  */
 
 import PropTypes from 'prop-types';
@@ -9,6 +9,8 @@ import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-d
 import Login from './pages/Login';
 import Register from './pages/Register';
 import Chat from './pages/Chat';
+import DeveloperTokens from './pages/DeveloperTokens';
+import Sessions from './pages/Sessions';
 import './styles.css';
 
 /**
@@ -66,6 +68,22 @@ const App = () => {
               </ProtectedRoute>
             }
           />
+          <Route
+            path="/settings/tokens"
+            element={
+              <ProtectedRoute>
+                <DeveloperTokens />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/settings/sessions"
+            element={
+              <ProtectedRoute>
+                <Sessions />
+              </ProtectedRoute>
+            }
+          />
           {/* Catch all - redirect to home */}
           <Route path="*" element={<Navigate to="/" replace />} />
         </Routes>
@@ -0,0 +1,76 @@
+/**
+ * API Utility Tests
+ * Tests refreshing the session when the access token is rejected
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { get, refreshSession } from '../api';
+
+/**
+ * Build a fetch response
+ * @param {number} status - HTTP status
+ * @param {Object} body - JSON body
+ * @returns {Object}
+ */
+const jsonResponse = (status, body) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  json: () => Promise.resolve(body),
+});
+
+describe('api', () => {
+  let stored;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    stored = { token: 'old-access', refreshToken: 'mmrt_old' };
+    localStorage.getItem.mockImplementation((key) => stored[key] ?? null);
+    localStorage.setItem.mockImplementation((key, value) => {
+      stored[key] = value;
+    });
+    localStorage.removeItem.mockImplementation((key) => {
+      delete stored[key];
+    });
+    global.fetch = vi.fn();
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  it('refreshes the session and retries once after a 401', async () => {
+    fetch
+      .mockResolvedValueOnce(jsonResponse(401, { success: false, message: 'Token expired' }))
+      .mockResolvedValueOnce(jsonResponse(200, { success: true, token: 'new-access', refreshToken: 'mmrt_new' }))
+      .mockResolvedValueOnce(jsonResponse(200, { success: true, rooms: [] }));
+
+    const response = await get('/api/rooms');
+
+    expect(response).toEqual({ success: true, rooms: [] });
+    expect(fetch).toHaveBeenCalledTimes(3);
+    expect(JSON.parse(fetch.mock.calls[1][1].body)).toEqual({ refreshToken: 'mmrt_old' });
+    expect(fetch.mock.calls[2][1].headers.Authorization).toBe('Bearer new-access');
+    expect(stored).toEqual({ token: 'new-access', refreshToken: 'mmrt_new' });
+  });
+
+  it('clears the tokens when the refresh token is rejected', async () => {
+    fetch
+      .mockResolvedValueOnce(jsonResponse(401, { success: false, message: 'Token expired' }))
+      .mockResolvedValueOnce(jsonResponse(401, { success: false, message: 'Invalid or expired refresh token' }));
+
+    const response = await get('/api/rooms');
+
+    expect(response).toEqual({ success: false, message: 'Token expired' });
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(stored).toEqual({});
+  });
+
+  it('shares one refresh between concurrent callers', async () => {
+    fetch.mockResolvedValue(jsonResponse(200, { success: true, token: 'new-access', refreshToken: 'mmrt_new' }));
+
+    const results = await Promise.all([refreshSession(), refreshSession()]);
+
+    expect(results).toEqual([true, true]);
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+});
@@ -2,6 +2,10 @@
  * API Utility
  * Wrapper for fetch requests with JWT token authentication
  * Automatically includes Authorization header with token from localStorage
+ *
+ * Access tokens are short-lived. When a request gets a 401, the refresh
+ * token is traded for a new pair at /auth/refresh and the request is sent
+ * once more; if the session can't be refreshed, the tokens are cleared.
  */
 
 const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000';
@@ -14,13 +18,102 @@ const getToken = () => {
   return localStorage.getItem('token');
 };
 
+/**
+ * Get the refresh token from localStorage
+ * @returns {string|null} The refresh token or null if not found
+ */
+const getRefreshToken = () => localStorage.getItem('refreshToken');
+
+/**
+ * Save the tokens returned by login, register or refresh
+ * @param {{token: string, refreshToken: string}} tokens
+ */
+export const saveTokens = ({ token, refreshToken }) => {
+  localStorage.setItem('token', token);
+  if (refreshToken) {
+    localStorage.setItem('refreshToken', refreshToken);
+  }
+};
+
+/**
+ * Forget the session's tokens
+ */
+export const clearTokens = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+};
+
+// Endpoints that don't use the access token, so a 401 there isn't about it
+const PUBLIC_ENDPOINTS = ['/auth/login', '/auth/register', '/auth/refresh'];
+
+// The refresh in progress, shared by every request that got a 401 meanwhile
+let refreshing = null;
+
+/**
+ * Trade the refresh token for a new access token and refresh token
+ * @returns {Promise<boolean>} Whether new tokens were saved
+ */
+const requestRefresh = async () => {
+  const refreshToken = getRefreshToken();
+  if (!refreshToken) return false;
+
+  const response = await fetch(`${API_BASE_URL}/auth/refresh`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ refreshToken }),
+  });
+
+  if (response.ok) {
+    saveTokens(await response.json());
+    return true;
+  }
+
+  // Another tab may have refreshed with the same token first
+  if (getRefreshToken() !== refreshToken) return true;
+
+  if (response.status === 401) {
+    clearTokens();
+  }
+  return false;
+};
+
+/**
+ * Refresh the session, sharing one request between concurrent callers
+ * (each refresh token only works once)
+ * @returns {Promise<boolean>} Whether new tokens were saved
+ */
+export const refreshSession = () => {
+  if (!refreshing) {
+    refreshing = requestRefresh()
+      .catch((err) => {
+        console.error('Error refreshing session:', err);
+        return false;
+      })
+      .finally(() => {
+        refreshing = null;
+      });
+  }
+  return refreshing;
+};
+
+/**
+ * Whether a failed request should be retried after refreshing the session
+ * @param {string} endpoint - API endpoint
+ * @param {number} status - Response status
+ * @param {string|null} token - Access token the request was sent with
+ * @returns {boolean}
+ */
+const shouldRefresh = (endpoint, status, token) => (
+  status === 401 && Boolean(token) && !PUBLIC_ENDPOINTS.includes(endpoint)
+);
+
 /**
  * Make an authenticated API request
  * @param {string} endpoint - API endpoint (e.g., '/auth/login')
  * @param {Object} options - Fetch options (method, body, headers, etc.)
  * @returns {Promise<Response>} Fetch response
  */
-const apiRequest = async (endpoint, options = {}) => {
+const apiRequest = async (endpoint, options = {}, retried = false) => {
   const token = getToken();
   
   const headers = {
@@ -40,6 +133,11 @@ const apiRequest = async (endpoint, options = {}) => {
     headers,
   });
 
+  // The access token expired (or the session was revoked): refresh and retry once
+  if (!retried && shouldRefresh(endpoint, response.status, token) && await refreshSession()) {
+    return apiRequest(endpoint, options, true);
+  }
+
   return response;
 };
 
@@ -81,6 +179,20 @@ export const put = async (endpoint, data) => {
   return response.json();
 };
 
+/**
+ * PATCH request helper
+ * @param {string} endpoint - API endpoint
+ * @param {Object} data - Fields to change
+ * @returns {Promise<Object>} Parsed JSON response
+ */
+export const patch = async (endpoint, data) => {
+  const response = await apiRequest(endpoint, {
+    method: 'PATCH',
+    body: JSON.stringify(data),
+  });
+  return response.json();
+};
+
 /**
  * DELETE request helper
  * @param {string} endpoint - API endpoint
@@ -91,11 +203,75 @@ export const del = async (endpoint) => {
   return response.json();
 };
 
+/**
+ * Upload a file as multipart form data, reporting progress
+ * Uses XMLHttpRequest since fetch can't report upload progress.
+ * @param {string} endpoint - API endpoint
+ * @param {File|Blob} file - File to upload (sent as the "file" field)
+ * @param {Object} fields - Other form fields
+ * @param {Function} [onProgress] - Called with the fraction uploaded (0 to 1)
+ * @param {boolean} [retried] - Whether this is the retry after refreshing the session
+ * @returns {Promise<Object>} Parsed JSON response
+ */
+export const upload = (endpoint, file, fields = {}, onProgress, retried = false) => new Promise((resolve, reject) => {
+  const formData = new FormData();
+  Object.entries(fields).forEach(([name, value]) => formData.append(name, value));
+  formData.append('file', file);
+
+  const xhr = new XMLHttpRequest();
+  xhr.open('POST', endpoint.startsWith('http') ? endpoint : `${API_BASE_URL}${endpoint}`);
+
+  const token = getToken();
+  if (token) {
+    xhr.setRequestHeader('Authorization', `Bearer ${token}`);
+  }
+
+  xhr.upload.onprogress = (event) => {
+    if (event.lengthComputable) {
+      onProgress?.(event.loaded / event.total);
+    }
+  };
+  xhr.onload = async () => {
+    if (!retried && shouldRefresh(endpoint, xhr.status, token) && await refreshSession()) {
+      upload(endpoint, file, fields, onProgress, true).then(resolve, reject);
+      return;
+    }
+
+    try {
+      resolve(JSON.parse(xhr.responseText));
+    } catch (err) {
+      reject(new Error(`Upload failed (${xhr.status})`, { cause: err }));
+    }
+  };
+  xhr.onerror = () => reject(new Error('Upload failed'));
+
+  xhr.send(formData);
+});
+
+/**
+ * Download an authenticated file
+ * @param {string} endpoint - API endpoint
+ * @returns {Promise<Blob>} File contents
+ */
+export const getBlob = async (endpoint) => {
+  const response = await apiRequest(endpoint, { method: 'GET' });
+  if (!response.ok) {
+    throw new Error(`Download failed (${response.status})`);
+  }
+  return response.blob();
+};
+
 export default {
   get,
   post,
   put,
+  patch,
   delete: del,
+  upload,
+  getBlob,
   getToken,
+  saveTokens,
+  clearTokens,
+  refreshSession,
 };
 
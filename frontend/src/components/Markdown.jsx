@@ -0,0 +1,93 @@
+/**
+ * Markdown Component
+ * Renders message text as the sanitized Markdown subset
+ * Every node is turned into a React element from a fixed set, so text is
+ * always escaped. Links open in a new tab with rel="noopener noreferrer".
+ */
+
+import { Fragment, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { renderableMarkdown } from '../markdown';
+import { highlight } from '../highlight';
+import '../styles.css';
+
+/**
+ * Render a code block with syntax highlighting
+ * @param {Object} node - Code node
+ * @param {number} key - React key
+ */
+const renderCode = ({ lang, text }, key) => (
+  <pre key={key} className="md-code" data-lang={lang || undefined}>
+    <code>
+      {highlight(text, lang).map((token, index) => (token.type ? (
+        <span key={index} className={`tok-${token.type}`}>{token.text}</span>
+      ) : token.text))}
+    </code>
+  </pre>
+);
+
+const Markdown = ({ text, renderText = (value) => value }) => {
+  const blocks = useMemo(() => renderableMarkdown(text), [text]);
+
+  /**
+   * Render inline nodes
+   * @param {Array} nodes - Sanitized inline nodes
+   */
+  const renderInline = (nodes) => nodes.map((node, index) => {
+    switch (node.type) {
+      case 'text':
+        return <Fragment key={index}>{renderText(node.text)}</Fragment>;
+      case 'strong':
+        return <strong key={index}>{renderInline(node.children)}</strong>;
+      case 'em':
+        return <em key={index}>{renderInline(node.children)}</em>;
+      case 'inlineCode':
+        return <code key={index} className="md-inline-code">{node.text}</code>;
+      case 'link':
+        return (
+          <a key={index} href={node.href} target="_blank" rel="noopener noreferrer">
+            {renderInline(node.children)}
+          </a>
+        );
+      case 'break':
+        return <br key={index} />;
+      default:
+        return null;
+    }
+  });
+
+  /**
+   * Render block nodes
+   * @param {Array} nodes - Sanitized block nodes
+   */
+  const renderBlocks = (nodes) => nodes.map((node, index) => {
+    switch (node.type) {
+      case 'paragraph':
+        return <p key={index} className="md-paragraph">{renderInline(node.children)}</p>;
+      case 'code':
+        return renderCode(node, index);
+      case 'blockquote':
+        return <blockquote key={index} className="md-quote">{renderBlocks(node.children)}</blockquote>;
+      case 'list': {
+        const items = node.children.map((item, itemIndex) => (
+          <li key={itemIndex}>{renderInline(item.children)}</li>
+        ));
+        return node.ordered
+          ? <ol key={index} className="md-list" start={node.start}>{items}</ol>
+          : <ul key={index} className="md-list">{items}</ul>;
+      }
+      default:
+        return null;
+    }
+  });
+
+  return <div className="markdown">{renderBlocks(blocks)}</div>;
+};
+
+Markdown.propTypes = {
+  text: PropTypes.string.isRequired,
+  // Renders plain text runs, e.g. to highlight mentions
+  renderText: PropTypes.func,
+};
+
+export default Markdown;
@@ -0,0 +1,236 @@
+/**
+ * MemberList Component
+ * Sidebar listing a room's members with online/away/offline status
+ * Loads members from the API and applies live presenceUpdate diffs
+ * Offers a remove action per member when onRemoveMember is provided
+ * Shows owner/moderator badges and, for moderators, kick/mute/ban actions
+ */
+
+import { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { get } from '../api';
+import '../styles.css';
+
+const STATUS_ORDER = { online: 0, away: 1, offline: 2 };
+
+// Ban and mute durations offered to moderators (minutes; null never expires)
+const DURATIONS = [
+  { label: '10 minutes', minutes: 10 },
+  { label: '1 hour', minutes: 60 },
+  { label: '1 day', minutes: 24 * 60 },
+  { label: 'Permanent', minutes: null },
+];
+
+const ROLE_LABELS = { owner: 'owner', moderator: 'mod' };
+
+/**
+ * Sort members by status, then username
+ */
+const sortMembers = (members) => [...members].sort((a, b) => (
+  STATUS_ORDER[a.status] - STATUS_ORDER[b.status] || a.username.localeCompare(b.username)
+));
+
+const MemberList = ({
+  room,
+  socket,
+  currentUser,
+  currentRole = 'member',
+  onRemoveMember,
+  onModerate,
+}) => {
+  const [members, setMembers] = useState([]);
+  const [error, setError] = useState('');
+  const [moderatingName, setModeratingName] = useState(null);
+  const [durationIndex, setDurationIndex] = useState(0);
+
+  /**
+   * Load the room's members whenever the room changes
+   */
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchMembers = async () => {
+      setError('');
+      try {
+        const response = await get(`/rooms/${encodeURIComponent(room)}/members`);
+        if (cancelled) return;
+        if (response.success) {
+          setMembers(sortMembers(response.members || []));
+        } else {
+          setError('Failed to load members');
+        }
+      } catch (err) {
+        console.error('Error fetching members:', err);
+        if (!cancelled) setError('Failed to load members');
+      }
+    };
+
+    setMembers([]);
+    setModeratingName(null);
+    fetchMembers();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [room]);
+
+  /**
+   * Apply presence diffs for this room
+   */
+  useEffect(() => {
+    if (!socket) return undefined;
+
+    const handlePresenceUpdate = (update) => {
+      if (update.room !== room) return;
+
+      setMembers((prev) => {
+        const byName = new Map(prev.map((member) => [member.username, member]));
+        update.changes.forEach(({ username, status }) => {
+          byName.set(username, { role: 'member', ...byName.get(username), username, status });
+        });
+        return sortMembers([...byName.values()]);
+      });
+    };
+
+    const handleMemberRemoved = (removed) => {
+      if (removed.room !== room) return;
+      setMembers((prev) => prev.filter((member) => member.username !== removed.username));
+    };
+
+    // Role changes and mutes update the badges in place
+    const handleModerationAction = (action) => {
+      if (action.room !== room) return;
+
+      const changes = {
+        promote: { role: 'moderator' },
+        demote: { role: 'member' },
+        mute: { muted: true },
+        unmute: { muted: false },
+      }[action.action];
+      if (!changes) return;
+
+      setMembers((prev) => prev.map((member) => (
+        member.username === action.username ? { ...member, ...changes } : member
+      )));
+    };
+
+    socket.on('presenceUpdate', handlePresenceUpdate);
+    socket.on('memberRemoved', handleMemberRemoved);
+    socket.on('moderationAction', handleModerationAction);
+    return () => {
+      socket.off('presenceUpdate', handlePresenceUpdate);
+      socket.off('memberRemoved', handleMemberRemoved);
+      socket.off('moderationAction', handleModerationAction);
+    };
+  }, [socket, room]);
+
+  const onlineCount = members.filter((member) => member.status !== 'offline').length;
+
+  /**
+   * Moderators act on plain members; only the owner acts on moderators
+   */
+  const canModerate = (member) => Boolean(
+    onModerate
+    && member.username !== currentUser?.username
+    && member.role !== 'owner'
+    && (member.role !== 'moderator' || currentRole === 'owner')
+  );
+
+  /**
+   * Run a moderation action and close the member's action row
+   * @param {string} username - Target member
+   * @param {string} action - kick, ban, mute, unmute, promote or demote
+   */
+  const moderate = (username, action) => {
+    onModerate(username, action, DURATIONS[durationIndex].minutes);
+    setModeratingName(null);
+  };
+
+  return (
+    <aside className="member-list" data-testid="member-list">
+      <div className="member-list-header">
+        <h3>Members</h3>
+        <span className="member-count">{onlineCount} online</span>
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      <ul className="member-items">
+        {members.map((member) => (
+          <li key={member.username} className={`member-item member-${member.status}`}>
+            <span className={`presence-dot presence-${member.status}`} aria-hidden="true" />
+            <span className="member-name">{member.username}</span>
+            {ROLE_LABELS[member.role] && (
+              <span className={`member-role member-role-${member.role}`}>{ROLE_LABELS[member.role]}</span>
+            )}
+            {member.muted && <span className="member-muted" title="Muted">muted</span>}
+            <span className="member-status">{member.status}</span>
+            {canModerate(member) && (
+              <button
+                type="button"
+                className="member-remove"
+                onClick={() => setModeratingName(moderatingName === member.username ? null : member.username)}
+                aria-label={`Moderate ${member.username}`}
+                aria-expanded={moderatingName === member.username}
+              >
+                ⋯
+              </button>
+            )}
+            {onRemoveMember && member.username !== currentUser?.username && (
+              <button
+                type="button"
+                className="member-remove"
+                onClick={() => onRemoveMember(member.username)}
+                aria-label={`Remove ${member.username}`}
+              >
+                ×
+              </button>
+            )}
+            {moderatingName === member.username && canModerate(member) && (
+              <div className="member-moderation" role="group" aria-label={`Moderate ${member.username}`}>
+                <select
+                  value={durationIndex}
+                  onChange={(e) => setDurationIndex(Number(e.target.value))}
+                  aria-label="Duration"
+                >
+                  {DURATIONS.map((duration, index) => (
+                    <option key={duration.label} value={index}>{duration.label}</option>
+                  ))}
+                </select>
+                <button type="button" onClick={() => moderate(member.username, 'kick')}>Kick</button>
+                <button type="button" onClick={() => moderate(member.username, member.muted ? 'unmute' : 'mute')}>
+                  {member.muted ? 'Unmute' : 'Mute'}
+                </button>
+                <button type="button" onClick={() => moderate(member.username, 'ban')}>Ban</button>
+                {currentRole === 'owner' && (
+                  <button
+                    type="button"
+                    onClick={() => moderate(member.username, member.role === 'moderator' ? 'demote' : 'promote')}
+                  >
+                    {member.role === 'moderator' ? 'Remove moderator' : 'Make moderator'}
+                  </button>
+                )}
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+    </aside>
+  );
+};
+
+MemberList.propTypes = {
+  room: PropTypes.string.isRequired,
+  socket: PropTypes.shape({
+    on: PropTypes.func.isRequired,
+    off: PropTypes.func.isRequired,
+  }),
+  currentUser: PropTypes.shape({
+    username: PropTypes.string,
+  }),
+  currentRole: PropTypes.oneOf(['owner', 'moderator', 'member']),
+  onRemoveMember: PropTypes.func,
+  onModerate: PropTypes.func,
+};
+
+export default MemberList;
@@ -0,0 +1,168 @@
+/**
+ * MessageAttachments Component
+ * Inline previews for files sent with a message
+ * Images show their thumbnail and open full size when clicked; other files
+ * show their name and size with a download button. Files are fetched with
+ * the auth token, so they're shown through object URLs.
+ */
+
+import { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { getBlob } from '../api';
+import '../styles.css';
+
+// Thumbnails fit in a square of this size (matches the server)
+const THUMBNAIL_SIZE = 320;
+// How long an opened file's object URL stays valid
+const OBJECT_URL_LIFETIME_MS = 60 * 1000;
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} e.g. "512 B", "1.5 KB", "12 MB"
+ */
+export const formatFileSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  const units = ['KB', 'MB', 'GB'];
+  let size = bytes / 1024;
+  let unit = 0;
+  while (size >= 1024 && unit < units.length - 1) {
+    size /= 1024;
+    unit += 1;
+  }
+  return `${size < 10 ? size.toFixed(1) : Math.round(size)} ${units[unit]}`;
+};
+
+/**
+ * Displayed thumbnail size, so the layout doesn't shift once it loads
+ * @param {Object} attachment - Attachment with width and height
+ * @returns {{width: number, height: number}|null}
+ */
+const thumbnailDimensions = ({ width, height }) => {
+  if (!width || !height) return null;
+  const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(width, height));
+  return { width: Math.round(width * scale), height: Math.round(height * scale) };
+};
+
+/**
+ * Fetch a file and hand its object URL to a callback
+ * @param {string} url - Attachment URL
+ * @param {Function} use - Called with the object URL
+ */
+const withObjectUrl = async (url, use) => {
+  const objectUrl = URL.createObjectURL(await getBlob(url));
+  use(objectUrl);
+  setTimeout(() => URL.revokeObjectURL(objectUrl), OBJECT_URL_LIFETIME_MS);
+};
+
+/**
+ * Thumbnail of an image attachment
+ */
+const ImageAttachment = ({ attachment }) => {
+  const [src, setSrc] = useState(null);
+  const [failed, setFailed] = useState(false);
+  const dimensions = thumbnailDimensions(attachment);
+
+  useEffect(() => {
+    let objectUrl = null;
+    let cancelled = false;
+
+    getBlob(attachment.thumbnailUrl)
+      .then((blob) => {
+        if (cancelled) return;
+        objectUrl = URL.createObjectURL(blob);
+        setSrc(objectUrl);
+      })
+      .catch((err) => {
+        console.error('Error loading thumbnail:', err);
+        if (!cancelled) setFailed(true);
+      });
+
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [attachment.thumbnailUrl]);
+
+  /**
+   * Open the full-size image in a new tab
+   */
+  const openOriginal = () => {
+    withObjectUrl(attachment.url, (objectUrl) => window.open(objectUrl, '_blank', 'noopener'))
+      .catch((err) => console.error('Error opening attachment:', err));
+  };
+
+  return (
+    <button
+      type="button"
+      className="attachment-image"
+      onClick={openOriginal}
+      title={`${attachment.filename} (${formatFileSize(attachment.size)})`}
+      style={dimensions || undefined}
+    >
+      {src && <img src={src} alt={attachment.filename} width={dimensions?.width} height={dimensions?.height} />}
+      {failed && <span className="attachment-error">Preview unavailable</span>}
+    </button>
+  );
+};
+
+/**
+ * Name, size and download button for any other file
+ */
+const FileAttachment = ({ attachment }) => {
+  /**
+   * Save the file under its original name
+   */
+  const download = () => {
+    withObjectUrl(`${attachment.url}?download`, (objectUrl) => {
+      const link = document.createElement('a');
+      link.href = objectUrl;
+      link.download = attachment.filename;
+      link.click();
+    }).catch((err) => console.error('Error downloading attachment:', err));
+  };
+
+  return (
+    <div className="attachment-file">
+      <span className="attachment-icon" aria-hidden="true">📄</span>
+      <span className="attachment-name">{attachment.filename}</span>
+      <span className="attachment-size">{formatFileSize(attachment.size)}</span>
+      <button
+        type="button"
+        className="message-action"
+        onClick={download}
+        aria-label={`Download ${attachment.filename}`}
+      >
+        Download
+      </button>
+    </div>
+  );
+};
+
+const attachmentShape = PropTypes.shape({
+  _id: PropTypes.string.isRequired,
+  filename: PropTypes.string.isRequired,
+  mimeType: PropTypes.string.isRequired,
+  size: PropTypes.number.isRequired,
+  width: PropTypes.number,
+  height: PropTypes.number,
+  url: PropTypes.string.isRequired,
+  thumbnailUrl: PropTypes.string,
+});
+
+ImageAttachment.propTypes = { attachment: attachmentShape.isRequired };
+FileAttachment.propTypes = { attachment: attachmentShape.isRequired };
+
+const MessageAttachments = ({ attachments }) => (
+  <div className="message-attachments">
+    {attachments.map((attachment) => (attachment.thumbnailUrl
+      ? <ImageAttachment key={attachment._id} attachment={attachment} />
+      : <FileAttachment key={attachment._id} attachment={attachment} />))}
+  </div>
+);
+
+MessageAttachments.propTypes = {
+  attachments: PropTypes.arrayOf(attachmentShape).isRequired,
+};
+
+export default MessageAttachments;
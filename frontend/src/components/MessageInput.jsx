@@ -2,14 +2,225 @@
  * MessageInput Component
  * Input field and send button for sending chat messages
  * Handles message submission via Socket.io
+ * Reports typing activity through onTypingStart/onTypingStop
+ * With onUpload, files can be attached by dropping, pasting or picking them;
+ * they upload right away with a progress bar and are sent with the message
+ * With onSearchUsers, typing "@" suggests usernames (and @room) to mention
+ * Messages support a Markdown subset; Shift+Enter adds a line and the
+ * Preview toggle shows how the message will render
+ * With commands, typing "/" opens a palette of slash commands, and the
+ * chosen command's arguments are hinted while typing them
  */
 
-import { useState } from 'react';
+import { useState, useRef, useEffect } from 'react';
 import PropTypes from 'prop-types';
+import Markdown from './Markdown';
 import '../styles.css';
 
-const MessageInput = ({ onSendMessage, disabled = false }) => {
+// Re-send typingStart while typing so the server doesn't expire it
+const TYPING_REFRESH_MS = 3000;
+// Consider the user stopped after this much idle time
+const TYPING_IDLE_MS = 3000;
+// Attachments per message (matches the server)
+export const MAX_ATTACHMENTS = 10;
+
+// Mention being typed just before the caret ("@" then a partial username)
+const MENTION_QUERY_PATTERN = /(^|[^\w@.])@(\w{0,20})$/;
+// Mentions everyone in the room
+const ROOM_MENTION = 'room';
+// Command name being typed ("/" then a partial name, no arguments yet)
+const COMMAND_QUERY_PATTERN = /^\/([\w-]*)$/;
+// Command whose arguments are being typed
+const COMMAND_ARGS_PATTERN = /^\/([\w-]+)\s/;
+// Tallest the composer grows before scrolling
+const MAX_INPUT_ROWS = 6;
+
+// Key for each upload in the tray
+let nextUploadKey = 0;
+
+const MessageInput = ({
+  onSendMessage,
+  disabled = false,
+  onTypingStart,
+  onTypingStop,
+  onUpload,
+  onSearchUsers,
+  commands = [],
+}) => {
   const [message, setMessage] = useState('');
+  // { start, end } of the "@partial" being completed, with its suggestions
+  const [mention, setMention] = useState(null);
+  const [suggestions, setSuggestions] = useState([]);
+  const [activeSuggestion, setActiveSuggestion] = useState(0);
+  // { key, name, progress, attachment, error } for each file being attached
+  const [uploads, setUploads] = useState([]);
+  const [dragging, setDragging] = useState(false);
+  const [previewing, setPreviewing] = useState(false);
+  const [activeCommand, setActiveCommand] = useState(0);
+  // Escape hides the command palette until the text changes
+  const [paletteDismissed, setPaletteDismissed] = useState(false);
+  const lastTypingSentRef = useRef(0);
+  const idleTimerRef = useRef(null);
+  const fileInputRef = useRef(null);
+  const inputRef = useRef(null);
+  // Latest suggestion request, so slow responses don't overwrite newer ones
+  const suggestionRequestRef = useRef(0);
+  // Caret position to restore after completing a mention
+  const caretRef = useRef(null);
+
+  // Put the caret after a completed mention
+  useEffect(() => {
+    if (caretRef.current !== null && inputRef.current) {
+      inputRef.current.setSelectionRange(caretRef.current, caretRef.current);
+      caretRef.current = null;
+    }
+  }, [message]);
+
+  /**
+   * Stop the typing indicator if one is active
+   */
+  const stopTyping = () => {
+    clearTimeout(idleTimerRef.current);
+    idleTimerRef.current = null;
+
+    if (lastTypingSentRef.current) {
+      lastTypingSentRef.current = 0;
+      onTypingStop?.();
+    }
+  };
+
+  /**
+   * Start or refresh the typing indicator
+   */
+  const reportTyping = () => {
+    if (!onTypingStart) return;
+
+    const now = Date.now();
+    if (now - lastTypingSentRef.current >= TYPING_REFRESH_MS) {
+      lastTypingSentRef.current = now;
+      onTypingStart();
+    }
+
+    clearTimeout(idleTimerRef.current);
+    idleTimerRef.current = setTimeout(stopTyping, TYPING_IDLE_MS);
+  };
+
+  // Don't leave a typing indicator behind when the composer goes away
+  useEffect(() => () => clearTimeout(idleTimerRef.current), []);
+
+  /**
+   * Handle text changes
+   */
+  const handleChange = (e) => {
+    const { value } = e.target;
+    setMessage(value);
+    setActiveCommand(0);
+    setPaletteDismissed(false);
+    updateMention(value, e.target.selectionStart ?? value.length);
+
+    if (value.trim()) {
+      reportTyping();
+    } else {
+      stopTyping();
+    }
+  };
+
+  /**
+   * Close the mention suggestions
+   */
+  const closeMention = () => {
+    suggestionRequestRef.current += 1;
+    setMention(null);
+    setSuggestions([]);
+  };
+
+  /**
+   * Look up suggestions for a mention being typed before the caret
+   * @param {string} value - Input text
+   * @param {number} caret - Caret position
+   */
+  const updateMention = (value, caret) => {
+    const match = onSearchUsers && MENTION_QUERY_PATTERN.exec(value.slice(0, caret));
+    if (!match) {
+      closeMention();
+      return;
+    }
+
+    const prefix = match[2];
+    const request = ++suggestionRequestRef.current;
+    setMention({ start: caret - prefix.length - 1, end: caret });
+
+    onSearchUsers(prefix)
+      .then((usernames) => {
+        if (request !== suggestionRequestRef.current) return;
+        const names = ROOM_MENTION.startsWith(prefix.toLowerCase())
+          ? [...usernames, ROOM_MENTION]
+          : usernames;
+        setSuggestions(names);
+        setActiveSuggestion(0);
+      })
+      .catch((err) => console.error('Error searching users:', err));
+  };
+
+  /**
+   * Replace the partial mention with the chosen name
+   * @param {string} name - Username (or "room")
+   */
+  const completeMention = (name) => {
+    if (!mention) return;
+
+    const inserted = `@${name} `;
+    caretRef.current = mention.start + inserted.length;
+    setMessage((prev) => prev.slice(0, mention.start) + inserted + prev.slice(mention.end));
+    closeMention();
+  };
+
+  const commandQuery = !paletteDismissed && COMMAND_QUERY_PATTERN.exec(message);
+  const commandMatches = commandQuery
+    ? commands.filter((command) => command.name.startsWith(commandQuery[1].toLowerCase()))
+    : [];
+  const selectedCommand = commandMatches[Math.min(activeCommand, commandMatches.length - 1)];
+  const typedCommandName = COMMAND_ARGS_PATTERN.exec(message)?.[1].toLowerCase();
+  const typedCommand = typedCommandName && commands.find((command) => command.name === typedCommandName);
+
+  /**
+   * Replace the partial command with the chosen one, ready for arguments
+   * @param {string} name - Command name
+   */
+  const completeCommand = (name) => {
+    setMessage(`/${name} `);
+    setActiveCommand(0);
+  };
+
+  /**
+   * Update one upload in the tray
+   * @param {number} key - Upload key
+   * @param {Object} changes - Fields to change
+   */
+  const updateUpload = (key, changes) => {
+    setUploads((prev) => prev.map((item) => (item.key === key ? { ...item, ...changes } : item)));
+  };
+
+  /**
+   * Start uploading files, up to the per-message limit
+   * @param {FileList|File[]} files - Files to attach
+   */
+  const addFiles = (files) => {
+    if (!onUpload || disabled) return;
+
+    const slots = MAX_ATTACHMENTS - uploads.length;
+    Array.from(files).slice(0, Math.max(slots, 0)).forEach((file) => {
+      const key = nextUploadKey++;
+      setUploads((prev) => [...prev, { key, name: file.name, progress: 0, attachment: null, error: '' }]);
+
+      onUpload(file, (progress) => updateUpload(key, { progress }))
+        .then((attachment) => updateUpload(key, { attachment, progress: 1 }))
+        .catch((err) => updateUpload(key, { error: err.message || 'Upload failed' }));
+    });
+  };
+
+  const uploading = uploads.some((item) => !item.attachment && !item.error);
+  const attachmentIds = uploads.filter((item) => item.attachment).map((item) => item.attachment._id);
 
   /**
    * Handle form submission
@@ -19,16 +230,93 @@ const MessageInput = ({ onSendMessage, disabled = false }) => {
     e.preventDefault();
     
     const trimmedMessage = message.trim();
-    if (trimmedMessage && !disabled) {
-      onSendMessage(trimmedMessage);
+    if ((trimmedMessage || attachmentIds.length > 0) && !disabled && !uploading) {
+      if (attachmentIds.length > 0) {
+        onSendMessage(trimmedMessage, attachmentIds);
+      } else {
+        onSendMessage(trimmedMessage);
+      }
       setMessage('');
+      closeMention();
+      setPreviewing(false);
+      setUploads([]);
+      stopTyping();
     }
   };
 
+  /**
+   * Attach pasted files (e.g. screenshots); plain text pastes as usual
+   */
+  const handlePaste = (e) => {
+    const files = e.clipboardData?.files;
+    if (onUpload && files && files.length > 0) {
+      e.preventDefault();
+      addFiles(files);
+    }
+  };
+
+  /**
+   * Accept files dragged over the composer
+   */
+  const handleDragOver = (e) => {
+    if (!onUpload || !Array.from(e.dataTransfer?.types || []).includes('Files')) return;
+    e.preventDefault();
+    setDragging(true);
+  };
+
+  /**
+   * Attach dropped files
+   */
+  const handleDrop = (e) => {
+    if (!onUpload) return;
+    e.preventDefault();
+    setDragging(false);
+    addFiles(e.dataTransfer.files);
+  };
+
   /**
    * Handle Enter key press (submit) or Shift+Enter (new line)
    */
   const handleKeyDown = (e) => {
+    if (commandMatches.length > 0) {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        setActiveCommand((index) => (index + step + commandMatches.length) % commandMatches.length);
+        return;
+      }
+      // Enter on a fully typed command sends it
+      if (e.key === 'Tab' || (e.key === 'Enter' && !e.shiftKey && selectedCommand.name !== commandQuery[1].toLowerCase())) {
+        e.preventDefault();
+        completeCommand(selectedCommand.name);
+        return;
+      }
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        setPaletteDismissed(true);
+        return;
+      }
+    }
+
+    if (suggestions.length > 0) {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        setActiveSuggestion((index) => (index + step + suggestions.length) % suggestions.length);
+        return;
+      }
+      if (e.key === 'Enter' || e.key === 'Tab') {
+        e.preventDefault();
+        completeMention(suggestions[activeSuggestion]);
+        return;
+      }
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        closeMention();
+        return;
+      }
+    }
+
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault();
       handleSubmit(e);
@@ -36,21 +324,149 @@ const MessageInput = ({ onSendMessage, disabled = false }) => {
   };
 
   return (
-    <form className="message-input-form" onSubmit={handleSubmit} data-testid="message-input">
-      <input
-        type="text"
+    <form
+      className={`message-input-form ${dragging ? 'message-input-dragging' : ''}`}
+      onSubmit={handleSubmit}
+      onDragOver={handleDragOver}
+      onDragLeave={() => setDragging(false)}
+      onDrop={handleDrop}
+      data-testid="message-input"
+    >
+      {uploads.length > 0 && (
+        <ul className="upload-tray" data-testid="upload-tray">
+          {uploads.map((item) => (
+            <li key={item.key} className={`upload-item ${item.error ? 'upload-failed' : ''}`}>
+              <span className="upload-name">{item.name}</span>
+              {item.error ? (
+                <span className="upload-error">{item.error}</span>
+              ) : (
+                <progress
+                  value={item.progress}
+                  max={1}
+                  aria-label={`Uploading ${item.name}`}
+                />
+              )}
+              <button
+                type="button"
+                className="upload-remove"
+                onClick={() => setUploads((prev) => prev.filter((other) => other.key !== item.key))}
+                aria-label={`Remove ${item.name}`}
+              >
+                ×
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {onUpload && (
+        <>
+          <input
+            ref={fileInputRef}
+            type="file"
+            multiple
+            hidden
+            onChange={(e) => {
+              addFiles(e.target.files);
+              e.target.value = '';
+            }}
+            data-testid="file-input"
+          />
+          <button
+            type="button"
+            className="btn-attach"
+            onClick={() => fileInputRef.current?.click()}
+            disabled={disabled || uploads.length >= MAX_ATTACHMENTS}
+            aria-label="Attach files"
+          >
+            📎
+          </button>
+        </>
+      )}
+
+      {commandMatches.length > 0 && (
+        <ul className="mention-suggestions command-palette" role="listbox" aria-label="Commands">
+          {commandMatches.map((command) => (
+            <li
+              key={command.name}
+              role="option"
+              aria-selected={command === selectedCommand}
+              className={command === selectedCommand ? 'mention-suggestion-active' : ''}
+              // mousedown keeps focus in the input
+              onMouseDown={(e) => {
+                e.preventDefault();
+                completeCommand(command.name);
+              }}
+            >
+              <span className="command-name">/{command.name}</span>
+              {command.args && <span className="command-args">{command.args}</span>}
+              <span className="mention-suggestion-hint">{command.description}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {typedCommand && typedCommand.args && (
+        <div className="command-hint" data-testid="command-hint">
+          <span className="command-name">/{typedCommand.name}</span>
+          <span className="command-args">{typedCommand.args}</span>
+          <span className="mention-suggestion-hint">{typedCommand.description}</span>
+        </div>
+      )}
+
+      {suggestions.length > 0 && (
+        <ul className="mention-suggestions" role="listbox" aria-label="Mention suggestions">
+          {suggestions.map((name, index) => (
+            <li
+              key={name}
+              role="option"
+              aria-selected={index === activeSuggestion}
+              className={index === activeSuggestion ? 'mention-suggestion-active' : ''}
+              // mousedown keeps focus in the input
+              onMouseDown={(e) => {
+                e.preventDefault();
+                completeMention(name);
+              }}
+            >
+              @{name}
+              {name === ROOM_MENTION && <span className="mention-suggestion-hint">notify everyone</span>}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {previewing && message.trim() && (
+        <div className="message-preview" data-testid="message-preview">
+          <Markdown text={message.trim()} />
+        </div>
+      )}
+
+      <textarea
+        ref={inputRef}
         className="message-input"
+        rows={Math.min(message.split('\n').length, MAX_INPUT_ROWS)}
         value={message}
-        onChange={(e) => setMessage(e.target.value)}
+        onChange={handleChange}
         onKeyDown={handleKeyDown}
+        onPaste={handlePaste}
+        onBlur={closeMention}
         placeholder={disabled ? 'Connecting...' : 'Type a message...'}
         disabled={disabled}
         maxLength={1000}
       />
+      <button
+        type="button"
+        className="btn-preview"
+        onClick={() => setPreviewing(!previewing)}
+        aria-pressed={previewing}
+        disabled={disabled}
+      >
+        Preview
+      </button>
       <button 
         type="submit" 
         className="btn btn-send"
-        disabled={disabled || !message.trim()}
+        disabled={disabled || uploading || (!message.trim() && attachmentIds.length === 0)}
       >
         Send
       </button>
@@ -61,6 +477,18 @@ const MessageInput = ({ onSendMessage, disabled = false }) => {
 MessageInput.propTypes = {
   onSendMessage: PropTypes.func.isRequired,
   disabled: PropTypes.bool,
+  onTypingStart: PropTypes.func,
+  onTypingStop: PropTypes.func,
+  // (file, onProgress) => Promise resolving to the uploaded attachment
+  onUpload: PropTypes.func,
+  // prefix => Promise resolving to matching usernames
+  onSearchUsers: PropTypes.func,
+  // Slash commands for the palette ({ name, args, description })
+  commands: PropTypes.arrayOf(PropTypes.shape({
+    name: PropTypes.string.isRequired,
+    args: PropTypes.string,
+    description: PropTypes.string,
+  })),
 };
 
 export default MessageInput;
@@ -1,13 +1,258 @@
 /**
  * MessageList Component
  * Displays a list of chat messages
- * Shows username, message text, and timestamp
+ * Shows username, message text (as sanitized Markdown), timestamp and
+ * attachment previews
+ * Highlights @mentions, and messages that mention the current user
+ * Shows /me messages as actions, and command replies only the current user
+ * can see (ephemeral) without any actions
+ * Marks messages posted by integrations (incoming webhooks) with an "App" badge
+ * and messages from bot accounts with a "Bot" badge
+ * Lets the author edit or delete their own messages
+ * Shows thread summaries and a reply action when onOpenThread is provided
+ * Shows emoji reaction chips and a reaction picker when onToggleReaction is provided
+ * Shows a "seen by" receipt under the latest message
+ * Scrolls to and highlights a message when highlightedId is set
+ * Stays pinned to the newest message, loads older pages when scrolled to the
+ * top (keeping the scroll position), and only renders the visible part of
+ * long lists
  */
 
+import { useState, useEffect, useLayoutEffect, useRef } from 'react';
 import PropTypes from 'prop-types';
+import MessageAttachments from './MessageAttachments';
+import Markdown from './Markdown';
 import '../styles.css';
 
-const MessageList = ({ messages, currentUser }) => {
+// Emoji offered in the reaction picker
+const QUICK_REACTIONS = ['👍', '❤️', '😂', '🎉', '😮', '😢'];
+
+// Lists longer than this only render the messages near the viewport
+export const VIRTUALIZE_AFTER = 150;
+// Height assumed for messages that haven't been measured yet
+const ESTIMATED_HEIGHT_PX = 72;
+// Gap between messages (matches .message-list gap)
+const ITEM_GAP_PX = 15;
+// Extra content rendered above and below the viewport
+const OVERSCAN_PX = 600;
+// Distance from the top that triggers loading older messages
+const LOAD_OLDER_THRESHOLD_PX = 150;
+// Distance from the bottom within which new messages keep the view pinned
+const STICK_TO_BOTTOM_PX = 80;
+
+// "@name" as the server parses it: not preceded by a username or email character
+const MENTION_PATTERN = /(^|[^\w@.])@(\w{3,20})(?!\w)/g;
+// Mentions everyone in the room
+const ROOM_MENTION = 'room';
+
+/**
+ * Split message text into plain text and mention segments
+ * Only names the server recognized (message.mentions, or @room when
+ * mentionsRoom is set) become mentions.
+ * @param {Object} message - Message with text, mentions and mentionsRoom
+ * @returns {Array<{text: string, mention: (string|null)}>}
+ */
+export const splitMentions = ({ text, mentions = [], mentionsRoom = false }) => {
+  const known = new Set(mentions);
+  const segments = [];
+  let position = 0;
+
+  for (const match of text.matchAll(MENTION_PATTERN)) {
+    const name = match[2];
+    const isRoom = name.toLowerCase() === ROOM_MENTION;
+    if (!(known.has(name) || (isRoom && mentionsRoom))) continue;
+
+    const start = match.index + match[1].length;
+    if (start > position) {
+      segments.push({ text: text.slice(position, start), mention: null });
+    }
+    segments.push({ text: `@${name}`, mention: isRoom ? ROOM_MENTION : name });
+    position = start + name.length + 1;
+  }
+
+  if (position < text.length) {
+    segments.push({ text: text.slice(position), mention: null });
+  }
+  return segments;
+};
+
+/**
+ * Whether a message mentions a user, by name or through @room
+ * @param {Object} message - Message
+ * @param {string} [username] - User to check
+ * @returns {boolean}
+ */
+export const mentionsUser = (message, username) => Boolean(
+  username
+  && (message.integration || message.username !== username)
+  && (message.mentionsRoom || (message.mentions || []).includes(username))
+);
+
+/**
+ * Stable key for a message (optimistic messages may lack an _id)
+ */
+const messageKey = (message) => message._id || String(message.ts);
+
+/**
+ * Index of the last offset at or before a position (offsets are ascending)
+ * @param {number[]} offsets - Start offset of each message
+ * @param {number} position - Scroll position
+ * @returns {number}
+ */
+const findIndexAt = (offsets, position) => {
+  let low = 0;
+  let high = offsets.length - 1;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (offsets[mid] <= position) low = mid;
+    else high = mid - 1;
+  }
+  return low;
+};
+
+const MessageList = ({
+  messages,
+  currentUser,
+  onEditMessage,
+  onDeleteMessage,
+  onOpenThread,
+  onToggleReaction,
+  seenBy = [],
+  highlightedId = null,
+  hasMoreOlder = false,
+  loadingOlder = false,
+  onLoadOlder,
+}) => {
+  const [editingId, setEditingId] = useState(null);
+  const [editText, setEditText] = useState('');
+  const [pickerId, setPickerId] = useState(null);
+  const [viewport, setViewport] = useState({ scrollTop: 0, height: 0 });
+  const [, setMeasureVersion] = useState(0);
+  const listRef = useRef(null);
+  // Measured message heights by key
+  const heightsRef = useRef(new Map());
+  // Whether the view is at the newest message
+  const pinnedRef = useRef(true);
+  // Scroll state saved before loading older messages, to restore the position
+  const olderAnchorRef = useRef(null);
+  const previousKeysRef = useRef({ first: null, last: null });
+
+  const list = messages || [];
+  const virtualized = list.length > VIRTUALIZE_AFTER;
+
+  // Start offset of each message, from measured or estimated heights
+  const offsets = [];
+  let totalHeight = 0;
+  list.forEach((message) => {
+    offsets.push(totalHeight);
+    totalHeight += (heightsRef.current.get(messageKey(message)) || ESTIMATED_HEIGHT_PX) + ITEM_GAP_PX;
+  });
+
+  let startIndex = 0;
+  let endIndex = list.length - 1;
+  if (virtualized) {
+    startIndex = findIndexAt(offsets, Math.max(0, viewport.scrollTop - OVERSCAN_PX));
+    endIndex = findIndexAt(offsets, viewport.scrollTop + viewport.height + OVERSCAN_PX);
+  }
+  const topSpacer = virtualized ? offsets[startIndex] : 0;
+  const bottomSpacer = virtualized && endIndex < list.length - 1
+    ? totalHeight - offsets[endIndex + 1]
+    : 0;
+
+  /**
+   * Measure rendered messages; re-render when a virtualized height changes
+   */
+  useLayoutEffect(() => {
+    const element = listRef.current;
+    if (!element) return;
+
+    let changed = false;
+    element.querySelectorAll('[data-message-key]').forEach((item) => {
+      const height = item.offsetHeight;
+      const key = item.getAttribute('data-message-key');
+      if (height > 0 && heightsRef.current.get(key) !== height) {
+        heightsRef.current.set(key, height);
+        changed = true;
+      }
+    });
+
+    if (changed && virtualized) {
+      setMeasureVersion((version) => version + 1);
+    }
+  });
+
+  /**
+   * Keep the scroll position sensible as messages change
+   * - Older messages prepended: keep the same messages on screen
+   * - New messages appended while at the bottom: stay at the bottom
+   * - A new list (room switch): start at the bottom
+   */
+  useLayoutEffect(() => {
+    const element = listRef.current;
+    const first = list.length > 0 ? messageKey(list[0]) : null;
+    const last = list.length > 0 ? messageKey(list[list.length - 1]) : null;
+    const previous = previousKeysRef.current;
+    previousKeysRef.current = { first, last };
+
+    if (!element) return;
+
+    const anchor = olderAnchorRef.current;
+    const prepended = anchor && first !== previous.first
+      && list.some((message) => messageKey(message) === previous.first);
+
+    if (prepended) {
+      element.scrollTop = anchor.scrollTop + (element.scrollHeight - anchor.scrollHeight);
+      olderAnchorRef.current = null;
+    } else if (last !== previous.last && (pinnedRef.current || !list.some((m) => messageKey(m) === previous.last))) {
+      element.scrollTop = element.scrollHeight;
+      pinnedRef.current = true;
+    }
+
+    if (virtualized) {
+      setViewport({ scrollTop: element.scrollTop, height: element.clientHeight });
+    }
+  }, [messages]);
+
+  /**
+   * Bring the highlighted message into view
+   */
+  useEffect(() => {
+    const element = listRef.current;
+    if (!highlightedId || !element) return;
+
+    pinnedRef.current = false;
+    const index = list.findIndex((message) => message._id === highlightedId);
+    if (index === -1) return;
+
+    if (virtualized) {
+      element.scrollTop = Math.max(0, offsets[index] - element.clientHeight / 2);
+      setViewport({ scrollTop: element.scrollTop, height: element.clientHeight });
+      return;
+    }
+
+    const item = element.querySelector(`[data-message-id="${highlightedId}"]`);
+    item?.scrollIntoView?.({ block: 'center' });
+  }, [highlightedId, messages]);
+
+  /**
+   * Track the viewport, pinning and loading older messages near the top
+   */
+  const handleScroll = () => {
+    const element = listRef.current;
+    if (!element) return;
+
+    pinnedRef.current = element.scrollHeight - element.scrollTop - element.clientHeight < STICK_TO_BOTTOM_PX;
+
+    if (virtualized) {
+      setViewport({ scrollTop: element.scrollTop, height: element.clientHeight });
+    }
+
+    if (element.scrollTop < LOAD_OLDER_THRESHOLD_PX && hasMoreOlder && !loadingOlder && onLoadOlder) {
+      olderAnchorRef.current = { scrollTop: element.scrollTop, scrollHeight: element.scrollHeight };
+      onLoadOlder();
+    }
+  };
+
   if (!messages || messages.length === 0) {
     return (
       <div className="message-list empty" data-testid="message-list">
@@ -33,29 +278,248 @@ const MessageList = ({ messages, currentUser }) => {
     if (minutes < 1440) return `${Math.floor(minutes / 60)}h ago`;
 
     // Show date for older messages
-    return date.toLocaleDateString() + ' ' + date.toLocaleTimeString([], { 
-      hour: '2-digit', 
-      minute: '2-digit' 
+    return date.toLocaleDateString() + ' ' + date.toLocaleTimeString([], {
+      hour: '2-digit',
+      minute: '2-digit'
     });
   };
 
+  /**
+   * Start editing a message inline
+   */
+  const startEditing = (message) => {
+    setEditingId(message._id);
+    setEditText(message.text);
+  };
+
+  /**
+   * Submit the inline edit form
+   */
+  const handleEditSubmit = (e, message) => {
+    e.preventDefault();
+
+    const trimmedText = editText.trim();
+    if (trimmedText && trimmedText !== message.text) {
+      onEditMessage(message._id, trimmedText);
+    }
+    setEditingId(null);
+  };
+
+  /**
+   * Check whether the current user reacted with an emoji
+   */
+  const hasReacted = (message, emoji) => Boolean(
+    currentUser && message.reactions?.[emoji]?.includes(currentUser.username)
+  );
+
+  /**
+   * Toggle the current user's reaction and close the picker
+   */
+  const toggleReaction = (message, emoji) => {
+    onToggleReaction(message._id, emoji, !hasReacted(message, emoji));
+    setPickerId(null);
+  };
+
   return (
-    <div className="message-list" data-testid="message-list">
-      {messages.map((message) => {
-        const isOwnMessage = currentUser && message.username === currentUser.username;
+    <div className="message-list" data-testid="message-list" ref={listRef} onScroll={handleScroll}>
+      {(hasMoreOlder || loadingOlder) && (
+        <div className="message-list-older" data-testid="older-messages">
+          {loadingOlder ? 'Loading older messages…' : (
+            onLoadOlder && (
+              <button type="button" className="thread-load-more" onClick={onLoadOlder}>
+                Load older messages
+              </button>
+            )
+          )}
+        </div>
+      )}
+
+      {topSpacer > 0 && <div className="message-list-spacer" style={{ height: topSpacer - ITEM_GAP_PX }} />}
+
+      {list.slice(startIndex, endIndex + 1).map((message, sliceIndex) => {
+        const index = startIndex + sliceIndex;
+        // Integrations post under display names, which may match the user's
+        const isOwnMessage = currentUser && !message.integration && message.username === currentUser.username;
+        const canModify = isOwnMessage && !message.deleted && message._id;
+        const canReply = onOpenThread && !message.deleted && message._id && !message.parentId;
+        const isEditing = editingId && editingId === message._id;
+        const canReact = onToggleReaction && !message.deleted && message._id;
+        const reactions = Object.entries(message.reactions || {}).filter(([, users]) => users.length > 0);
+
         return (
-          <div 
-            key={message._id || message.ts} 
-            className={`message-item ${isOwnMessage ? 'message-own' : ''}`}
+          <div
+            key={messageKey(message)}
+            className={`message-item ${isOwnMessage ? 'message-own' : ''} ${
+              message.ephemeral ? 'message-ephemeral' : ''
+            } ${
+              highlightedId && message._id === highlightedId ? 'message-highlighted' : ''
+            } ${!message.deleted && mentionsUser(message, currentUser?.username) ? 'message-mentioned' : ''}`}
+            data-message-id={message._id}
+            data-message-key={messageKey(message)}
           >
             <div className="message-header">
-              <span className="message-username">{message.username}</span>
+              {message.ephemeral ? (
+                <span className="message-ephemeral-label">Only visible to you</span>
+              ) : (
+                <span className="message-username">{message.username}</span>
+              )}
+              {message.integration && (
+                <span className="message-badge" title={`Posted by the ${message.integration.name} integration`}>
+                  App
+                </span>
+              )}
+              {message.bot && (
+                <span className="message-badge" title="Posted by a bot">
+                  Bot
+                </span>
+              )}
               <span className="message-time">{formatTime(message.ts)}</span>
+              {message.editedAt && !message.deleted && (
+                <span className="message-edited" title={new Date(message.editedAt).toLocaleString()}>
+                  (edited)
+                </span>
+              )}
             </div>
-            <div className="message-text">{message.text}</div>
+
+            {message.deleted && (
+              <div className="message-text message-deleted">This message was deleted</div>
+            )}
+
+            {!message.deleted && isEditing && (
+              <form className="message-edit-form" onSubmit={(e) => handleEditSubmit(e, message)}>
+                <textarea
+                  className="message-edit-input"
+                  rows={Math.min(editText.split('\n').length, 8)}
+                  value={editText}
+                  onChange={(e) => setEditText(e.target.value)}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Escape') {
+                      setEditingId(null);
+                    } else if (e.key === 'Enter' && !e.shiftKey) {
+                      handleEditSubmit(e, message);
+                    }
+                  }}
+                  maxLength={1000}
+                  aria-label="Edit message"
+                  autoFocus
+                />
+                <button type="submit" className="message-action">Save</button>
+                <button type="button" className="message-action" onClick={() => setEditingId(null)}>
+                  Cancel
+                </button>
+              </form>
+            )}
+
+            {!message.deleted && !isEditing && message.text && (
+              <div className={`message-text ${message.action ? 'message-action-text' : ''}`}>
+                {message.action && <span className="message-action-name">{message.username} </span>}
+                <Markdown
+                  text={message.text}
+                  renderText={(text) => splitMentions({ ...message, text }).map((segment, segmentIndex) => (
+                    segment.mention ? (
+                      <span
+                        key={segmentIndex}
+                        className={`mention ${
+                          segment.mention === ROOM_MENTION || segment.mention === currentUser?.username
+                            ? 'mention-self'
+                            : ''
+                        }`}
+                      >
+                        {segment.text}
+                      </span>
+                    ) : segment.text
+                  ))}
+                />
+              </div>
+            )}
+
+            {!message.deleted && message.attachments?.length > 0 && (
+              <MessageAttachments attachments={message.attachments} />
+            )}
+
+            {reactions.length > 0 && (
+              <div className="message-reactions">
+                {reactions.map(([emoji, users]) => (
+                  <button
+                    key={emoji}
+                    type="button"
+                    className={`reaction-chip ${hasReacted(message, emoji) ? 'reaction-own' : ''}`}
+                    title={users.join(', ')}
+                    onClick={() => canReact && toggleReaction(message, emoji)}
+                    disabled={!canReact}
+                  >
+                    <span className="reaction-emoji">{emoji}</span>
+                    <span className="reaction-count">{users.length}</span>
+                  </button>
+                ))}
+              </div>
+            )}
+
+            {onOpenThread && message.replyCount > 0 && (
+              <button
+                type="button"
+                className="message-thread-summary"
+                onClick={() => onOpenThread(message)}
+              >
+                {message.replyCount} {message.replyCount === 1 ? 'reply' : 'replies'}
+                {message.lastReplyAt && ` · last reply ${formatTime(message.lastReplyAt)}`}
+              </button>
+            )}
+
+            {pickerId === message._id && canReact && (
+              <div className="reaction-picker" role="menu" aria-label="Pick a reaction">
+                {QUICK_REACTIONS.map((emoji) => (
+                  <button
+                    key={emoji}
+                    type="button"
+                    className="reaction-option"
+                    onClick={() => toggleReaction(message, emoji)}
+                  >
+                    {emoji}
+                  </button>
+                ))}
+              </div>
+            )}
+
+            {!isEditing && (canReact || canReply || (canModify && (onEditMessage || onDeleteMessage))) && (
+              <div className="message-actions">
+                {canReact && (
+                  <button
+                    type="button"
+                    className="message-action"
+                    onClick={() => setPickerId(pickerId === message._id ? null : message._id)}
+                  >
+                    React
+                  </button>
+                )}
+                {canReply && (
+                  <button type="button" className="message-action" onClick={() => onOpenThread(message)}>
+                    Reply
+                  </button>
+                )}
+                {canModify && onEditMessage && (
+                  <button type="button" className="message-action" onClick={() => startEditing(message)}>
+                    Edit
+                  </button>
+                )}
+                {canModify && onDeleteMessage && (
+                  <button type="button" className="message-action" onClick={() => onDeleteMessage(message._id)}>
+                    Delete
+                  </button>
+                )}
+              </div>
+            )}
+
+            {index === list.length - 1 && seenBy.length > 0 && (
+              <div className="message-seen-by" data-testid="seen-by">
+                Seen by {seenBy.join(', ')}
+              </div>
+            )}
           </div>
         );
       })}
+
+      {bottomSpacer > 0 && <div className="message-list-spacer" style={{ height: bottomSpacer - ITEM_GAP_PX }} />}
     </div>
   );
 };
@@ -66,11 +530,33 @@ MessageList.propTypes = {
     username: PropTypes.string.isRequired,
     text: PropTypes.string.isRequired,
     ts: PropTypes.oneOfType([PropTypes.string, PropTypes.instanceOf(Date)]).isRequired,
+    editedAt: PropTypes.oneOfType([PropTypes.string, PropTypes.instanceOf(Date)]),
+    deleted: PropTypes.bool,
+    parentId: PropTypes.string,
+    replyCount: PropTypes.number,
+    lastReplyAt: PropTypes.oneOfType([PropTypes.string, PropTypes.instanceOf(Date)]),
+    reactions: PropTypes.objectOf(PropTypes.arrayOf(PropTypes.string)),
+    attachments: PropTypes.arrayOf(PropTypes.object),
+    mentions: PropTypes.arrayOf(PropTypes.string),
+    mentionsRoom: PropTypes.bool,
+    integration: PropTypes.shape({
+      _id: PropTypes.string,
+      name: PropTypes.string,
+    }),
+    bot: PropTypes.bool,
   })),
   currentUser: PropTypes.shape({
     username: PropTypes.string,
   }),
+  onEditMessage: PropTypes.func,
+  onDeleteMessage: PropTypes.func,
+  onOpenThread: PropTypes.func,
+  onToggleReaction: PropTypes.func,
+  seenBy: PropTypes.arrayOf(PropTypes.string),
+  highlightedId: PropTypes.string,
+  hasMoreOlder: PropTypes.bool,
+  loadingOlder: PropTypes.bool,
+  onLoadOlder: PropTypes.func,
 };
 
 export default MessageList;
-
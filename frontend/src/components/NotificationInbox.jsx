@@ -0,0 +1,207 @@
+/**
+ * NotificationInbox Component
+ * Sidebar inbox for mentions
+ * Shows an unread badge that updates live from notification events, and a
+ * list of notifications that jump to the message when picked
+ */
+
+import { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { get, post } from '../api';
+import '../styles.css';
+
+const PAGE_SIZE = 20;
+
+/**
+ * Describe what a notification is about
+ * @param {Object} notification - Notification from the API
+ * @returns {string} e.g. "alice mentioned you in #general"
+ */
+export const describeNotification = ({ type, actor, room }) => {
+  const where = room.startsWith('dm-') ? 'a direct message' : `#${room}`;
+  return type === 'roomMention'
+    ? `${actor} mentioned @room in ${where}`
+    : `${actor} mentioned you in ${where}`;
+};
+
+const NotificationInbox = ({ socket, onOpen }) => {
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [hasMore, setHasMore] = useState(false);
+  const [open, setOpen] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  /**
+   * Fetch a page of notifications
+   * @param {number} skip - Notifications already shown
+   */
+  const fetchNotifications = async (skip = 0) => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await get(`/api/notifications?limit=${PAGE_SIZE}&skip=${skip}`);
+      if (response.success) {
+        const page = response.notifications || [];
+        setNotifications((prev) => (skip > 0 ? [...prev, ...page] : page));
+        setUnreadCount(response.unreadCount || 0);
+        setHasMore(Boolean(response.hasMore));
+      } else {
+        setError(response.message || 'Failed to load notifications');
+      }
+    } catch (err) {
+      console.error('Error fetching notifications:', err);
+      setError('Failed to load notifications');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Load notifications on mount
+  useEffect(() => {
+    fetchNotifications();
+  }, []);
+
+  /**
+   * Add new notifications and follow reads from other tabs
+   */
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleNotification = (notification) => {
+      setNotifications((prev) => (
+        prev.some((n) => n._id === notification._id) ? prev : [notification, ...prev]
+      ));
+      setUnreadCount((count) => count + 1);
+    };
+
+    const handleRead = ({ ids, all, unreadCount: count }) => {
+      setNotifications((prev) => prev.map((n) => (
+        all || ids?.includes(n._id) ? { ...n, read: true } : n
+      )));
+      setUnreadCount(count);
+    };
+
+    socket.on('notification', handleNotification);
+    socket.on('notificationsRead', handleRead);
+
+    return () => {
+      socket.off('notification', handleNotification);
+      socket.off('notificationsRead', handleRead);
+    };
+  }, [socket]);
+
+  /**
+   * Mark a notification read and jump to its message
+   * @param {Object} notification - Picked notification
+   */
+  const handleOpen = async (notification) => {
+    setOpen(false);
+    onOpen(notification);
+
+    if (notification.read) return;
+
+    setNotifications((prev) => prev.map((n) => (n._id === notification._id ? { ...n, read: true } : n)));
+    try {
+      const response = await post(`/api/notifications/${notification._id}/read`, {});
+      if (response.success) {
+        setUnreadCount(response.unreadCount);
+      }
+    } catch (err) {
+      console.error('Error marking notification read:', err);
+    }
+  };
+
+  /**
+   * Mark every notification read
+   */
+  const handleMarkAllRead = async () => {
+    try {
+      const response = await post('/api/notifications/read-all', {});
+      if (response.success) {
+        setNotifications((prev) => prev.map((n) => ({ ...n, read: true })));
+        setUnreadCount(0);
+      } else {
+        setError(response.message || 'Failed to mark notifications read');
+      }
+    } catch (err) {
+      console.error('Error marking notifications read:', err);
+      setError('Failed to mark notifications read');
+    }
+  };
+
+  return (
+    <div className="notification-inbox" data-testid="notification-inbox">
+      <button
+        type="button"
+        className="inbox-toggle"
+        onClick={() => setOpen(!open)}
+        aria-expanded={open}
+      >
+        Inbox
+        {unreadCount > 0 && (
+          <span className="unread-badge" aria-label={`${unreadCount} unread notifications`}>
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div className="inbox-panel">
+          <div className="inbox-panel-header">
+            <span>Mentions</span>
+            <button
+              type="button"
+              className="thread-load-more"
+              onClick={handleMarkAllRead}
+              disabled={unreadCount === 0}
+            >
+              Mark all read
+            </button>
+          </div>
+
+          {error && <div className="error-message">{error}</div>}
+
+          {notifications.length === 0 && !loading && (
+            <p className="inbox-empty">No notifications yet</p>
+          )}
+
+          <ul className="inbox-list">
+            {notifications.map((notification) => (
+              <li key={notification._id}>
+                <button
+                  type="button"
+                  className={`inbox-item ${notification.read ? '' : 'inbox-item-unread'}`}
+                  onClick={() => handleOpen(notification)}
+                >
+                  <span className="inbox-item-title">{describeNotification(notification)}</span>
+                  {notification.excerpt && <span className="inbox-item-excerpt">{notification.excerpt}</span>}
+                  <span className="message-time">{new Date(notification.createdAt).toLocaleString()}</span>
+                </button>
+              </li>
+            ))}
+          </ul>
+
+          {hasMore && (
+            <button
+              type="button"
+              className="thread-load-more"
+              onClick={() => fetchNotifications(notifications.length)}
+              disabled={loading}
+            >
+              Load more
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+NotificationInbox.propTypes = {
+  socket: PropTypes.object,
+  onOpen: PropTypes.func.isRequired,
+};
+
+export default NotificationInbox;
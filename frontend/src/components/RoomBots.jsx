@@ -0,0 +1,135 @@
+/**
+ * RoomBots Component
+ * Manages the bot accounts allowed in a room
+ * Adds a bot by its username and removes bots; bots can only join rooms
+ * they were added to.
+ */
+
+import { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { get, put, del } from '../api';
+import '../styles.css';
+
+const RoomBots = ({ room }) => {
+  const [bots, setBots] = useState([]);
+  const [username, setUsername] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const botsPath = `/rooms/${encodeURIComponent(room)}/bots`;
+
+  useEffect(() => {
+    let cancelled = false;
+
+    get(botsPath)
+      .then((response) => {
+        if (cancelled) return;
+        if (response.success) {
+          setBots(response.bots);
+        } else {
+          setError(response.message || 'Failed to load bots');
+        }
+      })
+      .catch((err) => {
+        console.error('Error loading bots:', err);
+        if (!cancelled) setError(err.message || 'Failed to load bots');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [botsPath]);
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError('');
+
+    try {
+      const response = await put(`${botsPath}/${encodeURIComponent(username.trim())}`);
+      if (response.success) {
+        setBots((prev) => [...prev, response.bot]);
+        setUsername('');
+      } else {
+        setError(response.message || 'Failed to add bot');
+      }
+    } catch (err) {
+      console.error('Error adding bot:', err);
+      setError(err.message || 'Failed to add bot');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRemove = async (bot) => {
+    setBusy(true);
+    setError('');
+
+    try {
+      const response = await del(`${botsPath}/${encodeURIComponent(bot.username)}`);
+      if (response.success) {
+        setBots((prev) => prev.filter((existing) => existing._id !== bot._id));
+      } else {
+        setError(response.message || 'Failed to remove bot');
+      }
+    } catch (err) {
+      console.error('Error removing bot:', err);
+      setError(err.message || 'Failed to remove bot');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="room-webhooks" data-testid="room-bots">
+      <h4>Bots</h4>
+
+      {bots.length === 0 && <p className="room-webhooks-empty">No bots in this room.</p>}
+
+      <ul className="room-webhooks-list">
+        {bots.map((bot) => (
+          <li key={bot._id}>
+            <div className="room-webhook-summary">
+              <span>{bot.username}</span>
+              {bot.description && <span className="room-webhook-events">{bot.description}</span>}
+            </div>
+            <div className="room-webhook-actions">
+              <button
+                type="button"
+                className="btn btn-small btn-danger"
+                onClick={() => handleRemove(bot)}
+                disabled={busy}
+                aria-label={`Remove ${bot.username}`}
+              >
+                Remove
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      <form className="room-webhooks-form" onSubmit={handleAdd}>
+        <input
+          type="text"
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+          placeholder="Bot username"
+          aria-label="Bot username"
+          maxLength={20}
+          required
+        />
+        <button type="submit" className="btn btn-small" disabled={busy || !username.trim()}>
+          Add bot
+        </button>
+      </form>
+
+      {error && <div className="error-message">{error}</div>}
+    </div>
+  );
+};
+
+RoomBots.propTypes = {
+  room: PropTypes.string.isRequired,
+};
+
+export default RoomBots;
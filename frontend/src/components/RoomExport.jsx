@@ -0,0 +1,122 @@
+/**
+ * RoomExport Component
+ * Downloads a room's history as JSON, CSV, HTML or plain text
+ * An optional date range limits the export to threads started in it; the
+ * dates are whole days in the user's time zone.
+ */
+
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { getBlob } from '../api';
+import '../styles.css';
+
+export const EXPORT_FORMATS = [
+  { format: 'html', label: 'Web page (HTML)' },
+  { format: 'txt', label: 'Plain text' },
+  { format: 'csv', label: 'Spreadsheet (CSV)' },
+  { format: 'json', label: 'JSON' },
+];
+
+// How long the downloaded file's object URL stays valid
+const OBJECT_URL_LIFETIME_MS = 60 * 1000;
+
+/**
+ * Build the export URL for a room
+ * @param {string} room - Room name
+ * @param {Object} options
+ * @param {string} options.format - Export format
+ * @param {string} [options.from] - First day (YYYY-MM-DD)
+ * @param {string} [options.to] - Last day (YYYY-MM-DD), included
+ * @returns {string} API path
+ */
+export const buildExportPath = (room, { format, from, to }) => {
+  const params = new URLSearchParams({ format });
+  if (from) params.set('from', new Date(`${from}T00:00:00`).toISOString());
+  if (to) params.set('to', new Date(`${to}T23:59:59.999`).toISOString());
+  return `/rooms/${encodeURIComponent(room)}/export?${params}`;
+};
+
+/**
+ * Save a blob as a file
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested file name
+ */
+const saveBlob = (blob, filename) => {
+  const objectUrl = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = objectUrl;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(objectUrl), OBJECT_URL_LIFETIME_MS);
+};
+
+const RoomExport = ({ room, onClose }) => {
+  const [format, setFormat] = useState(EXPORT_FORMATS[0].format);
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (from && to && from > to) {
+      setError('The start date must be before the end date');
+      return;
+    }
+
+    setExporting(true);
+    setError('');
+
+    try {
+      const blob = await getBlob(buildExportPath(room, { format, from, to }));
+      const date = new Date().toISOString().slice(0, 10);
+      saveBlob(blob, `${room}-${date}.${format}`);
+      onClose();
+    } catch (err) {
+      console.error('Error exporting room:', err);
+      setError(err.message || 'Failed to export room');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <form className="room-export" onSubmit={handleSubmit} data-testid="room-export">
+      <label>
+        Format
+        <select value={format} onChange={(e) => setFormat(e.target.value)}>
+          {EXPORT_FORMATS.map((option) => (
+            <option key={option.format} value={option.format}>{option.label}</option>
+          ))}
+        </select>
+      </label>
+      <label>
+        From
+        <input type="date" value={from} onChange={(e) => setFrom(e.target.value)} />
+      </label>
+      <label>
+        To
+        <input type="date" value={to} onChange={(e) => setTo(e.target.value)} />
+      </label>
+      <div className="room-export-actions">
+        <button type="submit" className="btn btn-small" disabled={exporting}>
+          {exporting ? 'Exporting...' : 'Download'}
+        </button>
+        <button type="button" className="btn btn-small" onClick={onClose}>
+          Cancel
+        </button>
+      </div>
+      {error && <div className="error-message">{error}</div>}
+    </form>
+  );
+};
+
+RoomExport.propTypes = {
+  room: PropTypes.string.isRequired,
+  onClose: PropTypes.func.isRequired,
+};
+
+export default RoomExport;
@@ -0,0 +1,185 @@
+/**
+ * RoomIncomingWebhooks Component
+ * Manages the tokens external systems use to post into a room
+ * Creates a webhook for a named integration (showing its URL once, with a
+ * curl example) and revokes webhooks after a confirmation step.
+ */
+
+import { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { get, post, del } from '../api';
+import '../styles.css';
+
+const MAX_NAME_LENGTH = 50;
+
+/**
+ * Example command posting to a webhook URL
+ * @param {string} url - Webhook URL
+ * @returns {string}
+ */
+export const curlExample = (url) => (
+  `curl -X POST -H 'Content-Type: application/json' -d '{"text": "Build passed"}' ${url}`
+);
+
+const RoomIncomingWebhooks = ({ room }) => {
+  const [webhooks, setWebhooks] = useState([]);
+  const [name, setName] = useState('');
+  // URL of the webhook just created; the server never shows it again
+  const [created, setCreated] = useState(null);
+  const [revoking, setRevoking] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const webhooksPath = `/rooms/${encodeURIComponent(room)}/incoming-webhooks`;
+
+  useEffect(() => {
+    let cancelled = false;
+
+    get(webhooksPath)
+      .then((response) => {
+        if (cancelled) return;
+        if (response.success) {
+          setWebhooks(response.webhooks);
+        } else {
+          setError(response.message || 'Failed to load incoming webhooks');
+        }
+      })
+      .catch((err) => {
+        console.error('Error loading incoming webhooks:', err);
+        if (!cancelled) setError(err.message || 'Failed to load incoming webhooks');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [webhooksPath]);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError('');
+
+    try {
+      const response = await post(webhooksPath, { name: name.trim() });
+      if (response.success) {
+        setWebhooks((prev) => [...prev, response.webhook]);
+        setCreated({ name: response.webhook.name, url: response.url });
+        setName('');
+      } else {
+        setError(response.message || 'Failed to create incoming webhook');
+      }
+    } catch (err) {
+      console.error('Error creating incoming webhook:', err);
+      setError(err.message || 'Failed to create incoming webhook');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRevoke = async (webhook) => {
+    setBusy(true);
+    setError('');
+
+    try {
+      const response = await del(`${webhooksPath}/${webhook._id}`);
+      if (response.success) {
+        setWebhooks((prev) => prev.filter((existing) => existing._id !== webhook._id));
+      } else {
+        setError(response.message || 'Failed to revoke incoming webhook');
+      }
+    } catch (err) {
+      console.error('Error revoking incoming webhook:', err);
+      setError(err.message || 'Failed to revoke incoming webhook');
+    } finally {
+      setBusy(false);
+      setRevoking(null);
+    }
+  };
+
+  return (
+    <div className="room-webhooks" data-testid="room-incoming-webhooks">
+      <h4>Incoming webhooks</h4>
+
+      {webhooks.length === 0 && <p className="room-webhooks-empty">No incoming webhooks yet.</p>}
+
+      <ul className="room-webhooks-list">
+        {webhooks.map((webhook) => (
+          <li key={webhook._id}>
+            <div className="room-webhook-summary">
+              <span>{webhook.name}</span>
+              <span className="room-webhook-url">{webhook.tokenPrefix}…</span>
+              <span className="room-webhook-events">
+                {webhook.lastUsedAt
+                  ? `Last used ${new Date(webhook.lastUsedAt).toLocaleString()}`
+                  : 'Never used'}
+              </span>
+            </div>
+            <div className="room-webhook-actions">
+              {revoking === webhook._id ? (
+                <>
+                  <span>Revoke {webhook.name}? Anything using it will stop posting.</span>
+                  <button
+                    type="button"
+                    className="btn btn-small btn-danger"
+                    onClick={() => handleRevoke(webhook)}
+                    disabled={busy}
+                  >
+                    Revoke
+                  </button>
+                  <button type="button" className="btn btn-small" onClick={() => setRevoking(null)}>
+                    Keep
+                  </button>
+                </>
+              ) : (
+                <button
+                  type="button"
+                  className="btn btn-small btn-danger"
+                  onClick={() => setRevoking(webhook._id)}
+                  disabled={busy}
+                >
+                  Revoke
+                </button>
+              )}
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      {created && (
+        <div className="room-webhooks-secret" role="status">
+          <span>
+            URL for {created.name}. Copy it now; it won&apos;t be shown again. Anyone with it can post here.
+          </span>
+          <code>{created.url}</code>
+          <code>{curlExample(created.url)}</code>
+          <button type="button" className="btn btn-small" onClick={() => setCreated(null)}>
+            Done
+          </button>
+        </div>
+      )}
+
+      <form className="room-webhooks-form" onSubmit={handleCreate}>
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="e.g. CI"
+          aria-label="Integration name"
+          maxLength={MAX_NAME_LENGTH}
+          required
+        />
+        <button type="submit" className="btn btn-small" disabled={busy || !name.trim()}>
+          Create webhook
+        </button>
+      </form>
+
+      {error && <div className="error-message">{error}</div>}
+    </div>
+  );
+};
+
+RoomIncomingWebhooks.propTypes = {
+  room: PropTypes.string.isRequired,
+};
+
+export default RoomIncomingWebhooks;
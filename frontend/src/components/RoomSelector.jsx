@@ -2,19 +2,45 @@
  * RoomSelector Component
  * Allows users to switch between chat rooms
  * Fetches available rooms from API and displays them
+ * Shows unread badges that update live from socket events
+ * Lists direct message conversations in their own section
+ * Creates private rooms and shows pending invitations to accept or decline
+ * Follows renames, setting changes and deletions live
  */
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import PropTypes from 'prop-types';
 import { get, post } from '../api';
+import UserPicker from './UserPicker';
 import '../styles.css';
 
-const RoomSelector = ({ currentRoom, onRoomChange, onCreateRoom }) => {
+/**
+ * Display label for a room
+ * Direct messages show the other participant's name
+ * @param {Object} room - Room from the API ({ name, type, participants })
+ * @param {Object} [currentUser] - Current user ({ username })
+ * @returns {string} e.g. "#general" or "@alice"
+ */
+export const getRoomLabel = (room, currentUser) => {
+  if (room.type !== 'direct') return `#${room.name}`;
+
+  const participants = room.participants || [];
+  const other = participants.find((name) => name !== currentUser?.username) || participants[0];
+  return `@${other}`;
+};
+
+const RoomSelector = ({ currentRoom, onRoomChange, onCreateRoom, socket, currentUser }) => {
   const [rooms, setRooms] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [showCreateForm, setShowCreateForm] = useState(false);
   const [newRoomName, setNewRoomName] = useState('');
+  const [isPrivate, setIsPrivate] = useState(false);
+  const [showUserPicker, setShowUserPicker] = useState(false);
+  const [invitations, setInvitations] = useState([]);
+  // Latest rooms for socket handlers, which aren't re-registered on every fetch
+  const roomsRef = useRef(rooms);
+  roomsRef.current = rooms;
 
   /**
    * Fetch available rooms from API
@@ -39,12 +65,120 @@ const RoomSelector = ({ currentRoom, onRoomChange, onCreateRoom }) => {
   };
 
   /**
-   * Load rooms on component mount
+   * Fetch pending private room invitations
+   */
+  const fetchInvitations = async () => {
+    try {
+      const response = await get('/rooms/invitations');
+      if (response.success) {
+        setInvitations(response.invitations || []);
+      }
+    } catch (err) {
+      console.error('Error fetching invitations:', err);
+    }
+  };
+
+  /**
+   * Load rooms and invitations on component mount
    */
   useEffect(() => {
     fetchRooms();
+    fetchInvitations();
   }, []);
 
+  const publicRooms = rooms.filter((room) => room.type !== 'direct');
+  const directRooms = rooms.filter((room) => room.type === 'direct');
+
+  /**
+   * Set the unread count for one room
+   */
+  const setUnreadCount = (roomName, update) => {
+    setRooms((prev) => prev.map((room) => (
+      room.name === roomName
+        ? { ...room, unreadCount: typeof update === 'function' ? update(room.unreadCount || 0) : update }
+        : room
+    )));
+  };
+
+  /**
+   * The room being viewed is always read
+   */
+  useEffect(() => {
+    if (currentRoom) {
+      setUnreadCount(currentRoom, 0);
+    }
+  }, [currentRoom]);
+
+  /**
+   * Update unread badges live
+   * - roomActivity (new top-level messages, sent to the user's own channel
+   *   for rooms they may not have open) increments the badge
+   * - roomRead (sent to all of the user's sockets) clears it
+   */
+  useEffect(() => {
+    if (!socket) return undefined;
+
+    const handleRoomActivity = (activity) => {
+      if (activity.room === currentRoom) return;
+      if (currentUser && activity.username === currentUser.username) return;
+
+      // A conversation someone else just started isn't listed yet
+      if (!roomsRef.current.some((room) => room.name === activity.room)) {
+        fetchRooms();
+        return;
+      }
+      setUnreadCount(activity.room, (count) => count + 1);
+    };
+
+    const handleRoomRead = ({ room }) => {
+      setUnreadCount(room, 0);
+    };
+
+    const handleInvitation = (invitation) => {
+      setInvitations((prev) => [
+        ...prev.filter((entry) => entry.room !== invitation.room),
+        invitation,
+      ]);
+    };
+
+    const handleRemoved = ({ room }) => {
+      setRooms((prev) => prev.filter((entry) => entry.name !== room));
+    };
+
+    const handleRoomUpdated = (update) => {
+      const { updatedBy, changes, previousName, ...info } = update;
+      const listedName = previousName || info.name;
+      setRooms((prev) => prev.map((room) => (
+        room.name === listedName ? { ...room, ...info } : room
+      )));
+    };
+
+    // Kicks and bans end private room memberships
+    const handleEvicted = () => {
+      fetchRooms();
+    };
+
+    socket.on('roomActivity', handleRoomActivity);
+    socket.on('roomRead', handleRoomRead);
+    socket.on('roomInvitation', handleInvitation);
+    socket.on('removedFromRoom', handleRemoved);
+    socket.on('roomUpdated', handleRoomUpdated);
+    socket.on('roomDeleted', handleRemoved);
+    socket.on('kicked', handleEvicted);
+    socket.on('banned', handleEvicted);
+
+    return () => {
+      socket.off('roomActivity', handleRoomActivity);
+      socket.off('roomRead', handleRoomRead);
+      socket.off('roomInvitation', handleInvitation);
+      socket.off('removedFromRoom', handleRemoved);
+      socket.off('roomUpdated', handleRoomUpdated);
+      socket.off('roomDeleted', handleRemoved);
+      socket.off('kicked', handleEvicted);
+      socket.off('banned', handleEvicted);
+    };
+  }, [socket, currentRoom, currentUser]);
+
   /**
    * Handle room selection
    */
@@ -66,7 +200,10 @@ const RoomSelector = ({ currentRoom, onRoomChange, onCreateRoom }) => {
     setError('');
 
     try {
-      const response = await post('/rooms', { name: newRoomName.trim() });
+      const response = await post('/rooms', {
+        name: newRoomName.trim(),
+        visibility: isPrivate ? 'private' : 'public',
+      });
       
       if (response.success) {
         // Refresh rooms list
@@ -75,6 +212,7 @@ const RoomSelector = ({ currentRoom, onRoomChange, onCreateRoom }) => {
         onRoomChange(response.room.name);
         // Reset form
         setNewRoomName('');
+        setIsPrivate(false);
         setShowCreateForm(false);
       } else {
         setError(response.message || 'Failed to create room');
@@ -87,6 +225,79 @@ const RoomSelector = ({ currentRoom, onRoomChange, onCreateRoom }) => {
     }
   };
 
+  /**
+   * Open (or create) a direct message conversation with a user
+   */
+  const handleStartDirectMessage = async (username) => {
+    setError('');
+
+    try {
+      const response = await post('/rooms/direct', { username });
+
+      if (response.success) {
+        await fetchRooms();
+        onRoomChange(response.room.name);
+        setShowUserPicker(false);
+      } else {
+        setError(response.message || 'Failed to open conversation');
+      }
+    } catch (err) {
+      console.error('Error opening direct message:', err);
+      setError(err.message || 'Failed to open conversation');
+    }
+  };
+
+  /**
+   * Accept or decline a pending invitation
+   * Accepting adds the room to the list and switches to it
+   * @param {string} roomName - Invited room
+   * @param {boolean} accept - true to accept, false to decline
+   */
+  const handleRespondToInvitation = async (roomName, accept) => {
+    setError('');
+
+    try {
+      const action = accept ? 'accept' : 'decline';
+      const response = await post(`/rooms/${encodeURIComponent(roomName)}/invitations/${action}`, {});
+
+      if (response.success) {
+        setInvitations((prev) => prev.filter((invitation) => invitation.room !== roomName));
+        if (accept) {
+          await fetchRooms();
+          onRoomChange(roomName);
+        }
+      } else {
+        setError(response.message || 'Failed to respond to invitation');
+      }
+    } catch (err) {
+      console.error('Error responding to invitation:', err);
+      setError(err.message || 'Failed to respond to invitation');
+    }
+  };
+
+  /**
+   * Render one room button with its icon and unread badge
+   */
+  const renderRoom = (room) => (
+    <button
+      key={room.name}
+      className={`room-item ${room.name === currentRoom ? 'active' : ''}`}
+      onClick={() => handleRoomSelect(room.name)}
+      title={room.description || undefined}
+    >
+      {room.icon && <span className="room-icon" aria-hidden="true">{room.icon}</span>}
+      <span className="room-name">{getRoomLabel(room, currentUser)}</span>
+      {room.visibility === 'private' && (
+        <span className="room-private" aria-label="Private room" title="Private room">🔒</span>
+      )}
+      {room.unreadCount > 0 && room.name !== currentRoom && (
+        <span className="unread-badge" aria-label={`${room.unreadCount} unread`}>
+          {room.unreadCount > 99 ? '99+' : room.unreadCount}
+        </span>
+      )}
+    </button>
+  );
+
   return (
     <div className="room-selector" data-testid="room-selector">
       <div className="room-selector-header">
@@ -111,6 +322,14 @@ const RoomSelector = ({ currentRoom, onRoomChange, onCreateRoom }) => {
             title="Only letters, numbers, hyphens, and underscores"
             required
           />
+          <label className="create-room-private">
+            <input
+              type="checkbox"
+              checked={isPrivate}
+              onChange={(e) => setIsPrivate(e.target.checked)}
+            />
+            Private
+          </label>
           <button type="submit" className="btn btn-small" disabled={loading}>
             Create
           </button>
@@ -119,20 +338,55 @@ const RoomSelector = ({ currentRoom, onRoomChange, onCreateRoom }) => {
 
       {error && <div className="error-message">{error}</div>}
 
+      {invitations.length > 0 && (
+        <div className="room-invitations" data-testid="room-invitations">
+          <h3>Invitations</h3>
+          {invitations.map((invitation) => (
+            <div key={invitation.room} className="room-invitation">
+              <span className="room-invitation-text">
+                #{invitation.room}
+                {invitation.invitedBy && <small> from @{invitation.invitedBy}</small>}
+              </span>
+              <button
+                type="button"
+                className="btn btn-small"
+                onClick={() => handleRespondToInvitation(invitation.room, true)}
+              >
+                Accept
+              </button>
+              <button
+                type="button"
+                className="btn btn-small"
+                onClick={() => handleRespondToInvitation(invitation.room, false)}
+              >
+                Decline
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
       <div className="room-list">
         {loading && rooms.length === 0 ? (
           <div className="loading">Loading rooms...</div>
         ) : (
-          rooms.map((room) => (
-            <button
-              key={room.name}
-              className={`room-item ${room.name === currentRoom ? 'active' : ''}`}
-              onClick={() => handleRoomSelect(room.name)}
-            >
-              <span className="room-name">#{room.name}</span>
-            </button>
-          ))
+          publicRooms.map(renderRoom)
         )}
+
+        <div className="room-selector-header room-section-header">
+          <h3 data-testid="direct-messages-header">Direct messages</h3>
+          <button
+            className="btn btn-small"
+            onClick={() => setShowUserPicker(!showUserPicker)}
+            aria-label={showUserPicker ? 'Cancel' : 'New direct message'}
+          >
+            {showUserPicker ? 'Cancel' : '+ New'}
+          </button>
+        </div>
+
+        {showUserPicker && <UserPicker onSelect={handleStartDirectMessage} />}
+
+        {directRooms.map(renderRoom)}
       </div>
     </div>
   );
@@ -142,6 +396,13 @@ RoomSelector.propTypes = {
   currentRoom: PropTypes.string,
   onRoomChange: PropTypes.func.isRequired,
   onCreateRoom: PropTypes.func,
+  socket: PropTypes.shape({
+    on: PropTypes.func.isRequired,
+    off: PropTypes.func.isRequired,
+  }),
+  currentUser: PropTypes.shape({
+    username: PropTypes.string,
+  }),
 };
 
 export default RoomSelector;
@@ -0,0 +1,367 @@
+/**
+ * RoomSettings Component
+ * Settings panel for a room's creator
+ * Edits the name, icon, topic, description and message retention (with a
+ * preview of what a policy would remove), opens the room's outgoing and
+ * incoming webhooks and its bots, and archives or deletes the room after a confirmation step. The server announces the result through
+ * roomUpdated and roomDeleted, which update the page.
+ */
+
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { get, patch, del } from '../api';
+import RoomWebhooks from './RoomWebhooks';
+import RoomIncomingWebhooks from './RoomIncomingWebhooks';
+import RoomBots from './RoomBots';
+import '../styles.css';
+
+// Room clients fall back to; it can't be renamed, archived or deleted
+const DEFAULT_ROOM = 'general';
+
+// Limits match the Room model
+const MAX_NAME_LENGTH = 50;
+const MAX_ICON_LENGTH = 16;
+const MAX_TOPIC_LENGTH = 250;
+const MAX_DESCRIPTION_LENGTH = 500;
+
+const FIELDS = ['name', 'icon', 'topic', 'description'];
+
+const RETENTION_OPTIONS = [
+  { mode: 'forever', label: 'Keep forever' },
+  { mode: 'days', label: 'Keep for a number of days' },
+  { mode: 'messages', label: 'Keep the latest messages' },
+];
+
+/**
+ * Describe a room's retention policy
+ * @param {Object|null} retention - { mode, value }, or null when kept forever
+ * @returns {string} e.g. "Messages are kept for 30 days", or "" when kept forever
+ */
+export const describeRetention = (retention) => {
+  if (!retention || retention.mode === 'forever') return '';
+  const one = retention.value === 1;
+  return retention.mode === 'days'
+    ? `Messages are kept for ${one ? '1 day' : `${retention.value} days`}`
+    : `Only the latest ${one ? 'message is' : `${retention.value} messages are`} kept`;
+};
+
+/**
+ * Describe what a retention preview would remove
+ * @param {Object} preview - Preview from the API
+ * @returns {string}
+ */
+const describePreview = ({ messages, threads, oldest, newest }) => {
+  if (messages === 0) return 'Nothing would be removed right now.';
+  const range = `${new Date(oldest).toLocaleDateString()} to ${new Date(newest).toLocaleDateString()}`;
+  return `Would remove ${messages} message${messages === 1 ? '' : 's'} in ${threads} thread${threads === 1 ? '' : 's'} (${range}).`;
+};
+
+const REMOVAL_PROMPTS = {
+  archive: (name) => `Archive #${name}? It will disappear from room lists and nobody can post in it.`,
+  delete: (name) => `Delete #${name} and all of its messages? This can't be undone.`,
+};
+
+const RoomSettings = ({ room, onClose }) => {
+  const [values, setValues] = useState(() => Object.fromEntries(
+    FIELDS.map((field) => [field, room[field] || ''])
+  ));
+  const [retention, setRetention] = useState({
+    mode: room.retention?.mode || 'forever',
+    value: room.retention?.value ? String(room.retention.value) : '',
+  });
+  const [preview, setPreview] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  // 'archive' or 'delete' while asking for confirmation
+  const [confirming, setConfirming] = useState(null);
+  // 'outgoing', 'incoming' or 'bots' while that integration panel is open
+  const [integrationPanel, setIntegrationPanel] = useState(null);
+
+  const isDefaultRoom = room.name === DEFAULT_ROOM;
+  const roomPath = `/rooms/${encodeURIComponent(room.name)}`;
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setValues((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleRetentionChange = (e) => {
+    const { name, value } = e.target;
+    setRetention((prev) => ({ ...prev, [name]: value }));
+    setPreview(null);
+  };
+
+  /**
+   * The retention policy as sent to the server
+   * @returns {{mode: string, value: (number|null)}}
+   */
+  const retentionPolicy = () => (retention.mode === 'forever'
+    ? { mode: 'forever', value: null }
+    : { mode: retention.mode, value: Number.parseInt(retention.value, 10) });
+
+  /**
+   * Show what the chosen retention policy would remove
+   */
+  const handlePreview = async () => {
+    const { mode, value } = retentionPolicy();
+    setError('');
+
+    try {
+      const query = mode === 'forever' ? `mode=${mode}` : `mode=${mode}&value=${value}`;
+      const response = await get(`${roomPath}/retention/preview?${query}`);
+      if (response.success) {
+        setPreview(response);
+      } else {
+        setError(response.message || 'Failed to preview retention');
+      }
+    } catch (err) {
+      console.error('Error previewing retention:', err);
+      setError(err.message || 'Failed to preview retention');
+    }
+  };
+
+  /**
+   * Save the fields that changed
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const changes = Object.fromEntries(
+      FIELDS
+        .map((field) => [field, values[field].trim()])
+        .filter(([field, value]) => value !== (room[field] || ''))
+    );
+
+    const policy = retentionPolicy();
+    const current = room.retention || { mode: 'forever', value: null };
+    if (policy.mode !== current.mode || (policy.mode !== 'forever' && policy.value !== current.value)) {
+      changes.retention = policy;
+    }
+
+    if (Object.keys(changes).length === 0) {
+      onClose();
+      return;
+    }
+
+    setSaving(true);
+    setError('');
+
+    try {
+      const response = await patch(roomPath, changes);
+      if (response.success) {
+        onClose();
+      } else {
+        setError(response.message || 'Failed to save room settings');
+      }
+    } catch (err) {
+      console.error('Error saving room settings:', err);
+      setError(err.message || 'Failed to save room settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * Archive or delete the room
+   * @param {'archive'|'delete'} mode - Confirmed action
+   */
+  const handleRemove = async (mode) => {
+    setSaving(true);
+    setError('');
+
+    try {
+      const response = await del(`${roomPath}?mode=${mode}`);
+      if (response.success) {
+        onClose();
+      } else {
+        setError(response.message || `Failed to ${mode} room`);
+        setConfirming(null);
+      }
+    } catch (err) {
+      console.error(`Error trying to ${mode} room:`, err);
+      setError(err.message || `Failed to ${mode} room`);
+      setConfirming(null);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="room-settings" data-testid="room-settings">
+      <form className="room-settings-form" onSubmit={handleSubmit}>
+        <label>
+          Name
+          <input
+            type="text"
+            name="name"
+            value={values.name}
+            onChange={handleChange}
+            maxLength={MAX_NAME_LENGTH}
+            pattern="[a-zA-Z0-9_-]+"
+            title={isDefaultRoom
+              ? `#${DEFAULT_ROOM} can't be renamed`
+              : 'Only letters, numbers, hyphens, and underscores'}
+            disabled={isDefaultRoom}
+            required
+          />
+        </label>
+        <label>
+          Icon
+          <input
+            type="text"
+            name="icon"
+            value={values.icon}
+            onChange={handleChange}
+            maxLength={MAX_ICON_LENGTH}
+            placeholder="e.g. 🚀"
+          />
+        </label>
+        <label>
+          Topic
+          <input
+            type="text"
+            name="topic"
+            value={values.topic}
+            onChange={handleChange}
+            maxLength={MAX_TOPIC_LENGTH}
+          />
+        </label>
+        <label>
+          Description
+          <textarea
+            name="description"
+            value={values.description}
+            onChange={handleChange}
+            maxLength={MAX_DESCRIPTION_LENGTH}
+            rows={3}
+          />
+        </label>
+
+        <fieldset className="room-settings-retention">
+          <legend>Message retention</legend>
+          <select
+            name="mode"
+            value={retention.mode}
+            onChange={handleRetentionChange}
+            aria-label="Retention"
+          >
+            {RETENTION_OPTIONS.map((option) => (
+              <option key={option.mode} value={option.mode}>{option.label}</option>
+            ))}
+          </select>
+          {retention.mode !== 'forever' && (
+            <input
+              type="number"
+              name="value"
+              value={retention.value}
+              onChange={handleRetentionChange}
+              min={1}
+              aria-label={retention.mode === 'days' ? 'Days to keep' : 'Messages to keep'}
+              required
+            />
+          )}
+          <button
+            type="button"
+            className="btn btn-small"
+            onClick={handlePreview}
+            disabled={retention.mode !== 'forever' && !(Number.parseInt(retention.value, 10) > 0)}
+          >
+            Preview
+          </button>
+          {preview && (
+            <span className="room-settings-preview" data-testid="retention-preview">
+              {describePreview(preview)}
+            </span>
+          )}
+        </fieldset>
+
+        {error && <div className="error-message">{error}</div>}
+
+        <div className="room-settings-actions">
+          <button type="submit" className="btn btn-small" disabled={saving}>
+            Save
+          </button>
+          <button type="button" className="btn btn-small" onClick={onClose}>
+            Cancel
+          </button>
+        </div>
+      </form>
+
+      <div className="room-settings-integrations">
+        <button
+          type="button"
+          className="btn btn-small"
+          onClick={() => setIntegrationPanel(integrationPanel === 'outgoing' ? null : 'outgoing')}
+          aria-pressed={integrationPanel === 'outgoing'}
+        >
+          Webhooks
+        </button>
+        <button
+          type="button"
+          className="btn btn-small"
+          onClick={() => setIntegrationPanel(integrationPanel === 'incoming' ? null : 'incoming')}
+          aria-pressed={integrationPanel === 'incoming'}
+        >
+          Incoming webhooks
+        </button>
+        <button
+          type="button"
+          className="btn btn-small"
+          onClick={() => setIntegrationPanel(integrationPanel === 'bots' ? null : 'bots')}
+          aria-pressed={integrationPanel === 'bots'}
+        >
+          Bots
+        </button>
+        {integrationPanel === 'outgoing' && <RoomWebhooks room={room.name} />}
+        {integrationPanel === 'incoming' && <RoomIncomingWebhooks room={room.name} />}
+        {integrationPanel === 'bots' && <RoomBots room={room.name} />}
+      </div>
+
+      {!isDefaultRoom && (
+        <div className="room-settings-danger">
+          {confirming ? (
+            <>
+              <span>{REMOVAL_PROMPTS[confirming](room.name)}</span>
+              <button
+                type="button"
+                className="btn btn-small btn-danger"
+                onClick={() => handleRemove(confirming)}
+                disabled={saving}
+              >
+                {confirming === 'archive' ? 'Archive' : 'Delete'}
+              </button>
+              <button type="button" className="btn btn-small" onClick={() => setConfirming(null)}>
+                Keep room
+              </button>
+            </>
+          ) : (
+            <>
+              <button type="button" className="btn btn-small" onClick={() => setConfirming('archive')}>
+                Archive room
+              </button>
+              <button type="button" className="btn btn-small btn-danger" onClick={() => setConfirming('delete')}>
+                Delete room
+              </button>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+RoomSettings.propTypes = {
+  room: PropTypes.shape({
+    name: PropTypes.string.isRequired,
+    icon: PropTypes.string,
+    topic: PropTypes.string,
+    description: PropTypes.string,
+    retention: PropTypes.shape({
+      mode: PropTypes.string,
+      value: PropTypes.number,
+    }),
+  }).isRequired,
+  onClose: PropTypes.func.isRequired,
+};
+
+export default RoomSettings;
@@ -0,0 +1,271 @@
+/**
+ * RoomWebhooks Component
+ * Manages a room's outgoing webhooks from its settings panel
+ * Adds webhooks for chosen events (showing the signing secret once),
+ * turns them on and off, sends test pings and shows each webhook's recent
+ * deliveries. Webhooks the server disabled after failing say why.
+ */
+
+import { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { get, post, patch, del } from '../api';
+import '../styles.css';
+
+export const WEBHOOK_EVENTS = [
+  { event: 'message.created', label: 'Messages posted' },
+  { event: 'message.updated', label: 'Messages edited' },
+  { event: 'message.deleted', label: 'Messages deleted' },
+  { event: 'member.joined', label: 'Members joined' },
+];
+
+/**
+ * Describe a delivery's outcome
+ * @param {Object} delivery - Delivery from the API
+ * @returns {string} e.g. "Delivered (HTTP 200)" or "Retrying: Responded with HTTP 500"
+ */
+export const describeDelivery = ({ status, responseStatus, error, attempts }) => {
+  if (status === 'succeeded') return `Delivered (HTTP ${responseStatus})`;
+  if (status === 'failed') return `Failed: ${error}`;
+  return attempts > 0 ? `Retrying: ${error}` : 'Queued';
+};
+
+const RoomWebhooks = ({ room }) => {
+  const [webhooks, setWebhooks] = useState([]);
+  const [url, setUrl] = useState('');
+  const [events, setEvents] = useState(['message.created']);
+  // Secret of the webhook just created; the server never shows it again
+  const [created, setCreated] = useState(null);
+  // Webhook ID -> recent deliveries, for webhooks whose log is open
+  const [deliveries, setDeliveries] = useState({});
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const webhooksPath = `/rooms/${encodeURIComponent(room)}/webhooks`;
+
+  useEffect(() => {
+    let cancelled = false;
+
+    get(webhooksPath)
+      .then((response) => {
+        if (cancelled) return;
+        if (response.success) {
+          setWebhooks(response.webhooks);
+        } else {
+          setError(response.message || 'Failed to load webhooks');
+        }
+      })
+      .catch((err) => {
+        console.error('Error loading webhooks:', err);
+        if (!cancelled) setError(err.message || 'Failed to load webhooks');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [webhooksPath]);
+
+  /**
+   * Run a webhook request, showing its error if it fails
+   * @param {Function} request - Makes the request and returns the response
+   * @param {string} failure - Message when the response has none
+   * @returns {Promise<Object|null>} Successful response, or null
+   */
+  const run = async (request, failure) => {
+    setBusy(true);
+    setError('');
+
+    try {
+      const response = await request();
+      if (response.success) return response;
+      setError(response.message || failure);
+    } catch (err) {
+      console.error(`${failure}:`, err);
+      setError(err.message || failure);
+    } finally {
+      setBusy(false);
+    }
+    return null;
+  };
+
+  const replaceWebhook = (webhook) => {
+    setWebhooks((prev) => prev.map((existing) => (existing._id === webhook._id ? webhook : existing)));
+  };
+
+  const toggleEvent = (event) => {
+    setEvents((prev) => (prev.includes(event)
+      ? prev.filter((existing) => existing !== event)
+      : [...prev, event]));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+
+    const response = await run(
+      () => post(webhooksPath, { url: url.trim(), events }),
+      'Failed to add webhook'
+    );
+    if (response) {
+      setWebhooks((prev) => [...prev, response.webhook]);
+      setCreated({ url: response.webhook.url, secret: response.secret });
+      setUrl('');
+    }
+  };
+
+  /**
+   * Load (or refresh) a webhook's delivery log
+   * @param {Object} webhook - Webhook
+   */
+  const loadDeliveries = async (webhook) => {
+    const response = await run(
+      () => get(`${webhooksPath}/${webhook._id}/deliveries`),
+      'Failed to load deliveries'
+    );
+    if (response) {
+      setDeliveries((prev) => ({ ...prev, [webhook._id]: response.deliveries }));
+    }
+  };
+
+  const handleToggle = async (webhook) => {
+    const response = await run(
+      () => patch(`${webhooksPath}/${webhook._id}`, { active: !webhook.active }),
+      'Failed to update webhook'
+    );
+    if (response) replaceWebhook(response.webhook);
+  };
+
+  const handleTest = async (webhook) => {
+    const response = await run(
+      () => post(`${webhooksPath}/${webhook._id}/test`, {}),
+      'Failed to send test'
+    );
+    if (response) await loadDeliveries(webhook);
+  };
+
+  const handleDelete = async (webhook) => {
+    const response = await run(
+      () => del(`${webhooksPath}/${webhook._id}`),
+      'Failed to delete webhook'
+    );
+    if (response) {
+      setWebhooks((prev) => prev.filter((existing) => existing._id !== webhook._id));
+    }
+  };
+
+  const hideDeliveries = (webhook) => {
+    setDeliveries(({ [webhook._id]: _hidden, ...rest }) => rest);
+  };
+
+  return (
+    <div className="room-webhooks" data-testid="room-webhooks">
+      <h4>Webhooks</h4>
+
+      {webhooks.length === 0 && <p className="room-webhooks-empty">No webhooks yet.</p>}
+
+      <ul className="room-webhooks-list">
+        {webhooks.map((webhook) => (
+          <li key={webhook._id} className={webhook.active ? '' : 'room-webhook-inactive'}>
+            <div className="room-webhook-summary">
+              <span className="room-webhook-url">{webhook.url}</span>
+              <span className="room-webhook-events">{webhook.events.join(', ')}</span>
+              {!webhook.active && (
+                <span className="room-webhook-disabled">
+                  Disabled{webhook.disabledReason ? `: ${webhook.disabledReason}` : ''}
+                </span>
+              )}
+            </div>
+            <div className="room-webhook-actions">
+              <button type="button" className="btn btn-small" onClick={() => handleToggle(webhook)} disabled={busy}>
+                {webhook.active ? 'Disable' : 'Enable'}
+              </button>
+              <button
+                type="button"
+                className="btn btn-small"
+                onClick={() => handleTest(webhook)}
+                disabled={busy || !webhook.active}
+              >
+                Send test
+              </button>
+              <button
+                type="button"
+                className="btn btn-small"
+                onClick={() => (deliveries[webhook._id] ? hideDeliveries(webhook) : loadDeliveries(webhook))}
+                aria-pressed={Boolean(deliveries[webhook._id])}
+                disabled={busy}
+              >
+                Deliveries
+              </button>
+              <button
+                type="button"
+                className="btn btn-small btn-danger"
+                onClick={() => handleDelete(webhook)}
+                disabled={busy}
+              >
+                Delete
+              </button>
+            </div>
+            {deliveries[webhook._id] && (
+              <ol className="room-webhook-deliveries" aria-label={`Deliveries to ${webhook.url}`}>
+                {deliveries[webhook._id].length === 0 && <li>Nothing sent yet.</li>}
+                {deliveries[webhook._id].map((delivery) => (
+                  <li key={delivery._id} className={`room-webhook-delivery-${delivery.status}`}>
+                    <span>{new Date(delivery.createdAt).toLocaleString()}</span>
+                    <span>{delivery.event}</span>
+                    <span>{describeDelivery(delivery)}</span>
+                  </li>
+                ))}
+              </ol>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {created && (
+        <div className="room-webhooks-secret" role="status">
+          <span>
+            Signing secret for {created.url}. Copy it now; it won&apos;t be shown again.
+          </span>
+          <code>{created.secret}</code>
+          <button type="button" className="btn btn-small" onClick={() => setCreated(null)}>
+            Done
+          </button>
+        </div>
+      )}
+
+      <form className="room-webhooks-form" onSubmit={handleCreate}>
+        <input
+          type="url"
+          value={url}
+          onChange={(e) => setUrl(e.target.value)}
+          placeholder="https://example.com/hooks/chat"
+          aria-label="Webhook URL"
+          maxLength={2048}
+          required
+        />
+        <fieldset>
+          <legend>Send</legend>
+          {WEBHOOK_EVENTS.map((option) => (
+            <label key={option.event}>
+              <input
+                type="checkbox"
+                checked={events.includes(option.event)}
+                onChange={() => toggleEvent(option.event)}
+              />
+              {option.label}
+            </label>
+          ))}
+        </fieldset>
+        <button type="submit" className="btn btn-small" disabled={busy || events.length === 0}>
+          Add webhook
+        </button>
+      </form>
+
+      {error && <div className="error-message">{error}</div>}
+    </div>
+  );
+};
+
+RoomWebhooks.propTypes = {
+  room: PropTypes.string.isRequired,
+};
+
+export default RoomWebhooks;
@@ -0,0 +1,187 @@
+/**
+ * SearchPanel Component
+ * Side panel for full-text message search
+ * Filters by room, author and date range, shows highlighted fragments and
+ * pages through results; picking a hit jumps to it in context
+ */
+
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { get } from '../api';
+import '../styles.css';
+
+const PAGE_SIZE = 20;
+
+/**
+ * Label for the room a hit was found in
+ * @param {string} room - Room name
+ * @returns {string}
+ */
+const formatRoom = (room) => (room.startsWith('dm-') ? 'Direct message' : `#${room}`);
+
+/**
+ * Build the search endpoint URL from the form
+ * Dates from date inputs cover whole local days.
+ * @param {Object} filters - { query, room, username, from, to }
+ * @param {number} skip - Results to skip
+ * @returns {string}
+ */
+export const buildSearchUrl = ({ query, room, username, from, to }, skip = 0) => {
+  const params = new URLSearchParams({ q: query.trim(), limit: String(PAGE_SIZE) });
+  if (room) params.set('room', room);
+  if (username.trim()) params.set('username', username.trim());
+  if (from) params.set('from', new Date(`${from}T00:00:00`).toISOString());
+  if (to) params.set('to', new Date(`${to}T23:59:59.999`).toISOString());
+  if (skip > 0) params.set('skip', String(skip));
+  return `/api/chat/search?${params.toString()}`;
+};
+
+const SearchPanel = ({ currentRoom, onJump, onClose }) => {
+  const [query, setQuery] = useState('');
+  const [thisRoomOnly, setThisRoomOnly] = useState(false);
+  const [username, setUsername] = useState('');
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [results, setResults] = useState(null);
+  const [total, setTotal] = useState(0);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  // Filters of the search being shown, reused when loading more
+  const [activeFilters, setActiveFilters] = useState(null);
+
+  /**
+   * Fetch a page of results
+   * @param {Object} filters - Search filters
+   * @param {number} skip - Results already shown
+   */
+  const runSearch = async (filters, skip) => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await get(buildSearchUrl(filters, skip));
+      if (response.success) {
+        setResults((prev) => (skip > 0 && prev ? [...prev, ...response.results] : response.results));
+        setTotal(response.total);
+        setHasMore(response.hasMore);
+      } else {
+        setError(response.message || 'Search failed');
+      }
+    } catch (err) {
+      console.error('Error searching messages:', err);
+      setError(err.message || 'Search failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Handle search form submission
+   */
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!query.trim()) return;
+
+    const filters = { query, room: thisRoomOnly ? currentRoom : '', username, from, to };
+    setActiveFilters(filters);
+    runSearch(filters, 0);
+  };
+
+  return (
+    <aside className="search-panel" data-testid="search-panel">
+      <div className="thread-panel-header">
+        <h3>Search</h3>
+        <button type="button" className="btn-close" onClick={onClose} aria-label="Close search">
+          ×
+        </button>
+      </div>
+
+      <form className="search-form" onSubmit={handleSubmit}>
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Search messages"
+          aria-label="Search messages"
+          maxLength={200}
+          autoFocus
+        />
+        <label className="search-filter-check">
+          <input
+            type="checkbox"
+            checked={thisRoomOnly}
+            onChange={(e) => setThisRoomOnly(e.target.checked)}
+          />
+          Only #{currentRoom}
+        </label>
+        <input
+          type="text"
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+          placeholder="From user"
+          aria-label="From user"
+          maxLength={20}
+        />
+        <div className="search-dates">
+          <input type="date" value={from} onChange={(e) => setFrom(e.target.value)} aria-label="After" />
+          <input type="date" value={to} onChange={(e) => setTo(e.target.value)} aria-label="Before" />
+        </div>
+        <button type="submit" className="btn-header" disabled={loading || !query.trim()}>
+          Search
+        </button>
+      </form>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {results && (
+        <div className="search-results">
+          <div className="search-total">
+            {total} {total === 1 ? 'result' : 'results'}
+          </div>
+
+          {results.map((result) => (
+            <button
+              key={result._id}
+              type="button"
+              className="search-result"
+              onClick={() => onJump(result)}
+            >
+              <div className="search-result-meta">
+                <span className="search-result-room">{formatRoom(result.room)}</span>
+                <span className="message-username">{result.username}</span>
+                <span className="message-time">{new Date(result.ts).toLocaleString()}</span>
+              </div>
+              {(result.highlights || []).map((fragment, index) => (
+                <p key={index} className="search-fragment">
+                  {fragment.map((segment, segmentIndex) => (segment.match
+                    ? <mark key={segmentIndex}>{segment.text}</mark>
+                    : <span key={segmentIndex}>{segment.text}</span>))}
+                </p>
+              ))}
+            </button>
+          ))}
+
+          {hasMore && (
+            <button
+              type="button"
+              className="thread-load-more"
+              onClick={() => runSearch(activeFilters, results.length)}
+              disabled={loading}
+            >
+              Load more results
+            </button>
+          )}
+        </div>
+      )}
+    </aside>
+  );
+};
+
+SearchPanel.propTypes = {
+  currentRoom: PropTypes.string.isRequired,
+  onJump: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired,
+};
+
+export default SearchPanel;
@@ -0,0 +1,86 @@
+/**
+ * ThreadPanel Component
+ * Side panel showing a message's thread
+ * Displays the parent message, its replies, and a composer for replying
+ */
+
+import PropTypes from 'prop-types';
+import MessageList from './MessageList';
+import MessageInput from './MessageInput';
+import '../styles.css';
+
+const ThreadPanel = ({
+  parent,
+  replies,
+  hasMore = false,
+  currentUser,
+  disabled = false,
+  onClose,
+  onSendReply,
+  commands,
+  onLoadMore,
+  onEditMessage,
+  onDeleteMessage,
+  onToggleReaction,
+}) => {
+  return (
+    <aside className="thread-panel" data-testid="thread-panel">
+      <div className="thread-panel-header">
+        <h3>Thread</h3>
+        <button type="button" className="btn-close" onClick={onClose} aria-label="Close thread">
+          ×
+        </button>
+      </div>
+
+      <div className="thread-parent">
+        <MessageList messages={[parent]} currentUser={currentUser} onToggleReaction={onToggleReaction} />
+      </div>
+
+      {hasMore && (
+        <button type="button" className="thread-load-more" onClick={onLoadMore}>
+          Load earlier replies
+        </button>
+      )}
+
+      <MessageList
+        messages={replies}
+        currentUser={currentUser}
+        onEditMessage={onEditMessage}
+        onDeleteMessage={onDeleteMessage}
+        onToggleReaction={onToggleReaction}
+      />
+
+      <MessageInput
+        onSendMessage={onSendReply}
+        commands={commands}
+        disabled={disabled || parent.deleted}
+      />
+    </aside>
+  );
+};
+
+ThreadPanel.propTypes = {
+  parent: PropTypes.shape({
+    _id: PropTypes.string.isRequired,
+    username: PropTypes.string.isRequired,
+    text: PropTypes.string.isRequired,
+    ts: PropTypes.oneOfType([PropTypes.string, PropTypes.instanceOf(Date)]).isRequired,
+    deleted: PropTypes.bool,
+  }).isRequired,
+  replies: PropTypes.arrayOf(PropTypes.object).isRequired,
+  hasMore: PropTypes.bool,
+  currentUser: PropTypes.shape({
+    username: PropTypes.string,
+  }),
+  disabled: PropTypes.bool,
+  onClose: PropTypes.func.isRequired,
+  onSendReply: PropTypes.func.isRequired,
+  // Slash commands for the reply composer
+  commands: PropTypes.arrayOf(PropTypes.object),
+  onLoadMore: PropTypes.func,
+  onEditMessage: PropTypes.func,
+  onDeleteMessage: PropTypes.func,
+  onToggleReaction: PropTypes.func,
+};
+
+export default ThreadPanel;
@@ -0,0 +1,34 @@
+/**
+ * TypingIndicator Component
+ * Shows who is typing in the current room, above the composer
+ */
+
+import PropTypes from 'prop-types';
+import '../styles.css';
+
+/**
+ * Build the indicator text for a list of usernames
+ * @param {string[]} usernames - Users currently typing
+ * @returns {string} e.g. "alice and bob are typing…"
+ */
+export const formatTyping = (usernames) => {
+  if (usernames.length === 0) return '';
+  if (usernames.length === 1) return `${usernames[0]} is typing…`;
+  if (usernames.length === 2) return `${usernames[0]} and ${usernames[1]} are typing…`;
+  if (usernames.length === 3) return `${usernames[0]}, ${usernames[1]} and ${usernames[2]} are typing…`;
+  return 'Several people are typing…';
+};
+
+const TypingIndicator = ({ usernames }) => {
+  return (
+    <div className="typing-indicator" data-testid="typing-indicator" aria-live="polite">
+      {formatTyping(usernames)}
+    </div>
+  );
+};
+
+TypingIndicator.propTypes = {
+  usernames: PropTypes.arrayOf(PropTypes.string).isRequired,
+};
+
+export default TypingIndicator;
@@ -0,0 +1,83 @@
+/**
+ * UserPicker Component
+ * Searches users by username and lets the current user pick one
+ * Used to start direct message conversations
+ */
+
+import { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { get } from '../api';
+import '../styles.css';
+
+const UserPicker = ({ onSelect }) => {
+  const [search, setSearch] = useState('');
+  const [users, setUsers] = useState([]);
+  const [error, setError] = useState('');
+
+  /**
+   * Search users as the query changes
+   */
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchUsers = async () => {
+      try {
+        const response = await get(`/api/users?search=${encodeURIComponent(search.trim())}`);
+        if (cancelled) return;
+        if (response.success) {
+          setUsers(response.users || []);
+          setError('');
+        } else {
+          setError(response.message || 'Failed to load users');
+        }
+      } catch (err) {
+        console.error('Error searching users:', err);
+        if (!cancelled) setError('Failed to load users');
+      }
+    };
+
+    fetchUsers();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [search]);
+
+  return (
+    <div className="user-picker" data-testid="user-picker">
+      <input
+        type="text"
+        value={search}
+        onChange={(e) => setSearch(e.target.value)}
+        placeholder="Find a user"
+        maxLength={20}
+        aria-label="Find a user"
+        autoFocus
+      />
+
+      {error && <div className="error-message">{error}</div>}
+
+      <div className="user-picker-results">
+        {users.map((user) => (
+          <button
+            key={user.id}
+            type="button"
+            className="user-picker-item"
+            onClick={() => onSelect(user.username)}
+          >
+            @{user.username}
+          </button>
+        ))}
+        {!error && users.length === 0 && (
+          <div className="user-picker-empty">No users found</div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+UserPicker.propTypes = {
+  onSelect: PropTypes.func.isRequired,
+};
+
+export default UserPicker;
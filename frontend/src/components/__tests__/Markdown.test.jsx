@@ -0,0 +1,95 @@
+/**
+ * Markdown Component Tests
+ * Tests the supported syntax, link safety and sanitization
+ */
+
+import { describe, it, expect } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import Markdown from '../Markdown';
+import { sanitize, safeUrl } from '../../markdown';
+import { highlight } from '../../highlight';
+
+describe('Markdown', () => {
+  it('renders bold, italics and inline code', () => {
+    const { container } = render(<Markdown text="**bold** *soft* _also_ `a *b*`" />);
+
+    expect(container.querySelector('strong')).toHaveTextContent('bold');
+    expect(container.querySelectorAll('em')).toHaveLength(2);
+    expect(container.querySelector('code')).toHaveTextContent('a *b*');
+  });
+
+  it('leaves underscores inside words alone', () => {
+    const { container } = render(<Markdown text="snake_case_name" />);
+
+    expect(container.querySelector('em')).toBeNull();
+    expect(container).toHaveTextContent('snake_case_name');
+  });
+
+  it('renders lists, blockquotes and line breaks', () => {
+    const { container } = render(<Markdown text={'- one\n- two\n3. three\n> quoted\nfirst\nsecond'} />);
+
+    expect(container.querySelectorAll('ul li')).toHaveLength(2);
+    expect(container.querySelector('ol')).toHaveAttribute('start', '3');
+    expect(container.querySelector('blockquote')).toHaveTextContent('quoted');
+    expect(container.querySelector('br')).toBeInTheDocument();
+  });
+
+  it('highlights fenced code blocks', () => {
+    const { container } = render(<Markdown text={'```js\nconst x = "hi"; // note\n```'} />);
+
+    const block = container.querySelector('pre');
+    expect(block).toHaveAttribute('data-lang', 'js');
+    expect(block.querySelector('.tok-keyword')).toHaveTextContent('const');
+    expect(block.querySelector('.tok-string')).toHaveTextContent('"hi"');
+    expect(block.querySelector('.tok-comment')).toHaveTextContent('// note');
+  });
+
+  it('makes links and bare URLs clickable in a new tab', () => {
+    render(<Markdown text="[docs](https://example.com/docs) or https://example.com/a." />);
+
+    const docs = screen.getByRole('link', { name: 'docs' });
+    expect(docs).toHaveAttribute('href', 'https://example.com/docs');
+    expect(docs).toHaveAttribute('target', '_blank');
+    expect(docs).toHaveAttribute('rel', 'noopener noreferrer');
+    expect(screen.getByRole('link', { name: 'https://example.com/a' })).toBeInTheDocument();
+  });
+
+  it('does not link unsafe URLs', () => {
+    render(<Markdown text="[click](javascript:alert(1)) [x](data:text/html,hi)" />);
+
+    expect(screen.queryByRole('link')).toBeNull();
+    expect(safeUrl('javascript:alert(1)')).toBeNull();
+    expect(safeUrl('mailto:someone@example.com')).toBe('mailto:someone@example.com');
+  });
+
+  it('renders HTML in messages as text', () => {
+    const { container } = render(<Markdown text={'<img src=x onerror="alert(1)"> **<b>hi</b>**'} />);
+
+    expect(container.querySelector('img')).toBeNull();
+    expect(container.querySelector('b')).toBeNull();
+    expect(container).toHaveTextContent('<img src=x onerror="alert(1)"> <b>hi</b>');
+  });
+
+  it('drops node types and fields outside the allowlist', () => {
+    const nodes = sanitize([
+      { type: 'html', text: '<script></script>' },
+      { type: 'paragraph', onClick: 'x', children: [{ type: 'text', text: 'ok', style: 'x' }] },
+      { type: 'code', lang: '"><script>', text: 'x' },
+    ]);
+
+    expect(nodes).toEqual([
+      { type: 'paragraph', children: [{ type: 'text', text: 'ok' }] },
+      { type: 'code', lang: '', text: 'x' },
+    ]);
+  });
+
+  it('passes plain text runs through renderText', () => {
+    render(<Markdown text="hi **there**" renderText={(text) => text.toUpperCase()} />);
+
+    expect(screen.getByText('THERE')).toBeInTheDocument();
+  });
+
+  it('leaves code in unknown languages unhighlighted', () => {
+    expect(highlight('const x', 'cobol')).toEqual([{ text: 'const x', type: null }]);
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * MemberList Component Tests
+ * Tests member loading and live presence updates
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, waitFor, act, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import MemberList from '../MemberList';
+import * as api from '../../api';
+
+// Mock the API module
+vi.mock('../../api', () => ({
+  get: vi.fn(),
+}));
+
+describe('MemberList', () => {
+  let handlers;
+  let mockSocket;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    handlers = {};
+    mockSocket = {
+      on: vi.fn((event, handler) => { handlers[event] = handler; }),
+      off: vi.fn(),
+    };
+  });
+
+  it('loads members for the room', async () => {
+    api.get.mockResolvedValue({
+      success: true,
+      members: [
+        { username: 'bob', status: 'offline' },
+        { username: 'alice', status: 'online' },
+      ],
+    });
+
+    render(<MemberList room="general" socket={mockSocket} />);
+
+    await waitFor(() => {
+      expect(screen.getByText('alice')).toBeInTheDocument();
+    });
+    expect(api.get).toHaveBeenCalledWith('/rooms/general/members');
+    expect(screen.getByText('1 online')).toBeInTheDocument();
+
+    // Online members are listed first
+    const items = screen.getAllByRole('listitem');
+    expect(within(items[0]).getByText('alice')).toBeInTheDocument();
+  });
+
+  it('applies presence updates for the current room only', async () => {
+    api.get.mockResolvedValue({
+      success: true,
+      members: [{ username: 'alice', status: 'online' }],
+    });
+
+    render(<MemberList room="general" socket={mockSocket} />);
+
+    await waitFor(() => {
+      expect(screen.getByText('alice')).toBeInTheDocument();
+    });
+
+    act(() => {
+      handlers.presenceUpdate({
+        room: 'general',
+        changes: [
+          { username: 'alice', status: 'away' },
+          { username: 'carol', status: 'online' },
+        ],
+      });
+      handlers.presenceUpdate({
+        room: 'random',
+        changes: [{ username: 'dave', status: 'online' }],
+      });
+    });
+
+    expect(screen.getByText('carol')).toBeInTheDocument();
+    expect(screen.getByText('away')).toBeInTheDocument();
+    expect(screen.queryByText('dave')).not.toBeInTheDocument();
+  });
+
+  it('offers removal of other members and drops removed members', async () => {
+    const mockOnRemoveMember = vi.fn();
+    api.get.mockResolvedValue({
+      success: true,
+      members: [
+        { username: 'alice', status: 'online' },
+        { username: 'bob', status: 'offline' },
+      ],
+    });
+
+    render(
+      <MemberList
+        room="staff"
+        socket={mockSocket}
+        currentUser={{ username: 'alice' }}
+        onRemoveMember={mockOnRemoveMember}
+      />
+    );
+
+    await waitFor(() => {
+      expect(screen.getByText('bob')).toBeInTheDocument();
+    });
+    expect(screen.queryByLabelText('Remove alice')).not.toBeInTheDocument();
+
+    screen.getByLabelText('Remove bob').click();
+    expect(mockOnRemoveMember).toHaveBeenCalledWith('bob');
+
+    act(() => {
+      handlers.memberRemoved({ room: 'staff', username: 'bob' });
+    });
+    expect(screen.queryByText('bob')).not.toBeInTheDocument();
+  });
+
+  it('shows role badges and offers moderation of plain members to moderators', async () => {
+    const user = userEvent.setup();
+    const mockOnModerate = vi.fn();
+    api.get.mockResolvedValue({
+      success: true,
+      members: [
+        { username: 'alice', status: 'online', role: 'moderator' },
+        { username: 'bob', status: 'online', role: 'member' },
+        { username: 'olivia', status: 'online', role: 'owner' },
+        { username: 'mia', status: 'online', role: 'moderator' },
+      ],
+    });
+
+    render(
+      <MemberList
+        room="general"
+        socket={mockSocket}
+        currentUser={{ username: 'alice' }}
+        currentRole="moderator"
+        onModerate={mockOnModerate}
+      />
+    );
+
+    await waitFor(() => {
+      expect(screen.getByText('owner')).toBeInTheDocument();
+    });
+    expect(screen.getAllByText('mod')).toHaveLength(2);
+
+    // Moderators can't act on themselves, the owner or other moderators
+    expect(screen.queryByLabelText('Moderate alice')).not.toBeInTheDocument();
+    expect(screen.queryByLabelText('Moderate olivia')).not.toBeInTheDocument();
+    expect(screen.queryByLabelText('Moderate mia')).not.toBeInTheDocument();
+
+    await user.click(screen.getByLabelText('Moderate bob'));
+    await user.selectOptions(screen.getByLabelText('Duration'), '1 hour');
+    await user.click(screen.getByRole('button', { name: 'Mute' }));
+
+    expect(mockOnModerate).toHaveBeenCalledWith('bob', 'mute', 60);
+    expect(screen.queryByRole('button', { name: 'Kick' })).not.toBeInTheDocument();
+
+    act(() => {
+      handlers.moderationAction({ room: 'general', action: 'mute', username: 'bob', by: 'alice' });
+    });
+    expect(screen.getByText('muted')).toBeInTheDocument();
+  });
+});
+
@@ -0,0 +1,63 @@
+/**
+ * MessageAttachments Component Tests
+ * Tests image thumbnails, file chips and size formatting
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import MessageAttachments, { formatFileSize } from '../MessageAttachments';
+import { getBlob } from '../../api';
+
+vi.mock('../../api', () => ({
+  getBlob: vi.fn(),
+}));
+
+describe('MessageAttachments', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    URL.createObjectURL = vi.fn(() => 'blob:thumbnail');
+    URL.revokeObjectURL = vi.fn();
+  });
+
+  it('formats file sizes', () => {
+    expect(formatFileSize(512)).toBe('512 B');
+    expect(formatFileSize(1536)).toBe('1.5 KB');
+    expect(formatFileSize(12 * 1024 * 1024)).toBe('12 MB');
+  });
+
+  it('loads image thumbnails with authentication and lists other files', async () => {
+    getBlob.mockResolvedValue(new Blob(['img']));
+    const attachments = [
+      {
+        _id: 'a1',
+        filename: 'cat.png',
+        mimeType: 'image/png',
+        size: 2048,
+        width: 640,
+        height: 480,
+        url: '/api/attachments/a1',
+        thumbnailUrl: '/api/attachments/a1/thumbnail',
+      },
+      {
+        _id: 'a2',
+        filename: 'report.pdf',
+        mimeType: 'application/pdf',
+        size: 1024 * 1024,
+        url: '/api/attachments/a2',
+        thumbnailUrl: null,
+      },
+    ];
+
+    render(<MessageAttachments attachments={attachments} />);
+
+    const image = await screen.findByAltText('cat.png');
+    expect(image).toHaveAttribute('src', 'blob:thumbnail');
+    expect(image).toHaveAttribute('width', '320');
+    expect(image).toHaveAttribute('height', '240');
+    expect(getBlob).toHaveBeenCalledWith('/api/attachments/a1/thumbnail');
+
+    expect(screen.getByText('report.pdf')).toBeInTheDocument();
+    expect(screen.getByText('1.0 MB')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Download report.pdf' })).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,214 @@
+/**
+ * MessageInput Component Tests
+ * Tests message submission, typing notifications, attachment uploads,
+ * mention autocomplete, the command palette and the Markdown preview
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import MessageInput from '../MessageInput';
+
+describe('MessageInput', () => {
+  const mockOnSendMessage = vi.fn();
+  const mockOnTypingStart = vi.fn();
+  const mockOnTypingStop = vi.fn();
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('sends the trimmed message and clears the input', async () => {
+    const user = userEvent.setup();
+
+    render(<MessageInput onSendMessage={mockOnSendMessage} />);
+
+    const input = screen.getByPlaceholderText(/type a message/i);
+    await user.type(input, '  hello  ');
+    await user.click(screen.getByRole('button', { name: /send/i }));
+
+    expect(mockOnSendMessage).toHaveBeenCalledWith('hello');
+    expect(input).toHaveValue('');
+  });
+
+  it('reports typing once while typing and stops on send', async () => {
+    const user = userEvent.setup();
+
+    render(
+      <MessageInput
+        onSendMessage={mockOnSendMessage}
+        onTypingStart={mockOnTypingStart}
+        onTypingStop={mockOnTypingStop}
+      />
+    );
+
+    await user.type(screen.getByPlaceholderText(/type a message/i), 'hey there{Enter}');
+
+    // Keystrokes within the refresh window only report typing once
+    expect(mockOnTypingStart).toHaveBeenCalledTimes(1);
+    expect(mockOnTypingStop).toHaveBeenCalledTimes(1);
+  });
+
+  it('stops typing when the input is cleared', async () => {
+    const user = userEvent.setup();
+
+    render(
+      <MessageInput
+        onSendMessage={mockOnSendMessage}
+        onTypingStart={mockOnTypingStart}
+        onTypingStop={mockOnTypingStop}
+      />
+    );
+
+    const input = screen.getByPlaceholderText(/type a message/i);
+    await user.type(input, 'a');
+    await user.clear(input);
+
+    expect(mockOnTypingStart).toHaveBeenCalledTimes(1);
+    expect(mockOnTypingStop).toHaveBeenCalledTimes(1);
+  });
+
+  it('uploads a picked file with progress and sends it with the message', async () => {
+    const user = userEvent.setup();
+    let finishUpload;
+    const mockOnUpload = vi.fn((file, onProgress) => new Promise((resolve) => {
+      onProgress(0.5);
+      finishUpload = () => resolve({ _id: 'att1', filename: file.name });
+    }));
+
+    render(<MessageInput onSendMessage={mockOnSendMessage} onUpload={mockOnUpload} />);
+
+    const file = new File(['hello'], 'notes.txt', { type: 'text/plain' });
+    await user.upload(screen.getByTestId('file-input'), file);
+
+    expect(mockOnUpload).toHaveBeenCalledWith(file, expect.any(Function));
+    expect(screen.getByLabelText('Uploading notes.txt')).toHaveAttribute('value', '0.5');
+    expect(screen.getByRole('button', { name: /send/i })).toBeDisabled();
+
+    finishUpload();
+    await user.click(await screen.findByRole('button', { name: /send/i }));
+
+    expect(mockOnSendMessage).toHaveBeenCalledWith('', ['att1']);
+    expect(screen.queryByTestId('upload-tray')).not.toBeInTheDocument();
+  });
+
+  it('attaches pasted files and shows failed uploads', async () => {
+    const mockOnUpload = vi.fn().mockRejectedValue(new Error('File type not allowed'));
+
+    render(<MessageInput onSendMessage={mockOnSendMessage} onUpload={mockOnUpload} />);
+
+    const file = new File(['x'], 'tool.exe', { type: 'application/octet-stream' });
+    fireEvent.paste(screen.getByPlaceholderText(/type a message/i), {
+      clipboardData: { files: [file] },
+    });
+
+    expect(await screen.findByText('File type not allowed')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: /send/i })).toBeDisabled();
+  });
+
+  it('autocompletes mentions from the user search', async () => {
+    const user = userEvent.setup();
+    const mockOnSearchUsers = vi.fn().mockResolvedValue(['robert', 'rosa']);
+
+    render(<MessageInput onSendMessage={mockOnSendMessage} onSearchUsers={mockOnSearchUsers} />);
+
+    const input = screen.getByPlaceholderText(/type a message/i);
+    await user.type(input, 'hi @ro');
+
+    expect(mockOnSearchUsers).toHaveBeenLastCalledWith('ro');
+    expect(await screen.findByRole('option', { name: /@room/ })).toBeInTheDocument();
+
+    await user.keyboard('{ArrowDown}{Enter}');
+
+    expect(input).toHaveValue('hi @rosa ');
+    expect(screen.queryByRole('listbox')).not.toBeInTheDocument();
+    expect(mockOnSendMessage).not.toHaveBeenCalled();
+  });
+
+  it('adds a line with Shift+Enter and sends multi-line messages on Enter', async () => {
+    const user = userEvent.setup();
+
+    render(<MessageInput onSendMessage={mockOnSendMessage} />);
+
+    await user.type(screen.getByPlaceholderText(/type a message/i), '- one{Shift>}{Enter}{/Shift}- two{Enter}');
+
+    expect(mockOnSendMessage).toHaveBeenCalledWith('- one\n- two');
+  });
+
+  it('previews the message as Markdown', async () => {
+    const user = userEvent.setup();
+
+    render(<MessageInput onSendMessage={mockOnSendMessage} />);
+
+    await user.type(screen.getByPlaceholderText(/type a message/i), 'see **this**');
+    expect(screen.queryByTestId('message-preview')).not.toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: 'Preview' }));
+
+    const preview = screen.getByTestId('message-preview');
+    expect(preview.querySelector('strong')).toHaveTextContent('this');
+    expect(screen.getByRole('button', { name: 'Preview' })).toHaveAttribute('aria-pressed', 'true');
+  });
+
+  describe('command palette', () => {
+    const commands = [
+      { name: 'me', args: '<action>', description: 'Describe what you are doing' },
+      { name: 'help', args: '', description: 'List the available commands' },
+      { name: 'shrug', args: '[message]', description: 'Append a shrug' },
+    ];
+
+    it('suggests commands matching what was typed', async () => {
+      const user = userEvent.setup();
+
+      render(<MessageInput onSendMessage={mockOnSendMessage} commands={commands} />);
+
+      await user.type(screen.getByPlaceholderText(/type a message/i), '/');
+      expect(screen.getAllByRole('option')).toHaveLength(3);
+
+      await user.keyboard('s');
+      const options = screen.getAllByRole('option');
+      expect(options).toHaveLength(1);
+      expect(options[0]).toHaveTextContent('/shrug');
+      expect(options[0]).toHaveTextContent('[message]');
+    });
+
+    it('completes the chosen command and hints its arguments', async () => {
+      const user = userEvent.setup();
+
+      render(<MessageInput onSendMessage={mockOnSendMessage} commands={commands} />);
+
+      const input = screen.getByPlaceholderText(/type a message/i);
+      await user.type(input, '/');
+      await user.keyboard('{ArrowDown}{ArrowDown}{ArrowUp}{Enter}');
+
+      expect(input).toHaveValue('/help ');
+      expect(mockOnSendMessage).not.toHaveBeenCalled();
+
+      await user.clear(input);
+      await user.type(input, '/me ');
+      expect(screen.queryByRole('listbox')).not.toBeInTheDocument();
+      expect(screen.getByTestId('command-hint')).toHaveTextContent('/me<action>');
+    });
+
+    it('sends a fully typed command on Enter', async () => {
+      const user = userEvent.setup();
+
+      render(<MessageInput onSendMessage={mockOnSendMessage} commands={commands} />);
+
+      await user.type(screen.getByPlaceholderText(/type a message/i), '/help{Enter}');
+
+      expect(mockOnSendMessage).toHaveBeenCalledWith('/help');
+    });
+
+    it('closes the palette on Escape', async () => {
+      const user = userEvent.setup();
+
+      render(<MessageInput onSendMessage={mockOnSendMessage} commands={commands} />);
+
+      await user.type(screen.getByPlaceholderText(/type a message/i), '/m');
+      await user.keyboard('{Escape}');
+
+      expect(screen.queryByRole('listbox')).not.toBeInTheDocument();
+    });
+  });
+});
@@ -0,0 +1,317 @@
+/**
+ * MessageList Component Tests
+ * Tests message rendering, edit markers, tombstones, author actions and
+ * history paging
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import MessageList, { VIRTUALIZE_AFTER, splitMentions } from '../MessageList';
+
+describe('MessageList', () => {
+  const currentUser = { username: 'alice' };
+  const mockOnEditMessage = vi.fn();
+  const mockOnDeleteMessage = vi.fn();
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('shows an empty state when there are no messages', () => {
+    render(<MessageList messages={[]} currentUser={currentUser} />);
+
+    expect(screen.getByTestId('no-messages')).toBeInTheDocument();
+  });
+
+  it('shows an edited marker for edited messages', () => {
+    const messages = [
+      { _id: '1', username: 'bob', text: 'fixed typo', ts: new Date().toISOString(), editedAt: new Date().toISOString() },
+    ];
+
+    render(<MessageList messages={messages} currentUser={currentUser} />);
+
+    expect(screen.getByText('fixed typo')).toBeInTheDocument();
+    expect(screen.getByText('(edited)')).toBeInTheDocument();
+  });
+
+  it('shows a placeholder for deleted messages', () => {
+    const messages = [
+      { _id: '1', username: 'alice', text: '', ts: new Date().toISOString(), deleted: true },
+    ];
+
+    render(
+      <MessageList
+        messages={messages}
+        currentUser={currentUser}
+        onEditMessage={mockOnEditMessage}
+        onDeleteMessage={mockOnDeleteMessage}
+      />
+    );
+
+    expect(screen.getByText(/this message was deleted/i)).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: /edit/i })).not.toBeInTheDocument();
+  });
+
+  it('only offers edit and delete on own messages', () => {
+    const messages = [
+      { _id: '1', username: 'alice', text: 'mine', ts: new Date().toISOString() },
+      { _id: '2', username: 'bob', text: 'theirs', ts: new Date().toISOString() },
+    ];
+
+    render(
+      <MessageList
+        messages={messages}
+        currentUser={currentUser}
+        onEditMessage={mockOnEditMessage}
+        onDeleteMessage={mockOnDeleteMessage}
+      />
+    );
+
+    expect(screen.getAllByRole('button', { name: 'Edit' })).toHaveLength(1);
+    expect(screen.getAllByRole('button', { name: 'Delete' })).toHaveLength(1);
+  });
+
+  it('marks integration messages and never treats them as own', () => {
+    const messages = [
+      {
+        _id: '1',
+        username: 'alice',
+        text: 'Build passed',
+        ts: new Date().toISOString(),
+        integration: { _id: 'w1', name: 'CI' },
+      },
+    ];
+
+    render(
+      <MessageList
+        messages={messages}
+        currentUser={currentUser}
+        onEditMessage={mockOnEditMessage}
+        onDeleteMessage={mockOnDeleteMessage}
+      />
+    );
+
+    expect(screen.getByText('App')).toHaveAttribute('title', 'Posted by the CI integration');
+    expect(screen.queryByRole('button', { name: 'Edit' })).not.toBeInTheDocument();
+  });
+
+  it('marks messages from bots', () => {
+    const messages = [
+      { _id: '1', username: 'deploybot', text: 'Deployed', ts: new Date().toISOString(), bot: true },
+      { _id: '2', username: 'bob', text: 'Thanks', ts: new Date().toISOString() },
+    ];
+
+    render(
+      <MessageList
+        messages={messages}
+        currentUser={currentUser}
+        onEditMessage={mockOnEditMessage}
+        onDeleteMessage={mockOnDeleteMessage}
+      />
+    );
+
+    expect(screen.getAllByText('Bot')).toHaveLength(1);
+    expect(screen.getByText('Bot')).toHaveAttribute('title', 'Posted by a bot');
+  });
+
+  it('calls onEditMessage with the new text', async () => {
+    const user = userEvent.setup();
+    const messages = [
+      { _id: '1', username: 'alice', text: 'helo', ts: new Date().toISOString() },
+    ];
+
+    render(
+      <MessageList
+        messages={messages}
+        currentUser={currentUser}
+        onEditMessage={mockOnEditMessage}
+        onDeleteMessage={mockOnDeleteMessage}
+      />
+    );
+
+    await user.click(screen.getByRole('button', { name: 'Edit' }));
+    const input = screen.getByLabelText(/edit message/i);
+    await user.clear(input);
+    await user.type(input, 'hello');
+    await user.click(screen.getByRole('button', { name: 'Save' }));
+
+    expect(mockOnEditMessage).toHaveBeenCalledWith('1', 'hello');
+  });
+
+  it('calls onDeleteMessage with the message id', async () => {
+    const user = userEvent.setup();
+    const messages = [
+      { _id: '1', username: 'alice', text: 'oops', ts: new Date().toISOString() },
+    ];
+
+    render(
+      <MessageList
+        messages={messages}
+        currentUser={currentUser}
+        onEditMessage={mockOnEditMessage}
+        onDeleteMessage={mockOnDeleteMessage}
+      />
+    );
+
+    await user.click(screen.getByRole('button', { name: 'Delete' }));
+
+    expect(mockOnDeleteMessage).toHaveBeenCalledWith('1');
+  });
+
+  it('shows a thread summary and opens the thread', async () => {
+    const user = userEvent.setup();
+    const mockOnOpenThread = vi.fn();
+    const messages = [
+      { _id: '1', username: 'bob', text: 'topic', ts: new Date().toISOString(), replyCount: 3 },
+    ];
+
+    render(
+      <MessageList
+        messages={messages}
+        currentUser={currentUser}
+        onOpenThread={mockOnOpenThread}
+      />
+    );
+
+    await user.click(screen.getByRole('button', { name: /3 replies/i }));
+
+    expect(mockOnOpenThread).toHaveBeenCalledWith(messages[0]);
+  });
+
+  it('shows reaction chips and toggles the current user\'s reaction off', async () => {
+    const user = userEvent.setup();
+    const mockOnToggleReaction = vi.fn();
+    const messages = [
+      {
+        _id: '1',
+        username: 'bob',
+        text: 'ship it',
+        ts: new Date().toISOString(),
+        reactions: { '🎉': ['alice', 'carol'], '👍': ['carol'] },
+      },
+    ];
+
+    render(
+      <MessageList
+        messages={messages}
+        currentUser={currentUser}
+        onToggleReaction={mockOnToggleReaction}
+      />
+    );
+
+    const ownChip = screen.getByText('🎉').closest('button');
+    expect(ownChip).toHaveClass('reaction-own');
+    expect(ownChip).toHaveTextContent('2');
+    expect(screen.getByText('👍').closest('button')).not.toHaveClass('reaction-own');
+
+    await user.click(ownChip);
+
+    expect(mockOnToggleReaction).toHaveBeenCalledWith('1', '🎉', false);
+  });
+
+  it('loads older messages when scrolled to the top', () => {
+    const mockOnLoadOlder = vi.fn();
+    const messages = [
+      { _id: '1', username: 'bob', text: 'first', ts: new Date().toISOString() },
+    ];
+
+    const { rerender } = render(
+      <MessageList messages={messages} currentUser={currentUser} hasMoreOlder onLoadOlder={mockOnLoadOlder} />
+    );
+
+    fireEvent.scroll(screen.getByTestId('message-list'), { target: { scrollTop: 0 } });
+    expect(mockOnLoadOlder).toHaveBeenCalledTimes(1);
+
+    rerender(
+      <MessageList messages={messages} currentUser={currentUser} hasMoreOlder loadingOlder onLoadOlder={mockOnLoadOlder} />
+    );
+
+    expect(screen.getByTestId('older-messages')).toHaveTextContent('Loading older messages');
+    fireEvent.scroll(screen.getByTestId('message-list'), { target: { scrollTop: 0 } });
+    expect(mockOnLoadOlder).toHaveBeenCalledTimes(1);
+  });
+
+  it('only renders messages near the viewport in long lists', () => {
+    const count = VIRTUALIZE_AFTER + 50;
+    const messages = Array.from({ length: count }, (_, index) => ({
+      _id: String(index),
+      username: 'bob',
+      text: `message ${index}`,
+      ts: new Date(Date.now() + index).toISOString(),
+    }));
+
+    render(<MessageList messages={messages} currentUser={currentUser} />);
+
+    const rendered = screen.getByTestId('message-list').querySelectorAll('[data-message-id]');
+    expect(rendered.length).toBeGreaterThan(0);
+    expect(rendered.length).toBeLessThan(count);
+    expect(screen.getByText('message 0')).toBeInTheDocument();
+    expect(screen.queryByText(`message ${count - 1}`)).not.toBeInTheDocument();
+
+    fireEvent.scroll(screen.getByTestId('message-list'), { target: { scrollTop: 100000 } });
+
+    expect(screen.getByText(`message ${count - 1}`)).toBeInTheDocument();
+    expect(screen.queryByText('message 0')).not.toBeInTheDocument();
+  });
+
+  it('splits recognized mentions out of message text', () => {
+    expect(splitMentions({ text: 'hi @bob and @nobody, mail a@bob.com', mentions: ['bob'] })).toEqual([
+      { text: 'hi ', mention: null },
+      { text: '@bob', mention: 'bob' },
+      { text: ' and @nobody, mail a@bob.com', mention: null },
+    ]);
+  });
+
+  it('highlights messages that mention the current user', () => {
+    const messages = [
+      { _id: '1', username: 'bob', text: 'ping @alice', ts: new Date().toISOString(), mentions: ['alice'] },
+      { _id: '2', username: 'bob', text: 'ping @carol', ts: new Date().toISOString(), mentions: ['carol'] },
+      { _id: '3', username: 'carol', text: '@room standup', ts: new Date().toISOString(), mentionsRoom: true },
+    ];
+
+    render(<MessageList messages={messages} currentUser={currentUser} />);
+
+    expect(screen.getByText('@alice')).toHaveClass('mention', 'mention-self');
+    expect(screen.getByText('@carol')).not.toHaveClass('mention-self');
+    expect(screen.getByText('@room')).toHaveClass('mention-self');
+
+    const items = screen.getByTestId('message-list').querySelectorAll('[data-message-id]');
+    expect(items[0]).toHaveClass('message-mentioned');
+    expect(items[1]).not.toHaveClass('message-mentioned');
+    expect(items[2]).toHaveClass('message-mentioned');
+  });
+
+  it('shows /me messages as actions', () => {
+    const messages = [
+      { _id: '1', username: 'bob', text: 'waves', ts: new Date().toISOString(), action: true },
+    ];
+
+    render(<MessageList messages={messages} currentUser={currentUser} />);
+
+    const text = screen.getByText('waves').closest('.message-text');
+    expect(text).toHaveClass('message-action-text');
+    expect(text).toHaveTextContent('bob waves');
+  });
+
+  it('shows command replies as ephemeral messages without actions', () => {
+    const messages = [
+      { room: 'general', text: 'Unknown command /nope', ts: new Date().toISOString(), ephemeral: true },
+    ];
+
+    render(
+      <MessageList
+        messages={messages}
+        currentUser={currentUser}
+        onEditMessage={mockOnEditMessage}
+        onDeleteMessage={mockOnDeleteMessage}
+        onToggleReaction={vi.fn()}
+        onOpenThread={vi.fn()}
+      />
+    );
+
+    expect(screen.getByText('Only visible to you')).toBeInTheDocument();
+    expect(screen.getByText('Unknown command /nope').closest('.message-item')).toHaveClass('message-ephemeral');
+    expect(screen.queryByRole('button')).not.toBeInTheDocument();
+  });
+});
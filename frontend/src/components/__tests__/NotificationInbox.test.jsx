@@ -0,0 +1,74 @@
+/**
+ * NotificationInbox Component Tests
+ * Tests the unread badge, live notifications and opening a notification
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, act } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import NotificationInbox, { describeNotification } from '../NotificationInbox';
+import { get, post } from '../../api';
+
+vi.mock('../../api', () => ({
+  get: vi.fn(),
+  post: vi.fn(),
+}));
+
+/**
+ * Minimal socket stand-in that records handlers so tests can fire events
+ */
+const createSocket = () => {
+  const handlers = {};
+  return {
+    on: vi.fn((event, handler) => { handlers[event] = handler; }),
+    off: vi.fn(),
+    emitLocal: (event, data) => handlers[event]?.(data),
+  };
+};
+
+const mention = {
+  _id: 'n1',
+  type: 'mention',
+  room: 'general',
+  messageId: 'm1',
+  actor: 'bob',
+  excerpt: 'hey @alice',
+  read: false,
+  createdAt: new Date().toISOString(),
+};
+
+describe('NotificationInbox', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('describes mentions by type and room', () => {
+    expect(describeNotification(mention)).toBe('bob mentioned you in #general');
+    expect(describeNotification({ ...mention, type: 'roomMention', room: 'dm-abc' }))
+      .toBe('bob mentioned @room in a direct message');
+  });
+
+  it('counts live notifications and opens one, marking it read', async () => {
+    const user = userEvent.setup();
+    const socket = createSocket();
+    const mockOnOpen = vi.fn();
+    get.mockResolvedValue({ success: true, notifications: [mention], unreadCount: 1, hasMore: false });
+    post.mockResolvedValue({ success: true, unreadCount: 1 });
+
+    render(<NotificationInbox socket={socket} onOpen={mockOnOpen} />);
+
+    expect(await screen.findByLabelText('1 unread notifications')).toBeInTheDocument();
+
+    act(() => {
+      socket.emitLocal('notification', { ...mention, _id: 'n2', actor: 'carol', excerpt: '@room lunch?' });
+    });
+    expect(screen.getByLabelText('2 unread notifications')).toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: /inbox/i }));
+    await user.click(screen.getByText('carol mentioned you in #general'));
+
+    expect(mockOnOpen).toHaveBeenCalledWith(expect.objectContaining({ _id: 'n2', messageId: 'm1' }));
+    expect(post).toHaveBeenCalledWith('/api/notifications/n2/read', {});
+    expect(await screen.findByLabelText('1 unread notifications')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * RoomBots Component Tests
+ * Tests adding a bot to a room by username and removing one
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import RoomBots from '../RoomBots';
+import { get, put, del } from '../../api';
+
+vi.mock('../../api', () => ({
+  get: vi.fn(),
+  put: vi.fn(),
+  del: vi.fn(),
+}));
+
+const bot = {
+  _id: 'b1',
+  username: 'deploybot',
+  description: 'Posts deploy status',
+};
+
+describe('RoomBots', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('adds a bot by username', async () => {
+    const user = userEvent.setup();
+    get.mockResolvedValue({ success: true, bots: [] });
+    put.mockResolvedValue({ success: true, bot });
+
+    render(<RoomBots room="builds" />);
+
+    expect(await screen.findByText('No bots in this room.')).toBeInTheDocument();
+    expect(get).toHaveBeenCalledWith('/rooms/builds/bots');
+
+    await user.type(screen.getByLabelText('Bot username'), 'deploybot');
+    await user.click(screen.getByRole('button', { name: 'Add bot' }));
+
+    expect(put).toHaveBeenCalledWith('/rooms/builds/bots/deploybot');
+    expect(screen.getByText('deploybot')).toBeInTheDocument();
+    expect(screen.getByLabelText('Bot username')).toHaveValue('');
+  });
+
+  it('shows the server error when a bot cannot be added', async () => {
+    const user = userEvent.setup();
+    get.mockResolvedValue({ success: true, bots: [] });
+    put.mockResolvedValue({ success: false, message: 'Bot not found' });
+
+    render(<RoomBots room="builds" />);
+
+    await user.type(await screen.findByLabelText('Bot username'), 'nobody');
+    await user.click(screen.getByRole('button', { name: 'Add bot' }));
+
+    expect(screen.getByText('Bot not found')).toBeInTheDocument();
+  });
+
+  it('removes a bot', async () => {
+    const user = userEvent.setup();
+    get.mockResolvedValue({ success: true, bots: [bot] });
+    del.mockResolvedValue({ success: true });
+
+    render(<RoomBots room="builds" />);
+
+    await user.click(await screen.findByRole('button', { name: 'Remove deploybot' }));
+
+    expect(del).toHaveBeenCalledWith('/rooms/builds/bots/deploybot');
+    expect(screen.queryByText('deploybot')).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * RoomExport Component Tests
+ * Tests building export requests and saving the download
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import RoomExport, { buildExportPath } from '../RoomExport';
+import { getBlob } from '../../api';
+
+vi.mock('../../api', () => ({
+  getBlob: vi.fn(),
+}));
+
+describe('RoomExport', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    URL.createObjectURL = vi.fn(() => 'blob:export');
+    URL.revokeObjectURL = vi.fn();
+  });
+
+  it('builds export paths with whole-day ranges', () => {
+    expect(buildExportPath('random', { format: 'csv' })).toBe('/rooms/random/export?format=csv');
+
+    const params = new URLSearchParams(
+      buildExportPath('random', { format: 'txt', from: '2024-01-01', to: '2024-01-31' }).split('?')[1]
+    );
+    expect(params.get('from')).toBe(new Date(2024, 0, 1).toISOString());
+    expect(params.get('to')).toBe(new Date(2024, 0, 31, 23, 59, 59, 999).toISOString());
+  });
+
+  it('downloads the chosen format', async () => {
+    const user = userEvent.setup();
+    const onClose = vi.fn();
+    const downloads = [];
+    const click = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function saveLink() {
+      downloads.push(this.download);
+    });
+    getBlob.mockResolvedValue(new Blob(['{}']));
+
+    render(<RoomExport room="random" onClose={onClose} />);
+
+    await user.selectOptions(screen.getByLabelText('Format'), 'json');
+    await user.click(screen.getByRole('button', { name: 'Download' }));
+
+    expect(getBlob).toHaveBeenCalledWith('/rooms/random/export?format=json');
+    expect(downloads).toHaveLength(1);
+    expect(downloads[0]).toMatch(/^random-\d{4}-\d{2}-\d{2}\.json$/);
+    expect(onClose).toHaveBeenCalled();
+    click.mockRestore();
+  });
+
+  it('shows errors and stays open', async () => {
+    const user = userEvent.setup();
+    const onClose = vi.fn();
+    getBlob.mockRejectedValue(new Error('Download failed (404)'));
+
+    render(<RoomExport room="random" onClose={onClose} />);
+
+    await user.click(screen.getByRole('button', { name: 'Download' }));
+
+    expect(await screen.findByText('Download failed (404)')).toBeInTheDocument();
+    expect(onClose).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * RoomIncomingWebhooks Component Tests
+ * Tests creating a webhook (showing its URL once) and revoking one
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import RoomIncomingWebhooks from '../RoomIncomingWebhooks';
+import { get, post, del } from '../../api';
+
+vi.mock('../../api', () => ({
+  get: vi.fn(),
+  post: vi.fn(),
+  del: vi.fn(),
+}));
+
+const webhook = {
+  _id: 'w1',
+  name: 'CI',
+  tokenPrefix: 'mmwh_Ab12Cd',
+  lastUsedAt: null,
+};
+
+describe('RoomIncomingWebhooks', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('creates a webhook and shows its URL once', async () => {
+    const user = userEvent.setup();
+    get.mockResolvedValue({ success: true, webhooks: [] });
+    post.mockResolvedValue({
+      success: true,
+      webhook,
+      token: 'mmwh_Ab12Cdsecret',
+      url: 'http://localhost:3000/hooks/mmwh_Ab12Cdsecret',
+    });
+
+    render(<RoomIncomingWebhooks room="builds" />);
+
+    expect(await screen.findByText('No incoming webhooks yet.')).toBeInTheDocument();
+    expect(get).toHaveBeenCalledWith('/rooms/builds/incoming-webhooks');
+
+    await user.type(screen.getByLabelText('Integration name'), 'CI');
+    await user.click(screen.getByRole('button', { name: 'Create webhook' }));
+
+    expect(post).toHaveBeenCalledWith('/rooms/builds/incoming-webhooks', { name: 'CI' });
+    expect(screen.getByText('http://localhost:3000/hooks/mmwh_Ab12Cdsecret')).toBeInTheDocument();
+    expect(screen.getByText('mmwh_Ab12Cd…')).toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: 'Done' }));
+    expect(screen.queryByText('http://localhost:3000/hooks/mmwh_Ab12Cdsecret')).not.toBeInTheDocument();
+  });
+
+  it('revokes a webhook after confirmation', async () => {
+    const user = userEvent.setup();
+    get.mockResolvedValue({ success: true, webhooks: [webhook] });
+    del.mockResolvedValue({ success: true });
+
+    render(<RoomIncomingWebhooks room="builds" />);
+
+    await user.click(await screen.findByRole('button', { name: 'Revoke' }));
+    expect(del).not.toHaveBeenCalled();
+
+    await user.click(screen.getByRole('button', { name: 'Revoke' }));
+
+    expect(del).toHaveBeenCalledWith('/rooms/builds/incoming-webhooks/w1');
+    expect(screen.queryByText('CI')).not.toBeInTheDocument();
+  });
+});
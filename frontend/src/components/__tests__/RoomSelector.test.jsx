@@ -4,7 +4,7 @@
  */
 
 import { describe, it, expect, vi, beforeEach } from 'vitest';
-import { render, screen, waitFor } from '@testing-library/react';
+import { render, screen, waitFor, act } from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
 import RoomSelector from '../RoomSelector';
 import * as api from '../../api';
@@ -208,5 +208,171 @@ describe('RoomSelector', () => {
       expect(screen.getByTestId('rooms-header')).toBeInTheDocument();
     });
   });
-});
 
+  it('shows unread badges and updates them from room activity', async () => {
+    const handlers = {};
+    const mockSocket = {
+      on: vi.fn((event, handler) => { handlers[event] = handler; }),
+      off: vi.fn(),
+    };
+
+    api.get.mockResolvedValue({
+      success: true,
+      rooms: [
+        { name: 'general', createdAt: new Date(), unreadCount: 0 },
+        { name: 'random', createdAt: new Date(), unreadCount: 2 },
+      ],
+    });
+
+    render(
+      <RoomSelector
+        currentRoom="general"
+        onRoomChange={mockOnRoomChange}
+        socket={mockSocket}
+        currentUser={{ username: 'alice' }}
+      />
+    );
+
+    await waitFor(() => {
+      expect(screen.getByLabelText('2 unread')).toBeInTheDocument();
+    });
+
+    // A new message in a room we are not viewing bumps its badge
+    act(() => {
+      handlers.roomActivity({ room: 'random', messageId: 'm1', username: 'bob' });
+    });
+    expect(screen.getByLabelText('3 unread')).toBeInTheDocument();
+
+    // Our own messages (e.g. from another tab) are never unread
+    act(() => {
+      handlers.roomActivity({ room: 'random', messageId: 'm2', username: 'alice' });
+    });
+    expect(screen.getByLabelText('3 unread')).toBeInTheDocument();
+
+    // Messages in the current room never show a badge
+    act(() => {
+      handlers.roomActivity({ room: 'general', messageId: 'm3', username: 'bob' });
+    });
+    expect(screen.queryByLabelText('1 unread')).not.toBeInTheDocument();
+
+    // Reading the room in another tab clears the badge
+    act(() => {
+      handlers.roomRead({ room: 'random' });
+    });
+    expect(screen.queryByLabelText(/unread/)).not.toBeInTheDocument();
+  });
+
+  it('lists direct messages separately, labelled with the other participant', async () => {
+    api.get.mockResolvedValue({
+      success: true,
+      rooms: [
+        { name: 'general', type: 'public', createdAt: new Date() },
+        { name: 'dm-abc123', type: 'direct', participants: ['alice', 'bob'], createdAt: new Date() },
+      ],
+    });
+
+    render(
+      <RoomSelector
+        currentRoom="general"
+        onRoomChange={mockOnRoomChange}
+        currentUser={{ username: 'alice' }}
+      />
+    );
+
+    await waitFor(() => {
+      expect(screen.getByText('@bob')).toBeInTheDocument();
+    });
+    expect(screen.getByTestId('direct-messages-header')).toBeInTheDocument();
+    expect(screen.queryByText(/dm-abc123/)).not.toBeInTheDocument();
+  });
+
+  it('marks private rooms and accepts pending invitations', async () => {
+    const user = userEvent.setup();
+    api.get.mockImplementation((endpoint) => Promise.resolve(
+      endpoint === '/rooms/invitations'
+        ? { success: true, invitations: [{ room: 'secret', invitedBy: 'bob', invitedAt: new Date() }] }
+        : {
+          success: true,
+          rooms: [
+            { name: 'general', type: 'public', visibility: 'public', createdAt: new Date() },
+            { name: 'staff', type: 'public', visibility: 'private', createdAt: new Date() },
+          ],
+        }
+    ));
+    api.post.mockResolvedValue({ success: true, room: { name: 'secret' } });
+
+    render(
+      <RoomSelector
+        currentRoom="general"
+        onRoomChange={mockOnRoomChange}
+        currentUser={{ username: 'alice' }}
+      />
+    );
+
+    await waitFor(() => {
+      expect(screen.getByTestId('room-invitations')).toHaveTextContent('#secret');
+    });
+    expect(screen.getAllByLabelText('Private room')).toHaveLength(1);
+
+    await user.click(screen.getByRole('button', { name: 'Accept' }));
+
+    expect(api.post).toHaveBeenCalledWith('/rooms/secret/invitations/accept', {});
+    await waitFor(() => {
+      expect(mockOnRoomChange).toHaveBeenCalledWith('secret');
+    });
+    expect(screen.queryByTestId('room-invitations')).not.toBeInTheDocument();
+  });
+
+  it('follows room renames, setting changes and deletions live', async () => {
+    const handlers = {};
+    const mockSocket = {
+      on: vi.fn((event, handler) => { handlers[event] = handler; }),
+      off: vi.fn(),
+    };
+
+    api.get.mockResolvedValue({
+      success: true,
+      rooms: [
+        { name: 'general', createdAt: new Date() },
+        { name: 'random', createdAt: new Date(), unreadCount: 2 },
+        { name: 'old', createdAt: new Date() },
+      ],
+    });
+
+    render(
+      <RoomSelector
+        currentRoom="general"
+        onRoomChange={mockOnRoomChange}
+        socket={mockSocket}
+        currentUser={{ username: 'alice' }}
+      />
+    );
+
+    await waitFor(() => {
+      expect(screen.getByText('#random')).toBeInTheDocument();
+    });
+
+    act(() => {
+      handlers.roomUpdated({
+        name: 'lounge',
+        previousName: 'random',
+        icon: '🛋',
+        description: 'Off-topic chat',
+        changes: ['name', 'icon', 'description'],
+        updatedBy: 'bob',
+      });
+    });
+
+    expect(screen.queryByText('#random')).not.toBeInTheDocument();
+    const lounge = screen.getByText('#lounge').closest('button');
+    expect(lounge).toHaveTextContent('🛋');
+    expect(lounge).toHaveAttribute('title', 'Off-topic chat');
+    // The unread count survives the rename
+    expect(screen.getByLabelText('2 unread')).toBeInTheDocument();
+
+    act(() => {
+      handlers.roomDeleted({ room: 'old', archived: true, deletedBy: 'bob' });
+    });
+    expect(screen.queryByText('#old')).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * RoomSettings Component Tests
+ * Tests saving changed settings, retention previews and the archive/delete
+ * confirmation
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import RoomSettings, { describeRetention } from '../RoomSettings';
+import { get, patch, del } from '../../api';
+
+vi.mock('../../api', () => ({
+  get: vi.fn(),
+  patch: vi.fn(),
+  del: vi.fn(),
+}));
+
+const room = {
+  name: 'random',
+  topic: 'Anything goes',
+  description: '',
+  icon: '',
+};
+
+describe('RoomSettings', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('saves only the fields that changed', async () => {
+    const user = userEvent.setup();
+    const onClose = vi.fn();
+    patch.mockResolvedValue({ success: true, changes: ['name', 'icon'] });
+
+    render(<RoomSettings room={room} onClose={onClose} />);
+
+    const name = screen.getByLabelText('Name');
+    await user.clear(name);
+    await user.type(name, 'lounge');
+    await user.type(screen.getByLabelText('Icon'), '🛋');
+    await user.click(screen.getByRole('button', { name: 'Save' }));
+
+    expect(patch).toHaveBeenCalledWith('/rooms/random', { name: 'lounge', icon: '🛋' });
+    expect(onClose).toHaveBeenCalled();
+  });
+
+  it('shows errors from the server and stays open', async () => {
+    const user = userEvent.setup();
+    const onClose = vi.fn();
+    patch.mockResolvedValue({ success: false, message: 'Room name already exists' });
+
+    render(<RoomSettings room={room} onClose={onClose} />);
+
+    await user.type(screen.getByLabelText('Name'), '2');
+    await user.click(screen.getByRole('button', { name: 'Save' }));
+
+    expect(await screen.findByText('Room name already exists')).toBeInTheDocument();
+    expect(onClose).not.toHaveBeenCalled();
+  });
+
+  it('previews and saves a retention policy', async () => {
+    const user = userEvent.setup();
+    const onClose = vi.fn();
+    get.mockResolvedValue({
+      success: true,
+      retention: { mode: 'days', value: 30 },
+      threads: 2,
+      messages: 5,
+      oldest: '2024-01-01T00:00:00.000Z',
+      newest: '2024-01-02T00:00:00.000Z',
+    });
+    patch.mockResolvedValue({ success: true, changes: ['retention'] });
+
+    render(<RoomSettings room={room} onClose={onClose} />);
+
+    await user.selectOptions(screen.getByLabelText('Retention'), 'days');
+    await user.type(screen.getByLabelText('Days to keep'), '30');
+    await user.click(screen.getByRole('button', { name: 'Preview' }));
+
+    expect(get).toHaveBeenCalledWith('/rooms/random/retention/preview?mode=days&value=30');
+    expect(await screen.findByTestId('retention-preview')).toHaveTextContent('Would remove 5 messages in 2 threads');
+
+    await user.click(screen.getByRole('button', { name: 'Save' }));
+
+    expect(patch).toHaveBeenCalledWith('/rooms/random', { retention: { mode: 'days', value: 30 } });
+  });
+
+  it('describes retention policies', () => {
+    expect(describeRetention(null)).toBe('');
+    expect(describeRetention({ mode: 'days', value: 30 })).toBe('Messages are kept for 30 days');
+    expect(describeRetention({ mode: 'messages', value: 1 })).toBe('Only the latest message is kept');
+  });
+
+  it('asks for confirmation before deleting', async () => {
+    const user = userEvent.setup();
+    const onClose = vi.fn();
+    del.mockResolvedValue({ success: true });
+
+    render(<RoomSettings room={room} onClose={onClose} />);
+
+    await user.click(screen.getByRole('button', { name: 'Delete room' }));
+    expect(del).not.toHaveBeenCalled();
+    expect(screen.getByTestId('room-settings')).toHaveTextContent("This can't be undone");
+
+    await user.click(screen.getByRole('button', { name: 'Delete' }));
+
+    expect(del).toHaveBeenCalledWith('/rooms/random?mode=delete');
+    expect(onClose).toHaveBeenCalled();
+  });
+
+  it("doesn't offer to rename or remove the default room", () => {
+    render(<RoomSettings room={{ name: 'general' }} onClose={vi.fn()} />);
+
+    expect(screen.getByLabelText('Name')).toBeDisabled();
+    expect(screen.queryByRole('button', { name: 'Archive room' })).not.toBeInTheDocument();
+  });
+});
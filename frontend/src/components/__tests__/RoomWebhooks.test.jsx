@@ -0,0 +1,111 @@
+/**
+ * RoomWebhooks Component Tests
+ * Tests adding webhooks (with the one-time secret), re-enabling disabled
+ * webhooks and the delivery log
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import RoomWebhooks, { describeDelivery } from '../RoomWebhooks';
+import { get, post, patch } from '../../api';
+
+vi.mock('../../api', () => ({
+  get: vi.fn(),
+  post: vi.fn(),
+  patch: vi.fn(),
+  del: vi.fn(),
+}));
+
+const disabledWebhook = {
+  _id: 'w1',
+  url: 'https://tickets.example.com/hook',
+  events: ['message.created'],
+  active: false,
+  disabledReason: '20 failed deliveries in a row (last: Responded with HTTP 500)',
+};
+
+describe('RoomWebhooks', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('describes delivery outcomes', () => {
+    expect(describeDelivery({ status: 'succeeded', responseStatus: 204, attempts: 1 })).toBe('Delivered (HTTP 204)');
+    expect(describeDelivery({ status: 'pending', attempts: 0 })).toBe('Queued');
+    expect(describeDelivery({ status: 'pending', attempts: 2, error: 'Responded with HTTP 502' }))
+      .toBe('Retrying: Responded with HTTP 502');
+    expect(describeDelivery({ status: 'failed', attempts: 8, error: 'No response within 10s' }))
+      .toBe('Failed: No response within 10s');
+  });
+
+  it('adds a webhook for the chosen events and shows its secret once', async () => {
+    const user = userEvent.setup();
+    get.mockResolvedValue({ success: true, webhooks: [] });
+    post.mockResolvedValue({
+      success: true,
+      webhook: { _id: 'w2', url: 'https://hooks.example.com/chat', events: ['message.created', 'member.joined'], active: true },
+      secret: 'abc123',
+    });
+
+    render(<RoomWebhooks room="alerts" />);
+
+    expect(await screen.findByText('No webhooks yet.')).toBeInTheDocument();
+    expect(get).toHaveBeenCalledWith('/rooms/alerts/webhooks');
+
+    await user.type(screen.getByLabelText('Webhook URL'), 'https://hooks.example.com/chat');
+    await user.click(screen.getByLabelText('Members joined'));
+    await user.click(screen.getByRole('button', { name: 'Add webhook' }));
+
+    expect(post).toHaveBeenCalledWith('/rooms/alerts/webhooks', {
+      url: 'https://hooks.example.com/chat',
+      events: ['message.created', 'member.joined'],
+    });
+    expect(screen.getByText('abc123')).toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: 'Done' }));
+    expect(screen.queryByText('abc123')).not.toBeInTheDocument();
+    expect(screen.getByText('https://hooks.example.com/chat')).toBeInTheDocument();
+  });
+
+  it('shows why a webhook was disabled and turns it back on', async () => {
+    const user = userEvent.setup();
+    get.mockResolvedValue({ success: true, webhooks: [disabledWebhook] });
+    patch.mockResolvedValue({ success: true, webhook: { ...disabledWebhook, active: true, disabledReason: '' } });
+
+    render(<RoomWebhooks room="alerts" />);
+
+    expect(await screen.findByText(/Disabled: 20 failed deliveries/)).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Send test' })).toBeDisabled();
+
+    await user.click(screen.getByRole('button', { name: 'Enable' }));
+
+    expect(patch).toHaveBeenCalledWith('/rooms/alerts/webhooks/w1', { active: true });
+    expect(screen.queryByText(/Disabled:/)).not.toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Disable' })).toBeInTheDocument();
+  });
+
+  it('shows the delivery log', async () => {
+    const user = userEvent.setup();
+    get.mockImplementation(async (path) => (path.endsWith('/deliveries')
+      ? {
+        success: true,
+        deliveries: [{
+          _id: 'd1',
+          event: 'message.created',
+          status: 'failed',
+          attempts: 8,
+          error: 'Responded with HTTP 404',
+          createdAt: '2024-03-01T10:00:00.000Z',
+        }],
+      }
+      : { success: true, webhooks: [{ ...disabledWebhook, active: true }] }));
+
+    render(<RoomWebhooks room="alerts" />);
+
+    await user.click(await screen.findByRole('button', { name: 'Deliveries' }));
+
+    expect(get).toHaveBeenCalledWith('/rooms/alerts/webhooks/w1/deliveries');
+    expect(await screen.findByText('Failed: Responded with HTTP 404')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * SearchPanel Component Tests
+ * Tests search requests, highlighted results and jumping to a hit
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import SearchPanel, { buildSearchUrl } from '../SearchPanel';
+import * as api from '../../api';
+
+// Mock the API module
+vi.mock('../../api', () => ({
+  get: vi.fn(),
+}));
+
+describe('SearchPanel', () => {
+  const mockOnJump = vi.fn();
+  const mockOnClose = vi.fn();
+
+  const result = {
+    _id: 'm1',
+    room: 'general',
+    username: 'bob',
+    text: 'the deploy is done',
+    ts: new Date().toISOString(),
+    highlights: [[
+      { text: 'the ', match: false },
+      { text: 'deploy', match: true },
+      { text: ' is done', match: false },
+    ]],
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('builds the search URL from the filters', () => {
+    const url = buildSearchUrl({ query: ' deploy ', room: 'general', username: 'bob', from: '', to: '' }, 20);
+    const params = new URL(url, 'http://localhost').searchParams;
+
+    expect(url.startsWith('/api/chat/search?')).toBe(true);
+    expect(params.get('q')).toBe('deploy');
+    expect(params.get('room')).toBe('general');
+    expect(params.get('username')).toBe('bob');
+    expect(params.get('skip')).toBe('20');
+    expect(params.has('from')).toBe(false);
+  });
+
+  it('shows highlighted hits and jumps to the picked one', async () => {
+    const user = userEvent.setup();
+    api.get.mockResolvedValue({ success: true, total: 1, hasMore: false, results: [result] });
+
+    render(<SearchPanel currentRoom="general" onJump={mockOnJump} onClose={mockOnClose} />);
+
+    await user.type(screen.getByLabelText('Search messages'), 'deploy');
+    await user.click(screen.getByLabelText(/only #general/i));
+    await user.click(screen.getByRole('button', { name: 'Search' }));
+
+    await waitFor(() => {
+      expect(screen.getByText('1 result')).toBeInTheDocument();
+    });
+    expect(api.get.mock.calls[0][0]).toContain('room=general');
+    expect(screen.getByText('deploy').tagName).toBe('MARK');
+
+    await user.click(screen.getByText('deploy').closest('button'));
+
+    expect(mockOnJump).toHaveBeenCalledWith(result);
+  });
+
+  it('loads more results with the same filters', async () => {
+    const user = userEvent.setup();
+    api.get
+      .mockResolvedValueOnce({ success: true, total: 2, hasMore: true, results: [result] })
+      .mockResolvedValueOnce({
+        success: true,
+        total: 2,
+        hasMore: false,
+        results: [{ ...result, _id: 'm2', highlights: [[{ text: 'second hit', match: false }]] }],
+      });
+
+    render(<SearchPanel currentRoom="general" onJump={mockOnJump} onClose={mockOnClose} />);
+
+    await user.type(screen.getByLabelText('Search messages'), 'deploy{Enter}');
+    await user.click(await screen.findByRole('button', { name: 'Load more results' }));
+
+    await waitFor(() => {
+      expect(screen.getByText('second hit')).toBeInTheDocument();
+    });
+    expect(api.get.mock.calls[1][0]).toContain('skip=1');
+    expect(screen.getByText('deploy')).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Load more results' })).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * Syntax Highlighting Utility
+ * Splits code into tokens (keywords, strings, comments, numbers) for the
+ * languages people most often paste into chat
+ *
+ * Tokens are plain text with a type; components render them as spans, so
+ * highlighting never produces HTML.
+ */
+
+const C_STYLE_COMMENT = String.raw`\/\/[^\n]*|\/\*[\s\S]*?\*\/`;
+const HASH_COMMENT = String.raw`#[^\n]*`;
+const QUOTED_STRING = String.raw`'(?:\\.|[^'\\\n])*'|"(?:\\.|[^"\\\n])*"`;
+
+const LANGUAGES = {
+  javascript: {
+    comment: C_STYLE_COMMENT,
+    string: `${QUOTED_STRING}|\`(?:\\\\.|[^\`\\\\])*\``,
+    keywords: [
+      'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'default',
+      'delete', 'else', 'export', 'extends', 'false', 'finally', 'for', 'from', 'function',
+      'if', 'import', 'in', 'instanceof', 'interface', 'let', 'new', 'null', 'of', 'return',
+      'static', 'switch', 'this', 'throw', 'true', 'try', 'type', 'typeof', 'undefined',
+      'var', 'void', 'while', 'yield',
+    ],
+  },
+  python: {
+    comment: HASH_COMMENT,
+    string: `"""[\\s\\S]*?"""|'''[\\s\\S]*?'''|${QUOTED_STRING}`,
+    keywords: [
+      'and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue', 'def', 'del',
+      'elif', 'else', 'except', 'False', 'finally', 'for', 'from', 'if', 'import', 'in',
+      'is', 'lambda', 'None', 'not', 'or', 'pass', 'raise', 'return', 'True', 'try',
+      'while', 'with', 'yield',
+    ],
+  },
+  bash: {
+    comment: HASH_COMMENT,
+    string: QUOTED_STRING,
+    keywords: [
+      'case', 'cd', 'do', 'done', 'echo', 'elif', 'else', 'esac', 'exit', 'export', 'fi',
+      'for', 'function', 'if', 'in', 'local', 'return', 'then', 'while',
+    ],
+  },
+  json: {
+    comment: null,
+    string: QUOTED_STRING,
+    keywords: ['true', 'false', 'null'],
+  },
+};
+
+const ALIASES = {
+  js: 'javascript',
+  jsx: 'javascript',
+  ts: 'javascript',
+  tsx: 'javascript',
+  typescript: 'javascript',
+  py: 'python',
+  sh: 'bash',
+  shell: 'bash',
+  zsh: 'bash',
+};
+
+const NUMBER = String.raw`\b\d+(?:\.\d+)?\b`;
+const WORD = String.raw`[A-Za-z_$][\w$]*`;
+
+// Compiled token patterns by language
+const patterns = new Map();
+
+/**
+ * Get the token pattern for a language
+ * @param {Object} language - Entry from LANGUAGES
+ * @returns {RegExp}
+ */
+const getPattern = (language) => {
+  if (!patterns.has(language)) {
+    const parts = [
+      language.comment && `(?<comment>${language.comment})`,
+      `(?<string>${language.string})`,
+      `(?<number>${NUMBER})`,
+      `(?<word>${WORD})`,
+    ].filter(Boolean);
+    patterns.set(language, new RegExp(parts.join('|'), 'g'));
+  }
+  return patterns.get(language);
+};
+
+/**
+ * Whether a language name (or alias) can be highlighted
+ * @param {string} lang - Language from the code fence
+ * @returns {boolean}
+ */
+export const isSupportedLanguage = (lang) => Boolean(LANGUAGES[ALIASES[lang] || lang]);
+
+/**
+ * Split code into highlighted tokens
+ * Adjacent plain text is merged into one token.
+ * @param {string} code - Source code
+ * @param {string} lang - Language from the code fence
+ * @returns {Array<{text: string, type: (string|null)}>} type is keyword,
+ *   string, comment, number or null
+ */
+export const highlight = (code, lang) => {
+  const language = LANGUAGES[ALIASES[lang] || lang];
+  if (!language) return [{ text: code, type: null }];
+
+  const tokens = [];
+  const pushToken = (text, type) => {
+    const last = tokens[tokens.length - 1];
+    if (type === null && last && last.type === null) {
+      last.text += text;
+    } else if (text) {
+      tokens.push({ text, type });
+    }
+  };
+
+  const keywords = new Set(language.keywords);
+  let position = 0;
+
+  for (const match of code.matchAll(getPattern(language))) {
+    pushToken(code.slice(position, match.index), null);
+
+    const { comment, string, number, word } = match.groups;
+    if (comment) pushToken(comment, 'comment');
+    else if (string) pushToken(string, 'string');
+    else if (number) pushToken(number, 'number');
+    else pushToken(word, keywords.has(word) ? 'keyword' : null);
+
+    position = match.index + match[0].length;
+  }
+
+  pushToken(code.slice(position), null);
+  return tokens;
+};
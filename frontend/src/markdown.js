@@ -0,0 +1,256 @@
+/**
+ * Markdown Utility
+ * Parser and sanitizer for the Markdown subset used in messages
+ *
+ * Supported: **bold**, *italic* / _italic_, `inline code`, fenced code
+ * blocks (```lang), [links](https://…), bare http(s) URLs, "-", "*" and
+ * "1." lists, and "> " blockquotes. Everything else stays plain text.
+ *
+ * parseMarkdown turns text into a tree of plain objects. sanitize rebuilds
+ * that tree from an allowlist of node types and fields, and turns links
+ * without a safe protocol back into text. The tree is rendered with React
+ * elements, never as HTML, so message text can't inject markup.
+ */
+
+// Node types and the fields each may keep
+const ALLOWED_NODES = {
+  paragraph: ['children'],
+  code: ['lang', 'text'],
+  blockquote: ['children'],
+  list: ['ordered', 'start', 'children'],
+  listItem: ['children'],
+  text: ['text'],
+  strong: ['children'],
+  em: ['children'],
+  inlineCode: ['text'],
+  link: ['href', 'children'],
+  break: [],
+};
+
+const SAFE_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+// Deepest nesting of blockquotes and inline formatting
+const MAX_DEPTH = 4;
+
+const FENCE_PATTERN = /^\s*```\s*([\w+-]*)\s*$/;
+const QUOTE_PATTERN = /^\s*>\s?(.*)$/;
+const LIST_ITEM_PATTERN = /^\s*([-*]|\d{1,9}[.)])\s+(.*)$/;
+const LANGUAGE_PATTERN = /^[\w+-]{1,20}$/;
+
+const LINK_PATTERN = /^\[([^\]\n]+)\]\(\s*([^\s()]+)\s*\)/;
+const BOLD_PATTERN = /^\*\*(?!\s)([^\n]+?)(?<!\s)\*\*/;
+const STAR_ITALIC_PATTERN = /^\*(?![\s*])([^*\n]+?)(?<!\s)\*(?!\*)/;
+const UNDERSCORE_ITALIC_PATTERN = /^_(?![\s_])([^_\n]+?)(?<!\s)_(?!\w)/;
+const URL_PATTERN = /^https?:\/\/[^\s<>]+/;
+const ESCAPABLE = '\\`*_[]()>#-.!';
+
+/**
+ * Return a URL if it uses a safe protocol
+ * Relative URLs are rejected, since message links should say where they go.
+ * @param {string} href - URL from the message
+ * @returns {string|null} Normalized URL, or null if unsafe
+ */
+export const safeUrl = (href) => {
+  try {
+    const url = new URL(href);
+    return SAFE_PROTOCOLS.includes(url.protocol) ? url.href : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * Drop punctuation that ends a sentence rather than the URL
+ * A closing parenthesis is kept when the URL opened one.
+ * @param {string} url - Bare URL
+ * @returns {string}
+ */
+const trimUrl = (url) => {
+  let end = url.length;
+  while (end > 0) {
+    const char = url[end - 1];
+    const unbalanced = char === ')' && !url.slice(0, end - 1).includes('(');
+    if (!'.,;:!?\'"'.includes(char) && !unbalanced) break;
+    end -= 1;
+  }
+  return url.slice(0, end);
+};
+
+/**
+ * Parse inline formatting
+ * @param {string} text - Text of one paragraph or list item (may contain newlines)
+ * @param {number} [depth] - Current nesting
+ * @returns {Array} Inline nodes
+ */
+export const parseInline = (text, depth = 0) => {
+  const nodes = [];
+  let buffer = '';
+  let i = 0;
+
+  const flush = () => {
+    if (buffer) {
+      nodes.push({ type: 'text', text: buffer });
+      buffer = '';
+    }
+  };
+
+  const push = (node, length) => {
+    flush();
+    nodes.push(node);
+    i += length;
+  };
+
+  while (i < text.length) {
+    const char = text[i];
+    const rest = text.slice(i);
+    const nested = depth < MAX_DEPTH;
+    let match;
+
+    if (char === '\\' && ESCAPABLE.includes(text[i + 1])) {
+      buffer += text[i + 1];
+      i += 2;
+    } else if (char === '\n') {
+      push({ type: 'break' }, 1);
+    } else if (char === '`' && text.indexOf('`', i + 1) > i + 1) {
+      const end = text.indexOf('`', i + 1);
+      push({ type: 'inlineCode', text: text.slice(i + 1, end) }, end - i + 1);
+    } else if (char === '[' && nested && (match = LINK_PATTERN.exec(rest))) {
+      push({ type: 'link', href: match[2], children: parseInline(match[1], depth + 1) }, match[0].length);
+    } else if (char === '*' && nested && (match = BOLD_PATTERN.exec(rest))) {
+      push({ type: 'strong', children: parseInline(match[1], depth + 1) }, match[0].length);
+    } else if (char === '*' && nested && (match = STAR_ITALIC_PATTERN.exec(rest))) {
+      push({ type: 'em', children: parseInline(match[1], depth + 1) }, match[0].length);
+    } else if (
+      char === '_' && nested && !/\w/.test(text[i - 1] || '')
+      && (match = UNDERSCORE_ITALIC_PATTERN.exec(rest))
+    ) {
+      push({ type: 'em', children: parseInline(match[1], depth + 1) }, match[0].length);
+    } else if (char === 'h' && !/\w/.test(text[i - 1] || '') && (match = URL_PATTERN.exec(rest))) {
+      const url = trimUrl(match[0]);
+      push({ type: 'link', href: url, children: [{ type: 'text', text: url }] }, url.length);
+    } else {
+      buffer += char;
+      i += 1;
+    }
+  }
+
+  flush();
+  return nodes;
+};
+
+/**
+ * Whether a line starts a block other than a paragraph
+ * @param {string} line - Line of text
+ * @returns {boolean}
+ */
+const startsBlock = (line) => (
+  FENCE_PATTERN.test(line) || QUOTE_PATTERN.test(line) || LIST_ITEM_PATTERN.test(line)
+);
+
+/**
+ * Parse lines into block nodes
+ * @param {string[]} lines - Lines of text
+ * @param {number} depth - Blockquote nesting
+ * @returns {Array} Block nodes
+ */
+const parseBlocks = (lines, depth) => {
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    const fence = FENCE_PATTERN.exec(line);
+
+    if (fence) {
+      // An unclosed fence runs to the end of the message
+      const body = [];
+      i += 1;
+      while (i < lines.length && !/^\s*```\s*$/.test(lines[i])) {
+        body.push(lines[i]);
+        i += 1;
+      }
+      i += 1;
+      blocks.push({ type: 'code', lang: fence[1].toLowerCase(), text: body.join('\n') });
+    } else if (line.trim() === '') {
+      i += 1;
+    } else if (QUOTE_PATTERN.test(line)) {
+      const quoted = [];
+      while (i < lines.length && QUOTE_PATTERN.test(lines[i])) {
+        quoted.push(QUOTE_PATTERN.exec(lines[i])[1]);
+        i += 1;
+      }
+      blocks.push(depth < MAX_DEPTH
+        ? { type: 'blockquote', children: parseBlocks(quoted, depth + 1) }
+        : { type: 'paragraph', children: parseInline(quoted.join('\n')) });
+    } else if (LIST_ITEM_PATTERN.test(line)) {
+      const ordered = /\d/.test(LIST_ITEM_PATTERN.exec(line)[1]);
+      const items = [];
+      let start = null;
+      while (i < lines.length) {
+        const item = LIST_ITEM_PATTERN.exec(lines[i]);
+        if (!item || /\d/.test(item[1]) !== ordered) break;
+        if (start === null && ordered) start = Number.parseInt(item[1], 10);
+        items.push({ type: 'listItem', children: parseInline(item[2]) });
+        i += 1;
+      }
+      blocks.push({ type: 'list', ordered, start: start || 1, children: items });
+    } else {
+      const paragraph = [];
+      while (i < lines.length && lines[i].trim() !== '' && !(paragraph.length > 0 && startsBlock(lines[i]))) {
+        paragraph.push(lines[i]);
+        i += 1;
+      }
+      blocks.push({ type: 'paragraph', children: parseInline(paragraph.join('\n')) });
+    }
+  }
+
+  return blocks;
+};
+
+/**
+ * Parse message text into block nodes
+ * @param {string} text - Message text
+ * @returns {Array} Block nodes (unsanitized)
+ */
+export const parseMarkdown = (text) => parseBlocks(String(text || '').split(/\r?\n/), 0);
+
+/**
+ * Rebuild a node tree from the allowlist
+ * Unknown node types are dropped, unknown fields are left behind, and links
+ * with unsafe URLs are replaced by their text.
+ * @param {Array} nodes - Parsed nodes
+ * @returns {Array} Sanitized nodes
+ */
+export const sanitize = (nodes) => (nodes || []).flatMap((node) => {
+  const fields = node && ALLOWED_NODES[node.type];
+  if (!fields) return [];
+
+  if (node.type === 'link') {
+    const href = safeUrl(node.href);
+    if (!href) return sanitize(node.children);
+    return [{ type: 'link', href, children: sanitize(node.children) }];
+  }
+
+  const clean = { type: node.type };
+  fields.forEach((field) => {
+    if (field === 'children') {
+      clean.children = sanitize(node.children);
+    } else if (field === 'lang') {
+      clean.lang = LANGUAGE_PATTERN.test(node.lang || '') ? node.lang : '';
+    } else if (field === 'text') {
+      clean.text = String(node.text ?? '');
+    } else if (field === 'ordered') {
+      clean.ordered = Boolean(node.ordered);
+    } else if (field === 'start') {
+      clean.start = Number.isInteger(node.start) ? node.start : 1;
+    }
+  });
+  return [clean];
+});
+
+/**
+ * Parse and sanitize message text
+ * @param {string} text - Message text
+ * @returns {Array} Block nodes safe to render
+ */
+export const renderableMarkdown = (text) => sanitize(parseMarkdown(text));
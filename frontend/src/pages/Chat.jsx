@@ -4,18 +4,112 @@
  * - Connects to socket.io server with JWT authentication
  * - Manages room switching
  * - Displays and sends messages
+ * - Opens message threads in a side panel
+ * - Reports read position and shows "seen by" receipts in small rooms
+ * - Shows who is typing in the current room
+ * - Shows the room's members and reports idle time for away status
+ * - Invites users to private rooms and handles leaving or being removed
+ * - Searches messages and jumps to a hit in context
+ * - Runs slash commands: the composer suggests them, and replies only the
+ *   sender sees are shown inline as ephemeral messages
+ * - Moderation: kick/ban/mute for owners and moderators, and explains kicks,
+ *   bans and mutes to the affected user
+ * - Room settings for the creator; follows renames and leaves rooms that
+ *   are archived or deleted
+ * - Shows the room's retention policy and drops messages it removed
+ * - Exports the room's history as a download
  * - Handles logout
  */
 
 import { useState, useEffect, useRef } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, Link } from 'react-router-dom';
 import { createSocket } from '../socket';
 import MessageList from '../components/MessageList';
 import MessageInput from '../components/MessageInput';
-import RoomSelector from '../components/RoomSelector';
-import { get } from '../api';
+import RoomSelector, { getRoomLabel } from '../components/RoomSelector';
+import ThreadPanel from '../components/ThreadPanel';
+import TypingIndicator from '../components/TypingIndicator';
+import MemberList from '../components/MemberList';
+import UserPicker from '../components/UserPicker';
+import SearchPanel from '../components/SearchPanel';
+import NotificationInbox from '../components/NotificationInbox';
+import RoomSettings, { describeRetention } from '../components/RoomSettings';
+import RoomExport from '../components/RoomExport';
+import { get, post, del, upload, refreshSession, clearTokens } from '../api';
 import '../styles.css';
 
+// Hide a typing indicator if the server's refresh or stop never arrives
+const TYPING_DISPLAY_MS = 6000;
+// How often idle time is reported to the server for away status
+const IDLE_REPORT_MS = 60 * 1000;
+// Longest delay setTimeout supports
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+// Messages fetched per page when scrolling back through history
+const HISTORY_PAGE_SIZE = 50;
+
+// Socket events for moderation actions picked in the member list
+const MODERATION_EVENTS = {
+  kick: 'kickUser',
+  ban: 'banUser',
+  mute: 'muteUser',
+  unmute: 'unmuteUser',
+  promote: 'addModerator',
+  demote: 'removeModerator',
+};
+
+// Past tense for moderation notices
+const MODERATION_VERBS = {
+  kick: 'kicked',
+  ban: 'banned',
+  unban: 'unbanned',
+  mute: 'muted',
+  unmute: 'unmuted',
+  promote: 'made a moderator',
+  demote: 'removed as moderator',
+};
+
+/**
+ * Describe when a ban or mute ends
+ * @param {string|null} expiresAt - Expiry date, or null for no expiry
+ * @returns {string} e.g. " until 5/1/2024, 10:00:00 AM", or "" when permanent
+ */
+export const formatExpiry = (expiresAt) => (
+  expiresAt ? ` until ${new Date(expiresAt).toLocaleString()}` : ''
+);
+
+/**
+ * Describe a change to the current room's details
+ * @param {Object} update - roomUpdated data ({ updatedBy, changes, name, topic, retention })
+ * @returns {string} Notice text, or "" when nothing changed
+ */
+export const describeRoomUpdate = ({ updatedBy, changes = [], name, topic, retention }) => {
+  const notices = [];
+  if (changes.includes('name')) {
+    notices.push(`${updatedBy} renamed the room to #${name}`);
+  }
+  if (changes.includes('topic')) {
+    notices.push(topic ? `${updatedBy} changed the topic to: ${topic}` : `${updatedBy} cleared the topic`);
+  }
+  if (changes.includes('retention')) {
+    notices.push(`${updatedBy} changed message retention: ${describeRetention(retention) || 'Messages are kept forever'}`);
+  }
+  if (notices.length === 0 && changes.length > 0) {
+    notices.push(`${updatedBy} updated the room details`);
+  }
+  return notices.join('. ');
+};
+
+/**
+ * Explain a kick or ban to the removed user
+ * @param {string} kind - 'kicked' or 'banned'
+ * @param {Object} data - Event data ({ room, by, reason, expiresAt })
+ * @returns {string}
+ */
+export const formatRemoval = (kind, { room, by, reason, expiresAt }) => (
+  `You were ${kind} from #${room} by ${by}${kind === 'banned' ? formatExpiry(expiresAt) : ''}`
+  + (reason ? `: ${reason}` : '')
+);
+
 const Chat = () => {
   const navigate = useNavigate();
   const [socket, setSocket] = useState(null);
@@ -24,7 +118,57 @@ const Chat = () => {
   const [connected, setConnected] = useState(false);
   const [error, setError] = useState('');
   const [currentUser, setCurrentUser] = useState(null);
+  const [activeThread, setActiveThread] = useState(null);
+  const [threadReplies, setThreadReplies] = useState([]);
+  const [threadHasMore, setThreadHasMore] = useState(false);
+  const [readers, setReaders] = useState(null);
+  const [roomInfo, setRoomInfo] = useState(null);
+  const [typingUsers, setTypingUsers] = useState([]);
+  const [showMembers, setShowMembers] = useState(true);
+  const [showInvite, setShowInvite] = useState(false);
+  const [showSettings, setShowSettings] = useState(false);
+  const [showExport, setShowExport] = useState(false);
+  const [notice, setNotice] = useState('');
+  const [role, setRole] = useState('member');
+  // undefined when not muted; null when muted without expiry
+  const [mutedUntil, setMutedUntil] = useState(undefined);
+  const [showSearch, setShowSearch] = useState(false);
+  const [highlightedId, setHighlightedId] = useState(null);
+  // True while showing older context around a search hit instead of the
+  // latest messages
+  const [viewingContext, setViewingContext] = useState(false);
+  // Cursor for the page of messages before the oldest one shown
+  const [olderCursor, setOlderCursor] = useState(null);
+  const [loadingOlder, setLoadingOlder] = useState(false);
+  // Slash commands offered by the composer
+  const [commands, setCommands] = useState([]);
   const socketRef = useRef(null);
+  // Socket handlers are registered once, so they read the current room and
+  // open thread from refs
+  const currentRoomRef = useRef(currentRoom);
+  const activeThreadIdRef = useRef(null);
+  const usernameRef = useRef(null);
+  const viewingContextRef = useRef(false);
+  // Search hit to show once the room it's in has been joined
+  const pendingJumpRef = useRef(null);
+  // Latest loadMessageContext, for the socket handlers registered on mount
+  const loadContextRef = useRef(null);
+  // username -> expiry timer for typing indicators
+  const typingTimersRef = useRef(new Map());
+  // New name of the current room after a rename, which the server has
+  // already moved this socket to, so the room isn't rejoined
+  const renamedRoomRef = useRef(null);
+  // Room this socket last joined, left when switching to another room
+  const joinedRoomRef = useRef(null);
+
+  /**
+   * Track whether older context is shown instead of the latest messages
+   * @param {boolean} value
+   */
+  const setContextMode = (value) => {
+    viewingContextRef.current = value;
+    setViewingContext(value);
+  };
 
   /**
    * Fetch current user info
@@ -34,6 +178,7 @@ const Chat = () => {
       try {
         const response = await get('/api/user');
         if (response.success) {
+          usernameRef.current = response.user.username;
           setCurrentUser(response.user);
         }
       } catch (err) {
@@ -43,6 +188,33 @@ const Chat = () => {
     fetchUser();
   }, []);
 
+  /**
+   * Fetch the slash commands for the composer's command palette
+   */
+  useEffect(() => {
+    const fetchCommands = async () => {
+      try {
+        const response = await get('/api/chat/commands');
+        if (response.success) {
+          setCommands(response.commands || []);
+        }
+      } catch (err) {
+        console.error('Failed to fetch commands:', err);
+      }
+    };
+    fetchCommands();
+  }, []);
+
+  /**
+   * Remove a user from the typing indicator
+   * @param {string} username - User who stopped typing
+   */
+  const clearTyping = (username) => {
+    clearTimeout(typingTimersRef.current.get(username));
+    typingTimersRef.current.delete(username);
+    setTypingUsers((prev) => prev.filter((name) => name !== username));
+  };
+
   /**
    * Initialize Socket.io connection on component mount
    */
@@ -68,21 +240,33 @@ const Chat = () => {
         setError('');
         
         // Join default room on connection
-        newSocket.emit('joinRoom', currentRoom);
+        newSocket.emit('joinRoom', currentRoomRef.current);
       });
 
-      newSocket.on('disconnect', () => {
+      newSocket.on('disconnect', (reason) => {
         console.log('Disconnected from server');
         setConnected(false);
+
+        // The server only drops a socket itself when its session was signed out
+        if (reason === 'io server disconnect') {
+          clearTokens();
+          navigate('/');
+        }
       });
 
-      newSocket.on('connect_error', (err) => {
+      newSocket.on('connect_error', async (err) => {
         console.error('Connection error:', err);
         const errorMessage = err.message || 'Failed to connect to server';
+
+        // The access token expired: refresh the session and reconnect with the new one
+        if (errorMessage.includes('Token expired') && await refreshSession()) {
+          newSocket.connect();
+          return;
+        }
         
         // If authentication error, clear token and redirect to login
         if (errorMessage.includes('Authentication') || errorMessage.includes('token')) {
-          localStorage.removeItem('token');
+          clearTokens();
           setError('Session expired. Please login again.');
           setTimeout(() => {
             navigate('/');
@@ -96,16 +280,194 @@ const Chat = () => {
       // Message event handlers
       newSocket.on('roomHistory', (data) => {
         console.log('Room history received:', data);
-        if (data.room === currentRoom) {
-          setMessages(data.messages || []);
+        if (data.room === currentRoomRef.current) {
+          const history = data.messages || [];
+          setMessages(history);
+          setOlderCursor(data.hasMore ? data.nextCursor : null);
+          setReaders(data.readers || null);
+          setRoomInfo(data.info || null);
+          setRole(data.role || 'member');
+          setMutedUntil(data.mutedUntil);
+          setHighlightedId(null);
+          setContextMode(false);
+
+          if (pendingJumpRef.current) {
+            const messageId = pendingJumpRef.current;
+            pendingJumpRef.current = null;
+            loadContextRef.current(messageId);
+          }
+
+          if (history.length > 0) {
+            newSocket.emit('markRead', { room: data.room, messageId: history[history.length - 1]._id });
+          }
         }
       });
 
       newSocket.on('message', (message) => {
         console.log('New message received:', message);
-        if (message.room === currentRoom) {
+        if (message.parentId) {
+          if (message.parentId === activeThreadIdRef.current) {
+            setThreadReplies((prev) => [...prev, message]);
+          }
+          return;
+        }
+        if (message.room === currentRoomRef.current) {
+          clearTyping(message.username);
+          // Older context is on screen; new messages show on returning to the latest
+          if (viewingContextRef.current) return;
           setMessages((prev) => [...prev, message]);
+          newSocket.emit('markRead', { room: message.room, messageId: message._id });
+        }
+      });
+
+      // Command replies are only shown to this tab and never stored
+      newSocket.on('commandReply', ({ room, parentId, text, ts }) => {
+        const reply = { room, parentId, text, ts, ephemeral: true };
+        if (parentId) {
+          if (parentId === activeThreadIdRef.current) {
+            setThreadReplies((prev) => [...prev, reply]);
+          }
+          return;
+        }
+        if (room === currentRoomRef.current) {
+          setMessages((prev) => [...prev, reply]);
+        }
+      });
+
+      newSocket.on('roomUpdated', ({ updatedBy, changes = [], previousName, ...info }) => {
+        const renamed = Boolean(previousName) && previousName === currentRoomRef.current;
+        if (info.name !== currentRoomRef.current && !renamed) return;
+
+        if (renamed) {
+          renamedRoomRef.current = info.name;
+          currentRoomRef.current = info.name;
+          setCurrentRoom(info.name);
+          setMessages((prev) => prev.map((m) => (m.room === previousName ? { ...m, room: info.name } : m)));
+        }
+        setRoomInfo((prev) => ({ ...prev, ...info }));
+
+        const description = describeRoomUpdate({ updatedBy, changes, ...info });
+        if (description) setNotice(description);
+      });
+
+      newSocket.on('messagesPruned', ({ room, messageIds }) => {
+        if (room !== currentRoomRef.current) return;
+        const pruned = new Set(messageIds);
+        setMessages((prev) => prev.filter((m) => !pruned.has(m._id)));
+        // Replies went with their thread
+        if (pruned.has(activeThreadIdRef.current)) closeThread();
+      });
+
+      newSocket.on('roomDeleted', ({ room, archived, deletedBy }) => {
+        if (room !== currentRoomRef.current) return;
+        // The creator knows what they just did
+        if (deletedBy !== usernameRef.current) {
+          setError(`#${room} was ${archived ? 'archived' : 'deleted'} by ${deletedBy}`);
+        }
+        setCurrentRoom('general');
+      });
+
+      newSocket.on('typingStart', ({ room, username }) => {
+        if (room !== currentRoomRef.current) return;
+        clearTimeout(typingTimersRef.current.get(username));
+        typingTimersRef.current.set(username, setTimeout(() => clearTyping(username), TYPING_DISPLAY_MS));
+        setTypingUsers((prev) => (prev.includes(username) ? prev : [...prev, username]));
+      });
+
+      newSocket.on('typingStop', ({ room, username }) => {
+        if (room !== currentRoomRef.current) return;
+        clearTyping(username);
+      });
+
+      newSocket.on('readReceipt', ({ room, username, lastReadAt }) => {
+        if (room !== currentRoomRef.current) return;
+        // Receipts are only tracked for small rooms, where history included readers
+        setReaders((prev) => (prev
+          ? [...prev.filter((r) => r.username !== username), { username, lastReadAt }]
+          : prev));
+      });
+
+      newSocket.on('messageUpdated', (updated) => {
+        const applyUpdate = (m) => (m._id === updated._id ? { ...m, ...updated } : m);
+        setMessages((prev) => prev.map(applyUpdate));
+        setThreadReplies((prev) => prev.map(applyUpdate));
+        setActiveThread((prev) => (prev ? applyUpdate(prev) : prev));
+      });
+
+      newSocket.on('messageDeleted', ({ _id, deletedAt }) => {
+        const applyDelete = (m) => (m._id === _id ? { ...m, text: '', deleted: true, deletedAt } : m);
+        setMessages((prev) => prev.map(applyDelete));
+        setThreadReplies((prev) => prev.map(applyDelete));
+        setActiveThread((prev) => (prev ? applyDelete(prev) : prev));
+      });
+
+      newSocket.on('reactionUpdated', ({ _id, reactions }) => {
+        const applyReactions = (m) => (m._id === _id ? { ...m, reactions } : m);
+        setMessages((prev) => prev.map(applyReactions));
+        setThreadReplies((prev) => prev.map(applyReactions));
+        setActiveThread((prev) => (prev ? applyReactions(prev) : prev));
+      });
+
+      newSocket.on('threadHistory', (data) => {
+        if (data.parent._id !== activeThreadIdRef.current) return;
+        setActiveThread(data.parent);
+        setThreadHasMore(data.hasMore);
+        // A non-zero skip means this page holds older replies
+        setThreadReplies((prev) => (data.skip > 0 ? [...data.replies, ...prev] : data.replies));
+      });
+
+      newSocket.on('threadUpdated', ({ _id, replyCount, lastReplyAt }) => {
+        const applyCounts = (m) => (m._id === _id ? { ...m, replyCount, lastReplyAt } : m);
+        setMessages((prev) => prev.map(applyCounts));
+        setActiveThread((prev) => (prev ? applyCounts(prev) : prev));
+      });
+
+      newSocket.on('removedFromRoom', ({ room, removedBy }) => {
+        if (room !== currentRoomRef.current) return;
+        // Leaving on purpose needs no explanation
+        if (removedBy !== usernameRef.current) {
+          setError(`You were removed from #${room} by ${removedBy}`);
         }
+        setCurrentRoom('general');
+      });
+
+      newSocket.on('kicked', (data) => {
+        if (data.room !== currentRoomRef.current) return;
+        setError(formatRemoval('kicked', data));
+        setCurrentRoom('general');
+      });
+
+      newSocket.on('banned', (data) => {
+        if (data.room !== currentRoomRef.current) return;
+        setError(formatRemoval('banned', data));
+        setCurrentRoom('general');
+      });
+
+      newSocket.on('muted', ({ room, by, reason, expiresAt }) => {
+        if (room !== currentRoomRef.current) return;
+        setMutedUntil(expiresAt);
+        setNotice(`You were muted by ${by}${formatExpiry(expiresAt)}${reason ? `: ${reason}` : ''}`);
+      });
+
+      newSocket.on('unmuted', ({ room, by }) => {
+        if (room !== currentRoomRef.current) return;
+        setMutedUntil(undefined);
+        setNotice(`You were unmuted by ${by}`);
+      });
+
+      newSocket.on('moderationAction', (action) => {
+        if (action.room !== currentRoomRef.current) return;
+        // The affected user gets a dedicated event instead
+        if (action.username === usernameRef.current) {
+          if (action.role) setRole(action.role);
+          if (action.action !== 'promote' && action.action !== 'demote') return;
+        }
+        setNotice(`${action.username} was ${MODERATION_VERBS[action.action]} by ${action.by}`);
+      });
+
+      // Sent to the room's owner wherever they are
+      newSocket.on('webhookDisabled', ({ room, url, reason }) => {
+        setNotice(`A webhook for #${room} (${url}) was disabled: ${reason}`);
       });
 
       newSocket.on('error', (errorData) => {
@@ -115,6 +477,8 @@ const Chat = () => {
 
       // Cleanup on unmount
       return () => {
+        typingTimersRef.current.forEach((timer) => clearTimeout(timer));
+        typingTimersRef.current.clear();
         if (newSocket) {
           newSocket.disconnect();
         }
@@ -125,48 +489,432 @@ const Chat = () => {
     }
   }, []); // Run only on mount
 
+  /**
+   * Report idle time so the server can mark the user away
+   * Sends the idle time periodically, and right away when activity resumes
+   * after an idle report.
+   */
+  useEffect(() => {
+    if (!socket || !connected) return undefined;
+
+    let lastActivity = Date.now();
+    let reportedIdle = false;
+
+    const handleActivity = () => {
+      lastActivity = Date.now();
+      if (reportedIdle) {
+        reportedIdle = false;
+        socket.emit('reportIdle', { idleMs: 0 });
+      }
+    };
+
+    const interval = setInterval(() => {
+      const idleMs = Date.now() - lastActivity;
+      reportedIdle = idleMs >= IDLE_REPORT_MS;
+      socket.emit('reportIdle', { idleMs });
+    }, IDLE_REPORT_MS);
+
+    const events = ['mousemove', 'keydown', 'focus', 'touchstart'];
+    events.forEach((event) => window.addEventListener(event, handleActivity));
+
+    return () => {
+      clearInterval(interval);
+      events.forEach((event) => window.removeEventListener(event, handleActivity));
+    };
+  }, [socket, connected]);
+
   /**
    * Handle room change
    * Leaves current room and joins new room
    */
   useEffect(() => {
+    currentRoomRef.current = currentRoom;
+
+    // Following a rename: same room, already joined under its new name
+    if (renamedRoomRef.current === currentRoom) {
+      renamedRoomRef.current = null;
+      joinedRoomRef.current = currentRoom;
+      return;
+    }
+
     if (socket && connected && currentRoom) {
       // Leave previous room
-      socket.emit('leaveRoom', currentRoom);
+      const previousRoom = joinedRoomRef.current;
+      if (previousRoom && previousRoom !== currentRoom) {
+        socket.emit('leaveRoom', previousRoom);
+      }
+      joinedRoomRef.current = currentRoom;
       
       // Clear messages for room switch
       setMessages([]);
+      setOlderCursor(null);
+      setLoadingOlder(false);
+      setReaders(null);
+      setRoomInfo(null);
+      typingTimersRef.current.forEach((timer) => clearTimeout(timer));
+      typingTimersRef.current.clear();
+      setTypingUsers([]);
+      setShowInvite(false);
+      setShowSettings(false);
+      setShowExport(false);
+      setNotice('');
+      setRole('member');
+      setMutedUntil(undefined);
+      setHighlightedId(null);
+      setContextMode(false);
+      closeThread();
       
       // Join new room
       socket.emit('joinRoom', currentRoom);
     }
   }, [currentRoom, socket, connected]);
 
+  /**
+   * Lift a timed mute locally once it expires
+   */
+  useEffect(() => {
+    if (!mutedUntil) return undefined;
+
+    const remainingMs = new Date(mutedUntil) - Date.now();
+    // setTimeout can't wait longer than ~24.8 days; the next room join refreshes it
+    if (remainingMs > MAX_TIMEOUT_MS) return undefined;
+
+    const timer = setTimeout(() => setMutedUntil(undefined), remainingMs);
+    return () => clearTimeout(timer);
+  }, [mutedUntil]);
+
+  const isMuted = mutedUntil !== undefined;
+
+  /**
+   * Usernames that have read up to the latest message (small rooms only)
+   */
+  const lastMessage = messages.findLast((m) => !m.ephemeral);
+  const seenBy = readers && lastMessage
+    ? readers
+      .filter((r) => r.username !== lastMessage.username && r.username !== currentUser?.username)
+      .filter((r) => new Date(r.lastReadAt) >= new Date(lastMessage.ts))
+      .map((r) => r.username)
+    : [];
+
   /**
    * Handle sending a message
    * @param {string} text - Message text
+   * @param {string[]} [attachmentIds] - Uploaded attachments to send with it
    */
-  const handleSendMessage = (text) => {
+  const handleSendMessage = (text, attachmentIds) => {
     if (socket && connected && currentRoom) {
       socket.emit('chatMessage', {
         room: currentRoom,
         text: text,
+        ...(attachmentIds && { attachmentIds }),
       });
     }
   };
 
+  /**
+   * Upload a file to attach to a message in the current room
+   * @param {File} file - File to upload
+   * @param {Function} onProgress - Called with the fraction uploaded
+   * @returns {Promise<Object>} Uploaded attachment
+   */
+  const handleUpload = async (file, onProgress) => {
+    const response = await upload('/api/attachments', file, { room: currentRoom }, onProgress);
+    if (!response.success) {
+      throw new Error(response.message || 'Upload failed');
+    }
+    return response.attachment;
+  };
+
+  /**
+   * Open a message's thread in the side panel and load its replies
+   * @param {Object} message - Top-level message
+   */
+  const openThread = (message) => {
+    activeThreadIdRef.current = message._id;
+    setActiveThread(message);
+    setThreadReplies([]);
+    setThreadHasMore(false);
+
+    if (socket && connected) {
+      socket.emit('getThread', { messageId: message._id });
+    }
+  };
+
+  /**
+   * Close the thread side panel
+   */
+  const closeThread = () => {
+    activeThreadIdRef.current = null;
+    setActiveThread(null);
+    setThreadReplies([]);
+    setThreadHasMore(false);
+  };
+
+  /**
+   * Load older replies in the open thread
+   */
+  const loadEarlierReplies = () => {
+    if (socket && connected && activeThread) {
+      socket.emit('getThread', { messageId: activeThread._id, skip: threadReplies.length });
+    }
+  };
+
+  /**
+   * Handle sending a reply in the open thread
+   * @param {string} text - Reply text
+   */
+  const handleSendReply = (text) => {
+    if (socket && connected && activeThread) {
+      socket.emit('chatMessage', {
+        room: activeThread.room || currentRoom,
+        text,
+        parentId: activeThread._id,
+      });
+    }
+  };
+
+  /**
+   * Report that the current user started or stopped typing
+   */
+  const handleTypingStart = () => {
+    if (socket && connected) {
+      socket.emit('typingStart', { room: currentRoom });
+    }
+  };
+
+  const handleTypingStop = () => {
+    if (socket && connected) {
+      socket.emit('typingStop', { room: currentRoom });
+    }
+  };
+
+  /**
+   * Handle editing one of the current user's messages
+   * @param {string} messageId - Message ID
+   * @param {string} text - New message text
+   */
+  const handleEditMessage = (messageId, text) => {
+    if (socket && connected) {
+      socket.emit('editMessage', { messageId, text });
+    }
+  };
+
+  /**
+   * Handle deleting one of the current user's messages
+   * @param {string} messageId - Message ID
+   */
+  const handleDeleteMessage = (messageId) => {
+    if (socket && connected) {
+      socket.emit('deleteMessage', { messageId });
+    }
+  };
+
+  /**
+   * Handle adding or removing the current user's reaction
+   * @param {string} messageId - Message ID
+   * @param {string} emoji - Reaction emoji
+   * @param {boolean} add - true to add the reaction, false to remove it
+   */
+  const handleToggleReaction = (messageId, emoji, add) => {
+    if (socket && connected) {
+      socket.emit(add ? 'addReaction' : 'removeReaction', { messageId, emoji });
+    }
+  };
+
+  const isPrivateRoom = Boolean(
+    roomInfo && roomInfo.name === currentRoom && roomInfo.visibility === 'private'
+  );
+  const isRoomCreator = Boolean(
+    isPrivateRoom && currentUser && roomInfo.createdBy === currentUser._id
+  );
+  const canManageRoom = Boolean(
+    roomInfo && roomInfo.name === currentRoom && roomInfo.type !== 'direct'
+    && currentUser && roomInfo.createdBy === currentUser._id
+  );
+
+  /**
+   * Invite a user to the current private room
+   * @param {string} username - User to invite
+   */
+  const handleInvite = async (username) => {
+    setError('');
+    setNotice('');
+
+    try {
+      const response = await post(`/rooms/${encodeURIComponent(currentRoom)}/invitations`, { username });
+      if (response.success) {
+        setNotice(`Invited ${username} to #${currentRoom}`);
+        setShowInvite(false);
+      } else {
+        setError(response.message || 'Failed to send invitation');
+      }
+    } catch (err) {
+      console.error('Error inviting user:', err);
+      setError(err.message || 'Failed to send invitation');
+    }
+  };
+
+  /**
+   * Remove a member from the current private room
+   * Removing yourself leaves the room; the server's removedFromRoom event
+   * switches rooms.
+   * @param {string} username - Member to remove
+   */
+  const handleRemoveMember = async (username) => {
+    setError('');
+
+    try {
+      const response = await del(
+        `/rooms/${encodeURIComponent(currentRoom)}/members/${encodeURIComponent(username)}`
+      );
+      if (!response.success) {
+        setError(response.message || 'Failed to remove member');
+      }
+    } catch (err) {
+      console.error('Error removing member:', err);
+      setError(err.message || 'Failed to remove member');
+    }
+  };
+
+  /**
+   * Apply a moderation action to a member of the current room
+   * @param {string} username - Target member
+   * @param {string} action - kick, ban, mute, unmute, promote or demote
+   * @param {number|null} durationMinutes - Ban or mute length (null never expires)
+   */
+  const handleModerate = (username, action, durationMinutes) => {
+    if (socket && connected) {
+      socket.emit(MODERATION_EVENTS[action], {
+        room: currentRoom,
+        username,
+        ...((action === 'ban' || action === 'mute') && { durationMinutes }),
+      });
+    }
+  };
+
+  /**
+   * Show the messages around a message in the current room
+   * Thread replies are shown around their parent, with the thread open.
+   * @param {string} messageId - Message to jump to
+   */
+  const loadMessageContext = async (messageId) => {
+    try {
+      const response = await get(`/api/chat/messages/${messageId}/context`);
+      if (!response.success) {
+        setError(response.message || 'Failed to load message');
+        return;
+      }
+      if (response.room !== currentRoomRef.current) return;
+
+      setMessages(response.messages);
+      setOlderCursor(response.hasMoreBefore ? response.beforeCursor : null);
+      setHighlightedId(response.anchorId);
+      setContextMode(response.hasMoreAfter);
+
+      if (response.parentId) {
+        const parent = response.messages.find((m) => m._id === response.anchorId);
+        if (parent) openThread(parent);
+      }
+    } catch (err) {
+      console.error('Error loading message context:', err);
+      setError(err.message || 'Failed to load message');
+    }
+  };
+  loadContextRef.current = loadMessageContext;
+
+  /**
+   * Load the page of messages before the oldest one shown
+   */
+  const loadOlderMessages = async () => {
+    if (!olderCursor || loadingOlder) return;
+
+    const room = currentRoom;
+    setLoadingOlder(true);
+
+    try {
+      const params = new URLSearchParams({ room, before: olderCursor, limit: String(HISTORY_PAGE_SIZE) });
+      const response = await get(`/api/chat/messages?${params.toString()}`);
+      if (room !== currentRoomRef.current) return;
+
+      if (response.success) {
+        setMessages((prev) => {
+          const shown = new Set(prev.map((m) => m._id));
+          return [...response.messages.filter((m) => !shown.has(m._id)), ...prev];
+        });
+        setOlderCursor(response.hasMore ? response.nextCursor : null);
+      } else {
+        setError(response.message || 'Failed to load older messages');
+      }
+    } catch (err) {
+      console.error('Error loading older messages:', err);
+      setError(err.message || 'Failed to load older messages');
+    } finally {
+      if (room === currentRoomRef.current) {
+        setLoadingOlder(false);
+      }
+    }
+  };
+
+  /**
+   * Jump to a search hit, switching rooms first if needed
+   * @param {Object} result - Search result message
+   */
+  const jumpToMessage = (result) => {
+    if (result.room === currentRoom) {
+      loadMessageContext(result._id);
+    } else {
+      pendingJumpRef.current = result._id;
+      setCurrentRoom(result.room);
+    }
+  };
+
+  /**
+   * Jump to the message a notification is about
+   * @param {Object} notification - Notification from the inbox
+   */
+  const openNotification = (notification) => {
+    jumpToMessage({ room: notification.room, _id: notification.messageId });
+  };
+
+  /**
+   * Usernames starting with a prefix, for mention autocomplete
+   * @param {string} prefix - Partial username
+   * @returns {Promise<string[]>}
+   */
+  const searchUsers = async (prefix) => {
+    const params = new URLSearchParams({ search: prefix, limit: '5' });
+    const response = await get(`/api/users?${params.toString()}`);
+    return response.success ? response.users.map((user) => user.username) : [];
+  };
+
+  /**
+   * Leave older context and reload the latest messages
+   */
+  const returnToLatest = () => {
+    if (socket && connected) {
+      socket.emit('joinRoom', currentRoom);
+    }
+  };
+
   /**
    * Handle logout
-   * Clears token and redirects to login
+   * Ends the session on the server, clears tokens and redirects to login
    */
-  const handleLogout = () => {
+  const handleLogout = async () => {
+    // End the session so its tokens stop working everywhere
+    try {
+      await post('/auth/logout');
+    } catch (err) {
+      console.error('Error logging out:', err);
+    }
+
     // Disconnect socket
     if (socket) {
       socket.disconnect();
     }
     
-    // Clear token
-    localStorage.removeItem('token');
+    // Clear tokens
+    clearTokens();
     
     // Redirect to login
     navigate('/');
@@ -197,11 +945,23 @@ const Chat = () => {
           </div>
         </div>
 
+        <NotificationInbox socket={socket} onOpen={openNotification} />
+
         <RoomSelector
           currentRoom={currentRoom}
           onRoomChange={setCurrentRoom}
+          socket={socket}
+          currentUser={currentUser}
         />
 
+        <Link to="/settings/sessions" className="sidebar-link">
+          Sessions
+        </Link>
+
+        <Link to="/settings/tokens" className="sidebar-link">
+          Developer tokens
+        </Link>
+
         <button className="btn btn-logout" onClick={handleLogout}>
           Logout
         </button>
@@ -209,18 +969,168 @@ const Chat = () => {
 
       <div className="chat-main">
         <div className="chat-room-header">
-          <h2>#{currentRoom}</h2>
+          <h2 title={(roomInfo && roomInfo.name === currentRoom && roomInfo.description) || undefined}>
+            {roomInfo && roomInfo.name === currentRoom && roomInfo.icon && (
+              <span className="chat-room-icon" aria-hidden="true">{roomInfo.icon}</span>
+            )}
+            {roomInfo && roomInfo.name === currentRoom
+              ? getRoomLabel(roomInfo, currentUser)
+              : `#${currentRoom}`}
+          </h2>
+          {roomInfo && roomInfo.name === currentRoom && roomInfo.topic && (
+            <span className="chat-room-topic" title={roomInfo.topic}>{roomInfo.topic}</span>
+          )}
+          {roomInfo && roomInfo.name === currentRoom && roomInfo.retention && (
+            <span className="chat-room-retention" data-testid="retention-notice">
+              {describeRetention(roomInfo.retention)}
+            </span>
+          )}
+          <button
+            type="button"
+            className="btn-header"
+            onClick={() => setShowMembers(!showMembers)}
+            aria-pressed={showMembers}
+          >
+            Members
+          </button>
+          <button
+            type="button"
+            className="btn-header"
+            onClick={() => setShowSearch(!showSearch)}
+            aria-pressed={showSearch}
+          >
+            Search
+          </button>
+          <button
+            type="button"
+            className="btn-header"
+            onClick={() => setShowExport(!showExport)}
+            aria-pressed={showExport}
+          >
+            Export
+          </button>
+          {canManageRoom && (
+            <button
+              type="button"
+              className="btn-header"
+              onClick={() => setShowSettings(!showSettings)}
+              aria-pressed={showSettings}
+            >
+              Settings
+            </button>
+          )}
+          {isPrivateRoom && (
+            <>
+              <button
+                type="button"
+                className="btn-header"
+                onClick={() => setShowInvite(!showInvite)}
+                aria-pressed={showInvite}
+              >
+                Invite
+              </button>
+              <button
+                type="button"
+                className="btn-header"
+                onClick={() => currentUser && handleRemoveMember(currentUser.username)}
+              >
+                Leave
+              </button>
+            </>
+          )}
         </div>
 
+        {showInvite && isPrivateRoom && (
+          <div className="room-invite-picker">
+            <UserPicker onSelect={handleInvite} />
+          </div>
+        )}
+
+        {showSettings && canManageRoom && (
+          <RoomSettings key={roomInfo.name} room={roomInfo} onClose={() => setShowSettings(false)} />
+        )}
+
+        {showExport && (
+          <RoomExport room={currentRoom} onClose={() => setShowExport(false)} />
+        )}
+
         {error && <div className="error-message">{error}</div>}
+        {notice && <div className="notice-message">{notice}</div>}
+        {isMuted && (
+          <div className="muted-banner" data-testid="muted-banner">
+            You are muted in this room{formatExpiry(mutedUntil)}
+          </div>
+        )}
 
-        <MessageList messages={messages} currentUser={currentUser} />
+        <MessageList
+          messages={messages}
+          currentUser={currentUser}
+          onEditMessage={handleEditMessage}
+          onDeleteMessage={handleDeleteMessage}
+          onOpenThread={openThread}
+          onToggleReaction={handleToggleReaction}
+          seenBy={seenBy}
+          highlightedId={highlightedId}
+          hasMoreOlder={Boolean(olderCursor)}
+          loadingOlder={loadingOlder}
+          onLoadOlder={loadOlderMessages}
+        />
+
+        {viewingContext && (
+          <button type="button" className="jump-to-latest" onClick={returnToLatest}>
+            Jump to latest messages
+          </button>
+        )}
+
+        <TypingIndicator usernames={typingUsers} />
 
         <MessageInput
+          key={currentRoom}
           onSendMessage={handleSendMessage}
-          disabled={!connected}
+          onUpload={handleUpload}
+          onSearchUsers={searchUsers}
+          commands={commands}
+          disabled={!connected || isMuted}
+          onTypingStart={handleTypingStart}
+          onTypingStop={handleTypingStop}
         />
       </div>
+
+      {showSearch && !activeThread && (
+        <SearchPanel
+          currentRoom={currentRoom}
+          onJump={jumpToMessage}
+          onClose={() => setShowSearch(false)}
+        />
+      )}
+
+      {showMembers && !showSearch && !activeThread && (
+        <MemberList
+          room={currentRoom}
+          socket={socket}
+          currentUser={currentUser}
+          currentRole={role}
+          onRemoveMember={isRoomCreator ? handleRemoveMember : undefined}
+          onModerate={role !== 'member' ? handleModerate : undefined}
+        />
+      )}
+
+      {activeThread && (
+        <ThreadPanel
+          parent={activeThread}
+          replies={threadReplies}
+          hasMore={threadHasMore}
+          currentUser={currentUser}
+          disabled={!connected}
+          onClose={closeThread}
+          onSendReply={handleSendReply}
+          commands={commands}
+          onLoadMore={loadEarlierReplies}
+          onEditMessage={handleEditMessage}
+          onDeleteMessage={handleDeleteMessage}
+          onToggleReaction={handleToggleReaction}
+        />
+      )}
     </div>
   );
 };
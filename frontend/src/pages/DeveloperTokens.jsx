@@ -0,0 +1,236 @@
+/**
+ * Developer Tokens Page
+ * Manages the user's personal access tokens for scripts calling the REST API
+ * Creates tokens with chosen scopes and an expiry (showing the token once),
+ * lists them with their last use, and revokes them after a confirmation step.
+ */
+
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { get, post, del } from '../api';
+import '../styles.css';
+
+export const TOKEN_SCOPES = [
+  { scope: 'messages:read', label: 'Read messages, threads, search and attachments' },
+  { scope: 'messages:write', label: 'Post, edit, delete and react to messages' },
+  { scope: 'rooms:read', label: 'List rooms, members and invitations' },
+  { scope: 'rooms:admin', label: 'Create, change and moderate rooms and their integrations' },
+];
+
+export const EXPIRY_OPTIONS = [
+  { days: 7, label: '7 days' },
+  { days: 30, label: '30 days' },
+  { days: 90, label: '90 days' },
+  { days: 365, label: '1 year' },
+  { days: null, label: 'Never' },
+];
+
+/**
+ * Describe when a token expires
+ * @param {string|null} expiresAt - Expiry from the API
+ * @param {Date} [now] - Current time
+ * @returns {string} e.g. "Expires 3/1/2025" or "Never expires"
+ */
+export const describeExpiry = (expiresAt, now = new Date()) => {
+  if (!expiresAt) return 'Never expires';
+  const date = new Date(expiresAt);
+  return date <= now ? 'Expired' : `Expires ${date.toLocaleDateString()}`;
+};
+
+const DeveloperTokens = () => {
+  const [tokens, setTokens] = useState([]);
+  const [name, setName] = useState('');
+  const [scopes, setScopes] = useState(['messages:read']);
+  const [expiresInDays, setExpiresInDays] = useState(30);
+  // Token just created; the server never shows it again
+  const [created, setCreated] = useState(null);
+  const [revoking, setRevoking] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+
+    get('/api/tokens')
+      .then((response) => {
+        if (cancelled) return;
+        if (response.success) {
+          setTokens(response.tokens);
+        } else {
+          setError(response.message || 'Failed to load tokens');
+        }
+      })
+      .catch((err) => {
+        console.error('Error loading tokens:', err);
+        if (!cancelled) setError(err.message || 'Failed to load tokens');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const toggleScope = (scope) => {
+    setScopes((prev) => (prev.includes(scope)
+      ? prev.filter((existing) => existing !== scope)
+      : [...prev, scope]));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError('');
+
+    try {
+      const response = await post('/api/tokens', { name: name.trim(), scopes, expiresInDays });
+      if (response.success) {
+        setTokens((prev) => [response.token, ...prev]);
+        setCreated({ name: response.token.name, secret: response.secret });
+        setName('');
+      } else {
+        setError(response.message || 'Failed to create token');
+      }
+    } catch (err) {
+      console.error('Error creating token:', err);
+      setError(err.message || 'Failed to create token');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRevoke = async (token) => {
+    setBusy(true);
+    setError('');
+
+    try {
+      const response = await del(`/api/tokens/${token._id}`);
+      if (response.success) {
+        setTokens((prev) => prev.filter((existing) => existing._id !== token._id));
+      } else {
+        setError(response.message || 'Failed to revoke token');
+      }
+    } catch (err) {
+      console.error('Error revoking token:', err);
+      setError(err.message || 'Failed to revoke token');
+    } finally {
+      setBusy(false);
+      setRevoking(null);
+    }
+  };
+
+  return (
+    <div className="settings-page">
+      <div className="settings-card">
+        <div className="settings-header">
+          <h1>Developer tokens</h1>
+          <Link to="/chat" className="btn btn-small">Back to chat</Link>
+        </div>
+
+        <p className="settings-intro">
+          Personal access tokens let scripts call the REST API as you, limited to the scopes you choose.
+          Send one as <code>Authorization: Bearer &lt;token&gt;</code>.
+        </p>
+
+        {created && (
+          <div className="settings-secret" role="status">
+            <span>Token for {created.name}. Copy it now; it won&apos;t be shown again.</span>
+            <code>{created.secret}</code>
+            <button type="button" className="btn btn-small" onClick={() => setCreated(null)}>
+              Done
+            </button>
+          </div>
+        )}
+
+        <form className="settings-form" onSubmit={handleCreate}>
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="e.g. Backup script"
+            aria-label="Token name"
+            maxLength={50}
+            required
+          />
+          <fieldset>
+            <legend>Scopes</legend>
+            {TOKEN_SCOPES.map((option) => (
+              <label key={option.scope}>
+                <input
+                  type="checkbox"
+                  checked={scopes.includes(option.scope)}
+                  onChange={() => toggleScope(option.scope)}
+                />
+                <code>{option.scope}</code> {option.label}
+              </label>
+            ))}
+          </fieldset>
+          <label>
+            Expires after{' '}
+            <select
+              value={expiresInDays ?? ''}
+              onChange={(e) => setExpiresInDays(e.target.value ? Number(e.target.value) : null)}
+            >
+              {EXPIRY_OPTIONS.map((option) => (
+                <option key={option.label} value={option.days ?? ''}>{option.label}</option>
+              ))}
+            </select>
+          </label>
+          <button type="submit" className="btn btn-small" disabled={busy || !name.trim() || scopes.length === 0}>
+            Create token
+          </button>
+        </form>
+
+        {error && <div className="error-message">{error}</div>}
+
+        {tokens.length === 0 && <p className="settings-empty">No tokens yet.</p>}
+
+        <ul className="settings-list">
+          {tokens.map((token) => (
+            <li key={token._id}>
+              <div className="settings-item-summary">
+                <strong>{token.name}</strong>
+                <code>{token.tokenPrefix}…</code>
+                <span>{token.scopes.join(', ')}</span>
+                <span>{describeExpiry(token.expiresAt)}</span>
+                <span>
+                  {token.lastUsedAt
+                    ? `Last used ${new Date(token.lastUsedAt).toLocaleString()}`
+                    : 'Never used'}
+                </span>
+              </div>
+              <div className="settings-item-actions">
+                {revoking === token._id ? (
+                  <>
+                    <span>Revoke {token.name}? Scripts using it will stop working.</span>
+                    <button
+                      type="button"
+                      className="btn btn-small btn-danger"
+                      onClick={() => handleRevoke(token)}
+                      disabled={busy}
+                    >
+                      Revoke
+                    </button>
+                    <button type="button" className="btn btn-small" onClick={() => setRevoking(null)}>
+                      Keep
+                    </button>
+                  </>
+                ) : (
+                  <button
+                    type="button"
+                    className="btn btn-small btn-danger"
+                    onClick={() => setRevoking(token._id)}
+                    disabled={busy}
+                  >
+                    Revoke
+                  </button>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+export default DeveloperTokens;
@@ -39,6 +39,9 @@ const Login = () => {
 
       if (response.success && response.token) {
         localStorage.setItem('token', response.token);
+        if (response.refreshToken) {
+          localStorage.setItem('refreshToken', response.refreshToken);
+        }
         navigate('/chat');
       } else {
         setError(response.message || 'Login failed');
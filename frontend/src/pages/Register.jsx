@@ -45,6 +45,9 @@ const Register = () => {
       if (response.success) {
         if (response.token) {
             localStorage.setItem('token', response.token);
+            if (response.refreshToken) {
+              localStorage.setItem('refreshToken', response.refreshToken);
+            }
             navigate('/chat');
         } else {
             navigate('/');
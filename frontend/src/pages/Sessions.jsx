@@ -0,0 +1,224 @@
+/**
+ * Sessions Page
+ * Lists the devices signed in to the user's account, with their browser,
+ * IP address, sign-in time and last activity, and signs them out: one at a
+ * time or everywhere at once (after a confirmation step). Signed-out
+ * devices lose their connection immediately.
+ */
+
+import { useState, useEffect } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { get, del, clearTokens } from '../api';
+import '../styles.css';
+
+// Checked in order: Edge and Opera also mention Chrome, and Chrome mentions Safari
+const BROWSERS = [
+  { pattern: /Edg\//, name: 'Edge' },
+  { pattern: /OPR\//, name: 'Opera' },
+  { pattern: /Firefox\//, name: 'Firefox' },
+  { pattern: /Chrome\//, name: 'Chrome' },
+  { pattern: /Safari\//, name: 'Safari' },
+];
+
+const SYSTEMS = [
+  { pattern: /Android/, name: 'Android' },
+  { pattern: /iPhone|iPad/, name: 'iOS' },
+  { pattern: /Windows/, name: 'Windows' },
+  { pattern: /Mac OS X/, name: 'macOS' },
+  { pattern: /Linux/, name: 'Linux' },
+];
+
+/**
+ * Describe the device a session was signed in from
+ * @param {string} userAgent - User agent recorded for the session
+ * @returns {string} e.g. "Firefox on Windows", or the user agent itself if unrecognized
+ */
+export const describeDevice = (userAgent) => {
+  if (!userAgent) return 'Unknown device';
+
+  const browser = BROWSERS.find(({ pattern }) => pattern.test(userAgent));
+  const system = SYSTEMS.find(({ pattern }) => pattern.test(userAgent));
+
+  if (browser && system) return `${browser.name} on ${system.name}`;
+  return browser?.name || system?.name || userAgent;
+};
+
+const Sessions = () => {
+  const navigate = useNavigate();
+  const [sessions, setSessions] = useState([]);
+  const [loaded, setLoaded] = useState(false);
+  const [revoking, setRevoking] = useState(null);
+  const [confirmAll, setConfirmAll] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+
+    get('/api/sessions')
+      .then((response) => {
+        if (cancelled) return;
+        if (response.success) {
+          setSessions(response.sessions);
+        } else {
+          setError(response.message || 'Failed to load sessions');
+        }
+        setLoaded(true);
+      })
+      .catch((err) => {
+        console.error('Error loading sessions:', err);
+        if (!cancelled) setError(err.message || 'Failed to load sessions');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  /**
+   * Forget this device's tokens after its session was revoked
+   */
+  const signOutHere = () => {
+    clearTokens();
+    navigate('/');
+  };
+
+  const handleRevoke = async (session) => {
+    setBusy(true);
+    setError('');
+
+    try {
+      const response = await del(`/api/sessions/${session._id}`);
+      if (response.success) {
+        if (session.current) {
+          signOutHere();
+          return;
+        }
+        setSessions((prev) => prev.filter((existing) => existing._id !== session._id));
+      } else {
+        setError(response.message || 'Failed to sign out the session');
+      }
+    } catch (err) {
+      console.error('Error revoking session:', err);
+      setError(err.message || 'Failed to sign out the session');
+    } finally {
+      setBusy(false);
+      setRevoking(null);
+    }
+  };
+
+  const handleRevokeAll = async () => {
+    setBusy(true);
+    setError('');
+
+    try {
+      const response = await del('/api/sessions');
+      if (response.success) {
+        signOutHere();
+        return;
+      }
+      setError(response.message || 'Failed to sign out everywhere');
+    } catch (err) {
+      console.error('Error signing out everywhere:', err);
+      setError(err.message || 'Failed to sign out everywhere');
+    } finally {
+      setBusy(false);
+      setConfirmAll(false);
+    }
+  };
+
+  return (
+    <div className="settings-page">
+      <div className="settings-card">
+        <div className="settings-header">
+          <h1>Sessions</h1>
+          <Link to="/chat" className="btn btn-small">Back to chat</Link>
+        </div>
+
+        <p className="settings-intro">
+          These devices are signed in to your account. Sign out any you don&apos;t recognize,
+          or that you no longer have; they are disconnected straight away.
+        </p>
+
+        <div className="settings-item-actions">
+          {confirmAll ? (
+            <>
+              <span>Sign out of every device, including this one?</span>
+              <button
+                type="button"
+                className="btn btn-small btn-danger"
+                onClick={handleRevokeAll}
+                disabled={busy}
+              >
+                Sign out everywhere
+              </button>
+              <button type="button" className="btn btn-small" onClick={() => setConfirmAll(false)}>
+                Cancel
+              </button>
+            </>
+          ) : (
+            <button
+              type="button"
+              className="btn btn-small btn-danger"
+              onClick={() => setConfirmAll(true)}
+              disabled={busy || sessions.length === 0}
+            >
+              Sign out everywhere
+            </button>
+          )}
+        </div>
+
+        {error && <div className="error-message">{error}</div>}
+
+        {loaded && sessions.length === 0 && <p className="settings-empty">No active sessions.</p>}
+
+        <ul className="settings-list">
+          {sessions.map((session) => (
+            <li key={session._id}>
+              <div className="settings-item-summary">
+                <strong title={session.userAgent || undefined}>{describeDevice(session.userAgent)}</strong>
+                {session.current && <span className="settings-badge">This device</span>}
+                <span>{session.ip || 'Unknown IP'}</span>
+                <span>Signed in {new Date(session.createdAt).toLocaleString()}</span>
+                <span>Last active {new Date(session.lastSeenAt).toLocaleString()}</span>
+              </div>
+              <div className="settings-item-actions">
+                {revoking === session._id ? (
+                  <>
+                    <span>
+                      {session.current
+                        ? 'Sign out of this device?'
+                        : `Sign out ${describeDevice(session.userAgent)}?`}
+                    </span>
+                    <button
+                      type="button"
+                      className="btn btn-small btn-danger"
+                      onClick={() => handleRevoke(session)}
+                      disabled={busy}
+                    >
+                      Sign out
+                    </button>
+                    <button type="button" className="btn btn-small" onClick={() => setRevoking(null)}>
+                      Keep
+                    </button>
+                  </>
+                ) : (
+                  <button
+                    type="button"
+                    className="btn btn-small btn-danger"
+                    onClick={() => setRevoking(session._id)}
+                    disabled={busy}
+                  >
+                    Sign out
+                  </button>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+export default Sessions;
@@ -5,6 +5,7 @@
 
 import { describe, it, expect, vi, beforeEach } from 'vitest';
 import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
 import { BrowserRouter } from 'react-router-dom';
 import Chat from '../Chat';
 import * as socketModule from '../../socket';
@@ -19,6 +20,7 @@ const mockSocket = {
     }
     return mockSocket;
   }),
+  off: vi.fn(),
   emit: vi.fn(),
   disconnect: vi.fn(),
   id: 'test-socket-id',
@@ -32,6 +34,10 @@ vi.mock('../../socket', () => ({
 vi.mock('../../api', () => ({
   get: vi.fn(),
   post: vi.fn(),
+  del: vi.fn(),
+  upload: vi.fn(),
+  refreshSession: vi.fn(),
+  clearTokens: vi.fn(),
 }));
 
 // Mock react-router-dom navigate
@@ -138,6 +144,68 @@ describe('Chat', () => {
     });
   });
 
+  it('leaves the previous room when switching rooms', async () => {
+    const user = userEvent.setup();
+    api.get.mockImplementation((endpoint) => Promise.resolve(endpoint === '/rooms'
+      ? { success: true, rooms: [{ name: 'general' }, { name: 'random' }] }
+      : { success: true, user: { id: '1', username: 'testuser' } }));
+
+    render(
+      <BrowserRouter>
+        <Chat />
+      </BrowserRouter>
+    );
+
+    await waitFor(() => {
+      expect(mockSocket.emit).toHaveBeenCalledWith('joinRoom', 'general');
+    });
+
+    await user.click(await screen.findByRole('button', { name: '#random' }));
+
+    await waitFor(() => {
+      expect(mockSocket.emit).toHaveBeenCalledWith('joinRoom', 'random');
+    });
+    expect(mockSocket.emit).toHaveBeenCalledWith('leaveRoom', 'general');
+    expect(mockSocket.emit).not.toHaveBeenCalledWith('leaveRoom', 'random');
+  });
+
+  it('ends the session on the server when logging out', async () => {
+    const user = userEvent.setup();
+    api.post.mockResolvedValue({ success: true });
+
+    render(
+      <BrowserRouter>
+        <Chat />
+      </BrowserRouter>
+    );
+
+    await user.click(screen.getByRole('button', { name: /logout/i }));
+
+    await waitFor(() => {
+      expect(api.post).toHaveBeenCalledWith('/auth/logout');
+      expect(api.clearTokens).toHaveBeenCalled();
+      expect(mockNavigate).toHaveBeenCalledWith('/');
+    });
+  });
+
+  it('signs out when the server drops the connection', async () => {
+    render(
+      <BrowserRouter>
+        <Chat />
+      </BrowserRouter>
+    );
+
+    const [, onDisconnect] = mockSocket.on.mock.calls.find(([event]) => event === 'disconnect');
+    onDisconnect('transport close');
+    expect(api.clearTokens).not.toHaveBeenCalled();
+
+    onDisconnect('io server disconnect');
+    await waitFor(() => {
+      expect(api.clearTokens).toHaveBeenCalled();
+      expect(mockNavigate).toHaveBeenCalledWith('/');
+    });
+  });
+
   it('redirects to login if no token', () => {
     // Override mock to return null for this test
     localStorage.getItem.mockReturnValue(null);
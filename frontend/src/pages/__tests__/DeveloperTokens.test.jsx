@@ -0,0 +1,103 @@
+/**
+ * DeveloperTokens Page Tests
+ * Tests creating a token with scopes (showing it once), revoking one, and
+ * describing expiry
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { BrowserRouter } from 'react-router-dom';
+import DeveloperTokens, { describeExpiry } from '../DeveloperTokens';
+import { get, post, del } from '../../api';
+
+vi.mock('../../api', () => ({
+  get: vi.fn(),
+  post: vi.fn(),
+  del: vi.fn(),
+}));
+
+const token = {
+  _id: 't1',
+  name: 'Backup script',
+  tokenPrefix: 'mmpat_Ab12Cd',
+  scopes: ['messages:read', 'rooms:read'],
+  expiresAt: null,
+  lastUsedAt: null,
+  createdAt: '2024-01-01T00:00:00.000Z',
+};
+
+const renderPage = () => render(
+  <BrowserRouter>
+    <DeveloperTokens />
+  </BrowserRouter>
+);
+
+describe('DeveloperTokens', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('creates a token with the chosen scopes and expiry and shows it once', async () => {
+    const user = userEvent.setup();
+    get.mockResolvedValue({ success: true, tokens: [] });
+    post.mockResolvedValue({ success: true, token, secret: 'mmpat_Ab12Cdsecret' });
+
+    renderPage();
+
+    expect(await screen.findByText('No tokens yet.')).toBeInTheDocument();
+    expect(get).toHaveBeenCalledWith('/api/tokens');
+
+    await user.type(screen.getByLabelText('Token name'), 'Backup script');
+    await user.click(screen.getByRole('checkbox', { name: /rooms:read/ }));
+    await user.selectOptions(screen.getByLabelText(/expires after/i), 'Never');
+    await user.click(screen.getByRole('button', { name: 'Create token' }));
+
+    expect(post).toHaveBeenCalledWith('/api/tokens', {
+      name: 'Backup script',
+      scopes: ['messages:read', 'rooms:read'],
+      expiresInDays: null,
+    });
+    expect(screen.getByText('mmpat_Ab12Cdsecret')).toBeInTheDocument();
+    expect(screen.getByText('mmpat_Ab12Cd…')).toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: 'Done' }));
+    expect(screen.queryByText('mmpat_Ab12Cdsecret')).not.toBeInTheDocument();
+  });
+
+  it('cannot create a token without scopes', async () => {
+    const user = userEvent.setup();
+    get.mockResolvedValue({ success: true, tokens: [] });
+
+    renderPage();
+
+    await user.type(await screen.findByLabelText('Token name'), 'Script');
+    await user.click(screen.getByRole('checkbox', { name: /messages:read/ }));
+
+    expect(screen.getByRole('button', { name: 'Create token' })).toBeDisabled();
+  });
+
+  it('revokes a token after confirmation', async () => {
+    const user = userEvent.setup();
+    get.mockResolvedValue({ success: true, tokens: [token] });
+    del.mockResolvedValue({ success: true });
+
+    renderPage();
+
+    await user.click(await screen.findByRole('button', { name: 'Revoke' }));
+    expect(del).not.toHaveBeenCalled();
+
+    await user.click(screen.getByRole('button', { name: 'Revoke' }));
+
+    expect(del).toHaveBeenCalledWith('/api/tokens/t1');
+    expect(screen.queryByText('Backup script')).not.toBeInTheDocument();
+  });
+
+  it('describes expiry', () => {
+    const now = new Date('2024-06-01T00:00:00.000Z');
+
+    expect(describeExpiry(null, now)).toBe('Never expires');
+    expect(describeExpiry('2024-05-01T00:00:00.000Z', now)).toBe('Expired');
+    expect(describeExpiry('2024-07-01T00:00:00.000Z', now)).toMatch(/^Expires /);
+  });
+});
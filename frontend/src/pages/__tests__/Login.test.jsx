@@ -106,6 +106,32 @@ describe('Login', () => {
     });
   });
 
+  it('saves the refresh token on successful login', async () => {
+    const user = userEvent.setup();
+
+    api.post.mockResolvedValue({
+      success: true,
+      token: 'test-jwt-token',
+      refreshToken: 'mmrt_test-refresh-token',
+      user: { id: '1', username: 'testuser' },
+    });
+
+    render(
+      <BrowserRouter>
+        <Login />
+      </BrowserRouter>
+    );
+
+    await user.type(screen.getByLabelText(/username/i), 'testuser');
+    await user.type(screen.getByLabelText(/password/i), 'password123');
+    await user.click(screen.getByRole('button', { name: /login/i }));
+
+    await waitFor(() => {
+      expect(localStorage.setItem).toHaveBeenCalledWith('refreshToken', 'mmrt_test-refresh-token');
+      expect(mockNavigate).toHaveBeenCalledWith('/chat');
+    });
+  });
+
   it('displays error message on failed login', async () => {
     const user = userEvent.setup();
 
@@ -0,0 +1,114 @@
+/**
+ * Sessions Page Tests
+ * Tests listing sessions, signing one out, signing out everywhere, and
+ * describing devices
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { BrowserRouter } from 'react-router-dom';
+import Sessions, { describeDevice } from '../Sessions';
+import { get, del, clearTokens } from '../../api';
+
+vi.mock('../../api', () => ({
+  get: vi.fn(),
+  del: vi.fn(),
+  clearTokens: vi.fn(),
+}));
+
+const mockNavigate = vi.fn();
+vi.mock('react-router-dom', async () => {
+  const actual = await vi.importActual('react-router-dom');
+  return {
+    ...actual,
+    useNavigate: () => mockNavigate,
+  };
+});
+
+const FIREFOX_WINDOWS = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:120.0) Gecko/20100101 Firefox/120.0';
+const CHROME_ANDROID = 'Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Mobile Safari/537.36';
+
+const sessions = [
+  {
+    _id: 's1',
+    userAgent: FIREFOX_WINDOWS,
+    ip: '203.0.113.5',
+    createdAt: '2024-01-01T00:00:00.000Z',
+    lastSeenAt: '2024-01-02T00:00:00.000Z',
+    current: true,
+  },
+  {
+    _id: 's2',
+    userAgent: CHROME_ANDROID,
+    ip: '198.51.100.7',
+    createdAt: '2024-01-01T00:00:00.000Z',
+    lastSeenAt: '2024-01-01T12:00:00.000Z',
+    current: false,
+  },
+];
+
+const renderPage = () => render(
+  <BrowserRouter>
+    <Sessions />
+  </BrowserRouter>
+);
+
+describe('Sessions', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    get.mockResolvedValue({ success: true, sessions });
+  });
+
+  it('lists sessions with their device and IP, marking this device', async () => {
+    renderPage();
+
+    expect(await screen.findByText('Firefox on Windows')).toBeInTheDocument();
+    expect(get).toHaveBeenCalledWith('/api/sessions');
+    expect(screen.getByText('Chrome on Android')).toBeInTheDocument();
+    expect(screen.getByText('198.51.100.7')).toBeInTheDocument();
+    expect(screen.getByText('This device')).toBeInTheDocument();
+  });
+
+  it('signs out another session after confirmation', async () => {
+    const user = userEvent.setup();
+    del.mockResolvedValue({ success: true });
+
+    renderPage();
+
+    await screen.findByText('Chrome on Android');
+    await user.click(screen.getAllByRole('button', { name: 'Sign out' })[1]);
+    expect(del).not.toHaveBeenCalled();
+
+    expect(screen.getByText('Sign out Chrome on Android?')).toBeInTheDocument();
+    await user.click(screen.getAllByRole('button', { name: 'Sign out' })[1]);
+
+    expect(del).toHaveBeenCalledWith('/api/sessions/s2');
+    expect(screen.queryByText('Chrome on Android')).not.toBeInTheDocument();
+    expect(mockNavigate).not.toHaveBeenCalled();
+  });
+
+  it('signs out everywhere and forgets this device\'s tokens', async () => {
+    const user = userEvent.setup();
+    del.mockResolvedValue({ success: true, revoked: 2 });
+
+    renderPage();
+
+    await screen.findByText('Firefox on Windows');
+    await user.click(screen.getByRole('button', { name: 'Sign out everywhere' }));
+    expect(del).not.toHaveBeenCalled();
+
+    await user.click(screen.getByRole('button', { name: 'Sign out everywhere' }));
+
+    expect(del).toHaveBeenCalledWith('/api/sessions');
+    expect(clearTokens).toHaveBeenCalled();
+    expect(mockNavigate).toHaveBeenCalledWith('/');
+  });
+
+  it('describes devices', () => {
+    expect(describeDevice(FIREFOX_WINDOWS)).toBe('Firefox on Windows');
+    expect(describeDevice(CHROME_ANDROID)).toBe('Chrome on Android');
+    expect(describeDevice('curl/8.4.0')).toBe('curl/8.4.0');
+    expect(describeDevice('')).toBe('Unknown device');
+  });
+});
@@ -22,15 +22,14 @@ const getToken = () => {
  * @returns {import('socket.io-client').Socket} Socket.io client instance
  */
 export const createSocket = () => {
-  const token = getToken();
-
-  if (!token) {
+  if (!getToken()) {
     throw new Error('No authentication token found. Please login first.');
   }
 
   const socket = io(SOCKET_URL, {
-    auth: {
-      token: token,
+    // Read the token on every (re)connection: it is replaced when the session refreshes
+    auth: (cb) => {
+      cb({ token: getToken() });
     },
     transports: ['websocket', 'polling'],
   });